@@ -3,12 +3,13 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { AuthProvider } from './contexts/AuthContext';
 import { CartProvider } from './contexts/CartContext';
 import { ChatProvider } from './contexts/ChatContext';
+import { WishlistProvider } from './contexts/WishlistContext';
 import 'bootstrap/dist/css/bootstrap.min.css';
 import './App.css';
 import CustomerChat from './components/chat/CustomerChat';
 
 // Auth Components
-import { PrivateRoute, AdminRoute, CustomerRoute, PublicRoute } from './components/auth/ProtectedRoutes';
+import { PrivateRoute, AdminRoute, CustomerRoute, PublicRoute, ShopperRoute } from './components/auth/ProtectedRoutes';
 import TwoFactorAuthPage from './pages/auth/TwoFactorAuthPage';
 import LoginPage from './pages/auth/LoginPage';
 import SignupPage from './pages/auth/SignupPage';
@@ -19,20 +20,30 @@ import ForgotPasswordPage from './pages/auth/ForgotPasswordPage';
 import HomePage from './pages/customer/HomePage';
 import ProductsPage from './pages/customer/ProductsPage';
 import ProductDetailsPage from './pages/customer/ProductDetailsPage';
+import CategoryPage from './pages/customer/CategoryPage';
 import CartPage from './pages/customer/CartPage';
 import CheckoutPage from './pages/customer/CheckoutPage';
 import OrdersPage from './pages/customer/OrdersPage';
 import ProfilePage from './pages/customer/ProfilePage';
+import TrackOrderPage from './pages/customer/TrackOrderPage';
+import WishlistPage from './pages/customer/WishlistPage';
 import SecuritySettings from './components/profile/SecuritySettings';
 
 // Admin Pages
 import DashboardPage from './pages/admin/DashboardPage';
 import ProductManagementPage from './pages/admin/ProductManagementPage';
 import ProductFormPage from './pages/admin/ProductFormPage';
+import ProductImportPage from './pages/admin/ProductImportPage';
+import StockHistoryPage from './pages/admin/StockHistoryPage';
+import ReorderReportPage from './pages/admin/ReorderReportPage';
 import CategoryManagementPage from './pages/admin/CategoryManagementPage';
 import UserManagementPage from './pages/admin/UserManagementPage';
 import HomeContentManagementPage from './pages/admin/HomeContentManagementPage';
 import OrderManagementPage from './pages/admin/OrderManagementPage';
+import CouponManagementPage from './pages/admin/CouponManagementPage';
+import ShippingManagementPage from './pages/admin/ShippingManagementPage';
+import TaxManagementPage from './pages/admin/TaxManagementPage';
+import ReviewModerationPage from './pages/admin/ReviewModerationPage';
 import ChatManagementPage from './pages/admin/ChatManagementPage';
 
 // Common Pages
@@ -43,12 +54,16 @@ function App() {
     <Router>
       <AuthProvider>
         <CartProvider>
+        <WishlistProvider>
           <ChatProvider>
           <Routes>
             {/* Public Routes */}
             <Route path="/" element={<HomePage />} />
             <Route path="/products" element={<ProductsPage />} />
             <Route path="/products/:productId" element={<ProductDetailsPage />} />
+            <Route path="/categories" element={<CategoryPage />} />
+            <Route path="/categories/:categoryId" element={<CategoryPage />} />
+            <Route path="/track-order" element={<TrackOrderPage />} />
             
             {/* Auth Routes */}
             <Route path="/login" element={
@@ -79,20 +94,25 @@ function App() {
             
             {/* Customer Routes */}
             <Route path="/cart" element={
-              <CustomerRoute>
+              <ShopperRoute>
                 <CartPage />
-              </CustomerRoute>
+              </ShopperRoute>
             } />
             <Route path="/checkout" element={
-              <CustomerRoute>
+              <ShopperRoute>
                 <CheckoutPage />
-              </CustomerRoute>
+              </ShopperRoute>
             } />
             <Route path="/orders" element={
               <CustomerRoute>
                 <OrdersPage />
               </CustomerRoute>
             } />
+            <Route path="/wishlist" element={
+              <CustomerRoute>
+                <WishlistPage />
+              </CustomerRoute>
+            } />
             <Route path="/profile" element={
               <PrivateRoute>
                 <ProfilePage />
@@ -125,11 +145,26 @@ function App() {
                 <ProductFormPage />
               </AdminRoute>
             } />
+            <Route path="/admin/products/import" element={
+              <AdminRoute>
+                <ProductImportPage />
+              </AdminRoute>
+            } />
+            <Route path="/admin/products/reorder" element={
+              <AdminRoute>
+                <ReorderReportPage />
+              </AdminRoute>
+            } />
             <Route path="/admin/products/edit/:productId" element={
               <AdminRoute>
                 <ProductFormPage />
               </AdminRoute>
             } />
+            <Route path="/admin/products/:productId/stock" element={
+              <AdminRoute>
+                <StockHistoryPage />
+              </AdminRoute>
+            } />
             <Route path="/admin/categories" element={
               <AdminRoute>
                 <CategoryManagementPage />
@@ -150,6 +185,26 @@ function App() {
                 <OrderManagementPage />
               </AdminRoute>
             } />
+            <Route path="/admin/coupons" element={
+              <AdminRoute>
+                <CouponManagementPage />
+              </AdminRoute>
+            } />
+            <Route path="/admin/shipping" element={
+              <AdminRoute>
+                <ShippingManagementPage />
+              </AdminRoute>
+            } />
+            <Route path="/admin/taxes" element={
+              <AdminRoute>
+                <TaxManagementPage />
+              </AdminRoute>
+            } />
+            <Route path="/admin/reviews" element={
+              <AdminRoute>
+                <ReviewModerationPage />
+              </AdminRoute>
+            } />
             
             {/* 404 Route */}
             <Route path="*" element={<NotFoundPage />} />
@@ -164,6 +219,7 @@ function App() {
           {/* Customer Chat Widget (available on all pages for logged in customers) */}
           <CustomerChat />
         </ChatProvider>
+        </WishlistProvider>
         </CartProvider>
       </AuthProvider>
     </Router>
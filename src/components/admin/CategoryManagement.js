@@ -1,13 +1,46 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Table, Button, Form, Modal, Alert, Spinner, Image, Row, Col, Card, InputGroup } from 'react-bootstrap';
+import { Container, Table, Button, Form, Modal, Alert, Spinner, Image, Row, Col, Card, InputGroup, Badge } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { getAllCategories, addCategory, updateCategory, deleteCategory } from '../../services/firestore';
+import {
+  getAllCategories,
+  getAllProducts,
+  addCategory,
+  updateCategory,
+  deleteCategory,
+  reorderCategories,
+  getCategoryProductCount,
+  reassignProducts
+} from '../../services/firestore';
 import { uploadImage, optimizeImage } from '../../services/cloudinaryService';
+import { clearCatalogCache } from '../../services/catalog';
+import {
+  flattenCategoryTree,
+  getChildCategories,
+  getCategoryDescendantIds,
+  getCategoryPathLabel,
+  moveCategory,
+  findOrphanedProducts
+} from '../../utils/categories';
+import CategoryTreePicker from '../common/CategoryTreePicker';
 import LoadingSpinner from '../common/LoadingSpinner';
 import ErrorAlert from '../common/ErrorAlert';
 
+const EMPTY_CATEGORY = { id: '', name: '', description: '', parentId: '', imageUrl: '' };
+
+// Where a dragged category lands relative to the row under the pointer: the top and bottom
+// quarters place it before or after that category, the middle makes it a subcategory
+const getDropPosition = (e) => {
+  const { top, height } = e.currentTarget.getBoundingClientRect();
+  const offset = (e.clientY - top) / height;
+  if (offset < 0.25) return 'before';
+  if (offset > 0.75) return 'after';
+  return 'inside';
+};
+
 const CategoryManagement = () => {
   const [categories, setCategories] = useState([]);
+  const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
@@ -15,7 +48,7 @@ const CategoryManagement = () => {
   // Modal states
   const [showModal, setShowModal] = useState(false);
   const [modalMode, setModalMode] = useState('add'); // 'add' or 'edit'
-  const [currentCategory, setCurrentCategory] = useState({ id: '', name: '', imageUrl: '' });
+  const [currentCategory, setCurrentCategory] = useState(EMPTY_CATEGORY);
   const [formError, setFormError] = useState(null);
   const [submitting, setSubmitting] = useState(false);
   
@@ -30,14 +63,27 @@ const CategoryManagement = () => {
   const [categoryToDelete, setCategoryToDelete] = useState(null);
   const [deleteLoading, setDeleteLoading] = useState(false);
   const [deleteError, setDeleteError] = useState(null);
+  const [deleteProductCount, setDeleteProductCount] = useState(null); // null while counting
+  const [reassignTo, setReassignTo] = useState('');
+  
+  // Orphaned products report
+  const [orphanTarget, setOrphanTarget] = useState('');
+  const [reassigningOrphans, setReassigningOrphans] = useState(false);
+  const [orphanMessage, setOrphanMessage] = useState(null);
+  
+  // Drag-and-drop ordering
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // { id, position: 'before' | 'after' | 'inside' }
+  const [reordering, setReordering] = useState(false);
 
-  // Fetch categories on component mount
+  // Fetch categories, and products for the counts and integrity report, on component mount
   useEffect(() => {
     const fetchCategories = async () => {
       try {
         setLoading(true);
-        const data = await getAllCategories();
+        const [data, productsData] = await Promise.all([getAllCategories(), getAllProducts()]);
         setCategories(data);
+        setProducts(productsData);
       } catch (err) {
         console.error('Error fetching categories:', err);
         setError('Failed to load categories. Please try again.');
@@ -49,14 +95,26 @@ const CategoryManagement = () => {
     fetchCategories();
   }, []);
 
-  // Filter categories based on search term
-  const filteredCategories = categories.filter(category => 
+  // Products per category, directly and including subcategories
+  const productCounts = new Map();
+  products.forEach(product => {
+    productCounts.set(product.category, (productCounts.get(product.category) || 0) + 1);
+  });
+  const getTotalProductCount = (categoryId) => getCategoryDescendantIds(categories, categoryId)
+    .reduce((total, id) => total + (productCounts.get(id) || 0), 0);
+  
+  // Products pointing at a missing category
+  const orphanedProducts = findOrphanedProducts(products, categories);
+
+  // The whole tree, or matching categories (shown with their full path) while searching
+  const categoryRows = flattenCategoryTree(categories);
+  const filteredCategories = categoryRows.filter(({ category }) => 
     category.name && category.name.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
-  // Open modal for adding a new category
-  const handleAddClick = () => {
-    setCurrentCategory({ id: '', name: '', imageUrl: '' });
+  // Open modal for adding a new category, optionally as a subcategory of parentId
+  const handleAddClick = (parentId = '') => {
+    setCurrentCategory({ ...EMPTY_CATEGORY, parentId });
     setModalMode('add');
     setFormError(null);
     setImageFile(null);
@@ -66,7 +124,7 @@ const CategoryManagement = () => {
 
   // Open modal for editing a category
   const handleEditClick = (category) => {
-    setCurrentCategory({ ...category });
+    setCurrentCategory({ ...EMPTY_CATEGORY, ...category, parentId: category.parentId || '' });
     setModalMode('edit');
     setFormError(null);
     setImageFile(null);
@@ -74,11 +132,11 @@ const CategoryManagement = () => {
     setShowModal(true);
   };
 
-  // Handle category name change
+  // Handle category name and description changes
   const handleCategoryChange = (e) => {
     setCurrentCategory({
       ...currentCategory,
-      name: e.target.value
+      [e.target.name]: e.target.value
     });
   };
   
@@ -116,14 +174,16 @@ const CategoryManagement = () => {
       return;
     }
     
-    // Check for duplicate category name
-    const isDuplicate = categories.some(
-      cat => cat.name.toLowerCase() === currentCategory.name.toLowerCase() && 
+    // Names only need to be unique among siblings (Men › Shirts and Women › Shirts can both exist)
+    const parentId = currentCategory.parentId || null;
+    const siblings = getChildCategories(categories, parentId);
+    const isDuplicate = siblings.some(
+      cat => cat.name.toLowerCase() === currentCategory.name.trim().toLowerCase() && 
              cat.id !== currentCategory.id
     );
     
     if (isDuplicate) {
-      setFormError('A category with this name already exists');
+      setFormError(parentId ? 'This parent already has a subcategory with this name' : 'A top-level category with this name already exists');
       return;
     }
     
@@ -187,33 +247,41 @@ const CategoryManagement = () => {
       }
       
       if (modalMode === 'add') {
-        // Add new category
+        // Add new category, last among its siblings
         const newCategory = {
           name: currentCategory.name.trim(),
-          imageUrl: imageUrl || '',
-          createdAt: new Date()
+          description: currentCategory.description.trim(),
+          parentId,
+          sortOrder: siblings.length,
+          imageUrl: imageUrl || ''
         };
         
-        const addedCategory = await addCategory(newCategory);
-        setCategories([...categories, addedCategory]);
+        const categoryId = await addCategory(newCategory);
+        setCategories([...categories, { id: categoryId, ...newCategory, createdAt: { seconds: Date.now() / 1000 } }]);
       } else {
-        // Update existing category
+        // Update existing category; moving it to another parent puts it last there
+        const { id, createdAt, ...categoryData } = currentCategory;
+        const original = categories.find(cat => cat.id === id);
+        const parentChanged = (original.parentId || null) !== parentId;
         const updatedCategory = {
-          ...currentCategory,
+          ...categoryData,
           name: currentCategory.name.trim(),
-          imageUrl: imageUrl || '',
-          updatedAt: new Date()
+          description: currentCategory.description.trim(),
+          parentId,
+          sortOrder: parentChanged ? siblings.length : original.sortOrder ?? siblings.length,
+          imageUrl: imageUrl || ''
         };
         
-        await updateCategory(currentCategory.id, updatedCategory);
+        await updateCategory(id, updatedCategory);
         setCategories(categories.map(cat => 
-          cat.id === currentCategory.id ? updatedCategory : cat
+          cat.id === id ? { ...cat, ...updatedCategory } : cat
         ));
       }
+      clearCatalogCache();
       
       // Close modal and reset form
       setShowModal(false);
-      setCurrentCategory({ id: '', name: '', imageUrl: '' });
+      setCurrentCategory(EMPTY_CATEGORY);
       
     } catch (err) {
       console.error('Error saving category:', err);
@@ -223,30 +291,157 @@ const CategoryManagement = () => {
     }
   };
 
-  // Open delete confirmation modal
-  const handleDeleteClick = (category) => {
+  // Open delete confirmation modal, counting the category's products straight from Firestore
+  const handleDeleteClick = async (category) => {
     setCategoryToDelete(category);
     setShowDeleteModal(true);
     setDeleteError(null);
+    setReassignTo('');
+    setDeleteProductCount(null);
+    
+    try {
+      setDeleteProductCount(await getCategoryProductCount(category.id));
+    } catch (err) {
+      console.error('Error counting category products:', err);
+      setDeleteProductCount(productCounts.get(category.id) || 0);
+    }
   };
 
+  // Subcategories of the category being deleted move up to its parent
+  const subcategoriesToMove = categoryToDelete ? getChildCategories(categories, categoryToDelete.id) : [];
+  
   // Handle category deletion
   const confirmDelete = async () => {
     if (!categoryToDelete) return;
     
     try {
       setDeleteLoading(true);
-      await deleteCategory(categoryToDelete.id);
-      setCategories(categories.filter(cat => cat.id !== categoryToDelete.id));
+      await deleteCategory(categoryToDelete.id, { reassignTo: reassignTo || undefined });
+      
+      const parentId = categoryToDelete.parentId || null;
+      const remaining = categories.filter(cat => cat.id !== categoryToDelete.id);
+      const siblingCount = getChildCategories(remaining, parentId).length;
+      setCategories(remaining.map(cat => {
+        const index = subcategoriesToMove.findIndex(subcategory => subcategory.id === cat.id);
+        return index === -1 ? cat : { ...cat, parentId, sortOrder: siblingCount + index };
+      }));
+      if (reassignTo) {
+        setProducts(products.map(product => (
+          product.category === categoryToDelete.id ? { ...product, category: reassignTo } : product
+        )));
+      }
+      clearCatalogCache();
       setShowDeleteModal(false);
     } catch (err) {
       console.error('Error deleting category:', err);
-      setDeleteError('Failed to delete category. Please try again.');
+      if (err.code === 'category-in-use') {
+        // Products were added since the count was taken
+        setDeleteProductCount(err.productCount);
+        setDeleteError(err.message);
+      } else {
+        setDeleteError(err.message || 'Failed to delete category. Please try again.');
+      }
     } finally {
       setDeleteLoading(false);
     }
   };
 
+  // Assign every orphaned product to one category
+  const handleReassignOrphans = async () => {
+    if (!orphanTarget || orphanedProducts.length === 0) return;
+    
+    try {
+      setReassigningOrphans(true);
+      setOrphanMessage(null);
+      const orphanIds = orphanedProducts.map(product => product.id);
+      await reassignProducts(orphanIds, orphanTarget);
+      setProducts(products.map(product => (
+        orphanIds.includes(product.id) ? { ...product, category: orphanTarget } : product
+      )));
+      clearCatalogCache();
+      setOrphanMessage(`${orphanIds.length} product${orphanIds.length !== 1 ? 's were' : ' was'} moved to ${getCategoryPathLabel(categories, orphanTarget)}.`);
+      setOrphanTarget('');
+    } catch (err) {
+      console.error('Error reassigning orphaned products:', err);
+      setError('Failed to reassign the products. Please try again.');
+    } finally {
+      setReassigningOrphans(false);
+    }
+  };
+
+  // Drag-and-drop ordering works on the full tree, so it is off while searching
+  const canReorder = !searchTerm && !reordering;
+  
+  const handleDragStart = (e, category) => {
+    setDraggedId(category.id);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', category.id);
+  };
+  
+  const handleDragOver = (e, category) => {
+    if (!draggedId) return;
+    // A category can't be dropped onto itself or into its own subcategories
+    if (getCategoryDescendantIds(categories, draggedId).includes(category.id)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    const position = getDropPosition(e);
+    if (dropTarget?.id !== category.id || dropTarget?.position !== position) {
+      setDropTarget({ id: category.id, position });
+    }
+  };
+  
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+  
+  const handleDrop = async (e, target) => {
+    e.preventDefault();
+    const position = dropTarget?.position || getDropPosition(e);
+    const movedId = draggedId;
+    handleDragEnd();
+    if (!movedId || movedId === target.id) return;
+    
+    let updates;
+    if (position === 'inside') {
+      updates = moveCategory(categories, movedId, target.id);
+    } else {
+      const parentId = target.parentId && categories.some(cat => cat.id === target.parentId) ? target.parentId : null;
+      const siblings = getChildCategories(categories, parentId).filter(cat => cat.id !== movedId);
+      const targetIndex = siblings.findIndex(cat => cat.id === target.id);
+      const beforeId = position === 'before' ? target.id : siblings[targetIndex + 1]?.id || null;
+      updates = moveCategory(categories, movedId, parentId, beforeId);
+    }
+    if (updates.length === 0) return;
+    
+    // Show the new order straight away and put it back if saving fails
+    const previousCategories = categories;
+    setCategories(categories.map(cat => {
+      const update = updates.find(item => item.id === cat.id);
+      return update ? { ...cat, parentId: update.parentId, sortOrder: update.sortOrder } : cat;
+    }));
+    
+    try {
+      setReordering(true);
+      await reorderCategories(updates);
+      clearCatalogCache();
+    } catch (err) {
+      console.error('Error reordering categories:', err);
+      setCategories(previousCategories);
+      setError('Failed to save the new category order. Please try again.');
+    } finally {
+      setReordering(false);
+    }
+  };
+  
+  // Drop indicator: a line above or below the row, or a highlight when nesting
+  const getDropStyle = (categoryId) => {
+    if (dropTarget?.id !== categoryId) return {};
+    if (dropTarget.position === 'before') return { boxShadow: 'inset 0 2px 0 var(--bs-primary)' };
+    if (dropTarget.position === 'after') return { boxShadow: 'inset 0 -2px 0 var(--bs-primary)' };
+    return { backgroundColor: 'var(--bs-primary-bg-subtle)' };
+  };
+
   if (loading) {
     return <LoadingSpinner fullPage text="Loading categories..." />;
   }
@@ -254,7 +449,7 @@ const CategoryManagement = () => {
   return (
     <Container className="py-5">
       <div className="d-flex justify-content-between align-items-center mb-4">
-        <Button variant="primary" onClick={handleAddClick}>
+        <Button variant="primary" onClick={() => handleAddClick()}>
           <i className="bi bi-plus-circle me-2"></i>
           Add New Category
         </Button>
@@ -304,9 +499,16 @@ const CategoryManagement = () => {
               animate={{ opacity: 1 }}
               transition={{ duration: 0.3 }}
             >
+              {!searchTerm && (
+                <p className="text-muted small">
+                  <i className="bi bi-grip-vertical"></i> Drag categories to reorder them. Drop onto the middle
+                  of another category to make it a subcategory.
+                </p>
+              )}
               <Table responsive hover className="align-middle">
                 <thead>
                   <tr>
+                    <th style={{ width: '40px' }}></th>
                     <th>Image</th>
                     <th>Category Name</th>
                     <th>Products</th>
@@ -315,8 +517,20 @@ const CategoryManagement = () => {
                   </tr>
                 </thead>
                 <tbody>
-                  {filteredCategories.map(category => (
-                    <tr key={category.id}>
+                  {filteredCategories.map(({ category, depth }) => (
+                    <tr
+                      key={category.id}
+                      draggable={canReorder}
+                      onDragStart={(e) => handleDragStart(e, category)}
+                      onDragOver={(e) => handleDragOver(e, category)}
+                      onDragLeave={() => setDropTarget(null)}
+                      onDrop={(e) => handleDrop(e, category)}
+                      onDragEnd={handleDragEnd}
+                      style={{ opacity: draggedId === category.id ? 0.5 : 1, ...getDropStyle(category.id) }}
+                    >
+                      <td className="text-muted" style={{ cursor: canReorder ? 'grab' : 'default' }}>
+                        {canReorder && <i className="bi bi-grip-vertical" aria-hidden="true"></i>}
+                      </td>
                       <td className="text-center" style={{ width: '100px' }}>
                         {category.imageUrl ? (
                           <Image 
@@ -329,15 +543,40 @@ const CategoryManagement = () => {
                           <div className="text-muted small">No image</div>
                         )}
                       </td>
-                      <td className="fw-bold">{category.name}</td>
                       <td>
-                        {/* This would ideally show the count of products in this category */}
-                        <span className="badge bg-secondary rounded-pill">0</span>
+                        {searchTerm ? (
+                          <>
+                            <div className="fw-bold">{category.name}</div>
+                            {category.parentId && (
+                              <small className="text-muted">{getCategoryPathLabel(categories, category.id)}</small>
+                            )}
+                          </>
+                        ) : (
+                          <div className="fw-bold" style={{ paddingLeft: `${depth * 1.5}rem` }}>
+                            {depth > 0 && <i className="bi bi-arrow-return-right text-muted me-2"></i>}
+                            {category.name}
+                          </div>
+                        )}
+                      </td>
+                      <td>
+                        <span className="badge bg-secondary rounded-pill">{productCounts.get(category.id) || 0}</span>
+                        {getTotalProductCount(category.id) !== (productCounts.get(category.id) || 0) && (
+                          <small className="text-muted ms-2">{getTotalProductCount(category.id)} with subcategories</small>
+                        )}
                       </td>
                       <td>
                         {category.createdAt ? new Date(category.createdAt.seconds * 1000).toLocaleDateString() : 'N/A'}
                       </td>
                       <td>
+                        <Button
+                          variant="outline-secondary"
+                          size="sm"
+                          className="me-2"
+                          onClick={() => handleAddClick(category.id)}
+                          title={`Add a subcategory to ${category.name}`}
+                        >
+                          <i className="bi bi-plus-lg"></i> Subcategory
+                        </Button>
                         <Button
                           variant="outline-primary"
                           size="sm"
@@ -363,6 +602,81 @@ const CategoryManagement = () => {
         </Card.Body>
       </Card>
 
+      {/* Data integrity: products whose category no longer exists */}
+      <Card className="shadow-sm mb-4">
+        <Card.Body>
+          <div className="d-flex justify-content-between align-items-center mb-3">
+            <h5 className="mb-0">
+              <i className="bi bi-shield-check me-2"></i>
+              Orphaned Products
+            </h5>
+            <Badge bg={orphanedProducts.length > 0 ? 'danger' : 'success'} pill>
+              {orphanedProducts.length}
+            </Badge>
+          </div>
+          
+          {orphanMessage && (
+            <Alert variant="success" onClose={() => setOrphanMessage(null)} dismissible>
+              {orphanMessage}
+            </Alert>
+          )}
+          
+          {orphanedProducts.length === 0 ? (
+            <p className="text-muted mb-0">Every product is assigned to an existing category.</p>
+          ) : (
+            <>
+              <p className="text-muted">
+                These products have no category, or point at a category that was deleted. They don't appear
+                in any category listing until they are reassigned.
+              </p>
+              <Table responsive size="sm" className="align-middle">
+                <thead>
+                  <tr>
+                    <th>Product</th>
+                    <th>Category ID</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {orphanedProducts.map(product => (
+                    <tr key={product.id}>
+                      <td>{product.name}</td>
+                      <td><code>{product.category || 'none'}</code></td>
+                      <td className="text-end">
+                        <Button as={Link} to={`/admin/products/edit/${product.id}`} variant="outline-primary" size="sm">
+                          <i className="bi bi-pencil"></i> Edit
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+              <Row className="g-2 align-items-center">
+                <Col md={6}>
+                  <CategoryTreePicker
+                    id="orphanTarget"
+                    categories={categories}
+                    value={orphanTarget}
+                    onChange={setOrphanTarget}
+                    placeholder="Choose a category for all of them"
+                    disabled={reassigningOrphans}
+                  />
+                </Col>
+                <Col md="auto">
+                  <Button
+                    variant="primary"
+                    onClick={handleReassignOrphans}
+                    disabled={!orphanTarget || reassigningOrphans}
+                  >
+                    {reassigningOrphans ? 'Moving...' : `Move ${orphanedProducts.length} Product${orphanedProducts.length !== 1 ? 's' : ''}`}
+                  </Button>
+                </Col>
+              </Row>
+            </>
+          )}
+        </Card.Body>
+      </Card>
+
       {/* Add/Edit Category Modal */}
       <Modal show={showModal} onHide={() => setShowModal(false)} centered>
         <Modal.Header closeButton>
@@ -381,6 +695,7 @@ const CategoryManagement = () => {
               <Form.Label>Category Name</Form.Label>
               <Form.Control
                 type="text"
+                name="name"
                 placeholder="Enter category name"
                 value={currentCategory.name}
                 onChange={handleCategoryChange}
@@ -389,6 +704,32 @@ const CategoryManagement = () => {
               />
             </Form.Group>
             
+            <Form.Group className="mb-3" controlId="parentCategory">
+              <Form.Label>Parent Category</Form.Label>
+              <CategoryTreePicker
+                id="parentCategory"
+                categories={categories}
+                value={currentCategory.parentId}
+                onChange={(parentId) => setCurrentCategory(prev => ({ ...prev, parentId }))}
+                disabledIds={currentCategory.id ? getCategoryDescendantIds(categories, currentCategory.id) : []}
+                noneLabel="None (top-level category)"
+                disabled={submitting}
+              />
+            </Form.Group>
+            
+            <Form.Group className="mb-3">
+              <Form.Label>Description</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={2}
+                name="description"
+                placeholder="Shown on the category's landing page"
+                value={currentCategory.description}
+                onChange={handleCategoryChange}
+                disabled={submitting}
+              />
+            </Form.Group>
+            
             <Form.Group className="mb-3">
               <Form.Label>Category Image</Form.Label>
               <Form.Control
@@ -466,14 +807,50 @@ const CategoryManagement = () => {
             />
           )}
           <p>Are you sure you want to delete the category <strong>{categoryToDelete?.name}</strong>?</p>
-          <p className="text-danger">This action cannot be undone and may affect products assigned to this category.</p>
+          {subcategoriesToMove.length > 0 && (
+            <p>
+              Its {subcategoriesToMove.length} subcategor{subcategoriesToMove.length !== 1 ? 'ies' : 'y'} will move
+              up to {categoryToDelete?.parentId ? <strong>{getCategoryPathLabel(categories, categoryToDelete.parentId)}</strong> : 'the top level'}.
+            </p>
+          )}
+          {deleteProductCount === null ? (
+            <p className="text-muted">
+              <Spinner animation="border" size="sm" className="me-2" />
+              Checking for products in this category...
+            </p>
+          ) : deleteProductCount > 0 ? (
+            <Alert variant="warning">
+              <p>
+                <strong>{deleteProductCount} product{deleteProductCount !== 1 ? 's are' : ' is'}</strong> assigned
+                to this category. Choose a category to move {deleteProductCount !== 1 ? 'them' : 'it'} to before deleting.
+              </p>
+              <Form.Group controlId="reassignTo">
+                <Form.Label>Move products to</Form.Label>
+                <CategoryTreePicker
+                  id="reassignTo"
+                  categories={categories}
+                  value={reassignTo}
+                  onChange={setReassignTo}
+                  disabledIds={categoryToDelete ? [categoryToDelete.id] : []}
+                  disabled={deleteLoading}
+                />
+              </Form.Group>
+            </Alert>
+          ) : (
+            <p className="text-muted">No products are assigned to this category.</p>
+          )}
+          <p className="text-danger">This action cannot be undone.</p>
         </Modal.Body>
         <Modal.Footer>
           <Button variant="secondary" onClick={() => setShowDeleteModal(false)} disabled={deleteLoading}>
             Cancel
           </Button>
-          <Button variant="danger" onClick={confirmDelete} disabled={deleteLoading}>
-            {deleteLoading ? <LoadingSpinner size="sm" text="" /> : 'Delete Category'}
+          <Button
+            variant="danger"
+            onClick={confirmDelete}
+            disabled={deleteLoading || deleteProductCount === null || (deleteProductCount > 0 && !reassignTo)}
+          >
+            {deleteLoading ? <LoadingSpinner size="sm" text="" /> : deleteProductCount > 0 ? 'Move Products & Delete' : 'Delete Category'}
           </Button>
         </Modal.Footer>
       </Modal>
@@ -0,0 +1,599 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Table, Button, Form, Modal, Row, Col, Card, InputGroup, Badge } from 'react-bootstrap';
+import { motion } from 'framer-motion';
+import {
+  getAllCoupons,
+  addCoupon,
+  updateCoupon,
+  deleteCoupon,
+  getAllCategories,
+  getAllProducts
+} from '../../services/firestore';
+import { formatCurrency } from '../../utils/helpers';
+import { COUPON_TYPES, COUPON_TYPE_LABELS, describeCoupon, toDateValue } from '../../utils/coupons';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ErrorAlert from '../common/ErrorAlert';
+
+const emptyCoupon = {
+  id: '',
+  code: '',
+  description: '',
+  type: COUPON_TYPES.PERCENTAGE,
+  value: '',
+  minOrderValue: '',
+  usageLimit: '',
+  perUserLimit: '',
+  startsAt: '',
+  endsAt: '',
+  categoryIds: [],
+  productIds: [],
+  active: true
+};
+
+// Format a date for a datetime-local input
+const toInputDate = (value) => {
+  const date = toDateValue(value);
+  if (!date) return '';
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+// Work out whether a coupon can currently be redeemed
+const getCouponState = (coupon) => {
+  const now = new Date();
+  const startsAt = toDateValue(coupon.startsAt);
+  const endsAt = toDateValue(coupon.endsAt);
+
+  if (coupon.active === false) return { label: 'Inactive', variant: 'secondary' };
+  if (startsAt && now < startsAt) return { label: 'Scheduled', variant: 'info' };
+  if (endsAt && now > endsAt) return { label: 'Expired', variant: 'dark' };
+  if (coupon.usageLimit && (coupon.usageCount || 0) >= coupon.usageLimit) {
+    return { label: 'Used Up', variant: 'warning' };
+  }
+  return { label: 'Active', variant: 'success' };
+};
+
+const CouponManagement = () => {
+  const [coupons, setCoupons] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+
+  // Modal states
+  const [showModal, setShowModal] = useState(false);
+  const [modalMode, setModalMode] = useState('add'); // 'add' or 'edit'
+  const [currentCoupon, setCurrentCoupon] = useState(emptyCoupon);
+  const [formError, setFormError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Delete confirmation modal
+  const [couponToDelete, setCouponToDelete] = useState(null);
+  const [deleteLoading, setDeleteLoading] = useState(false);
+  const [deleteError, setDeleteError] = useState(null);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [couponsData, categoriesData, productsData] = await Promise.all([
+        getAllCoupons(),
+        getAllCategories(),
+        getAllProducts()
+      ]);
+      setCoupons(couponsData);
+      setCategories(categoriesData);
+      setProducts(productsData);
+    } catch (err) {
+      console.error('Error fetching coupons:', err);
+      setError('Failed to load coupons. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch coupons on component mount
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  // Filter coupons based on search term
+  const filteredCoupons = coupons.filter(coupon =>
+    coupon.code.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    (coupon.description || '').toLowerCase().includes(searchTerm.toLowerCase())
+  );
+
+  const handleAddClick = () => {
+    setCurrentCoupon(emptyCoupon);
+    setModalMode('add');
+    setFormError(null);
+    setShowModal(true);
+  };
+
+  const handleEditClick = (coupon) => {
+    setCurrentCoupon({
+      ...emptyCoupon,
+      ...coupon,
+      value: coupon.value?.toString() || '',
+      minOrderValue: coupon.minOrderValue?.toString() || '',
+      usageLimit: coupon.usageLimit?.toString() || '',
+      perUserLimit: coupon.perUserLimit?.toString() || '',
+      startsAt: toInputDate(coupon.startsAt),
+      endsAt: toInputDate(coupon.endsAt)
+    });
+    setModalMode('edit');
+    setFormError(null);
+    setShowModal(true);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setCurrentCoupon(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  // Handle multi-select scoping fields
+  const handleMultiSelectChange = (e) => {
+    const { name, selectedOptions } = e.target;
+    setCurrentCoupon(prev => ({
+      ...prev,
+      [name]: Array.from(selectedOptions).map(option => option.value)
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+
+    const value = parseFloat(currentCoupon.value);
+    if (!currentCoupon.code.trim()) {
+      setFormError('Coupon code is required');
+      return;
+    }
+    if (!/^[A-Za-z0-9_-]+$/.test(currentCoupon.code.trim())) {
+      setFormError('Coupon code may only contain letters, numbers, dashes and underscores');
+      return;
+    }
+    if (currentCoupon.type !== COUPON_TYPES.FREE_SHIPPING && (isNaN(value) || value <= 0)) {
+      setFormError('Please enter a valid discount value');
+      return;
+    }
+    if (currentCoupon.type === COUPON_TYPES.PERCENTAGE && value > 100) {
+      setFormError('A percentage discount cannot exceed 100%');
+      return;
+    }
+    if (currentCoupon.startsAt && currentCoupon.endsAt &&
+        new Date(currentCoupon.endsAt) <= new Date(currentCoupon.startsAt)) {
+      setFormError('The end date must be after the start date');
+      return;
+    }
+
+    const couponData = {
+      code: currentCoupon.code,
+      description: currentCoupon.description.trim(),
+      type: currentCoupon.type,
+      value: currentCoupon.type === COUPON_TYPES.FREE_SHIPPING ? 0 : value,
+      minOrderValue: parseFloat(currentCoupon.minOrderValue) || 0,
+      usageLimit: parseInt(currentCoupon.usageLimit) || 0,
+      perUserLimit: parseInt(currentCoupon.perUserLimit) || 0,
+      startsAt: currentCoupon.startsAt ? new Date(currentCoupon.startsAt) : null,
+      endsAt: currentCoupon.endsAt ? new Date(currentCoupon.endsAt) : null,
+      categoryIds: currentCoupon.categoryIds,
+      productIds: currentCoupon.productIds,
+      active: currentCoupon.active
+    };
+
+    try {
+      setSubmitting(true);
+      if (modalMode === 'add') {
+        await addCoupon(couponData);
+      } else {
+        await updateCoupon(currentCoupon.id, couponData);
+      }
+      setShowModal(false);
+      fetchData();
+    } catch (err) {
+      console.error('Error saving coupon:', err);
+      setFormError(err.message || 'Failed to save coupon. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const confirmDelete = async () => {
+    if (!couponToDelete) return;
+
+    try {
+      setDeleteLoading(true);
+      setDeleteError(null);
+      await deleteCoupon(couponToDelete.id);
+      setCoupons(coupons.filter(coupon => coupon.id !== couponToDelete.id));
+      setCouponToDelete(null);
+    } catch (err) {
+      console.error('Error deleting coupon:', err);
+      setDeleteError('Failed to delete coupon. Please try again.');
+    } finally {
+      setDeleteLoading(false);
+    }
+  };
+
+  // Summarize which products and categories a coupon is limited to
+  const describeScope = (coupon) => {
+    const parts = [];
+    if (coupon.categoryIds?.length) {
+      parts.push(coupon.categoryIds
+        .map(id => categories.find(category => category.id === id)?.name || 'Unknown')
+        .join(', '));
+    }
+    if (coupon.productIds?.length) {
+      parts.push(`${coupon.productIds.length} product${coupon.productIds.length !== 1 ? 's' : ''}`);
+    }
+    return parts.length ? parts.join(' + ') : 'All products';
+  };
+
+  if (loading) {
+    return <LoadingSpinner fullPage text="Loading coupons..." />;
+  }
+
+  return (
+    <Container className="py-5">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <Button variant="primary" onClick={handleAddClick}>
+          <i className="bi bi-plus-circle me-2"></i>
+          Add New Coupon
+        </Button>
+      </div>
+
+      {error && (
+        <ErrorAlert
+          error={error}
+          onClose={() => setError(null)}
+          className="mb-4"
+        />
+      )}
+
+      <Card className="shadow-sm mb-4">
+        <Card.Body>
+          <Row className="mb-3">
+            <Col md={6}>
+              <InputGroup>
+                <InputGroup.Text>
+                  <i className="bi bi-search"></i>
+                </InputGroup.Text>
+                <Form.Control
+                  placeholder="Search coupons..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                />
+              </InputGroup>
+            </Col>
+            <Col md={6} className="d-flex align-items-center mt-3 mt-md-0">
+              <span className="ms-auto">
+                {filteredCoupons.length} coupon{filteredCoupons.length !== 1 ? 's' : ''} found
+              </span>
+            </Col>
+          </Row>
+
+          {filteredCoupons.length === 0 ? (
+            <div className="text-center py-5">
+              <i className="bi bi-ticket-perforated display-1 text-muted mb-3"></i>
+              <h5>No coupons found</h5>
+              <p className="text-muted">
+                {searchTerm ? 'Try adjusting your search to find what you\'re looking for.' : 'Click the "Add New Coupon" button to create your first promotion.'}
+              </p>
+            </div>
+          ) : (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              transition={{ duration: 0.3 }}
+            >
+              <Table responsive hover className="align-middle">
+                <thead>
+                  <tr>
+                    <th>Code</th>
+                    <th>Discount</th>
+                    <th>Applies To</th>
+                    <th>Usage</th>
+                    <th>Validity</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredCoupons.map(coupon => {
+                    const state = getCouponState(coupon);
+                    return (
+                      <tr key={coupon.id}>
+                        <td>
+                          <div className="fw-bold">{coupon.code}</div>
+                          {coupon.description && <small className="text-muted">{coupon.description}</small>}
+                        </td>
+                        <td>
+                          {describeCoupon(coupon)}
+                          {coupon.minOrderValue > 0 && (
+                            <small className="d-block text-muted">Min. order {formatCurrency(coupon.minOrderValue)}</small>
+                          )}
+                        </td>
+                        <td><small>{describeScope(coupon)}</small></td>
+                        <td>
+                          {coupon.usageCount || 0}{coupon.usageLimit ? ` / ${coupon.usageLimit}` : ''}
+                          {coupon.perUserLimit > 0 && (
+                            <small className="d-block text-muted">{coupon.perUserLimit} per customer</small>
+                          )}
+                        </td>
+                        <td>
+                          <small>
+                            {toDateValue(coupon.startsAt) ? toDateValue(coupon.startsAt).toLocaleDateString() : 'Any time'}
+                            {' - '}
+                            {toDateValue(coupon.endsAt) ? toDateValue(coupon.endsAt).toLocaleDateString() : 'No end'}
+                          </small>
+                        </td>
+                        <td><Badge bg={state.variant}>{state.label}</Badge></td>
+                        <td>
+                          <Button
+                            variant="outline-primary"
+                            size="sm"
+                            className="me-2"
+                            onClick={() => handleEditClick(coupon)}
+                          >
+                            <i className="bi bi-pencil"></i> Edit
+                          </Button>
+                          <Button
+                            variant="outline-danger"
+                            size="sm"
+                            onClick={() => {
+                              setCouponToDelete(coupon);
+                              setDeleteError(null);
+                            }}
+                          >
+                            <i className="bi bi-trash"></i> Delete
+                          </Button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </Table>
+            </motion.div>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Add/Edit Coupon Modal */}
+      <Modal show={showModal} onHide={() => setShowModal(false)} size="lg" centered>
+        <Modal.Header closeButton>
+          <Modal.Title>{modalMode === 'add' ? 'Add New Coupon' : 'Edit Coupon'}</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleSubmit}>
+          <Modal.Body>
+            {formError && (
+              <ErrorAlert
+                error={formError}
+                onClose={() => setFormError(null)}
+                className="mb-3"
+              />
+            )}
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Code</Form.Label>
+                  <Form.Control
+                    name="code"
+                    value={currentCoupon.code}
+                    onChange={handleChange}
+                    placeholder="e.g. SUMMER10"
+                    className="text-uppercase"
+                    disabled={submitting}
+                    autoFocus
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Description</Form.Label>
+                  <Form.Control
+                    name="description"
+                    value={currentCoupon.description}
+                    onChange={handleChange}
+                    placeholder="Internal note"
+                    disabled={submitting}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Row>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Type</Form.Label>
+                  <Form.Select name="type" value={currentCoupon.type} onChange={handleChange} disabled={submitting}>
+                    {Object.entries(COUPON_TYPE_LABELS).map(([type, label]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>{currentCoupon.type === COUPON_TYPES.PERCENTAGE ? 'Percent Off' : 'Amount Off'}</Form.Label>
+                  <Form.Control
+                    type="number"
+                    name="value"
+                    min="0"
+                    step="0.01"
+                    value={currentCoupon.value}
+                    onChange={handleChange}
+                    disabled={submitting || currentCoupon.type === COUPON_TYPES.FREE_SHIPPING}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Minimum Order Value</Form.Label>
+                  <Form.Control
+                    type="number"
+                    name="minOrderValue"
+                    min="0"
+                    value={currentCoupon.minOrderValue}
+                    onChange={handleChange}
+                    placeholder="No minimum"
+                    disabled={submitting}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Row>
+              <Col md={3}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Total Uses</Form.Label>
+                  <Form.Control
+                    type="number"
+                    name="usageLimit"
+                    min="0"
+                    step="1"
+                    value={currentCoupon.usageLimit}
+                    onChange={handleChange}
+                    placeholder="Unlimited"
+                    disabled={submitting}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Uses per Customer</Form.Label>
+                  <Form.Control
+                    type="number"
+                    name="perUserLimit"
+                    min="0"
+                    step="1"
+                    value={currentCoupon.perUserLimit}
+                    onChange={handleChange}
+                    placeholder="Unlimited"
+                    disabled={submitting}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Starts</Form.Label>
+                  <Form.Control
+                    type="datetime-local"
+                    name="startsAt"
+                    value={currentCoupon.startsAt}
+                    onChange={handleChange}
+                    disabled={submitting}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Ends</Form.Label>
+                  <Form.Control
+                    type="datetime-local"
+                    name="endsAt"
+                    value={currentCoupon.endsAt}
+                    onChange={handleChange}
+                    disabled={submitting}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Limit to Categories</Form.Label>
+                  <Form.Select
+                    multiple
+                    name="categoryIds"
+                    value={currentCoupon.categoryIds}
+                    onChange={handleMultiSelectChange}
+                    disabled={submitting}
+                    style={{ height: '120px' }}
+                  >
+                    {categories.map(category => (
+                      <option key={category.id} value={category.id}>{category.name}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Limit to Products</Form.Label>
+                  <Form.Select
+                    multiple
+                    name="productIds"
+                    value={currentCoupon.productIds}
+                    onChange={handleMultiSelectChange}
+                    disabled={submitting}
+                    style={{ height: '120px' }}
+                  >
+                    {products.map(product => (
+                      <option key={product.id} value={product.id}>{product.name}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+            </Row>
+            <Form.Text className="text-muted d-block mb-3">
+              Leave both lists empty to apply the coupon to the whole cart. Hold Ctrl (Cmd on Mac) to select several.
+            </Form.Text>
+            <Form.Check
+              type="switch"
+              id="couponActive"
+              name="active"
+              label="Active"
+              checked={currentCoupon.active}
+              onChange={handleChange}
+              disabled={submitting}
+            />
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowModal(false)} disabled={submitting}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={submitting}>
+              {submitting ? (
+                <>
+                  <LoadingSpinner size="sm" text="" />
+                  <span className="ms-2">Saving...</span>
+                </>
+              ) : (
+                modalMode === 'add' ? 'Add Coupon' : 'Update Coupon'
+              )}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Delete Confirmation Modal */}
+      <Modal show={Boolean(couponToDelete)} onHide={() => setCouponToDelete(null)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Confirm Deletion</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {deleteError && (
+            <ErrorAlert
+              error={deleteError}
+              onClose={() => setDeleteError(null)}
+              className="mb-3"
+            />
+          )}
+          <p>Are you sure you want to delete the coupon <strong>{couponToDelete?.code}</strong>?</p>
+          <p className="text-muted">Orders that already used it keep their discount.</p>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setCouponToDelete(null)} disabled={deleteLoading}>
+            Cancel
+          </Button>
+          <Button variant="danger" onClick={confirmDelete} disabled={deleteLoading}>
+            {deleteLoading ? <LoadingSpinner size="sm" text="" /> : 'Delete Coupon'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </Container>
+  );
+};
+
+export default CouponManagement;
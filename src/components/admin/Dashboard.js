@@ -1,10 +1,15 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Button, Badge, Table } from 'react-bootstrap';
+import { Container, Row, Col, Card, Button, Table, Badge } from 'react-bootstrap';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { getAllUsers, getAllProducts, getAllCategories, getAllHomeContent, getAllOrders } from '../../services/firestore';
 import LoadingSpinner from '../common/LoadingSpinner';
+import OrderStatusBadge from '../common/OrderStatusBadge';
 import { formatDate, formatCurrency } from '../../utils/helpers';
+import { getStockAlerts } from '../../utils/inventory';
+
+// Stock alerts listed on the dashboard; the reorder report has the rest
+const MAX_STOCK_ALERTS = 8;
 
 const Dashboard = () => {
   const [stats, setStats] = useState({
@@ -15,6 +20,7 @@ const Dashboard = () => {
     orders: 0
   });
   const [recentOrders, setRecentOrders] = useState([]);
+  const [stockAlerts, setStockAlerts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -38,6 +44,7 @@ const Dashboard = () => {
         }).slice(0, 5);
         
         setRecentOrders(sortedOrders);
+        setStockAlerts(getStockAlerts(products));
         
         setStats({
           users: users.length,
@@ -108,6 +115,8 @@ const Dashboard = () => {
     }
   ];
 
+  const outOfStockCount = stockAlerts.filter(alert => alert.quantity <= 0).length;
+
   // Animation variants for staggered animations
   const containerVariants = {
     hidden: { opacity: 0 },
@@ -184,6 +193,83 @@ const Dashboard = () => {
         </Row>
       </motion.div>
 
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.3 }}
+      >
+        <Card className="shadow-sm mt-4">
+          <Card.Header className="bg-white d-flex flex-wrap justify-content-between align-items-center gap-2">
+            <div>
+              <h5 className="mb-0">Stock Alerts</h5>
+              {stockAlerts.length > 0 && (
+                <small className="text-muted">
+                  {outOfStockCount} out of stock, {stockAlerts.length - outOfStockCount} running low
+                </small>
+              )}
+            </div>
+            <Button as={Link} to="/admin/products/reorder" variant="outline-primary" size="sm">
+              <i className="bi bi-clipboard-data me-1"></i>
+              Reorder Report
+            </Button>
+          </Card.Header>
+          <Card.Body>
+            {stockAlerts.length > 0 ? (
+              <>
+                <Table responsive hover size="sm" className="align-middle mb-0">
+                  <thead>
+                    <tr>
+                      <th>Product</th>
+                      <th>SKU</th>
+                      <th>Stock</th>
+                      <th>Alert at</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stockAlerts.slice(0, MAX_STOCK_ALERTS).map(alert => (
+                      <tr key={`${alert.product.id}:${alert.variantId || ''}`}>
+                        <td>
+                          {alert.product.name}
+                          {alert.variantName && <span className="text-muted"> ({alert.variantName})</span>}
+                        </td>
+                        <td><code>{alert.sku || '—'}</code></td>
+                        <td>
+                          {alert.quantity <= 0
+                            ? <Badge bg="danger">Out of stock</Badge>
+                            : <Badge bg="warning" text="dark">{alert.quantity} left</Badge>}
+                        </td>
+                        <td className="text-muted">{alert.threshold}</td>
+                        <td className="text-end">
+                          <Button
+                            as={Link}
+                            to={`/admin/products/${alert.product.id}/stock`}
+                            size="sm"
+                            variant="outline-secondary"
+                          >
+                            Restock
+                          </Button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+                {stockAlerts.length > MAX_STOCK_ALERTS && (
+                  <p className="text-muted small mt-2 mb-0">
+                    and {stockAlerts.length - MAX_STOCK_ALERTS} more in the reorder report
+                  </p>
+                )}
+              </>
+            ) : (
+              <p className="text-muted mb-0">
+                <i className="bi bi-check-circle text-success me-2"></i>
+                Everything is above its low stock alert.
+              </p>
+            )}
+          </Card.Body>
+        </Card>
+      </motion.div>
+
       <Row className="mt-4">
         <Col lg={8} className="mb-4">
           <motion.div
@@ -216,11 +302,7 @@ const Dashboard = () => {
                           <td>{order.createdAt ? formatDate(order.createdAt.toDate()) : 'N/A'}</td>
                           <td>{formatCurrency(order.total * 100)}</td>
                           <td>
-                            <Badge bg={order.status === 'completed' ? 'success' : 
-                                    order.status === 'canceled' ? 'danger' : 
-                                    order.status === 'on the way' ? 'info' : 'warning'}>
-                              {order.status}
-                            </Badge>
+                            <OrderStatusBadge status={order.status} />
                           </td>
                           <td>
                             <Button 
@@ -281,6 +363,22 @@ const Dashboard = () => {
                     <i className="bi bi-bag-check me-2"></i>
                     Manage Orders
                   </Button>
+                  <Button as={Link} to="/admin/coupons" variant="outline-secondary">
+                    <i className="bi bi-ticket-perforated me-2"></i>
+                    Manage Coupons
+                  </Button>
+                  <Button as={Link} to="/admin/shipping" variant="outline-secondary">
+                    <i className="bi bi-truck me-2"></i>
+                    Manage Shipping
+                  </Button>
+                  <Button as={Link} to="/admin/taxes" variant="outline-secondary">
+                    <i className="bi bi-percent me-2"></i>
+                    Manage Taxes
+                  </Button>
+                  <Button as={Link} to="/admin/reviews" variant="outline-secondary">
+                    <i className="bi bi-star me-2"></i>
+                    Moderate Reviews
+                  </Button>
                 </div>
               </Card.Body>
             </Card>
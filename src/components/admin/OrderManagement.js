@@ -1,11 +1,24 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Table, Badge, Button, Form, Modal, Spinner, Card, Image, Accordion } from 'react-bootstrap';
+import { Container, Row, Col, Table, Badge, Button, Form, Modal, Spinner, Card, Image, Accordion, Tabs, Tab } from 'react-bootstrap';
 import { motion } from 'framer-motion';
 import { getAllOrders, updateOrderStatus } from '../../services/firestore';
 import { formatCurrency, formatDate } from '../../utils/helpers';
 import { optimizeImage } from '../../services/cloudinaryService';
+import { useAuth } from '../../contexts/AuthContext';
+import { ORDER_STATUSES, ORDER_STATUS_DETAILS, RETURN_REQUEST_STATUSES, getNextOrderStatuses, normalizeOrderStatus } from '../../utils/orderStatus';
+import OrderStatusBadge from '../common/OrderStatusBadge';
+import OrderStatusTimeline from '../common/OrderStatusTimeline';
+import ReturnRequests from './ReturnRequests';
+import OrderPaymentPanel from './OrderPaymentPanel';
+import PaymentStatusBadge from '../common/PaymentStatusBadge';
+import { PAYMENT_METHODS, captureOrderPayment, refundOrderPayment, voidOrderPayment } from '../../services/paymentService';
+import { PAYMENT_STATUSES } from '../../utils/paymentStatus';
+import { getOrderTotals } from '../../utils/orderTotals';
+import { getItemDisplayName } from '../../utils/variants';
+import { downloadInvoice, downloadPackingSlip } from '../../services/invoiceService';
 
 const OrderManagement = () => {
+  const { currentUser, userRole } = useAuth();
   const [orders, setOrders] = useState([]);
   const [filteredOrders, setFilteredOrders] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -13,11 +26,14 @@ const OrderManagement = () => {
   const [showModal, setShowModal] = useState(false);
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [newStatus, setNewStatus] = useState('');
+  const [statusNote, setStatusNote] = useState('');
+  const [statusError, setStatusError] = useState(null);
   const [updating, setUpdating] = useState(false);
   const [expandedOrders, setExpandedOrders] = useState(new Set());
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
   const [sortBy, setSortBy] = useState('date-desc');
+  const [activeTab, setActiveTab] = useState('orders');
 
   // Fetch all orders on component mount
   useEffect(() => {
@@ -34,13 +50,13 @@ const OrderManagement = () => {
         order.id.toLowerCase().includes(searchTerm.toLowerCase()) ||
         `${order.customerInfo.firstName} ${order.customerInfo.lastName}`.toLowerCase().includes(searchTerm.toLowerCase()) ||
         order.customerInfo.email.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        order.items.some(item => item.name.toLowerCase().includes(searchTerm.toLowerCase()))
+        order.items.some(item => getItemDisplayName(item).toLowerCase().includes(searchTerm.toLowerCase()))
       );
     }
 
     // Apply status filter
     if (statusFilter !== 'all') {
-      filtered = filtered.filter(order => order.status === statusFilter);
+      filtered = filtered.filter(order => normalizeOrderStatus(order.status) === statusFilter);
     }
 
     // Apply sorting
@@ -92,13 +108,27 @@ const OrderManagement = () => {
     }
   };
 
+  // The admin as recorded on status history and return decisions
+  const getActor = () => ({
+    uid: currentUser.uid,
+    name: currentUser.displayName || '',
+    email: currentUser.email || '',
+    role: userRole
+  });
+
+  const pendingReturnCount = orders.filter(
+    order => order.returnRequest?.status === RETURN_REQUEST_STATUSES.REQUESTED
+  ).length;
+
   const handleStatusChange = (e) => {
     setNewStatus(e.target.value);
   };
 
   const openStatusModal = (order) => {
     setSelectedOrder(order);
-    setNewStatus(order.status);
+    setNewStatus(getNextOrderStatuses(order.status)[0] || '');
+    setStatusNote('');
+    setStatusError(null);
     setShowModal(true);
   };
 
@@ -106,6 +136,8 @@ const OrderManagement = () => {
     setShowModal(false);
     setSelectedOrder(null);
     setNewStatus('');
+    setStatusNote('');
+    setStatusError(null);
   };
 
   const updateStatus = async () => {
@@ -113,19 +145,42 @@ const OrderManagement = () => {
 
     try {
       setUpdating(true);
-      await updateOrderStatus(selectedOrder.id, newStatus);
+      setStatusError(null);
+      const changedBy = getActor();
+      const updatedOrder = await updateOrderStatus(selectedOrder.id, newStatus, changedBy, statusNote.trim());
+
+      // Cash is collected on delivery, canceled orders release their authorization and refunded
+      // orders give the money back
+      let paymentStatus = selectedOrder.paymentStatus;
+      const collectsCash = newStatus === ORDER_STATUSES.DELIVERED &&
+        selectedOrder.paymentMethod === 'cash_on_delivery' &&
+        paymentStatus === PAYMENT_STATUSES.AUTHORIZED;
+      const refundsPayment = newStatus === ORDER_STATUSES.REFUNDED && paymentStatus === PAYMENT_STATUSES.CAPTURED;
+      let paymentResult = null;
+      if (collectsCash) {
+        paymentResult = await captureOrderPayment(selectedOrder);
+      } else if (refundsPayment) {
+        paymentResult = await refundOrderPayment(selectedOrder);
+      } else if (newStatus === ORDER_STATUSES.CANCELED) {
+        paymentResult = await voidOrderPayment(selectedOrder);
+      }
+      if (paymentResult?.success) {
+        paymentStatus = paymentResult.status;
+      }
       
-      // Update the order in the local state
+      // Update the order in the local state, with its invoice number once confirmed
       setOrders(orders.map(order => 
         order.id === selectedOrder.id 
-          ? { ...order, status: newStatus } 
+          ? { ...order, ...updatedOrder, paymentStatus }
           : order
       ));
 
       closeModal();
     } catch (err) {
       console.error('Error updating order status:', err);
-      setError('Failed to update order status. Please try again.');
+      setStatusError(err.code === 'invalid-transition' || err.code === 'payment-required'
+        ? err.message
+        : 'Failed to update order status. Please try again.');
     } finally {
       setUpdating(false);
     }
@@ -157,16 +212,24 @@ const OrderManagement = () => {
 
   const exportOrders = () => {
     const csvContent = [
-      ['Order ID', 'Customer Name', 'Email', 'Date', 'Status', 'Total', 'Items'],
-      ...filteredOrders.map(order => [
-        order.id,
-        `${order.customerInfo.firstName} ${order.customerInfo.lastName}`,
-        order.customerInfo.email,
-        formatDate(order.createdAt),
-        order.status,
-        formatCurrency(order.total),
-        order.items.map(item => `${item.name} (${item.quantity})`).join('; ')
-      ])
+      ['Order ID', 'Customer Name', 'Email', 'Date', 'Status', 'Subtotal', 'Discount', 'Tax', 'Included Tax', 'Shipping', 'Grand Total', 'Items'],
+      ...filteredOrders.map(order => {
+        const totals = getOrderTotals(order);
+        return [
+          order.id,
+          `${order.customerInfo.firstName} ${order.customerInfo.lastName}`,
+          order.customerInfo.email,
+          formatDate(order.createdAt),
+          order.status,
+          formatCurrency(totals.subtotal),
+          formatCurrency(totals.discount),
+          formatCurrency(totals.tax),
+          formatCurrency(totals.includedTax),
+          formatCurrency(totals.shipping),
+          formatCurrency(totals.total),
+          order.items.map(item => `${getItemDisplayName(item)} (${item.quantity})`).join('; ')
+        ];
+      })
     ].map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
 
     const blob = new Blob([csvContent], { type: 'text/csv' });
@@ -178,21 +241,6 @@ const OrderManagement = () => {
     window.URL.revokeObjectURL(url);
   };
 
-  const getStatusBadge = (status) => {
-    switch (status) {
-      case 'pending':
-        return <Badge bg="warning">Pending</Badge>;
-      case 'on the way':
-        return <Badge bg="info">On the Way</Badge>;
-      case 'completed':
-        return <Badge bg="success">Completed</Badge>;
-      case 'canceled':
-        return <Badge bg="danger">Canceled</Badge>;
-      default:
-        return <Badge bg="secondary">{status}</Badge>;
-    }
-  };
-
   if (loading) {
     return (
       <Container className="d-flex justify-content-center align-items-center" style={{ minHeight: '300px' }}>
@@ -234,251 +282,345 @@ const OrderManagement = () => {
           </Col>
         </Row>
 
-        {/* Search and Filter Controls */}
-        <Card className="mb-4">
-          <Card.Body>
-            <Row>
-              <Col md={4}>
-                <Form.Group>
-                  <Form.Label>Search</Form.Label>
-                  <Form.Control
-                    type="text"
-                    placeholder="Search by order ID, customer, email, or product..."
-                    value={searchTerm}
-                    onChange={handleSearchChange}
-                  />
-                </Form.Group>
-              </Col>
-              <Col md={3}>
-                <Form.Group>
-                  <Form.Label>Status Filter</Form.Label>
-                  <Form.Select value={statusFilter} onChange={handleStatusFilterChange}>
-                    <option value="all">All Statuses</option>
-                    <option value="pending">Pending</option>
-                    <option value="on the way">On the Way</option>
-                    <option value="completed">Completed</option>
-                    <option value="canceled">Canceled</option>
-                  </Form.Select>
-                </Form.Group>
-              </Col>
-              <Col md={3}>
-                <Form.Group>
-                  <Form.Label>Sort By</Form.Label>
-                  <Form.Select value={sortBy} onChange={handleSortChange}>
-                    <option value="date-desc">Date (Newest First)</option>
-                    <option value="date-asc">Date (Oldest First)</option>
-                    <option value="total-desc">Total (High to Low)</option>
-                    <option value="total-asc">Total (Low to High)</option>
-                    <option value="name-asc">Customer Name (A-Z)</option>
-                    <option value="name-desc">Customer Name (Z-A)</option>
-                  </Form.Select>
-                </Form.Group>
-              </Col>
-              <Col md={2} className="d-flex align-items-end">
-                <span className="text-muted">
-                  {filteredOrders.length} orders
-                </span>
-              </Col>
-            </Row>
-          </Card.Body>
-        </Card>
-
-        {filteredOrders.length === 0 ? (
-          <div className="text-center p-5 bg-light rounded">
-            <h4>No orders found</h4>
-            <p>{searchTerm || statusFilter !== 'all' ? 'Try adjusting your search or filter criteria.' : 'There are currently no customer orders in the system.'}</p>
-          </div>
-        ) : (
-          <div className="table-responsive">
-            <Table striped bordered hover>
-              <thead className="table-light">
-                <tr>
-                  <th style={{ width: '8%' }}>Order ID</th>
-                  <th style={{ width: '15%' }}>Customer Details</th>
-                  <th style={{ width: '20%' }}>Shipping Address</th>
-                  <th style={{ width: '30%' }}>Products</th>
-                  <th style={{ width: '8%' }}>Total</th>
-                  <th style={{ width: '8%' }}>Status</th>
-                  <th style={{ width: '11%' }}>Actions</th>
-                </tr>
-              </thead>
-              <tbody>
-                {filteredOrders.map((order) => (
-                  <React.Fragment key={order.id}>
+        <Tabs activeKey={activeTab} onSelect={(k) => setActiveTab(k)} className="mb-4">
+          <Tab eventKey="orders" title="All Orders">
+            {/* Search and Filter Controls */}
+            <Card className="mb-4">
+              <Card.Body>
+                <Row>
+                  <Col md={4}>
+                    <Form.Group>
+                      <Form.Label>Search</Form.Label>
+                      <Form.Control
+                        type="text"
+                        placeholder="Search by order ID, customer, email, or product..."
+                        value={searchTerm}
+                        onChange={handleSearchChange}
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col md={3}>
+                    <Form.Group>
+                      <Form.Label>Status Filter</Form.Label>
+                      <Form.Select value={statusFilter} onChange={handleStatusFilterChange}>
+                        <option value="all">All Statuses</option>
+                        {Object.entries(ORDER_STATUS_DETAILS).map(([status, { label }]) => (
+                          <option key={status} value={status}>{label}</option>
+                        ))}
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                  <Col md={3}>
+                    <Form.Group>
+                      <Form.Label>Sort By</Form.Label>
+                      <Form.Select value={sortBy} onChange={handleSortChange}>
+                        <option value="date-desc">Date (Newest First)</option>
+                        <option value="date-asc">Date (Oldest First)</option>
+                        <option value="total-desc">Total (High to Low)</option>
+                        <option value="total-asc">Total (Low to High)</option>
+                        <option value="name-asc">Customer Name (A-Z)</option>
+                        <option value="name-desc">Customer Name (Z-A)</option>
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                  <Col md={2} className="d-flex align-items-end">
+                    <span className="text-muted">
+                      {filteredOrders.length} orders
+                    </span>
+                  </Col>
+                </Row>
+              </Card.Body>
+            </Card>
+
+            {filteredOrders.length === 0 ? (
+              <div className="text-center p-5 bg-light rounded">
+                <h4>No orders found</h4>
+                <p>{searchTerm || statusFilter !== 'all' ? 'Try adjusting your search or filter criteria.' : 'There are currently no customer orders in the system.'}</p>
+              </div>
+            ) : (
+              <div className="table-responsive">
+                <Table striped bordered hover>
+                  <thead className="table-light">
                     <tr>
-                      <td>
-                        <div className="fw-bold">{order.id.substring(0, 8).toUpperCase()}</div>
-                        <div className="small text-muted">{formatDate(order.createdAt)}</div>
-                      </td>
-                      <td>
-                        <div className="fw-semibold">
-                          {order.customerInfo.firstName} {order.customerInfo.lastName}
-                        </div>
-                        <div className="small text-muted">
-                          <i className="bi bi-envelope"></i> {order.customerInfo.email}
-                        </div>
-                        <div className="small text-muted">
-                          <i className="bi bi-telephone"></i> {order.customerInfo.phone || 'N/A'}
-                        </div>
-                      </td>
-                      <td>
-                        <div className="small">
-                          {order.customerInfo.address}<br />
-                          {order.customerInfo.city}, {order.customerInfo.state} {order.customerInfo.zip}<br />
-                          {order.customerInfo.country}
-                        </div>
-                      </td>
-                      <td>
-                        <div className="d-flex align-items-center">
-                          <span className="me-2">{order.items.length} items</span>
-                          <Button
-                            variant="link"
-                            size="sm"
-                            onClick={() => toggleOrderExpansion(order.id)}
-                            className="p-0"
-                          >
-                            {expandedOrders.has(order.id) ? (
-                              <i className="bi bi-chevron-up"></i>
-                            ) : (
-                              <i className="bi bi-chevron-down"></i>
-                            )}
-                            {expandedOrders.has(order.id) ? ' Hide' : ' Show'} Details
-                          </Button>
-                        </div>
-                      </td>
-                      <td>
-                        <div className="fw-bold text-primary">
-                          {formatCurrency(order.total)}
-                        </div>
-                        <div className="small text-muted">
-                          {order.paymentMethod}
-                        </div>
-                      </td>
-                      <td>{getStatusBadge(order.status)}</td>
-                      <td>
-                        <Button 
-                          variant="outline-primary" 
-                          size="sm"
-                          onClick={() => openStatusModal(order)}
-                          className="w-100 mb-1"
-                        >
-                          Update
-                        </Button>
-                        <Button 
-                          variant="outline-info" 
-                          size="sm"
-                          onClick={() => toggleOrderExpansion(order.id)}
-                          className="w-100"
-                        >
-                          {expandedOrders.has(order.id) ? 'Hide' : 'View'}
-                        </Button>
-                      </td>
+                      <th style={{ width: '8%' }}>Order ID</th>
+                      <th style={{ width: '15%' }}>Customer Details</th>
+                      <th style={{ width: '20%' }}>Shipping Address</th>
+                      <th style={{ width: '30%' }}>Products</th>
+                      <th style={{ width: '8%' }}>Total</th>
+                      <th style={{ width: '8%' }}>Status</th>
+                      <th style={{ width: '11%' }}>Actions</th>
                     </tr>
-                    {expandedOrders.has(order.id) && (
-                      <tr>
-                        <td colSpan={7} className="p-0">
-                          <div className="bg-light p-3">
-                            <h6 className="mb-3">Order #{order.id.substring(0, 8).toUpperCase()} - Complete Details</h6>
+                  </thead>
+                  <tbody>
+                    {filteredOrders.map((order) => (
+                      <React.Fragment key={order.id}>
+                        <tr>
+                          <td>
+                            <div className="fw-bold">{order.id.substring(0, 8).toUpperCase()}</div>
+                            <div className="small text-muted">{formatDate(order.createdAt)}</div>
+                          </td>
+                          <td>
+                            <div className="fw-semibold">
+                              {order.customerInfo.firstName} {order.customerInfo.lastName}
+                            </div>
+                            <div className="small text-muted">
+                              <i className="bi bi-envelope"></i> {order.customerInfo.email}
+                            </div>
+                            <div className="small text-muted">
+                              <i className="bi bi-telephone"></i> {order.customerInfo.phone || 'N/A'}
+                            </div>
+                          </td>
+                          <td>
+                            <div className="small">
+                              {order.customerInfo.address}<br />
+                              {order.customerInfo.city}, {order.customerInfo.state} {order.customerInfo.zip}<br />
+                              {order.customerInfo.country}
+                            </div>
+                          </td>
+                          <td>
+                            <div className="d-flex align-items-center">
+                              <span className="me-2">{order.items.length} items</span>
+                              <Button
+                                variant="link"
+                                size="sm"
+                                onClick={() => toggleOrderExpansion(order.id)}
+                                className="p-0"
+                              >
+                                {expandedOrders.has(order.id) ? (
+                                  <i className="bi bi-chevron-up"></i>
+                                ) : (
+                                  <i className="bi bi-chevron-down"></i>
+                                )}
+                                {expandedOrders.has(order.id) ? ' Hide' : ' Show'} Details
+                              </Button>
+                            </div>
+                          </td>
+                          <td>
+                            <div className="fw-bold text-primary">
+                              {formatCurrency(order.total)}
+                            </div>
+                            <div className="small text-muted">
+                              {PAYMENT_METHODS[order.paymentMethod]?.label || order.paymentMethod}
+                            </div>
+                            <PaymentStatusBadge status={order.paymentStatus} />
+                          </td>
+                          <td><OrderStatusBadge status={order.status} /></td>
+                          <td>
+                            <Button 
+                              variant="outline-primary" 
+                              size="sm"
+                              onClick={() => openStatusModal(order)}
+                              className="w-100 mb-1"
+                            >
+                              Update
+                            </Button>
+                            <Button 
+                              variant="outline-info" 
+                              size="sm"
+                              onClick={() => toggleOrderExpansion(order.id)}
+                              className="w-100"
+                            >
+                              {expandedOrders.has(order.id) ? 'Hide' : 'View'}
+                            </Button>
+                          </td>
+                        </tr>
+                        {expandedOrders.has(order.id) && (
+                          <tr>
+                            <td colSpan={7} className="p-0">
+                              <div className="bg-light p-3">
+                                <div className="d-flex justify-content-between align-items-center mb-3">
+                                  <h6 className="mb-0">Order #{order.id.substring(0, 8).toUpperCase()} - Complete Details</h6>
+                                  <div>
+                                    <Button
+                                      variant="outline-dark"
+                                      size="sm"
+                                      className="me-2"
+                                      onClick={() => downloadInvoice(order)}
+                                      disabled={!order.invoiceNumber}
+                                      title={order.invoiceNumber ? '' : 'An invoice is issued once the order is confirmed'}
+                                    >
+                                      <i className="bi bi-file-earmark-pdf me-1"></i>
+                                      Invoice
+                                    </Button>
+                                    <Button
+                                      variant="outline-dark"
+                                      size="sm"
+                                      onClick={() => downloadPackingSlip(order)}
+                                    >
+                                      <i className="bi bi-box-seam me-1"></i>
+                                      Packing Slip
+                                    </Button>
+                                  </div>
+                                </div>
                             
-                            {/* Customer Information Card */}
-                            <Card className="mb-3">
-                              <Card.Header className="bg-primary text-white">
-                                <h6 className="mb-0">Customer Information</h6>
-                              </Card.Header>
-                              <Card.Body>
-                                <Row>
-                                  <Col md={6}>
-                                    <strong>Name:</strong> {order.customerInfo.firstName} {order.customerInfo.lastName}<br />
-                                    <strong>Email:</strong> {order.customerInfo.email}<br />
-                                    <strong>Phone:</strong> {order.customerInfo.phone || 'N/A'}
-                                  </Col>
-                                  <Col md={6}>
-                                    <strong>Payment Method:</strong> {order.paymentMethod}<br />
-                                    <strong>Order Status:</strong> {getStatusBadge(order.status)}<br />
-                                    <strong>Order Date:</strong> {formatDate(order.createdAt)}
-                                  </Col>
-                                </Row>
-                              </Card.Body>
-                            </Card>
-
-                            {/* Shipping Information Card */}
-                            <Card className="mb-3">
-                              <Card.Header className="bg-info text-white">
-                                <h6 className="mb-0">Shipping Address</h6>
-                              </Card.Header>
-                              <Card.Body>
-                                <strong>{order.customerInfo.firstName} {order.customerInfo.lastName}</strong><br />
-                                {order.customerInfo.address}<br />
-                                {order.customerInfo.city}, {order.customerInfo.state} {order.customerInfo.zip}<br />
-                                {order.customerInfo.country}
-                              </Card.Body>
-                            </Card>
-
-                            {/* Products Card */}
-                            <Card>
-                              <Card.Header className="bg-success text-white">
-                                <h6 className="mb-0">Products Ordered ({order.items.length} items)</h6>
-                              </Card.Header>
-                              <Card.Body>
-                                <Table responsive className="mb-0">
-                                  <thead>
-                                    <tr>
-                                      <th style={{ width: '8%' }}>Image</th>
-                                      <th style={{ width: '35%' }}>Product Name</th>
-                                      <th style={{ width: '15%' }}>Price</th>
-                                      <th style={{ width: '10%' }}>Quantity</th>
-                                      <th style={{ width: '15%' }}>Subtotal</th>
-                                      <th style={{ width: '17%' }}>SKU</th>
-                                    </tr>
-                                  </thead>
-                                  <tbody>
-                                    {order.items.map((item, index) => (
-                                      <tr key={index}>
-                                        <td>
-                                          <Image
-                                            src={optimizeImage(item.imageUrl, 60) || '/placeholder-product.jpg'}
-                                            alt={item.name}
-                                            width={60}
-                                            height={60}
-                                            className="rounded"
-                                            style={{ objectFit: 'cover' }}
-                                          />
-                                        </td>
-                                        <td className="fw-semibold">{item.name}</td>
-                                        <td>{formatCurrency(item.price)}</td>
-                                        <td>
-                                          <Badge bg="secondary">{item.quantity}</Badge>
-                                        </td>
-                                        <td className="fw-bold text-primary">
-                                          {formatCurrency(item.price * item.quantity)}
-                                        </td>
-                                        <td>
-                                          <small className="text-muted">{item.sku || 'N/A'}</small>
-                                        </td>
-                                      </tr>
-                                    ))}
-                                  </tbody>
-                                  <tfoot>
-                                    <tr>
-                                      <td colSpan={4} className="text-end fw-bold">Order Total:</td>
-                                      <td colSpan={2} className="fw-bold text-primary fs-5">
-                                        {formatCurrency(order.total)}
-                                      </td>
-                                    </tr>
-                                  </tfoot>
-                                </Table>
-                              </Card.Body>
-                            </Card>
-                          </div>
-                        </td>
-                      </tr>
-                    )}
-                  </React.Fragment>
-                ))}
-              </tbody>
-            </Table>
-          </div>
-        )}
+                                {/* Customer Information Card */}
+                                <Card className="mb-3">
+                                  <Card.Header className="bg-primary text-white">
+                                    <h6 className="mb-0">Customer Information</h6>
+                                  </Card.Header>
+                                  <Card.Body>
+                                    <Row>
+                                      <Col md={6}>
+                                        <strong>Name:</strong> {order.customerInfo.firstName} {order.customerInfo.lastName}<br />
+                                        <strong>Email:</strong> {order.customerInfo.email}<br />
+                                        <strong>Phone:</strong> {order.customerInfo.phone || 'N/A'}
+                                      </Col>
+                                      <Col md={6}>
+                                        <strong>Payment Method:</strong> {PAYMENT_METHODS[order.paymentMethod]?.label || order.paymentMethod}<br />
+                                        <strong>Order Status:</strong> <OrderStatusBadge status={order.status} /><br />
+                                        <strong>Order Date:</strong> {formatDate(order.createdAt)}<br />
+                                        <strong>Invoice No:</strong> {order.invoiceNumber || 'Issued on confirmation'}
+                                      </Col>
+                                    </Row>
+                                  </Card.Body>
+                                </Card>
+
+                                {/* Shipping Information Card */}
+                                <Card className="mb-3">
+                                  <Card.Header className="bg-info text-white">
+                                    <h6 className="mb-0">Shipping Address</h6>
+                                  </Card.Header>
+                                  <Card.Body>
+                                    <strong>{order.customerInfo.firstName} {order.customerInfo.lastName}</strong><br />
+                                    {order.customerInfo.address}<br />
+                                    {order.customerInfo.city}, {order.customerInfo.state} {order.customerInfo.zip}<br />
+                                    {order.customerInfo.country}
+                                  </Card.Body>
+                                </Card>
+
+                                {/* Payment Card */}
+                                <OrderPaymentPanel order={order} actor={getActor()} onUpdated={fetchOrders} />
+
+                                {/* Status History Card */}
+                                <Card className="mb-3">
+                                  <Card.Header className="bg-secondary text-white">
+                                    <h6 className="mb-0">Status History</h6>
+                                  </Card.Header>
+                                  <Card.Body>
+                                    <OrderStatusTimeline history={order.statusHistory} showActor />
+                                  </Card.Body>
+                                </Card>
+
+                                {/* Products Card */}
+                                <Card>
+                                  <Card.Header className="bg-success text-white">
+                                    <h6 className="mb-0">Products Ordered ({order.items.length} items)</h6>
+                                  </Card.Header>
+                                  <Card.Body>
+                                    <Table responsive className="mb-0">
+                                      <thead>
+                                        <tr>
+                                          <th style={{ width: '8%' }}>Image</th>
+                                          <th style={{ width: '35%' }}>Product Name</th>
+                                          <th style={{ width: '15%' }}>Price</th>
+                                          <th style={{ width: '10%' }}>Quantity</th>
+                                          <th style={{ width: '15%' }}>Subtotal</th>
+                                          <th style={{ width: '17%' }}>SKU</th>
+                                        </tr>
+                                      </thead>
+                                      <tbody>
+                                        {order.items.map((item, index) => (
+                                          <tr key={index}>
+                                            <td>
+                                              <Image
+                                                src={optimizeImage(item.imageUrl, 60) || '/placeholder-product.jpg'}
+                                                alt={item.name}
+                                                width={60}
+                                                height={60}
+                                                className="rounded"
+                                                style={{ objectFit: 'cover' }}
+                                              />
+                                            </td>
+                                            <td className="fw-semibold">
+                                              {getItemDisplayName(item)}
+                                              {item.sku && <small className="d-block text-muted fw-normal">SKU: {item.sku}</small>}
+                                            </td>
+                                            <td>{formatCurrency(item.price)}</td>
+                                            <td>
+                                              <Badge bg="secondary">{item.quantity}</Badge>
+                                            </td>
+                                            <td className="fw-bold text-primary">
+                                              {formatCurrency(item.price * item.quantity)}
+                                            </td>
+                                            <td>
+                                              <small className="text-muted">{item.sku || 'N/A'}</small>
+                                            </td>
+                                          </tr>
+                                        ))}
+                                      </tbody>
+                                      <tfoot>
+                                        <tr>
+                                          <td colSpan={4} className="text-end">Subtotal:</td>
+                                          <td colSpan={2}>{formatCurrency(getOrderTotals(order).subtotal)}</td>
+                                        </tr>
+                                        {order.discount && (
+                                          <tr>
+                                            <td colSpan={4} className="text-end">
+                                              Coupon <Badge bg="success">{order.discount.code}</Badge>
+                                              {order.discount.freeShipping && ' (free shipping)'}:
+                                            </td>
+                                            <td colSpan={2} className="text-success">
+                                              -{formatCurrency(order.discount.amount)}
+                                            </td>
+                                          </tr>
+                                        )}
+                                        {order.tax?.breakdown.map(entry => (
+                                          <tr key={entry.taxRateId}>
+                                            <td colSpan={4} className="text-end">
+                                              {entry.name} ({entry.rate}%{entry.inclusive ? ', included' : ''}):
+                                            </td>
+                                            <td colSpan={2} className={entry.inclusive ? 'text-muted' : ''}>
+                                              {formatCurrency(entry.amount)}
+                                            </td>
+                                          </tr>
+                                        ))}
+                                        {order.shipping && (
+                                          <tr>
+                                            <td colSpan={4} className="text-end">
+                                              Shipping{order.shipping.zoneName && ` (${order.shipping.zoneName})`}:
+                                            </td>
+                                            <td colSpan={2}>
+                                              {order.shipping.cost > 0 ? formatCurrency(order.shipping.cost) : 'Free'}
+                                            </td>
+                                          </tr>
+                                        )}
+                                        <tr>
+                                          <td colSpan={4} className="text-end fw-bold">Grand Total:</td>
+                                          <td colSpan={2} className="fw-bold text-primary fs-5">
+                                            {formatCurrency(order.total)}
+                                          </td>
+                                        </tr>
+                                      </tfoot>
+                                    </Table>
+                                  </Card.Body>
+                                </Card>
+                              </div>
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    ))}
+                  </tbody>
+                </Table>
+              </div>
+            )}
+          </Tab>
+          <Tab
+            eventKey="returns"
+            title={
+              <>
+                Return Requests{' '}
+                {pendingReturnCount > 0 && <Badge bg="warning" text="dark">{pendingReturnCount}</Badge>}
+              </>
+            }
+          >
+            <ReturnRequests
+              orders={orders}
+              resolvedBy={getActor()}
+              onResolved={fetchOrders}
+            />
+          </Tab>
+        </Tabs>
 
         {/* Status Update Modal */}
         <Modal show={showModal} onHide={closeModal}>
@@ -495,21 +637,44 @@ const OrderManagement = () => {
                   <strong>Customer:</strong> {selectedOrder.customerInfo.firstName} {selectedOrder.customerInfo.lastName}
                 </p>
                 <p>
-                  <strong>Current Status:</strong> {getStatusBadge(selectedOrder.status)}
+                  <strong>Current Status:</strong> <OrderStatusBadge status={selectedOrder.status} />
                 </p>
-                <Form.Group className="mb-3">
-                  <Form.Label>New Status</Form.Label>
-                  <Form.Select 
-                    value={newStatus} 
-                    onChange={handleStatusChange}
-                    disabled={updating}
-                  >
-                    <option value="pending">Pending</option>
-                    <option value="on the way">On the Way</option>
-                    <option value="completed">Completed</option>
-                    <option value="canceled">Canceled</option>
-                  </Form.Select>
-                </Form.Group>
+                {getNextOrderStatuses(selectedOrder.status).length === 0 ? (
+                  <div className="alert alert-secondary mb-0">
+                    This order is in a final state and its status can no longer be changed.
+                  </div>
+                ) : (
+                  <>
+                    <Form.Group className="mb-3">
+                      <Form.Label>New Status</Form.Label>
+                      <Form.Select 
+                        value={newStatus} 
+                        onChange={handleStatusChange}
+                        disabled={updating}
+                      >
+                        {getNextOrderStatuses(selectedOrder.status).map(status => (
+                          <option key={status} value={status}>
+                            {ORDER_STATUS_DETAILS[status].label}
+                          </option>
+                        ))}
+                      </Form.Select>
+                    </Form.Group>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Note (optional)</Form.Label>
+                      <Form.Control
+                        as="textarea"
+                        rows={2}
+                        value={statusNote}
+                        onChange={(e) => setStatusNote(e.target.value)}
+                        placeholder="e.g. tracking number or reason for cancellation"
+                        disabled={updating}
+                      />
+                    </Form.Group>
+                  </>
+                )}
+                {statusError && (
+                  <div className="alert alert-danger mt-3 mb-0">{statusError}</div>
+                )}
               </>
             )}
           </Modal.Body>
@@ -520,7 +685,7 @@ const OrderManagement = () => {
             <Button 
               variant="primary" 
               onClick={updateStatus} 
-              disabled={updating || newStatus === selectedOrder?.status}
+              disabled={updating || !newStatus}
             >
               {updating ? (
                 <>
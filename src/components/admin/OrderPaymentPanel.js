@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { Card, Button, Image, Alert } from 'react-bootstrap';
+import { PAYMENT_METHODS, captureOrderPayment, verifyBankTransfer } from '../../services/paymentService';
+import { PAYMENT_STATUSES } from '../../utils/paymentStatus';
+import { optimizeImage } from '../../services/cloudinaryService';
+import { formatDate } from '../../utils/helpers';
+import PaymentStatusBadge from '../common/PaymentStatusBadge';
+
+// Payment details and admin payment actions for a single order
+const OrderPaymentPanel = ({ order, actor, onUpdated }) => {
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runAction = async (action) => {
+    try {
+      setProcessing(true);
+      setError(null);
+      const result = await action();
+      if (result && result.success === false) {
+        setError(result.message || 'The payment provider rejected the request.');
+        return;
+      }
+      onUpdated();
+    } catch (err) {
+      console.error('Error updating payment:', err);
+      setError(err.message || 'Failed to update the payment. Please try again.');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const proof = order.paymentProof;
+
+  return (
+    <Card className="mb-3">
+      <Card.Header className="bg-dark text-white">
+        <h6 className="mb-0">Payment</h6>
+      </Card.Header>
+      <Card.Body>
+        {error && (
+          <Alert variant="danger" onClose={() => setError(null)} dismissible>
+            {error}
+          </Alert>
+        )}
+
+        <strong>Method:</strong> {PAYMENT_METHODS[order.paymentMethod]?.label || order.paymentMethod}<br />
+        <strong>Status:</strong> <PaymentStatusBadge status={order.paymentStatus} />
+        {!order.paymentStatus && <span className="text-muted">Not tracked</span>}<br />
+        <strong>Reference:</strong> {order.paymentReference || 'N/A'}
+
+        {proof && (
+          <div className="mt-3">
+            <strong>Proof of Payment</strong>
+            <small className="text-muted ms-2">uploaded {formatDate(proof.uploadedAt)}</small>
+            <div className="mt-2">
+              <a href={proof.imageUrl} target="_blank" rel="noopener noreferrer">
+                <Image
+                  src={optimizeImage(proof.imageUrl, 200)}
+                  alt="Bank transfer receipt"
+                  thumbnail
+                  style={{ maxWidth: '200px' }}
+                />
+              </a>
+            </div>
+          </div>
+        )}
+
+        <div className="d-flex gap-2 mt-3">
+          {order.paymentStatus === PAYMENT_STATUSES.AWAITING_VERIFICATION && (
+            <>
+              <Button
+                variant="success"
+                size="sm"
+                disabled={processing}
+                onClick={() => runAction(() => verifyBankTransfer(order, true, actor))}
+              >
+                Verify Transfer
+              </Button>
+              <Button
+                variant="outline-danger"
+                size="sm"
+                disabled={processing}
+                onClick={() => runAction(() => verifyBankTransfer(order, false, actor))}
+              >
+                Reject Transfer
+              </Button>
+            </>
+          )}
+          {order.paymentStatus === PAYMENT_STATUSES.AUTHORIZED && (
+            <Button
+              variant="outline-success"
+              size="sm"
+              disabled={processing}
+              onClick={() => runAction(() => captureOrderPayment(order))}
+            >
+              Capture Payment
+            </Button>
+          )}
+        </div>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default OrderPaymentPanel;
@@ -0,0 +1,305 @@
+import React, { useState } from 'react';
+import { Button, Dropdown, Modal, Form, InputGroup, ProgressBar, Row, Col } from 'react-bootstrap';
+import { bulkUpdateProducts, bulkDeleteProducts } from '../../services/firestore';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatCurrency } from '../../utils/helpers';
+import { BULK_ACTIONS, PRICE_ROUNDING_OPTIONS, adjustPrice, buildBulkUpdates } from '../../utils/bulkProductActions';
+import CategoryTreePicker from '../common/CategoryTreePicker';
+import ErrorAlert from '../common/ErrorAlert';
+
+const ACTION_DETAILS = {
+  [BULK_ACTIONS.CATEGORY]: { label: 'Change category', icon: 'bi-folder', confirm: 'Change Category' },
+  [BULK_ACTIONS.PRICE]: { label: 'Adjust price', icon: 'bi-tag', confirm: 'Update Prices' },
+  [BULK_ACTIONS.STOCK]: { label: 'Set stock', icon: 'bi-box-seam', confirm: 'Set Stock' },
+  [BULK_ACTIONS.PUBLISH]: { label: 'Publish', icon: 'bi-eye', confirm: 'Publish' },
+  [BULK_ACTIONS.UNPUBLISH]: { label: 'Unpublish', icon: 'bi-eye-slash', confirm: 'Unpublish' },
+  [BULK_ACTIONS.DELETE]: { label: 'Delete', icon: 'bi-trash', confirm: 'Delete' }
+};
+
+// Past-tense summaries for the undo bar, e.g. "Updated prices on 12 products"
+const describeResult = (action, count) => {
+  const products = `${count} product${count !== 1 ? 's' : ''}`;
+  switch (action) {
+    case BULK_ACTIONS.CATEGORY: return `Moved ${products} to another category`;
+    case BULK_ACTIONS.PRICE: return `Updated prices on ${products}`;
+    case BULK_ACTIONS.STOCK: return `Set stock on ${products}`;
+    case BULK_ACTIONS.PUBLISH: return `Published ${products}`;
+    case BULK_ACTIONS.UNPUBLISH: return `Unpublished ${products}`;
+    default: return `Deleted ${products}`;
+  }
+};
+
+const INITIAL_PARAMS = {
+  categoryId: '',
+  priceMode: 'percent',
+  priceDirection: 'increase',
+  priceAmount: '',
+  rounding: 'cents',
+  quantity: ''
+};
+
+// Toolbar and confirmation dialog for bulk actions on the selected products.
+// onApplied gets { action, message, updates } for edits or { action, message, deletedProducts } for deletes.
+const ProductBulkActions = ({ selectedProducts, categories, onApplied, onClearSelection }) => {
+  const { currentUser, userRole } = useAuth();
+  const [action, setAction] = useState(null);
+  const [params, setParams] = useState(INITIAL_PARAMS);
+  const [progress, setProgress] = useState(null); // { done, total } while writing
+  const [error, setError] = useState(null);
+
+  const openAction = (nextAction) => {
+    setAction(nextAction);
+    setParams(INITIAL_PARAMS);
+    setProgress(null);
+    setError(null);
+  };
+
+  const closeModal = () => {
+    if (!progress) setAction(null);
+  };
+
+  const handleParamChange = (e) => {
+    const { name, value } = e.target;
+    setParams(prev => ({ ...prev, [name]: value }));
+  };
+
+  // The action's parameters, or null until the form is filled in correctly
+  const getActionParams = () => {
+    switch (action) {
+      case BULK_ACTIONS.CATEGORY:
+        return params.categoryId ? { categoryId: params.categoryId } : null;
+      case BULK_ACTIONS.PRICE: {
+        const amount = parseFloat(params.priceAmount);
+        if (isNaN(amount) || amount <= 0) return null;
+        return {
+          mode: params.priceMode,
+          amount: params.priceDirection === 'increase' ? amount : -amount,
+          rounding: params.rounding
+        };
+      }
+      case BULK_ACTIONS.STOCK: {
+        const quantity = parseInt(params.quantity);
+        return !isNaN(quantity) && quantity >= 0 && String(quantity) === params.quantity.trim() ? { quantity } : null;
+      }
+      default:
+        return {};
+    }
+  };
+
+  const actionParams = action ? getActionParams() : null;
+  const isDelete = action === BULK_ACTIONS.DELETE;
+  const plan = action && !isDelete && actionParams
+    ? buildBulkUpdates(selectedProducts, action, actionParams)
+    : { updates: [], skipped: [] };
+  const changeCount = isDelete ? selectedProducts.length : plan.updates.length;
+
+  // The admin as recorded on inventory ledger entries for stock changes
+  const getActor = () => ({
+    uid: currentUser.uid,
+    name: currentUser.displayName || '',
+    email: currentUser.email || '',
+    role: userRole
+  });
+
+  const handleConfirm = async () => {
+    try {
+      setError(null);
+      setProgress({ done: 0, total: changeCount });
+      const onProgress = (done, total) => setProgress({ done, total });
+
+      if (isDelete) {
+        await bulkDeleteProducts(selectedProducts.map(product => product.id), onProgress);
+        onApplied({ action, message: describeResult(action, changeCount), deletedProducts: selectedProducts });
+      } else {
+        const applied = await bulkUpdateProducts(plan.updates, onProgress, { actor: getActor(), note: 'Bulk update' });
+        onApplied({ action, message: describeResult(action, changeCount), updates: applied });
+      }
+      setAction(null);
+    } catch (err) {
+      console.error('Error applying bulk action:', err);
+      // Batches before the failed one are already saved
+      setError('Some products could not be saved. Reload the page to see which changes were applied.');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  // A few products with their new price, so the rounding can be checked before saving
+  const pricePreview = action === BULK_ACTIONS.PRICE && actionParams
+    ? selectedProducts.slice(0, 3).map(product => ({
+      product,
+      price: adjustPrice(product.price || 0, actionParams)
+    }))
+    : [];
+
+  const details = action ? ACTION_DETAILS[action] : null;
+
+  return (
+    <>
+      <div className="d-flex flex-wrap align-items-center gap-2 mb-3 p-2 bg-light rounded">
+        <span className="fw-bold ms-1">{selectedProducts.length} selected</span>
+        <Dropdown onSelect={openAction}>
+          <Dropdown.Toggle variant="outline-primary" size="sm" id="bulk-actions">
+            Bulk actions
+          </Dropdown.Toggle>
+          <Dropdown.Menu>
+            {Object.entries(ACTION_DETAILS).map(([key, { label, icon }]) => (
+              <React.Fragment key={key}>
+                {key === BULK_ACTIONS.DELETE && <Dropdown.Divider />}
+                <Dropdown.Item eventKey={key} className={key === BULK_ACTIONS.DELETE ? 'text-danger' : ''}>
+                  <i className={`bi ${icon} me-2`}></i>
+                  {label}
+                </Dropdown.Item>
+              </React.Fragment>
+            ))}
+          </Dropdown.Menu>
+        </Dropdown>
+        <Button variant="link" size="sm" onClick={onClearSelection}>
+          Clear selection
+        </Button>
+      </div>
+
+      <Modal show={Boolean(action)} onHide={closeModal} centered>
+        <Modal.Header closeButton={!progress}>
+          <Modal.Title>
+            {details?.label} ({selectedProducts.length} product{selectedProducts.length !== 1 ? 's' : ''})
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {error && (
+            <ErrorAlert error={error} onClose={() => setError(null)} className="mb-3" />
+          )}
+
+          {action === BULK_ACTIONS.CATEGORY && (
+            <Form.Group className="mb-3" controlId="bulkCategory">
+              <Form.Label>Move to</Form.Label>
+              <CategoryTreePicker
+                id="bulkCategory"
+                categories={categories}
+                value={params.categoryId}
+                onChange={(categoryId) => setParams(prev => ({ ...prev, categoryId }))}
+                disabled={Boolean(progress)}
+              />
+            </Form.Group>
+          )}
+
+          {action === BULK_ACTIONS.PRICE && (
+            <>
+              <Row className="g-2 mb-3">
+                <Col xs={6}>
+                  <Form.Select name="priceDirection" value={params.priceDirection} onChange={handleParamChange} disabled={Boolean(progress)} aria-label="Increase or decrease">
+                    <option value="increase">Increase by</option>
+                    <option value="decrease">Decrease by</option>
+                  </Form.Select>
+                </Col>
+                <Col xs={6}>
+                  <InputGroup>
+                    <Form.Control
+                      type="number"
+                      name="priceAmount"
+                      min="0"
+                      step="0.01"
+                      value={params.priceAmount}
+                      onChange={handleParamChange}
+                      disabled={Boolean(progress)}
+                      aria-label="Amount"
+                    />
+                    <Form.Select name="priceMode" value={params.priceMode} onChange={handleParamChange} disabled={Boolean(progress)} aria-label="Percent or fixed amount" style={{ maxWidth: '90px' }}>
+                      <option value="percent">%</option>
+                      <option value="fixed">Rs.</option>
+                    </Form.Select>
+                  </InputGroup>
+                </Col>
+              </Row>
+              <Form.Group className="mb-3" controlId="bulkRounding">
+                <Form.Label>Rounding</Form.Label>
+                <Form.Select name="rounding" value={params.rounding} onChange={handleParamChange} disabled={Boolean(progress)}>
+                  {PRICE_ROUNDING_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </Form.Select>
+                <Form.Text className="text-muted">
+                  Products with variants have each variant's price adjusted.
+                </Form.Text>
+              </Form.Group>
+              {pricePreview.length > 0 && (
+                <ul className="list-unstyled small mb-3">
+                  {pricePreview.map(({ product, price }) => (
+                    <li key={product.id}>
+                      {product.name}: {formatCurrency(product.price || 0)}{' '}
+                      <i className="bi bi-arrow-right"></i>{' '}
+                      {price === null ? <span className="text-danger">invalid</span> : formatCurrency(price)}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+
+          {action === BULK_ACTIONS.STOCK && (
+            <Form.Group className="mb-3" controlId="bulkQuantity">
+              <Form.Label>Stock quantity</Form.Label>
+              <Form.Control
+                type="number"
+                name="quantity"
+                min="0"
+                step="1"
+                value={params.quantity}
+                onChange={handleParamChange}
+                disabled={Boolean(progress)}
+              />
+            </Form.Group>
+          )}
+
+          {isDelete ? (
+            <p className="text-danger mb-0">
+              Delete {selectedProducts.length} product{selectedProducts.length !== 1 ? 's' : ''}?
+              You can undo this for a few seconds afterwards.
+            </p>
+          ) : actionParams && (
+            <p className="mb-0">
+              {changeCount === 0
+                ? 'None of the selected products would change.'
+                : `${changeCount} product${changeCount !== 1 ? 's' : ''} will be updated.`}
+            </p>
+          )}
+
+          {plan.skipped.length > 0 && (
+            <div className="small text-warning mt-2">
+              Skipped {plan.skipped.length}:
+              <ul className="mb-0">
+                {plan.skipped.slice(0, 5).map(({ product, reason }) => (
+                  <li key={product.id}>{product.name}: {reason}</li>
+                ))}
+                {plan.skipped.length > 5 && <li>and {plan.skipped.length - 5} more</li>}
+              </ul>
+            </div>
+          )}
+
+          {progress && (
+            <ProgressBar
+              animated
+              className="mt-3"
+              now={progress.total > 0 ? (progress.done / progress.total) * 100 : 0}
+              label={`${progress.done} / ${progress.total}`}
+            />
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={closeModal} disabled={Boolean(progress)}>
+            Cancel
+          </Button>
+          <Button
+            variant={isDelete ? 'danger' : 'primary'}
+            onClick={handleConfirm}
+            disabled={Boolean(progress) || !actionParams || changeCount === 0}
+          >
+            {progress ? 'Saving...' : details?.confirm}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </>
+  );
+};
+
+export default ProductBulkActions;
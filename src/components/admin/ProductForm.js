@@ -1,24 +1,72 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Form, Button, Alert, Image } from 'react-bootstrap';
+import { Container, Row, Col, Card, Form, Button, Alert, Image, Table } from 'react-bootstrap';
 import { useNavigate, useParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { getProductById, addProduct, updateProduct, getAllCategories } from '../../services/firestore';
+import { useAuth } from '../../contexts/AuthContext';
+import { getProductById, addProduct, updateProduct, getAllCategories, findProductsWithCode } from '../../services/firestore';
 import { uploadImage, optimizeImage } from '../../services/cloudinaryService';
+import { generateVariants, summarizeVariants, describeVariant } from '../../utils/variants';
+import { STANDARD_ATTRIBUTES } from '../../utils/facets';
+import { looksLikeGtin, isValidGtin } from '../../utils/barcode';
+import { DEFAULT_LOW_STOCK_THRESHOLD } from '../../utils/inventory';
+import {
+  PRODUCT_STATUSES,
+  PRODUCT_STATUS_DETAILS,
+  getProductStatus,
+  getPublishingWindow,
+  toDateTimeInputValue
+} from '../../utils/productStatus';
+import CategoryTreePicker from '../common/CategoryTreePicker';
 import LoadingSpinner from '../common/LoadingSpinner';
 import ErrorAlert from '../common/ErrorAlert';
 
+// Option (or attribute) definitions as entered in the form (values comma-separated) to { name, values }
+const parseVariantOptions = (optionRows) => optionRows
+  .map(row => ({
+    name: row.name.trim(),
+    values: [...new Set(row.values.split(',').map(value => value.trim()).filter(Boolean))]
+  }))
+  .filter(option => option.name && option.values.length > 0);
+
+// Attribute rows for the form: the standard attributes first, then any custom ones the product has
+const toAttributeRows = (attributes = {}) => {
+  const findName = (name) => Object.keys(attributes).find(existing => existing.toLowerCase() === name.toLowerCase());
+  const standardRows = STANDARD_ATTRIBUTES.map(name => ({
+    name,
+    values: (attributes[findName(name)] || []).join(', '),
+    standard: true
+  }));
+  const customRows = Object.entries(attributes)
+    .filter(([name]) => !STANDARD_ATTRIBUTES.some(standard => standard.toLowerCase() === name.toLowerCase()))
+    .map(([name, values]) => ({ name, values: values.join(', '), standard: false }));
+  return [...standardRows, ...customRows];
+};
+
+// Default SKU prefix for generated variants, e.g. "Oxford Shirt" -> "OXFORD-SHIRT"
+const toSkuPrefix = (name) => name.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-|-$/g, '');
+
 const ProductForm = ({ productId, onBack }) => {
   const navigate = useNavigate();
+  const { currentUser, userRole } = useAuth();
   const isEditMode = Boolean(productId);
   
   // Form state
   const [formData, setFormData] = useState({
     name: '',
+    sku: '',
+    barcode: '',
     description: '',
     price: '',
     category: '',
     imageUrls: [],
-    stockQuantity: ''
+    stockQuantity: '',
+    lowStockThreshold: '',
+    weight: '',
+    tags: '',
+    // New products start as drafts, so they can be checked before customers see them
+    status: PRODUCT_STATUSES.DRAFT,
+    publishAt: '',
+    unpublishAt: ''
   });
   
   // UI state
@@ -31,6 +79,12 @@ const ProductForm = ({ productId, onBack }) => {
   const [imagePreviews, setImagePreviews] = useState([]);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [isUploading, setIsUploading] = useState(false);
+  const [variantOptionRows, setVariantOptionRows] = useState([]);
+  const [variants, setVariants] = useState([]);
+  const [uploadingVariantId, setUploadingVariantId] = useState(null);
+  const [attributeRows, setAttributeRows] = useState(toAttributeRows());
+  // The product as loaded, so stock edits are saved as changes from it
+  const [loadedProduct, setLoadedProduct] = useState(null);
   
   // Import MAX_IMAGES_PER_PRODUCT from cloudinaryService
   const { MAX_IMAGES_PER_PRODUCT } = require('../../services/cloudinaryService');
@@ -54,13 +108,29 @@ const ProductForm = ({ productId, onBack }) => {
           
           setFormData({
             name: productData.name || '',
+            sku: productData.sku || '',
+            barcode: productData.barcode || '',
             description: productData.description || '',
             price: productData.price ? productData.price.toString() : '',
             category: productData.category || '',
             imageUrls: productData.imageUrls || (productData.imageUrl ? [productData.imageUrl] : []),
-            stockQuantity: productData.stockQuantity ? productData.stockQuantity.toString() : ''
+            stockQuantity: typeof productData.stockQuantity === 'number' ? productData.stockQuantity.toString() : '',
+            lowStockThreshold: typeof productData.lowStockThreshold === 'number' ? productData.lowStockThreshold.toString() : '',
+            weight: productData.weight ? productData.weight.toString() : '',
+            tags: (productData.tags || []).join(', '),
+            status: getProductStatus(productData),
+            publishAt: toDateTimeInputValue(getPublishingWindow(productData).publishAt),
+            unpublishAt: toDateTimeInputValue(getPublishingWindow(productData).unpublishAt)
           });
           
+          setVariantOptionRows((productData.variantOptions || []).map(option => ({
+            name: option.name,
+            values: option.values.join(', ')
+          })));
+          setVariants(productData.variants || []);
+          setLoadedProduct(productData);
+          setAttributeRows(toAttributeRows(productData.attributes));
+          
           // Handle image previews for multiple images
           if (productData.imageUrls && productData.imageUrls.length > 0) {
             setImagePreviews(productData.imageUrls);
@@ -165,7 +235,85 @@ const ProductForm = ({ productId, onBack }) => {
     setImagePreviews(newPreviews);
   };
   
+  // Variant option rows (e.g. Size: S, M, L)
+  const handleAddOptionRow = () => {
+    setVariantOptionRows(prev => [...prev, { name: '', values: '' }]);
+  };
+  
+  const handleOptionRowChange = (index, field, value) => {
+    setVariantOptionRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+  
+  const handleRemoveOptionRow = (index) => {
+    setVariantOptionRows(prev => prev.filter((_, i) => i !== index));
+  };
+  
+  const handleAddAttributeRow = () => {
+    setAttributeRows(prev => [...prev, { name: '', values: '', standard: false }]);
+  };
+  
+  const handleAttributeRowChange = (index, field, value) => {
+    setAttributeRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+  
+  const handleRemoveAttributeRow = (index) => {
+    setAttributeRows(prev => prev.filter((_, i) => i !== index));
+  };
+  
+  // Build one variant per combination of option values, keeping what was entered for existing ones
+  const handleGenerateVariants = () => {
+    const options = parseVariantOptions(variantOptionRows);
+    setVariants(generateVariants(options, variants, {
+      sku: toSkuPrefix(formData.name),
+      price: parseFloat(formData.price) || 0,
+      stockQuantity: 0
+    }));
+  };
+  
+  const handleVariantChange = (variantId, field, value) => {
+    setVariants(prev => prev.map(variant => (variant.id === variantId ? { ...variant, [field]: value } : variant)));
+  };
+  
+  // Variant images are uploaded as soon as they are picked
+  const handleVariantImageChange = async (variantId, e) => {
+    const selectedFiles = Array.from(e.target.files);
+    if (!selectedFiles.length) return;
+    
+    try {
+      setUploadingVariantId(variantId);
+      setError(null);
+      const uploadedUrls = await Promise.all(selectedFiles.map(file => uploadImage(file)));
+      setVariants(prev => prev.map(variant => (
+        variant.id === variantId
+          ? { ...variant, imageUrls: [...(variant.imageUrls || []), ...uploadedUrls] }
+          : variant
+      )));
+    } catch (uploadError) {
+      console.error('Error uploading variant images:', uploadError);
+      setError(`Error uploading images: ${uploadError.message}. Please try again.`);
+    } finally {
+      setUploadingVariantId(null);
+      e.target.value = '';
+    }
+  };
+  
+  const handleRemoveVariantImage = (variantId, imageIndex) => {
+    setVariants(prev => prev.map(variant => (
+      variant.id === variantId
+        ? { ...variant, imageUrls: variant.imageUrls.filter((_, i) => i !== imageIndex) }
+        : variant
+    )));
+  };
+  
   // Handle form submission
+  // The admin as recorded on inventory ledger entries
+  const getActor = () => ({
+    uid: currentUser.uid,
+    name: currentUser.displayName || '',
+    email: currentUser.email || '',
+    role: userRole
+  });
+  
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
@@ -182,7 +330,11 @@ const ProductForm = ({ productId, onBack }) => {
       return;
     }
     
-    if (!formData.price || isNaN(parseFloat(formData.price)) || parseFloat(formData.price) <= 0) {
+    const variantOptions = parseVariantOptions(variantOptionRows);
+    const withVariants = variants.length > 0;
+    const attributes = parseVariantOptions(attributeRows);
+    
+    if (!withVariants && (!formData.price || isNaN(parseFloat(formData.price)) || parseFloat(formData.price) <= 0)) {
       setError('Please enter a valid price');
       return;
     }
@@ -192,11 +344,63 @@ const ProductForm = ({ productId, onBack }) => {
       return;
     }
     
-    if (formData.stockQuantity === '' || isNaN(parseInt(formData.stockQuantity)) || parseInt(formData.stockQuantity) < 0) {
+    if (formData.publishAt && formData.unpublishAt && new Date(formData.unpublishAt) <= new Date(formData.publishAt)) {
+      setError('The unpublish date must be after the publish date');
+      return;
+    }
+    
+    if (!withVariants && (formData.stockQuantity === '' || isNaN(parseInt(formData.stockQuantity)) || parseInt(formData.stockQuantity) < 0)) {
       setError('Please enter a valid stock quantity');
       return;
     }
     
+    if (formData.lowStockThreshold !== '' && !/^\d+$/.test(formData.lowStockThreshold.trim())) {
+      setError('The low stock alert must be a whole number of 0 or more');
+      return;
+    }
+    
+    // Retail barcodes (EAN/UPC) carry a check digit, so typos can be caught here
+    const barcodes = [formData.barcode, ...variants.map(variant => variant.barcode || '')].map(code => code.trim());
+    const mistypedBarcode = barcodes.find(code => looksLikeGtin(code) && !isValidGtin(code));
+    if (mistypedBarcode) {
+      setError(`Barcode ${mistypedBarcode} has the wrong check digit. Please check it against the packaging.`);
+      return;
+    }
+    
+    if (withVariants) {
+      const expectedIds = generateVariants(variantOptions, variants).map(variant => variant.id);
+      if (expectedIds.length !== variants.length || variants.some(variant => !expectedIds.includes(variant.id))) {
+        setError('The variant options have changed. Click "Generate Variants" to update the variant list.');
+        return;
+      }
+      
+      const invalidVariant = variants.find(variant =>
+        isNaN(parseFloat(variant.price)) || parseFloat(variant.price) <= 0 ||
+        isNaN(parseInt(variant.stockQuantity)) || parseInt(variant.stockQuantity) < 0
+      );
+      if (invalidVariant) {
+        setError(`Please enter a valid price and stock quantity for ${describeVariant(variantOptions, invalidVariant.options)}`);
+        return;
+      }
+      
+      const skus = variants.map(variant => (variant.sku || '').trim()).filter(Boolean);
+      if (skus.length !== variants.length || new Set(skus).size !== skus.length) {
+        setError('Every variant needs its own unique SKU');
+        return;
+      }
+    }
+    
+    const attributeNames = attributes.map(attribute => attribute.name.toLowerCase());
+    if (new Set(attributeNames).size !== attributeNames.length) {
+      setError('Each attribute can only be added once');
+      return;
+    }
+    
+    if (formData.weight !== '' && (isNaN(parseFloat(formData.weight)) || parseFloat(formData.weight) < 0)) {
+      setError('Please enter a valid weight');
+      return;
+    }
+    
     if (!isEditMode && imageFiles.length === 0 && formData.imageUrls.length === 0) {
       setError('Please upload at least one product image');
       return;
@@ -205,6 +409,16 @@ const ProductForm = ({ productId, onBack }) => {
     try {
       setSubmitting(true);
       
+      // SKUs and barcodes identify a single product
+      for (const field of ['sku', 'barcode']) {
+        const code = formData[field].trim();
+        const others = code ? await findProductsWithCode(field, code, productId) : [];
+        if (others.length > 0) {
+          setError(`${field === 'sku' ? 'SKU' : 'Barcode'} ${code} is already used by ${others[0].name}`);
+          return;
+        }
+      }
+      
       // Upload images if new ones are selected
       let imageUrls = [...formData.imageUrls];
       
@@ -277,9 +491,22 @@ const ProductForm = ({ productId, onBack }) => {
         setIsUploading(false);
       }
       
+      // Variant prices and stock are stored as numbers; the product's price and stock summarise them
+      const variantData = variants.map(variant => ({
+        ...variant,
+        sku: variant.sku.trim(),
+        barcode: (variant.barcode || '').trim(),
+        price: parseFloat(variant.price),
+        stockQuantity: parseInt(variant.stockQuantity),
+        imageUrls: variant.imageUrls || []
+      }));
+      
       // Prepare product data
       const productData = {
         name: formData.name.trim(),
+        // Identifies the product in bulk imports and exports
+        sku: formData.sku.trim(),
+        barcode: formData.barcode.trim(),
         description: formData.description.trim(),
         price: parseFloat(formData.price),
         category: formData.category,
@@ -288,29 +515,54 @@ const ProductForm = ({ productId, onBack }) => {
         imageUrl: imageUrls.length > 0 ? imageUrls[0] : '',
         stockQuantity: parseInt(formData.stockQuantity) || 0,
         inStock: parseInt(formData.stockQuantity) > 0,
+        // Stock at or below this counts as low (per variant); null uses the store default
+        lowStockThreshold: formData.lowStockThreshold.trim() === '' ? null : parseInt(formData.lowStockThreshold),
+        weight: parseFloat(formData.weight) || 0,
+        // Search keywords, stored lowercase without duplicates
+        tags: [...new Set(formData.tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))],
+        // Filterable attributes, e.g. { Brand: ['Acme'], Material: ['Cotton'] }
+        attributes: Object.fromEntries(attributes.map(attribute => [attribute.name, attribute.values])),
+        variantOptions: withVariants ? variantOptions : [],
+        variants: variantData,
+        ...(withVariants && summarizeVariants(variantData)),
+        // Customers see the product while it is published and between these dates (blank: from now, no end)
+        status: formData.status,
+        publishAt: formData.publishAt ? new Date(formData.publishAt) : null,
+        unpublishAt: formData.unpublishAt ? new Date(formData.unpublishAt) : null,
         updatedAt: new Date()
       };
       
       // Add or update product
       if (isEditMode) {
-        await updateProduct(productId, productData);
+        await updateProduct(productId, productData, getActor(), { loadedProduct });
         setSuccess('Product updated successfully!');
       } else {
         productData.createdAt = new Date();
-        await addProduct(productData);
+        await addProduct(productData, getActor());
         setSuccess('Product added successfully!');
         
         // Reset form in add mode
         setFormData({
           name: '',
+          sku: '',
+          barcode: '',
           description: '',
           price: '',
           category: '',
           imageUrls: [],
-          stockQuantity: ''
+          stockQuantity: '',
+          lowStockThreshold: '',
+          weight: '',
+          tags: '',
+          status: PRODUCT_STATUSES.DRAFT,
+          publishAt: '',
+          unpublishAt: ''
         });
         setImageFiles([]);
         setImagePreviews([]);
+        setVariantOptionRows([]);
+        setAttributeRows(toAttributeRows());
+        setVariants([]);
       }
       
       // Navigate back to product list after a short delay
@@ -369,17 +621,47 @@ const ProductForm = ({ productId, onBack }) => {
             <Form onSubmit={handleSubmit}>
               <Row>
                 <Col md={8}>
-                  <Form.Group className="mb-3">
-                    <Form.Label>Product Name</Form.Label>
-                    <Form.Control
-                      type="text"
-                      name="name"
-                      value={formData.name}
-                      onChange={handleChange}
-                      placeholder="Enter product name"
-                      disabled={submitting}
-                    />
-                  </Form.Group>
+                  <Row>
+                    <Col md={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Product Name</Form.Label>
+                        <Form.Control
+                          type="text"
+                          name="name"
+                          value={formData.name}
+                          onChange={handleChange}
+                          placeholder="Enter product name"
+                          disabled={submitting}
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col md={3}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>SKU</Form.Label>
+                        <Form.Control
+                          type="text"
+                          name="sku"
+                          value={formData.sku}
+                          onChange={handleChange}
+                          placeholder="e.g. OXF-SHIRT"
+                          disabled={submitting}
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col md={3}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Barcode</Form.Label>
+                        <Form.Control
+                          type="text"
+                          name="barcode"
+                          value={formData.barcode}
+                          onChange={handleChange}
+                          placeholder="EAN / UPC"
+                          disabled={submitting}
+                        />
+                      </Form.Group>
+                    </Col>
+                  </Row>
                   
                   <Form.Group className="mb-3">
                     <Form.Label>Description</Form.Label>
@@ -406,8 +688,13 @@ const ProductForm = ({ productId, onBack }) => {
                           placeholder="Enter price"
                           min="0"
                           step="0.01"
-                          disabled={submitting}
+                          disabled={submitting || variants.length > 0}
                         />
+                        {variants.length > 0 && (
+                          <Form.Text className="text-muted">
+                            Set per variant below
+                          </Form.Text>
+                        )}
                       </Form.Group>
                     </Col>
                     <Col md={4}>
@@ -421,35 +708,354 @@ const ProductForm = ({ productId, onBack }) => {
                           placeholder="Enter quantity"
                           min="0"
                           step="1"
-                          disabled={submitting}
+                          disabled={submitting || variants.length > 0}
                         />
                         <Form.Text className="text-muted">
-                          Number of items in stock
+                          {variants.length > 0
+                            ? 'Set per variant below'
+                            : isEditMode ? 'Orders placed while editing are kept' : 'Number of items in stock'}
                         </Form.Text>
                       </Form.Group>
                     </Col>
                     <Col md={4}>
-                      <Form.Group className="mb-3">
+                      <Form.Group className="mb-3" controlId="category">
                         <Form.Label>Category</Form.Label>
-                        <Form.Select
-                          name="category"
+                        <CategoryTreePicker
+                          id="category"
+                          categories={categories}
                           value={formData.category}
+                          onChange={(categoryId) => setFormData(prev => ({ ...prev, category: categoryId }))}
+                          disabled={submitting}
+                        />
+                      </Form.Group>
+                    </Col>
+                  </Row>
+                  
+                  <Row>
+                    <Col md={3}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Weight (kg)</Form.Label>
+                        <Form.Control
+                          type="number"
+                          name="weight"
+                          value={formData.weight}
                           onChange={handleChange}
+                          placeholder="e.g. 0.5"
+                          min="0"
+                          step="0.01"
                           disabled={submitting}
-                        >
-                          <option value="">Select a category</option>
-                          {categories.map(category => (
-                            <option key={category.id} value={category.id}>
-                              {category.name}
-                            </option>
-                          ))}
-                        </Form.Select>
+                        />
+                        <Form.Text className="text-muted">
+                          Used for weight-based shipping rates
+                        </Form.Text>
+                      </Form.Group>
+                    </Col>
+                    <Col md={3}>
+                      <Form.Group className="mb-3" controlId="lowStockThreshold">
+                        <Form.Label>Low Stock Alert</Form.Label>
+                        <Form.Control
+                          type="number"
+                          name="lowStockThreshold"
+                          value={formData.lowStockThreshold}
+                          onChange={handleChange}
+                          placeholder={`Default: ${DEFAULT_LOW_STOCK_THRESHOLD}`}
+                          min="0"
+                          step="1"
+                          disabled={submitting}
+                        />
+                        <Form.Text className="text-muted">
+                          Flag when stock falls to this level
+                        </Form.Text>
+                      </Form.Group>
+                    </Col>
+                    <Col md={6}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Tags</Form.Label>
+                        <Form.Control
+                          type="text"
+                          name="tags"
+                          value={formData.tags}
+                          onChange={handleChange}
+                          placeholder="e.g. cotton, summer, gift"
+                          disabled={submitting}
+                        />
+                        <Form.Text className="text-muted">
+                          Comma-separated keywords that help customers find this product in search
+                        </Form.Text>
                       </Form.Group>
                     </Col>
                   </Row>
+                  
+                  <Card className="mb-3 bg-light border-0">
+                    <Card.Body>
+                      <div className="d-flex justify-content-between align-items-center mb-2">
+                        <h5 className="mb-0">Attributes</h5>
+                        <Button variant="outline-primary" size="sm" onClick={handleAddAttributeRow} disabled={submitting}>
+                          <i className="bi bi-plus-lg me-1"></i>
+                          Add Attribute
+                        </Button>
+                      </div>
+                      <p className="text-muted small">
+                        Customers can filter products by these on the products page. Variant options are
+                        included automatically, so there is no need to repeat sizes or colors sold as variants.
+                      </p>
+                      
+                      {attributeRows.map((row, index) => (
+                        <Row key={index} className="g-2 mb-2 align-items-center">
+                          <Col md={3}>
+                            {row.standard ? (
+                              <Form.Label className="mb-0">{row.name}</Form.Label>
+                            ) : (
+                              <Form.Control
+                                value={row.name}
+                                onChange={(e) => handleAttributeRowChange(index, 'name', e.target.value)}
+                                placeholder="Attribute, e.g. Fit"
+                                disabled={submitting}
+                              />
+                            )}
+                          </Col>
+                          <Col md={8}>
+                            <Form.Control
+                              value={row.values}
+                              onChange={(e) => handleAttributeRowChange(index, 'values', e.target.value)}
+                              placeholder="Values, comma-separated"
+                              aria-label={row.name || 'Attribute values'}
+                              disabled={submitting}
+                            />
+                          </Col>
+                          <Col md={1} className="text-end">
+                            {!row.standard && (
+                              <Button
+                                variant="outline-danger"
+                                size="sm"
+                                onClick={() => handleRemoveAttributeRow(index)}
+                                disabled={submitting}
+                                aria-label="Remove attribute"
+                              >
+                                <i className="bi bi-trash"></i>
+                              </Button>
+                            )}
+                          </Col>
+                        </Row>
+                      ))}
+                    </Card.Body>
+                  </Card>
+                  
+                  <Card className="mb-3 bg-light border-0">
+                    <Card.Body>
+                      <div className="d-flex justify-content-between align-items-center mb-2">
+                        <h5 className="mb-0">Variants</h5>
+                        <Button variant="outline-primary" size="sm" onClick={handleAddOptionRow} disabled={submitting}>
+                          <i className="bi bi-plus-lg me-1"></i>
+                          Add Option
+                        </Button>
+                      </div>
+                      <p className="text-muted small">
+                        Add options such as Size or Color to sell this product in several variants,
+                        each with its own SKU, price, stock and images.
+                      </p>
+                      
+                      {variantOptionRows.map((row, index) => (
+                        <Row key={index} className="g-2 mb-2 align-items-center">
+                          <Col md={3}>
+                            <Form.Control
+                              value={row.name}
+                              onChange={(e) => handleOptionRowChange(index, 'name', e.target.value)}
+                              placeholder="Option, e.g. Size"
+                              disabled={submitting}
+                            />
+                          </Col>
+                          <Col md={8}>
+                            <Form.Control
+                              value={row.values}
+                              onChange={(e) => handleOptionRowChange(index, 'values', e.target.value)}
+                              placeholder="Values, comma-separated, e.g. S, M, L"
+                              disabled={submitting}
+                            />
+                          </Col>
+                          <Col md={1} className="text-end">
+                            <Button
+                              variant="outline-danger"
+                              size="sm"
+                              onClick={() => handleRemoveOptionRow(index)}
+                              disabled={submitting}
+                              aria-label="Remove option"
+                            >
+                              <i className="bi bi-trash"></i>
+                            </Button>
+                          </Col>
+                        </Row>
+                      ))}
+                      
+                      {(variantOptionRows.length > 0 || variants.length > 0) && (
+                        <Button variant="primary" size="sm" className="mb-3" onClick={handleGenerateVariants} disabled={submitting}>
+                          <i className="bi bi-arrow-repeat me-1"></i>
+                          Generate Variants
+                        </Button>
+                      )}
+                      
+                      {variants.length > 0 && (
+                        <Table responsive size="sm" className="bg-white mb-0">
+                          <thead>
+                            <tr>
+                              <th>Variant</th>
+                              <th>SKU</th>
+                              <th>Barcode</th>
+                              <th style={{ width: '120px' }}>Price</th>
+                              <th style={{ width: '100px' }}>Stock</th>
+                              <th>Images</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {variants.map(variant => (
+                              <tr key={variant.id}>
+                                <td className="align-middle">
+                                  {describeVariant(parseVariantOptions(variantOptionRows), variant.options) ||
+                                    Object.values(variant.options).join(' / ')}
+                                </td>
+                                <td>
+                                  <Form.Control
+                                    size="sm"
+                                    value={variant.sku || ''}
+                                    onChange={(e) => handleVariantChange(variant.id, 'sku', e.target.value)}
+                                    disabled={submitting}
+                                  />
+                                </td>
+                                <td>
+                                  <Form.Control
+                                    size="sm"
+                                    value={variant.barcode || ''}
+                                    onChange={(e) => handleVariantChange(variant.id, 'barcode', e.target.value)}
+                                    disabled={submitting}
+                                  />
+                                </td>
+                                <td>
+                                  <Form.Control
+                                    size="sm"
+                                    type="number"
+                                    min="0"
+                                    step="0.01"
+                                    value={variant.price}
+                                    onChange={(e) => handleVariantChange(variant.id, 'price', e.target.value)}
+                                    disabled={submitting}
+                                  />
+                                </td>
+                                <td>
+                                  <Form.Control
+                                    size="sm"
+                                    type="number"
+                                    min="0"
+                                    step="1"
+                                    value={variant.stockQuantity}
+                                    onChange={(e) => handleVariantChange(variant.id, 'stockQuantity', e.target.value)}
+                                    disabled={submitting}
+                                  />
+                                </td>
+                                <td>
+                                  <div className="d-flex flex-wrap align-items-center gap-1">
+                                    {(variant.imageUrls || []).map((imageUrl, imageIndex) => (
+                                      <div key={imageUrl} className="position-relative">
+                                        <Image src={optimizeImage(imageUrl, 80)} width={40} height={40} rounded style={{ objectFit: 'cover' }} />
+                                        <Button
+                                          variant="danger"
+                                          size="sm"
+                                          className="position-absolute top-0 end-0 p-0 px-1 lh-1"
+                                          onClick={() => handleRemoveVariantImage(variant.id, imageIndex)}
+                                          disabled={submitting}
+                                        >
+                                          ×
+                                        </Button>
+                                      </div>
+                                    ))}
+                                    {uploadingVariantId === variant.id ? (
+                                      <LoadingSpinner size="sm" text="" />
+                                    ) : (
+                                      <Form.Control
+                                        size="sm"
+                                        type="file"
+                                        accept="image/*"
+                                        multiple
+                                        onChange={(e) => handleVariantImageChange(variant.id, e)}
+                                        disabled={submitting || uploadingVariantId !== null}
+                                        style={{ maxWidth: '200px' }}
+                                      />
+                                    )}
+                                  </div>
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </Table>
+                      )}
+                    </Card.Body>
+                  </Card>
                 </Col>
                 
                 <Col md={4}>
+                  <Card className="mb-3 bg-light border-0">
+                    <Card.Body>
+                      <h5 className="mb-3">Publishing</h5>
+                      <Form.Group className="mb-3" controlId="productStatus">
+                        <Form.Label>Status</Form.Label>
+                        <Form.Select
+                          name="status"
+                          value={formData.status}
+                          onChange={handleChange}
+                          disabled={submitting}
+                        >
+                          {Object.values(PRODUCT_STATUSES).map(status => (
+                            <option key={status} value={status}>{PRODUCT_STATUS_DETAILS[status].label}</option>
+                          ))}
+                        </Form.Select>
+                        <Form.Text className="text-muted">
+                          Only published products are shown in the shop.
+                        </Form.Text>
+                      </Form.Group>
+                      {formData.status === PRODUCT_STATUSES.PUBLISHED && (
+                        <>
+                          <Form.Group className="mb-3" controlId="productPublishAt">
+                            <Form.Label>Publish at</Form.Label>
+                            <Form.Control
+                              type="datetime-local"
+                              name="publishAt"
+                              value={formData.publishAt}
+                              onChange={handleChange}
+                              disabled={submitting}
+                            />
+                            <Form.Text className="text-muted">
+                              Leave blank to publish when saved.
+                            </Form.Text>
+                          </Form.Group>
+                          <Form.Group controlId="productUnpublishAt">
+                            <Form.Label>Unpublish at</Form.Label>
+                            <Form.Control
+                              type="datetime-local"
+                              name="unpublishAt"
+                              value={formData.unpublishAt}
+                              onChange={handleChange}
+                              disabled={submitting}
+                            />
+                            <Form.Text className="text-muted">
+                              Optional, e.g. for a seasonal product.
+                            </Form.Text>
+                          </Form.Group>
+                        </>
+                      )}
+                      {isEditMode && (
+                        <Button
+                          variant="link"
+                          className="p-0 mt-3"
+                          href={`/products/${productId}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                        >
+                          <i className="bi bi-eye me-1"></i>
+                          Preview product page
+                        </Button>
+                      )}
+                    </Card.Body>
+                  </Card>
+                  
                   <Form.Group className="mb-3">
                     <Form.Label>Product Images (Up to {MAX_IMAGES_PER_PRODUCT})</Form.Label>
                     <div className="p-3 border rounded mb-3">
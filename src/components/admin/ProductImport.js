@@ -0,0 +1,450 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Button, Form, Table, Badge, Alert, ProgressBar, Row, Col, Nav } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { getAllProducts, getAllCategories, importProducts } from '../../services/firestore';
+import { uploadImageFromUrl, isCloudinaryUrl } from '../../services/cloudinaryService';
+import { clearCatalogCache } from '../../services/catalog';
+import { downloadFile } from '../../utils/helpers';
+import {
+  IMPORT_FIELDS,
+  ATTRIBUTE_COLUMN_PREFIX,
+  parseImportFile,
+  guessColumnMapping,
+  buildImportPlan,
+  formatImportValue,
+  getImportTemplateCSV,
+  buildErrorReportCSV
+} from '../../utils/productImport';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ErrorAlert from '../common/ErrorAlert';
+
+const STEPS = ['Upload', 'Map Columns', 'Preview', 'Import'];
+
+// Images copied to Cloudinary at the same time
+const IMAGE_UPLOAD_CONCURRENCY = 4;
+
+const ACTION_BADGES = {
+  create: { bg: 'success', label: 'New' },
+  update: { bg: 'primary', label: 'Update' },
+  unchanged: { bg: 'secondary', label: 'No changes' },
+  error: { bg: 'danger', label: 'Error' }
+};
+
+// Import wizard: upload a CSV or JSON file, map its columns, preview what changes, then import
+const ProductImport = () => {
+  const { currentUser, userRole } = useAuth();
+  const [step, setStep] = useState(0);
+  const [products, setProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Upload and mapping
+  const [fileName, setFileName] = useState('');
+  const [parsedFile, setParsedFile] = useState(null); // { columns, records, firstRowNumber }
+  const [mapping, setMapping] = useState({});
+
+  // Preview
+  const [plan, setPlan] = useState([]);
+  const [previewFilter, setPreviewFilter] = useState('all');
+  const [copyImages, setCopyImages] = useState(true);
+
+  // Import
+  const [progress, setProgress] = useState({ label: '', done: 0, total: 0 });
+  const [results, setResults] = useState(null); // { created, updated, failedRows }
+
+  // Existing products (to match SKUs) and categories (to check category names)
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        setLoading(true);
+        const [productsData, categoriesData] = await Promise.all([getAllProducts(), getAllCategories()]);
+        setProducts(productsData);
+        setCategories(categoriesData);
+      } catch (err) {
+        console.error('Error fetching products for import:', err);
+        setError('Failed to load the current catalog. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, []);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      setError(null);
+      const parsed = parseImportFile(await file.text(), file.name);
+      if (parsed.records.length === 0) {
+        throw new Error('The file has no products in it');
+      }
+      setFileName(file.name);
+      setParsedFile(parsed);
+      setMapping(guessColumnMapping(parsed.columns));
+    } catch (err) {
+      console.error('Error reading import file:', err);
+      setParsedFile(null);
+      setError(err.message || 'The file could not be read.');
+    }
+  };
+
+  const handleMappingChange = (column, target) => {
+    setMapping(prev => ({ ...prev, [column]: target }));
+  };
+
+  const mappedTargets = Object.values(mapping).filter(Boolean);
+  const duplicateTarget = mappedTargets.find((target, index) => mappedTargets.indexOf(target) !== index);
+  const skuMapped = mappedTargets.includes('sku');
+
+  const handlePreview = () => {
+    setPlan(buildImportPlan({ ...parsedFile, mapping, products, categories }));
+    setPreviewFilter('all');
+    setStep(2);
+  };
+
+  const countByAction = (action) => plan.filter(row => row.action === action).length;
+  const rowsToImport = plan.filter(row => row.action === 'create' || row.action === 'update');
+  const visibleRows = previewFilter === 'all' ? plan : plan.filter(row => row.action === previewFilter);
+
+  // Copy each row's remote images into Cloudinary; rows whose images fail are left out of the import
+  const copyRowImages = async (rows) => {
+    const pending = rows.filter(row => (row.data.imageUrls || []).some(url => !isCloudinaryUrl(url)));
+    const failedRows = [];
+    let done = 0;
+    setProgress({ label: 'Copying images', done, total: pending.length });
+
+    // A few workers, each taking the next row until none are left
+    const queue = [...pending];
+    const copyNext = async () => {
+      const row = queue.shift();
+      if (!row) return;
+      try {
+        row.data.imageUrls = await Promise.all(row.data.imageUrls.map(uploadImageFromUrl));
+      } catch (err) {
+        failedRows.push({ ...row, errors: [err.message || 'Image could not be copied'] });
+      }
+      done += 1;
+      setProgress({ label: 'Copying images', done, total: pending.length });
+      await copyNext();
+    };
+    await Promise.all(Array.from({ length: IMAGE_UPLOAD_CONCURRENCY }, copyNext));
+    return failedRows;
+  };
+
+  // The admin as recorded on inventory ledger entries
+  const getActor = () => ({
+    uid: currentUser.uid,
+    name: currentUser.displayName || '',
+    email: currentUser.email || '',
+    role: userRole
+  });
+
+  const handleImport = async () => {
+    setStep(3);
+    setError(null);
+
+    try {
+      // Work on copies, so going back to the preview shows the original image URLs
+      const rows = rowsToImport.map(row => ({ ...row, data: { ...row.data } }));
+      const imageFailures = copyImages ? await copyRowImages(rows) : [];
+      const failedRowNumbers = new Set(imageFailures.map(row => row.rowNumber));
+      const rowsToSave = rows.filter(row => !failedRowNumbers.has(row.rowNumber));
+
+      setProgress({ label: 'Saving products', done: 0, total: rowsToSave.length });
+      const saveResults = await importProducts(rowsToSave, (done, total) => {
+        setProgress({ label: 'Saving products', done, total });
+      }, { actor: getActor(), note: `Imported from ${fileName}` });
+
+      const saveFailures = saveResults
+        .filter(result => result.error)
+        .map(result => ({ ...rowsToSave.find(row => row.rowNumber === result.rowNumber), errors: [result.error] }));
+      const saved = rowsToSave.filter(row => !saveFailures.some(failure => failure.rowNumber === row.rowNumber));
+
+      setResults({
+        created: saved.filter(row => row.action === 'create').length,
+        updated: saved.filter(row => row.action === 'update').length,
+        failedRows: [...plan.filter(row => row.action === 'error'), ...imageFailures, ...saveFailures]
+          .sort((a, b) => a.rowNumber - b.rowNumber)
+      });
+      clearCatalogCache();
+    } catch (err) {
+      console.error('Error importing products:', err);
+      setError('The import stopped unexpectedly. Check the product list before trying again.');
+    }
+  };
+
+  const handleDownloadErrors = () => {
+    const baseName = fileName.replace(/\.[^.]+$/, '');
+    downloadFile(buildErrorReportCSV(results.failedRows), `${baseName}_errors.csv`);
+  };
+
+  const handleStartOver = async () => {
+    setStep(0);
+    setParsedFile(null);
+    setFileName('');
+    setPlan([]);
+    setResults(null);
+    setError(null);
+
+    // Later imports match against the products just created
+    try {
+      setProducts(await getAllProducts());
+    } catch (err) {
+      console.error('Error refreshing products:', err);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner text="Loading catalog..." />;
+  }
+
+  return (
+    <>
+      <Nav variant="pills" className="mb-4">
+        {STEPS.map((label, index) => (
+          <Nav.Item key={label}>
+            <Nav.Link active={index === step} disabled={index !== step}>
+              {index + 1}. {label}
+            </Nav.Link>
+          </Nav.Item>
+        ))}
+      </Nav>
+
+      {error && (
+        <ErrorAlert error={error} onClose={() => setError(null)} className="mb-4" />
+      )}
+
+      {step === 0 && (
+        <Card className="shadow-sm">
+          <Card.Body>
+            <Form.Group controlId="importFile" className="mb-3">
+              <Form.Label>Product file</Form.Label>
+              <Form.Control type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} />
+              <Form.Text className="text-muted">
+                A CSV with a header row, or a JSON array of products. Products are matched on SKU: known SKUs
+                are updated, new ones are created as drafts unless a status column says otherwise. Separate several
+                tags, images or attribute values with |.
+              </Form.Text>
+            </Form.Group>
+
+            <Button variant="link" className="p-0 mb-3" onClick={() => downloadFile(getImportTemplateCSV(), 'product_import_template.csv')}>
+              <i className="bi bi-download me-1"></i> Download a template
+            </Button>
+
+            {parsedFile && (
+              <Alert variant="info">
+                <strong>{fileName}</strong>: {parsedFile.records.length} product{parsedFile.records.length !== 1 ? 's' : ''},
+                {' '}{parsedFile.columns.length} column{parsedFile.columns.length !== 1 ? 's' : ''}
+              </Alert>
+            )}
+
+            <div className="d-flex justify-content-end">
+              <Button variant="primary" onClick={() => setStep(1)} disabled={!parsedFile}>
+                Next: Map Columns
+              </Button>
+            </div>
+          </Card.Body>
+        </Card>
+      )}
+
+      {step === 1 && parsedFile && (
+        <Card className="shadow-sm">
+          <Card.Body>
+            <p className="text-muted">
+              Choose the product field each column holds. Columns set to Ignore are not imported;
+              blank cells leave an existing product's field unchanged.
+            </p>
+            <Table responsive className="align-middle">
+              <thead>
+                <tr>
+                  <th>Column</th>
+                  <th>First value</th>
+                  <th style={{ width: '280px' }}>Import as</th>
+                </tr>
+              </thead>
+              <tbody>
+                {parsedFile.columns.map(column => (
+                  <tr key={column}>
+                    <td className="fw-bold">{column}</td>
+                    <td className="text-muted text-truncate" style={{ maxWidth: '300px' }}>
+                      {formatImportValue(parsedFile.records[0][column])}
+                    </td>
+                    <td>
+                      <Form.Select
+                        size="sm"
+                        value={mapping[column] || ''}
+                        onChange={(e) => handleMappingChange(column, e.target.value)}
+                        aria-label={`Import ${column} as`}
+                      >
+                        <option value="">Ignore</option>
+                        {IMPORT_FIELDS.map(field => (
+                          <option key={field.key} value={field.key}>{field.label}</option>
+                        ))}
+                        <option value={`${ATTRIBUTE_COLUMN_PREFIX}${column.replace(/^attr:/i, '').trim()}`}>
+                          Attribute: {column.replace(/^attr:/i, '').trim()}
+                        </option>
+                      </Form.Select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+
+            {!skuMapped && (
+              <Alert variant="warning">Map a column to SKU; it is how products are matched.</Alert>
+            )}
+            {duplicateTarget && (
+              <Alert variant="warning">
+                More than one column is mapped to {IMPORT_FIELDS.find(field => field.key === duplicateTarget)?.label || duplicateTarget}.
+              </Alert>
+            )}
+
+            <div className="d-flex justify-content-between">
+              <Button variant="outline-secondary" onClick={() => setStep(0)}>Back</Button>
+              <Button variant="primary" onClick={handlePreview} disabled={!skuMapped || Boolean(duplicateTarget)}>
+                Next: Preview Changes
+              </Button>
+            </div>
+          </Card.Body>
+        </Card>
+      )}
+
+      {step === 2 && (
+        <Card className="shadow-sm">
+          <Card.Body>
+            <Nav variant="tabs" activeKey={previewFilter} onSelect={setPreviewFilter} className="mb-3">
+              <Nav.Item><Nav.Link eventKey="all">All ({plan.length})</Nav.Link></Nav.Item>
+              {Object.entries(ACTION_BADGES).map(([action, { label }]) => (
+                <Nav.Item key={action}>
+                  <Nav.Link eventKey={action}>{label} ({countByAction(action)})</Nav.Link>
+                </Nav.Item>
+              ))}
+            </Nav>
+
+            <div style={{ maxHeight: '480px', overflowY: 'auto' }} className="mb-3">
+              <Table responsive size="sm" className="align-middle">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>SKU</th>
+                    <th>Name</th>
+                    <th></th>
+                    <th>Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleRows.map(row => (
+                    <tr key={row.rowNumber}>
+                      <td>{row.rowNumber}</td>
+                      <td><code>{row.sku || '—'}</code></td>
+                      <td>{row.name || '—'}</td>
+                      <td>
+                        <Badge bg={ACTION_BADGES[row.action].bg}>{ACTION_BADGES[row.action].label}</Badge>
+                      </td>
+                      <td className="small">
+                        {row.errors.map(message => (
+                          <div key={message} className="text-danger">{message}</div>
+                        ))}
+                        {row.changes.map(change => (
+                          <div key={change.label}>
+                            <span className="text-muted">{change.label}:</span>{' '}
+                            <del className="text-muted">{formatImportValue(change.from)}</del>{' '}
+                            <i className="bi bi-arrow-right"></i> {formatImportValue(change.to)}
+                          </div>
+                        ))}
+                        {row.warnings.map(message => (
+                          <div key={message} className="text-warning">{message}</div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+
+            {countByAction('error') > 0 && (
+              <Alert variant="warning">
+                {countByAction('error')} row{countByAction('error') !== 1 ? 's have' : ' has'} errors and will be skipped.
+                You can download them as a report after the import, fix them and import that file again.
+              </Alert>
+            )}
+
+            <Form.Check
+              type="switch"
+              id="copyImages"
+              className="mb-3"
+              label="Copy image URLs to Cloudinary (recommended; supplier links can change or disappear)"
+              checked={copyImages}
+              onChange={(e) => setCopyImages(e.target.checked)}
+            />
+
+            <div className="d-flex justify-content-between">
+              <Button variant="outline-secondary" onClick={() => setStep(1)}>Back</Button>
+              <Button variant="primary" onClick={handleImport} disabled={rowsToImport.length === 0}>
+                Import {rowsToImport.length} Product{rowsToImport.length !== 1 ? 's' : ''}
+              </Button>
+            </div>
+          </Card.Body>
+        </Card>
+      )}
+
+      {step === 3 && (
+        <Card className="shadow-sm">
+          <Card.Body>
+            {!results ? (
+              <>
+                <p className="mb-2">{progress.label}... {progress.done} of {progress.total}</p>
+                <ProgressBar
+                  animated
+                  now={progress.total > 0 ? (progress.done / progress.total) * 100 : 0}
+                  className="mb-3"
+                />
+                <p className="text-muted small mb-0">Keep this page open until the import finishes.</p>
+              </>
+            ) : (
+              <>
+                <h5 className="mb-3">Import finished</h5>
+                <Row className="text-center mb-4">
+                  <Col>
+                    <div className="display-6 text-success">{results.created}</div>
+                    <div className="text-muted">created</div>
+                  </Col>
+                  <Col>
+                    <div className="display-6 text-primary">{results.updated}</div>
+                    <div className="text-muted">updated</div>
+                  </Col>
+                  <Col>
+                    <div className="display-6 text-danger">{results.failedRows.length}</div>
+                    <div className="text-muted">failed</div>
+                  </Col>
+                </Row>
+
+                <div className="d-flex flex-wrap gap-2">
+                  {results.failedRows.length > 0 && (
+                    <Button variant="outline-danger" onClick={handleDownloadErrors}>
+                      <i className="bi bi-download me-2"></i>
+                      Download Error Report
+                    </Button>
+                  )}
+                  <Button variant="outline-secondary" onClick={handleStartOver}>
+                    Import Another File
+                  </Button>
+                  <Button as={Link} to="/admin/products" variant="primary" className="ms-auto">
+                    Back to Products
+                  </Button>
+                </div>
+              </>
+            )}
+          </Card.Body>
+        </Card>
+      )}
+    </>
+  );
+};
+
+export default ProductImport;
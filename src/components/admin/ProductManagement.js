@@ -1,14 +1,47 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Table, Button, Form, InputGroup, Badge, Modal } from 'react-bootstrap';
+import { Container, Row, Col, Card, Table, Button, Form, InputGroup, Badge, Modal, Dropdown, Alert, ProgressBar } from 'react-bootstrap';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { getAllProducts, deleteProduct, getAllCategories } from '../../services/firestore';
-import { formatCurrency, truncateText } from '../../utils/helpers';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  getAllProducts,
+  deleteProduct,
+  getAllCategories,
+  bulkUpdateProducts,
+  restoreProducts,
+  backfillProductPublishing,
+  backfillProductRatings
+} from '../../services/firestore';
+import { clearCatalogCache } from '../../services/catalog';
+import { formatCurrency, truncateText, downloadFile } from '../../utils/helpers';
 import { optimizeImage } from '../../services/cloudinaryService';
+import { getSearchIndex, searchProducts, getSearchSuggestion } from '../../utils/search';
+import { flattenCategoryTree, getCategoryDescendantIds, getCategoryPathLabel } from '../../utils/categories';
+import { exportProductsCSV, exportProductsJSON } from '../../utils/productImport';
+import { invertBulkUpdates } from '../../utils/bulkProductActions';
+import { isProductLive, describeProductStatus, hasPublishingFields } from '../../utils/productStatus';
+import { hasRatingFields } from '../../utils/reviews';
+import ProductBulkActions from './ProductBulkActions';
 import LoadingSpinner from '../common/LoadingSpinner';
 import ErrorAlert from '../common/ErrorAlert';
 
+// How long a bulk action can be undone
+const UNDO_WINDOW_SECONDS = 15;
+
+// Products with each update's fields applied (undefined values remove a field)
+const applyUpdates = (products, updates) => {
+  const updatesById = new Map(updates.map(update => [update.id, update.data]));
+  return products.map(product => {
+    const data = updatesById.get(product.id);
+    if (!data) return product;
+    const updated = { ...product, ...data };
+    Object.keys(data).filter(key => data[key] === undefined).forEach(key => delete updated[key]);
+    return updated;
+  });
+};
+
 const ProductManagement = () => {
+  const { currentUser, userRole } = useAuth();
   const [products, setProducts] = useState([]);
   const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -19,6 +52,10 @@ const ProductManagement = () => {
   const [productToDelete, setProductToDelete] = useState(null);
   const [deleteLoading, setDeleteLoading] = useState(false);
   const [deleteError, setDeleteError] = useState(null);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [undoAction, setUndoAction] = useState(null); // { message, updates | deletedProducts, secondsLeft }
+  const [undoProgress, setUndoProgress] = useState(null); // { done, total } while undoing
+  const [backfilling, setBackfilling] = useState(false);
 
   // Fetch products and categories on component mount
   useEffect(() => {
@@ -42,13 +79,109 @@ const ProductManagement = () => {
     fetchData();
   }, []);
 
-  // Filter products based on search term and category
-  const filteredProducts = products.filter(product => {
-    const matchesSearch = product.name.toLowerCase().includes(searchTerm.toLowerCase()) || 
-                         product.description.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesCategory = categoryFilter ? product.category === categoryFilter : true;
-    return matchesSearch && matchesCategory;
-  });
+  // Filter products based on search term (best matches first) and category
+  const searchIndex = getSearchIndex(products, categories);
+  const searchResults = searchTerm.trim()
+    ? searchProducts(searchIndex, searchTerm).map(result => result.product)
+    : products;
+  const filterCategoryIds = categoryFilter ? getCategoryDescendantIds(categories, categoryFilter) : null;
+  const filteredProducts = searchResults.filter(product =>
+    filterCategoryIds ? filterCategoryIds.includes(product.category) : true
+  );
+  const searchSuggestion = searchTerm.trim() ? getSearchSuggestion(searchIndex, searchTerm) : null;
+
+  // Count down the undo window, then drop the undo
+  useEffect(() => {
+    if (!undoAction || undoProgress) return undefined;
+    const timer = setTimeout(() => {
+      setUndoAction(prev => (prev && prev.secondsLeft > 1 ? { ...prev, secondsLeft: prev.secondsLeft - 1 } : null));
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [undoAction, undoProgress]);
+
+  // Selection covers the products currently listed; checking the header selects all of them
+  const selectedProducts = products.filter(product => selectedIds.has(product.id));
+  const allFilteredSelected = filteredProducts.length > 0 && filteredProducts.every(product => selectedIds.has(product.id));
+  const someFilteredSelected = filteredProducts.some(product => selectedIds.has(product.id));
+
+  const toggleSelected = (productId) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(productId)) next.delete(productId);
+      else next.add(productId);
+      return next;
+    });
+  };
+
+  const toggleAllFiltered = () => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      filteredProducts.forEach(product => {
+        if (allFilteredSelected) next.delete(product.id);
+        else next.add(product.id);
+      });
+      return next;
+    });
+  };
+
+  const handleBulkApplied = (result) => {
+    if (result.deletedProducts) {
+      const deletedIds = new Set(result.deletedProducts.map(product => product.id));
+      setProducts(prev => prev.filter(product => !deletedIds.has(product.id)));
+    } else {
+      setProducts(prev => applyUpdates(prev, result.updates));
+    }
+    setSelectedIds(new Set());
+    setUndoAction({ ...result, secondsLeft: UNDO_WINDOW_SECONDS });
+    clearCatalogCache();
+  };
+
+  const handleUndo = async () => {
+    const onProgress = (done, total) => setUndoProgress({ done, total });
+    try {
+      if (undoAction.deletedProducts) {
+        setUndoProgress({ done: 0, total: undoAction.deletedProducts.length });
+        await restoreProducts(undoAction.deletedProducts, onProgress);
+        setProducts(prev => [...prev, ...undoAction.deletedProducts]);
+      } else {
+        const reverted = invertBulkUpdates(undoAction.updates);
+        setUndoProgress({ done: 0, total: reverted.length });
+        const applied = await bulkUpdateProducts(reverted, onProgress, {
+          actor: { uid: currentUser.uid, name: currentUser.displayName || '', email: currentUser.email || '', role: userRole },
+          note: 'Bulk update undone'
+        });
+        setProducts(prev => applyUpdates(prev, applied));
+      }
+      setUndoAction(null);
+      clearCatalogCache();
+    } catch (err) {
+      console.error('Error undoing bulk action:', err);
+      setUndoAction(null);
+      setError('The bulk change could not be fully undone. Reload the page to check the products.');
+    } finally {
+      setUndoProgress(null);
+    }
+  };
+
+  // Products saved before publishing existed, which the shop doesn't list until they are updated
+  const productsWithoutPublishing = products.filter(product => !hasPublishingFields(product));
+
+  // Products saved before reviews existed, which the Top Rated sort leaves out until updated
+  const productsWithoutRatings = products.filter(product => !hasRatingFields(product));
+  
+  const handleBackfill = async (backfill, productsToUpdate) => {
+    try {
+      setBackfilling(true);
+      await backfill(productsToUpdate);
+      setProducts(await getAllProducts());
+      clearCatalogCache();
+    } catch (err) {
+      console.error('Error updating products:', err);
+      setError('Failed to update products. Please try again.');
+    } finally {
+      setBackfilling(false);
+    }
+  };
 
   // Handle product deletion
   const handleDeleteClick = (product) => {
@@ -64,6 +197,11 @@ const ProductManagement = () => {
       setDeleteLoading(true);
       await deleteProduct(productToDelete.id);
       setProducts(products.filter(p => p.id !== productToDelete.id));
+      setSelectedIds(prev => {
+        const next = new Set(prev);
+        next.delete(productToDelete.id);
+        return next;
+      });
       setShowDeleteModal(false);
     } catch (err) {
       console.error('Error deleting product:', err);
@@ -73,6 +211,16 @@ const ProductManagement = () => {
     }
   };
 
+  // Download the whole catalog in the import format
+  const handleExport = (format) => {
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'json') {
+      downloadFile(exportProductsJSON(products, categories), `products_${date}.json`, 'application/json');
+    } else {
+      downloadFile(exportProductsCSV(products, categories), `products_${date}.csv`);
+    }
+  };
+
   if (loading) {
     return <LoadingSpinner fullPage text="Loading products..." />;
   }
@@ -84,6 +232,22 @@ const ProductManagement = () => {
           <i className="bi bi-plus-circle me-2"></i>
           Add New Product
         </Button>
+        <div className="d-flex gap-2">
+          <Button as={Link} to="/admin/products/import" variant="outline-secondary">
+            <i className="bi bi-upload me-2"></i>
+            Import
+          </Button>
+          <Dropdown onSelect={handleExport}>
+            <Dropdown.Toggle variant="outline-secondary" id="export-products" disabled={products.length === 0}>
+              <i className="bi bi-download me-2"></i>
+              Export
+            </Dropdown.Toggle>
+            <Dropdown.Menu align="end">
+              <Dropdown.Item eventKey="csv">CSV</Dropdown.Item>
+              <Dropdown.Item eventKey="json">JSON</Dropdown.Item>
+            </Dropdown.Menu>
+          </Dropdown>
+        </div>
       </div>
 
       {error && (
@@ -94,6 +258,44 @@ const ProductManagement = () => {
         />
       )}
 
+      {productsWithoutPublishing.length > 0 && (
+        <Alert variant="warning" className="d-flex flex-wrap align-items-center gap-2">
+          <span>
+            <i className="bi bi-exclamation-triangle me-2"></i>
+            {productsWithoutPublishing.length} product{productsWithoutPublishing.length !== 1 ? 's were' : ' was'} added
+            before publishing dates existed and {productsWithoutPublishing.length !== 1 ? 'are' : 'is'} hidden from the shop until updated.
+          </span>
+          <Button
+            variant="warning"
+            size="sm"
+            className="ms-auto"
+            onClick={() => handleBackfill(backfillProductPublishing, productsWithoutPublishing)}
+            disabled={backfilling}
+          >
+            {backfilling ? 'Updating...' : `Update ${productsWithoutPublishing.length} Product${productsWithoutPublishing.length !== 1 ? 's' : ''}`}
+          </Button>
+        </Alert>
+      )}
+
+      {productsWithoutRatings.length > 0 && (
+        <Alert variant="info" className="d-flex flex-wrap align-items-center gap-2">
+          <span>
+            <i className="bi bi-info-circle me-2"></i>
+            {productsWithoutRatings.length} product{productsWithoutRatings.length !== 1 ? 's were' : ' was'} added
+            before ratings existed and {productsWithoutRatings.length !== 1 ? 'are' : 'is'} left out of the Top Rated sort until updated.
+          </span>
+          <Button
+            variant="info"
+            size="sm"
+            className="ms-auto"
+            onClick={() => handleBackfill(backfillProductRatings, productsWithoutRatings)}
+            disabled={backfilling}
+          >
+            {backfilling ? 'Updating...' : `Update ${productsWithoutRatings.length} Product${productsWithoutRatings.length !== 1 ? 's' : ''}`}
+          </Button>
+        </Alert>
+      )}
+
       <Card className="shadow-sm mb-4">
         <Card.Body>
           <Row className="mb-3">
@@ -108,6 +310,15 @@ const ProductManagement = () => {
                   onChange={(e) => setSearchTerm(e.target.value)}
                 />
               </InputGroup>
+              {searchSuggestion && (
+                <small className="d-block mt-1">
+                  Did you mean{' '}
+                  <Button variant="link" size="sm" className="p-0 align-baseline" onClick={() => setSearchTerm(searchSuggestion)}>
+                    {searchSuggestion}
+                  </Button>
+                  ?
+                </small>
+              )}
             </Col>
             <Col md={6} lg={3}>
               <Form.Select
@@ -115,9 +326,9 @@ const ProductManagement = () => {
                 onChange={(e) => setCategoryFilter(e.target.value)}
               >
                 <option value="">All Categories</option>
-                {categories.map(category => (
+                {flattenCategoryTree(categories).map(({ category, depth }) => (
                   <option key={category.id} value={category.id}>
-                    {category.name}
+                    {'\u00a0\u00a0'.repeat(depth)}{category.name}
                   </option>
                 ))}
               </Form.Select>
@@ -129,6 +340,37 @@ const ProductManagement = () => {
             </Col>
           </Row>
 
+          {undoAction && (
+            <Alert variant="success" className="d-flex align-items-center">
+              <span>
+                <i className="bi bi-check-circle me-2"></i>
+                {undoAction.message}
+              </span>
+              {undoProgress ? (
+                <ProgressBar
+                  animated
+                  className="ms-auto flex-grow-1"
+                  style={{ maxWidth: '200px' }}
+                  now={undoProgress.total > 0 ? (undoProgress.done / undoProgress.total) * 100 : 0}
+                />
+              ) : (
+                <Button variant="outline-success" size="sm" className="ms-auto" onClick={handleUndo}>
+                  <i className="bi bi-arrow-counterclockwise me-1"></i>
+                  Undo ({undoAction.secondsLeft}s)
+                </Button>
+              )}
+            </Alert>
+          )}
+
+          {selectedProducts.length > 0 && (
+            <ProductBulkActions
+              selectedProducts={selectedProducts}
+              categories={categories}
+              onApplied={handleBulkApplied}
+              onClearSelection={() => setSelectedIds(new Set())}
+            />
+          )}
+
           {filteredProducts.length === 0 ? (
             <div className="text-center py-5">
               <i className="bi bi-search display-1 text-muted mb-3"></i>
@@ -146,6 +388,17 @@ const ProductManagement = () => {
               <Table responsive hover className="align-middle">
                 <thead>
                   <tr>
+                    <th style={{ width: '40px' }}>
+                      <Form.Check
+                        type="checkbox"
+                        aria-label="Select all listed products"
+                        checked={allFilteredSelected}
+                        ref={(input) => {
+                          if (input) input.indeterminate = someFilteredSelected && !allFilteredSelected;
+                        }}
+                        onChange={toggleAllFiltered}
+                      />
+                    </th>
                     <th style={{ width: '80px' }}></th>
                     <th>Product</th>
                     <th>Category</th>
@@ -156,11 +409,20 @@ const ProductManagement = () => {
                 <tbody>
                   {filteredProducts.map(product => {
                     // Find category name
-                    const category = categories.find(c => c.id === product.category);
-                    const categoryName = category ? category.name : 'Unknown';
+                    const categoryName = getCategoryPathLabel(categories, product.category) || 'Unknown';
+                    
+                    const status = describeProductStatus(product);
                     
                     return (
-                      <tr key={product.id}>
+                      <tr key={product.id} className={selectedIds.has(product.id) ? 'table-active' : ''}>
+                        <td>
+                          <Form.Check
+                            type="checkbox"
+                            aria-label={`Select ${product.name}`}
+                            checked={selectedIds.has(product.id)}
+                            onChange={() => toggleSelected(product.id)}
+                          />
+                        </td>
                         <td>
                           <img
                             src={optimizeImage(product.imageUrl, 60) || '/placeholder-product.jpg'}
@@ -172,7 +434,14 @@ const ProductManagement = () => {
                           />
                         </td>
                         <td>
-                          <div className="fw-bold">{product.name}</div>
+                          <div className="fw-bold">
+                            {product.name}
+                            {!isProductLive(product) && (
+                              <Badge bg={status.variant} className="ms-2">
+                                {status.label}
+                              </Badge>
+                            )}
+                          </div>
                           <small className="text-muted">
                             {truncateText(product.description, 60)}
                           </small>
@@ -193,6 +462,26 @@ const ProductManagement = () => {
                           >
                             <i className="bi bi-pencil"></i> Edit
                           </Button>
+                          <Button
+                            as={Link}
+                            to={`/products/${product.id}`}
+                            variant="outline-secondary"
+                            size="sm"
+                            className="me-2"
+                            title={isProductLive(product) ? 'View in shop' : 'Preview'}
+                          >
+                            <i className="bi bi-eye"></i>
+                          </Button>
+                          <Button
+                            as={Link}
+                            to={`/admin/products/${product.id}/stock`}
+                            variant="outline-secondary"
+                            size="sm"
+                            className="me-2"
+                            title="Stock history"
+                          >
+                            <i className="bi bi-clock-history"></i>
+                          </Button>
                           <Button
                             variant="outline-danger"
                             size="sm"
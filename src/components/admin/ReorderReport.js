@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Badge, Button, Form, Row, Col } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { getAllProducts, getAllOrders } from '../../services/firestore';
+import { downloadFile } from '../../utils/helpers';
+import {
+  buildReorderReport,
+  exportReorderReportCSV,
+  REORDER_SALES_WINDOW_DAYS,
+  REORDER_COVER_DAYS
+} from '../../utils/inventory';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ErrorAlert from '../common/ErrorAlert';
+
+const SALES_WINDOW_OPTIONS = [7, 30, 90];
+
+// Products and variants to reorder, with recent sales velocity and a suggested quantity for each
+const ReorderReport = () => {
+  const [products, setProducts] = useState([]);
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [windowDays, setWindowDays] = useState(REORDER_SALES_WINDOW_DAYS);
+  const [coverDays, setCoverDays] = useState(String(REORDER_COVER_DAYS));
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [productsData, ordersData] = await Promise.all([getAllProducts(), getAllOrders()]);
+        setProducts(productsData);
+        setOrders(ordersData);
+      } catch (err) {
+        console.error('Error fetching reorder report data:', err);
+        setError('Failed to load the reorder report. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, []);
+
+  if (loading) {
+    return <LoadingSpinner text="Loading reorder report..." />;
+  }
+
+  const cover = Math.max(parseInt(coverDays) || 0, 0);
+  const rows = buildReorderReport(products, orders, { windowDays, coverDays: cover });
+
+  const handleExport = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(exportReorderReportCSV(rows, windowDays), `reorder_report_${date}.csv`);
+  };
+
+  return (
+    <>
+      {error && (
+        <ErrorAlert error={error} onClose={() => setError(null)} className="mb-4" />
+      )}
+
+      <Card className="shadow-sm">
+        <Card.Body>
+          <Row className="g-3 align-items-end mb-3">
+            <Col md={3}>
+              <Form.Group controlId="salesWindow">
+                <Form.Label>Sales over the last</Form.Label>
+                <Form.Select value={windowDays} onChange={(e) => setWindowDays(parseInt(e.target.value))}>
+                  {SALES_WINDOW_OPTIONS.map(days => (
+                    <option key={days} value={days}>{days} days</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={3}>
+              <Form.Group controlId="coverDays">
+                <Form.Label>Order enough for (days)</Form.Label>
+                <Form.Control
+                  type="number"
+                  min="0"
+                  step="1"
+                  value={coverDays}
+                  onChange={(e) => setCoverDays(e.target.value)}
+                />
+              </Form.Group>
+            </Col>
+            <Col className="text-md-end">
+              <Button variant="outline-success" onClick={handleExport} disabled={rows.length === 0}>
+                <i className="bi bi-download me-2"></i>
+                Export CSV
+              </Button>
+            </Col>
+          </Row>
+
+          <p className="text-muted small">
+            Listed: everything at or below its low stock alert, and anything selling fast enough to get there
+            within {cover} days. Suggested quantities cover {cover} days of sales at the recent rate and
+            keep the low stock alert level in hand. Canceled and returned orders don't count as sales.
+          </p>
+
+          {rows.length === 0 ? (
+            <div className="text-center py-5">
+              <i className="bi bi-check-circle display-4 text-success mb-3"></i>
+              <h5>Nothing to reorder</h5>
+              <p className="text-muted mb-0">Every product has enough stock for the period.</p>
+            </div>
+          ) : (
+            <Table responsive hover size="sm" className="align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Product</th>
+                  <th>SKU</th>
+                  <th className="text-end">In stock</th>
+                  <th className="text-end">Alert at</th>
+                  <th className="text-end">Sold ({windowDays} days)</th>
+                  <th className="text-end">Per day</th>
+                  <th className="text-end">Days left</th>
+                  <th className="text-end">Reorder</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={`${row.productId}:${row.variantId || ''}`}>
+                    <td>
+                      {row.productName}
+                      {row.variantName && <span className="text-muted"> ({row.variantName})</span>}
+                    </td>
+                    <td><code>{row.sku || '—'}</code></td>
+                    <td className="text-end">
+                      {row.quantity <= 0
+                        ? <Badge bg="danger">Out</Badge>
+                        : <span className={row.quantity <= row.threshold ? 'text-warning fw-bold' : ''}>{row.quantity}</span>}
+                    </td>
+                    <td className="text-end text-muted">{row.threshold}</td>
+                    <td className="text-end">{row.unitsSold}</td>
+                    <td className="text-end">{row.dailySales.toFixed(2)}</td>
+                    <td className="text-end">{row.daysOfStock === null ? '—' : Math.floor(row.daysOfStock)}</td>
+                    <td className="text-end fw-bold">{row.suggestedQuantity}</td>
+                    <td className="text-end">
+                      <Button
+                        as={Link}
+                        to={`/admin/products/${row.productId}/stock`}
+                        size="sm"
+                        variant="outline-secondary"
+                        title="Stock history"
+                      >
+                        <i className="bi bi-clock-history"></i>
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+    </>
+  );
+};
+
+export default ReorderReport;
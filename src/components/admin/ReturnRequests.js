@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { Row, Col, Card, Button, Form, Image, Badge, Alert } from 'react-bootstrap';
+import { resolveReturnRequest } from '../../services/firestore';
+import { formatCurrency, formatDate } from '../../utils/helpers';
+import { optimizeImage } from '../../services/cloudinaryService';
+import { RETURN_REQUEST_STATUSES } from '../../utils/orderStatus';
+import { getItemDisplayName } from '../../utils/variants';
+import OrderStatusBadge from '../common/OrderStatusBadge';
+
+// Admin triage queue for customer return requests
+const ReturnRequests = ({ orders, resolvedBy, onResolved }) => {
+  const [adminNotes, setAdminNotes] = useState({});
+  const [processingId, setProcessingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const pendingRequests = orders.filter(
+    order => order.returnRequest?.status === RETURN_REQUEST_STATUSES.REQUESTED
+  );
+
+  const handleNoteChange = (orderId, value) => {
+    setAdminNotes(prev => ({ ...prev, [orderId]: value }));
+  };
+
+  const handleResolve = async (order, approved) => {
+    try {
+      setProcessingId(order.id);
+      setError(null);
+      const adminNote = (adminNotes[order.id] || '').trim();
+      await resolveReturnRequest(order.id, approved, resolvedBy, adminNote);
+      onResolved();
+    } catch (err) {
+      console.error('Error resolving return request:', err);
+      setError(err.message || 'Failed to update the return request. Please try again.');
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  if (pendingRequests.length === 0) {
+    return (
+      <div className="text-center p-5 bg-light rounded">
+        <h4>No pending return requests</h4>
+        <p>Return requests filed by customers will appear here for review.</p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {error && (
+        <Alert variant="danger" onClose={() => setError(null)} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      {pendingRequests.map(order => (
+        <Card key={order.id} className="mb-3 shadow-sm">
+          <Card.Header className="bg-white d-flex justify-content-between align-items-center">
+            <div>
+              <span className="fw-bold">Order #{order.id.substring(0, 8).toUpperCase()}</span>
+              <span className="text-muted ms-2">
+                {order.customerInfo.firstName} {order.customerInfo.lastName} ({order.customerInfo.email})
+              </span>
+            </div>
+            <OrderStatusBadge status={order.status} />
+          </Card.Header>
+          <Card.Body>
+            <Row>
+              <Col md={7}>
+                <p className="mb-1">
+                  <strong>Reason:</strong> <Badge bg="warning" text="dark">{order.returnRequest.reason}</Badge>
+                </p>
+                <p className="mb-1"><strong>Requested:</strong> {formatDate(order.returnRequest.requestedAt)}</p>
+                {order.returnRequest.details && (
+                  <p className="mb-2"><strong>Details:</strong> {order.returnRequest.details}</p>
+                )}
+                <p className="mb-2">
+                  <strong>Items:</strong>{' '}
+                  {order.items.map(item => `${getItemDisplayName(item)} (${item.quantity})`).join(', ')}
+                  {' '}&middot; {formatCurrency(order.total)}
+                </p>
+                {order.returnRequest.imageUrls?.length > 0 && (
+                  <div className="d-flex flex-wrap gap-2">
+                    {order.returnRequest.imageUrls.map((url, index) => (
+                      <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+                        <Image
+                          src={optimizeImage(url, 100)}
+                          alt={`Return evidence ${index + 1}`}
+                          width={80}
+                          height={80}
+                          rounded
+                          style={{ objectFit: 'cover' }}
+                        />
+                      </a>
+                    ))}
+                  </div>
+                )}
+              </Col>
+              <Col md={5}>
+                <Form.Group className="mb-2" controlId={`returnNote-${order.id}`}>
+                  <Form.Label>Note to customer (optional)</Form.Label>
+                  <Form.Control
+                    as="textarea"
+                    rows={2}
+                    value={adminNotes[order.id] || ''}
+                    onChange={(e) => handleNoteChange(order.id, e.target.value)}
+                    disabled={processingId === order.id}
+                  />
+                </Form.Group>
+                <div className="d-flex gap-2">
+                  <Button
+                    variant="success"
+                    size="sm"
+                    onClick={() => handleResolve(order, true)}
+                    disabled={processingId === order.id}
+                  >
+                    <i className="bi bi-check-circle me-1"></i>
+                    Approve
+                  </Button>
+                  <Button
+                    variant="outline-danger"
+                    size="sm"
+                    onClick={() => handleResolve(order, false)}
+                    disabled={processingId === order.id}
+                  >
+                    <i className="bi bi-x-circle me-1"></i>
+                    Reject
+                  </Button>
+                </div>
+              </Col>
+            </Row>
+          </Card.Body>
+        </Card>
+      ))}
+    </>
+  );
+};
+
+export default ReturnRequests;
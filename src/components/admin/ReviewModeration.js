@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Table, Button, Form, Modal, Row, Col, Card, InputGroup, Badge, ButtonGroup, Image } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { getAllReviews, getAllProducts, updateReviewStatus, replyToReview } from '../../services/firestore';
+import { useAuth } from '../../contexts/AuthContext';
+import { optimizeImage } from '../../services/cloudinaryService';
+import { formatDate } from '../../utils/helpers';
+import { REVIEW_STATUSES, REVIEW_STATUS_DETAILS } from '../../utils/reviews';
+import StarRating from '../common/StarRating';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ErrorAlert from '../common/ErrorAlert';
+
+const ReviewModeration = () => {
+  const { currentUser, userRole } = useAuth();
+  const [reviews, setReviews] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState(REVIEW_STATUSES.PENDING);
+  const [updatingId, setUpdatingId] = useState(null);
+
+  // Reply modal
+  const [reviewToReply, setReviewToReply] = useState(null);
+  const [replyText, setReplyText] = useState('');
+  const [replyError, setReplyError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [reviewsData, productsData] = await Promise.all([
+        getAllReviews(),
+        getAllProducts()
+      ]);
+      setReviews(reviewsData);
+      setProducts(productsData);
+    } catch (err) {
+      console.error('Error fetching reviews:', err);
+      setError('Failed to load reviews. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch reviews on component mount
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  // The admin as recorded on moderation decisions
+  const getActor = () => ({
+    uid: currentUser.uid,
+    name: currentUser.displayName || '',
+    email: currentUser.email || '',
+    role: userRole
+  });
+
+  const getProductName = (productId) => products.find(product => product.id === productId)?.name || 'Deleted product';
+
+  // Filter reviews by status and search term
+  const filteredReviews = reviews.filter(review =>
+    (!statusFilter || review.status === statusFilter) && (
+      review.text.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      (review.userName || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
+      getProductName(review.productId).toLowerCase().includes(searchTerm.toLowerCase())
+    )
+  );
+  const countByStatus = (status) => reviews.filter(review => review.status === status).length;
+
+  const handleStatusChange = async (review, status) => {
+    try {
+      setUpdatingId(review.id);
+      setError(null);
+      await updateReviewStatus(review.id, status, getActor());
+      setReviews(reviews.map(item => (item.id === review.id ? { ...item, status } : item)));
+    } catch (err) {
+      console.error('Error updating review:', err);
+      setError('Failed to update review. Please try again.');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleReplyClick = (review) => {
+    setReviewToReply(review);
+    setReplyText(review.reply?.text || '');
+    setReplyError(null);
+  };
+
+  const handleReplySubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setReplyError(null);
+      await replyToReview(reviewToReply.id, replyText, getActor());
+      setReviewToReply(null);
+      fetchData();
+    } catch (err) {
+      console.error('Error replying to review:', err);
+      setReplyError('Failed to save reply. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner fullPage text="Loading reviews..." />;
+  }
+
+  return (
+    <Container className="py-5">
+      {error && (
+        <ErrorAlert
+          error={error}
+          onClose={() => setError(null)}
+          className="mb-4"
+        />
+      )}
+
+      <p className="text-muted">
+        New reviews are only shown on the store once approved. Approved reviews count towards the product's rating;
+        hiding a review removes it from the store and the rating.
+      </p>
+
+      <Card className="shadow-sm mb-4">
+        <Card.Body>
+          <Row className="mb-3">
+            <Col md={6}>
+              <InputGroup>
+                <InputGroup.Text>
+                  <i className="bi bi-search"></i>
+                </InputGroup.Text>
+                <Form.Control
+                  placeholder="Search reviews..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                />
+              </InputGroup>
+            </Col>
+            <Col md={6} className="d-flex align-items-center mt-3 mt-md-0">
+              <ButtonGroup className="ms-auto">
+                {Object.values(REVIEW_STATUSES).map(status => (
+                  <Button
+                    key={status}
+                    variant={statusFilter === status ? 'primary' : 'outline-primary'}
+                    onClick={() => setStatusFilter(status)}
+                  >
+                    {REVIEW_STATUS_DETAILS[status].label} ({countByStatus(status)})
+                  </Button>
+                ))}
+                <Button
+                  variant={!statusFilter ? 'primary' : 'outline-primary'}
+                  onClick={() => setStatusFilter('')}
+                >
+                  All
+                </Button>
+              </ButtonGroup>
+            </Col>
+          </Row>
+
+          {filteredReviews.length === 0 ? (
+            <div className="text-center py-5">
+              <i className="bi bi-star display-1 text-muted mb-3"></i>
+              <h5>No reviews found</h5>
+              <p className="text-muted">
+                {statusFilter === REVIEW_STATUSES.PENDING && !searchTerm
+                  ? 'There are no reviews waiting for moderation.'
+                  : 'Try adjusting your search or filter to find what you\'re looking for.'}
+              </p>
+            </div>
+          ) : (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              transition={{ duration: 0.3 }}
+            >
+              <Table responsive hover className="align-middle">
+                <thead>
+                  <tr>
+                    <th>Product</th>
+                    <th>Review</th>
+                    <th>Customer</th>
+                    <th>Date</th>
+                    <th>Status</th>
+                    <th className="text-end">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredReviews.map(review => (
+                    <tr key={review.id}>
+                      <td>
+                        <Link to={`/products/${review.productId}`}>{getProductName(review.productId)}</Link>
+                      </td>
+                      <td style={{ maxWidth: '400px' }}>
+                        <StarRating value={review.rating} />
+                        {review.title && <div className="fw-semibold">{review.title}</div>}
+                        <div className="small">{review.text}</div>
+                        {review.photoUrls?.length > 0 && (
+                          <div className="d-flex gap-1 mt-1">
+                            {review.photoUrls.map(photoUrl => (
+                              <a key={photoUrl} href={photoUrl} target="_blank" rel="noopener noreferrer">
+                                <Image src={optimizeImage(photoUrl, 80)} width={40} height={40} rounded style={{ objectFit: 'cover' }} />
+                              </a>
+                            ))}
+                          </div>
+                        )}
+                        {review.reply && (
+                          <div className="small text-muted mt-1">
+                            <i className="bi bi-reply me-1"></i>
+                            {review.reply.text}
+                          </div>
+                        )}
+                      </td>
+                      <td>{review.userName}</td>
+                      <td>{formatDate(review.createdAt)}</td>
+                      <td>
+                        <Badge bg={REVIEW_STATUS_DETAILS[review.status]?.variant || 'secondary'}>
+                          {REVIEW_STATUS_DETAILS[review.status]?.label || review.status}
+                        </Badge>
+                      </td>
+                      <td className="text-end text-nowrap">
+                        {review.status !== REVIEW_STATUSES.APPROVED && (
+                          <Button
+                            variant="outline-success"
+                            size="sm"
+                            className="me-2"
+                            onClick={() => handleStatusChange(review, REVIEW_STATUSES.APPROVED)}
+                            disabled={updatingId === review.id}
+                          >
+                            <i className="bi bi-check-lg"></i> Approve
+                          </Button>
+                        )}
+                        {review.status !== REVIEW_STATUSES.HIDDEN && (
+                          <Button
+                            variant="outline-secondary"
+                            size="sm"
+                            className="me-2"
+                            onClick={() => handleStatusChange(review, REVIEW_STATUSES.HIDDEN)}
+                            disabled={updatingId === review.id}
+                          >
+                            <i className="bi bi-eye-slash"></i> Hide
+                          </Button>
+                        )}
+                        <Button
+                          variant="outline-primary"
+                          size="sm"
+                          onClick={() => handleReplyClick(review)}
+                          disabled={updatingId === review.id}
+                        >
+                          <i className="bi bi-reply"></i> Reply
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </motion.div>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Reply Modal */}
+      <Modal show={Boolean(reviewToReply)} onHide={() => setReviewToReply(null)}>
+        <Form onSubmit={handleReplySubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title>Reply to Review</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {replyError && (
+              <ErrorAlert error={replyError} onClose={() => setReplyError(null)} />
+            )}
+            {reviewToReply && (
+              <div className="bg-light rounded p-2 mb-3 small">
+                <StarRating value={reviewToReply.rating} />
+                <div>{reviewToReply.text}</div>
+              </div>
+            )}
+            <Form.Group controlId="replyText">
+              <Form.Label>Your Reply</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={4}
+                value={replyText}
+                onChange={(e) => setReplyText(e.target.value)}
+                disabled={submitting}
+              />
+              <Form.Text className="text-muted">
+                Shown publicly under the review once it is approved. Leave empty to remove the reply.
+              </Form.Text>
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setReviewToReply(null)} disabled={submitting}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit" disabled={submitting}>
+              {submitting ? <LoadingSpinner size="sm" text="" /> : 'Save Reply'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Container>
+  );
+};
+
+export default ReviewModeration;
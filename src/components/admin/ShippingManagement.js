@@ -0,0 +1,645 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Table, Button, Form, Modal, Row, Col, Card, InputGroup, Badge } from 'react-bootstrap';
+import { motion } from 'framer-motion';
+import {
+  getAllShippingZones,
+  addShippingZone,
+  updateShippingZone,
+  deleteShippingZone
+} from '../../services/firestore';
+import { formatCurrency } from '../../utils/helpers';
+import {
+  SHIPPING_RATE_TYPES,
+  SHIPPING_RATE_TYPE_LABELS,
+  formatDeliveryEstimate
+} from '../../utils/shipping';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ErrorAlert from '../common/ErrorAlert';
+
+const emptyZone = {
+  id: '',
+  name: '',
+  country: 'Pakistan',
+  states: '',
+  cities: '',
+  rateType: SHIPPING_RATE_TYPES.FLAT,
+  flatRate: '',
+  baseRate: '',
+  perKgRate: '',
+  tiers: [],
+  freeShippingThreshold: '',
+  minDeliveryDays: '',
+  maxDeliveryDays: '',
+  active: true
+};
+
+// Split a comma separated list of regions into trimmed, non-empty names
+const parseRegionList = (value) => (
+  value.split(',').map(region => region.trim()).filter(Boolean)
+);
+
+// Describe the area a zone covers
+const describeRegion = (zone) => {
+  const parts = [];
+  if (zone.cities?.length) parts.push(zone.cities.join(', '));
+  if (zone.states?.length) parts.push(zone.states.join(', '));
+  parts.push(zone.country || 'All countries');
+  return parts.join(' · ');
+};
+
+// Describe a zone's rate rule
+const describeRate = (zone) => {
+  switch (zone.rateType) {
+    case SHIPPING_RATE_TYPES.WEIGHT:
+      return `${formatCurrency(zone.baseRate || 0)} + ${formatCurrency(zone.perKgRate || 0)}/kg`;
+    case SHIPPING_RATE_TYPES.ORDER_VALUE:
+      return `${zone.tiers?.length || 0} tier${zone.tiers?.length !== 1 ? 's' : ''}`;
+    default:
+      return formatCurrency(zone.flatRate || 0);
+  }
+};
+
+const ShippingManagement = () => {
+  const [zones, setZones] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+
+  // Modal states
+  const [showModal, setShowModal] = useState(false);
+  const [modalMode, setModalMode] = useState('add'); // 'add' or 'edit'
+  const [currentZone, setCurrentZone] = useState(emptyZone);
+  const [formError, setFormError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Delete confirmation modal
+  const [zoneToDelete, setZoneToDelete] = useState(null);
+  const [deleteLoading, setDeleteLoading] = useState(false);
+  const [deleteError, setDeleteError] = useState(null);
+
+  const fetchZones = async () => {
+    try {
+      setLoading(true);
+      const zonesData = await getAllShippingZones();
+      setZones(zonesData);
+    } catch (err) {
+      console.error('Error fetching shipping zones:', err);
+      setError('Failed to load shipping zones. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch zones on component mount
+  useEffect(() => {
+    fetchZones();
+  }, []);
+
+  // Filter zones based on search term
+  const filteredZones = zones.filter(zone =>
+    zone.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    describeRegion(zone).toLowerCase().includes(searchTerm.toLowerCase())
+  );
+
+  const handleAddClick = () => {
+    setCurrentZone(emptyZone);
+    setModalMode('add');
+    setFormError(null);
+    setShowModal(true);
+  };
+
+  const handleEditClick = (zone) => {
+    setCurrentZone({
+      ...emptyZone,
+      ...zone,
+      states: (zone.states || []).join(', '),
+      cities: (zone.cities || []).join(', '),
+      flatRate: zone.flatRate?.toString() || '',
+      baseRate: zone.baseRate?.toString() || '',
+      perKgRate: zone.perKgRate?.toString() || '',
+      tiers: (zone.tiers || []).map(tier => ({
+        minOrderValue: tier.minOrderValue.toString(),
+        rate: tier.rate.toString()
+      })),
+      freeShippingThreshold: zone.freeShippingThreshold ? zone.freeShippingThreshold.toString() : '',
+      minDeliveryDays: zone.minDeliveryDays?.toString() || '',
+      maxDeliveryDays: zone.maxDeliveryDays?.toString() || ''
+    });
+    setModalMode('edit');
+    setFormError(null);
+    setShowModal(true);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setCurrentZone(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  // Order value tier rows
+  const handleTierChange = (index, field, value) => {
+    setCurrentZone(prev => ({
+      ...prev,
+      tiers: prev.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+    }));
+  };
+
+  const handleAddTier = () => {
+    setCurrentZone(prev => ({
+      ...prev,
+      tiers: [...prev.tiers, { minOrderValue: '', rate: '' }]
+    }));
+  };
+
+  const handleRemoveTier = (index) => {
+    setCurrentZone(prev => ({
+      ...prev,
+      tiers: prev.tiers.filter((_, i) => i !== index)
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+
+    if (!currentZone.name.trim()) {
+      setFormError('Zone name is required');
+      return;
+    }
+
+    const isInvalidAmount = (value) => value === '' || isNaN(parseFloat(value)) || parseFloat(value) < 0;
+
+    if (currentZone.rateType === SHIPPING_RATE_TYPES.FLAT && isInvalidAmount(currentZone.flatRate)) {
+      setFormError('Please enter a valid flat rate');
+      return;
+    }
+    if (currentZone.rateType === SHIPPING_RATE_TYPES.WEIGHT &&
+        (isInvalidAmount(currentZone.baseRate) || isInvalidAmount(currentZone.perKgRate))) {
+      setFormError('Please enter a valid base rate and rate per kg');
+      return;
+    }
+    if (currentZone.rateType === SHIPPING_RATE_TYPES.ORDER_VALUE) {
+      if (currentZone.tiers.length === 0) {
+        setFormError('Please add at least one order value tier');
+        return;
+      }
+      if (currentZone.tiers.some(tier => isInvalidAmount(tier.minOrderValue) || isInvalidAmount(tier.rate))) {
+        setFormError('Please enter a valid minimum order value and rate for every tier');
+        return;
+      }
+    }
+
+    const minDays = parseInt(currentZone.minDeliveryDays) || 0;
+    const maxDays = parseInt(currentZone.maxDeliveryDays) || 0;
+    if (minDays && maxDays && maxDays < minDays) {
+      setFormError('The maximum delivery time cannot be shorter than the minimum');
+      return;
+    }
+
+    const zoneData = {
+      name: currentZone.name.trim(),
+      country: currentZone.country.trim(),
+      states: parseRegionList(currentZone.states),
+      cities: parseRegionList(currentZone.cities),
+      rateType: currentZone.rateType,
+      flatRate: parseFloat(currentZone.flatRate) || 0,
+      baseRate: parseFloat(currentZone.baseRate) || 0,
+      perKgRate: parseFloat(currentZone.perKgRate) || 0,
+      tiers: currentZone.rateType === SHIPPING_RATE_TYPES.ORDER_VALUE
+        ? currentZone.tiers
+            .map(tier => ({ minOrderValue: parseFloat(tier.minOrderValue), rate: parseFloat(tier.rate) }))
+            .sort((a, b) => a.minOrderValue - b.minOrderValue)
+        : [],
+      freeShippingThreshold: parseFloat(currentZone.freeShippingThreshold) || 0,
+      minDeliveryDays: minDays,
+      maxDeliveryDays: maxDays,
+      active: currentZone.active
+    };
+
+    try {
+      setSubmitting(true);
+      if (modalMode === 'add') {
+        await addShippingZone(zoneData);
+      } else {
+        await updateShippingZone(currentZone.id, zoneData);
+      }
+      setShowModal(false);
+      fetchZones();
+    } catch (err) {
+      console.error('Error saving shipping zone:', err);
+      setFormError('Failed to save shipping zone. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const confirmDelete = async () => {
+    if (!zoneToDelete) return;
+
+    try {
+      setDeleteLoading(true);
+      setDeleteError(null);
+      await deleteShippingZone(zoneToDelete.id);
+      setZones(zones.filter(zone => zone.id !== zoneToDelete.id));
+      setZoneToDelete(null);
+    } catch (err) {
+      console.error('Error deleting shipping zone:', err);
+      setDeleteError('Failed to delete shipping zone. Please try again.');
+    } finally {
+      setDeleteLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner fullPage text="Loading shipping zones..." />;
+  }
+
+  return (
+    <Container className="py-5">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <Button variant="primary" onClick={handleAddClick}>
+          <i className="bi bi-plus-circle me-2"></i>
+          Add Shipping Zone
+        </Button>
+      </div>
+
+      {error && (
+        <ErrorAlert
+          error={error}
+          onClose={() => setError(null)}
+          className="mb-4"
+        />
+      )}
+
+      {zones.length === 0 && (
+        <p className="text-muted">
+          No shipping zones are configured, so every order currently ships for free.
+        </p>
+      )}
+
+      <Card className="shadow-sm mb-4">
+        <Card.Body>
+          <Row className="mb-3">
+            <Col md={6}>
+              <InputGroup>
+                <InputGroup.Text>
+                  <i className="bi bi-search"></i>
+                </InputGroup.Text>
+                <Form.Control
+                  placeholder="Search zones..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                />
+              </InputGroup>
+            </Col>
+            <Col md={6} className="d-flex align-items-center mt-3 mt-md-0">
+              <span className="ms-auto">
+                {filteredZones.length} zone{filteredZones.length !== 1 ? 's' : ''} found
+              </span>
+            </Col>
+          </Row>
+
+          {filteredZones.length === 0 ? (
+            <div className="text-center py-5">
+              <i className="bi bi-truck display-1 text-muted mb-3"></i>
+              <h5>No shipping zones found</h5>
+              <p className="text-muted">
+                {searchTerm ? 'Try adjusting your search to find what you\'re looking for.' : 'Click the "Add Shipping Zone" button to start charging for shipping.'}
+              </p>
+            </div>
+          ) : (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              transition={{ duration: 0.3 }}
+            >
+              <Table responsive hover className="align-middle">
+                <thead>
+                  <tr>
+                    <th>Zone</th>
+                    <th>Region</th>
+                    <th>Rate</th>
+                    <th>Free Over</th>
+                    <th>Delivery</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredZones.map(zone => (
+                    <tr key={zone.id}>
+                      <td className="fw-bold">{zone.name}</td>
+                      <td><small>{describeRegion(zone)}</small></td>
+                      <td>
+                        {describeRate(zone)}
+                        <small className="d-block text-muted">{SHIPPING_RATE_TYPE_LABELS[zone.rateType]}</small>
+                      </td>
+                      <td>{zone.freeShippingThreshold > 0 ? formatCurrency(zone.freeShippingThreshold) : '-'}</td>
+                      <td><small>{formatDeliveryEstimate({ minDays: zone.minDeliveryDays, maxDays: zone.maxDeliveryDays }) || '-'}</small></td>
+                      <td>
+                        <Badge bg={zone.active === false ? 'secondary' : 'success'}>
+                          {zone.active === false ? 'Inactive' : 'Active'}
+                        </Badge>
+                      </td>
+                      <td>
+                        <Button
+                          variant="outline-primary"
+                          size="sm"
+                          className="me-2"
+                          onClick={() => handleEditClick(zone)}
+                        >
+                          <i className="bi bi-pencil"></i> Edit
+                        </Button>
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          onClick={() => {
+                            setZoneToDelete(zone);
+                            setDeleteError(null);
+                          }}
+                        >
+                          <i className="bi bi-trash"></i> Delete
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </motion.div>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Add/Edit Zone Modal */}
+      <Modal show={showModal} onHide={() => setShowModal(false)} size="lg" centered>
+        <Modal.Header closeButton>
+          <Modal.Title>{modalMode === 'add' ? 'Add Shipping Zone' : 'Edit Shipping Zone'}</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleSubmit}>
+          <Modal.Body>
+            {formError && (
+              <ErrorAlert
+                error={formError}
+                onClose={() => setFormError(null)}
+                className="mb-3"
+              />
+            )}
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Zone Name</Form.Label>
+                  <Form.Control
+                    name="name"
+                    value={currentZone.name}
+                    onChange={handleChange}
+                    placeholder="e.g. Karachi Metro"
+                    disabled={submitting}
+                    autoFocus
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Country</Form.Label>
+                  <Form.Control
+                    name="country"
+                    value={currentZone.country}
+                    onChange={handleChange}
+                    placeholder="Leave empty for all countries"
+                    disabled={submitting}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>States/Provinces</Form.Label>
+                  <Form.Control
+                    name="states"
+                    value={currentZone.states}
+                    onChange={handleChange}
+                    placeholder="e.g. Sindh, Punjab"
+                    disabled={submitting}
+                  />
+                  <Form.Text className="text-muted">Comma separated. Leave empty for the whole country.</Form.Text>
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Cities</Form.Label>
+                  <Form.Control
+                    name="cities"
+                    value={currentZone.cities}
+                    onChange={handleChange}
+                    placeholder="e.g. Karachi, Hyderabad"
+                    disabled={submitting}
+                  />
+                  <Form.Text className="text-muted">Comma separated. Leave empty for every city.</Form.Text>
+                </Form.Group>
+              </Col>
+            </Row>
+            <Form.Text className="text-muted d-block mb-3">
+              When several zones match an address, the most specific one (city, then state, then country) is used.
+            </Form.Text>
+
+            <Row>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Rate Type</Form.Label>
+                  <Form.Select name="rateType" value={currentZone.rateType} onChange={handleChange} disabled={submitting}>
+                    {Object.entries(SHIPPING_RATE_TYPE_LABELS).map(([type, label]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              {currentZone.rateType === SHIPPING_RATE_TYPES.FLAT && (
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Flat Rate</Form.Label>
+                    <Form.Control
+                      type="number"
+                      name="flatRate"
+                      min="0"
+                      step="0.01"
+                      value={currentZone.flatRate}
+                      onChange={handleChange}
+                      disabled={submitting}
+                    />
+                  </Form.Group>
+                </Col>
+              )}
+              {currentZone.rateType === SHIPPING_RATE_TYPES.WEIGHT && (
+                <>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Base Rate</Form.Label>
+                      <Form.Control
+                        type="number"
+                        name="baseRate"
+                        min="0"
+                        step="0.01"
+                        value={currentZone.baseRate}
+                        onChange={handleChange}
+                        disabled={submitting}
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Rate per kg</Form.Label>
+                      <Form.Control
+                        type="number"
+                        name="perKgRate"
+                        min="0"
+                        step="0.01"
+                        value={currentZone.perKgRate}
+                        onChange={handleChange}
+                        disabled={submitting}
+                      />
+                      <Form.Text className="text-muted">Charged per started kg</Form.Text>
+                    </Form.Group>
+                  </Col>
+                </>
+              )}
+            </Row>
+
+            {currentZone.rateType === SHIPPING_RATE_TYPES.ORDER_VALUE && (
+              <div className="mb-3">
+                <Form.Label>Order Value Tiers</Form.Label>
+                {currentZone.tiers.map((tier, index) => (
+                  <InputGroup key={index} className="mb-2">
+                    <InputGroup.Text>Orders from</InputGroup.Text>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      value={tier.minOrderValue}
+                      onChange={(e) => handleTierChange(index, 'minOrderValue', e.target.value)}
+                      disabled={submitting}
+                    />
+                    <InputGroup.Text>cost</InputGroup.Text>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={tier.rate}
+                      onChange={(e) => handleTierChange(index, 'rate', e.target.value)}
+                      disabled={submitting}
+                    />
+                    <Button variant="outline-danger" onClick={() => handleRemoveTier(index)} disabled={submitting}>
+                      <i className="bi bi-x"></i>
+                    </Button>
+                  </InputGroup>
+                ))}
+                <Button variant="outline-secondary" size="sm" onClick={handleAddTier} disabled={submitting}>
+                  <i className="bi bi-plus me-1"></i>
+                  Add Tier
+                </Button>
+              </div>
+            )}
+
+            <Row>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Free Shipping Over</Form.Label>
+                  <Form.Control
+                    type="number"
+                    name="freeShippingThreshold"
+                    min="0"
+                    value={currentZone.freeShippingThreshold}
+                    onChange={handleChange}
+                    placeholder="Never free"
+                    disabled={submitting}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Min. Delivery Days</Form.Label>
+                  <Form.Control
+                    type="number"
+                    name="minDeliveryDays"
+                    min="0"
+                    step="1"
+                    value={currentZone.minDeliveryDays}
+                    onChange={handleChange}
+                    disabled={submitting}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Max. Delivery Days</Form.Label>
+                  <Form.Control
+                    type="number"
+                    name="maxDeliveryDays"
+                    min="0"
+                    step="1"
+                    value={currentZone.maxDeliveryDays}
+                    onChange={handleChange}
+                    disabled={submitting}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Form.Check
+              type="switch"
+              id="zoneActive"
+              name="active"
+              label="Active"
+              checked={currentZone.active}
+              onChange={handleChange}
+              disabled={submitting}
+            />
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowModal(false)} disabled={submitting}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={submitting}>
+              {submitting ? (
+                <>
+                  <LoadingSpinner size="sm" text="" />
+                  <span className="ms-2">Saving...</span>
+                </>
+              ) : (
+                modalMode === 'add' ? 'Add Zone' : 'Update Zone'
+              )}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Delete Confirmation Modal */}
+      <Modal show={Boolean(zoneToDelete)} onHide={() => setZoneToDelete(null)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Confirm Deletion</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {deleteError && (
+            <ErrorAlert
+              error={deleteError}
+              onClose={() => setDeleteError(null)}
+              className="mb-3"
+            />
+          )}
+          <p>Are you sure you want to delete the shipping zone <strong>{zoneToDelete?.name}</strong>?</p>
+          <p className="text-muted">Addresses it covers will no longer be able to check out unless another zone matches them.</p>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setZoneToDelete(null)} disabled={deleteLoading}>
+            Cancel
+          </Button>
+          <Button variant="danger" onClick={confirmDelete} disabled={deleteLoading}>
+            {deleteLoading ? <LoadingSpinner size="sm" text="" /> : 'Delete Zone'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </Container>
+  );
+};
+
+export default ShippingManagement;
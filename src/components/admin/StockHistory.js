@@ -0,0 +1,328 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Badge, Button, Form, Row, Col, Alert } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { getProductById, getInventoryLedger, adjustProductStock } from '../../services/firestore';
+import { formatDate } from '../../utils/helpers';
+import { hasVariants, describeVariant } from '../../utils/variants';
+import { INVENTORY_REASON_DETAILS } from '../../utils/inventory';
+import Barcode from '../common/Barcode';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ErrorAlert from '../common/ErrorAlert';
+
+// Current stock per variant ('' for a product without variants): [{ variantId, name, sku, barcode, quantity }]
+const getStockRows = (product) => (hasVariants(product)
+  ? product.variants.map(variant => ({
+    variantId: variant.id,
+    name: describeVariant(product.variantOptions || [], variant.options || {}),
+    sku: variant.sku || '',
+    barcode: variant.barcode || '',
+    quantity: variant.stockQuantity || 0
+  }))
+  : [{ variantId: '', name: null, sku: product.sku || '', barcode: product.barcode || '', quantity: product.stockQuantity || 0 }]);
+
+const formatChange = (change) => (change > 0 ? `+${change}` : String(change));
+
+// A product's stock levels and inventory ledger, newest first, with a form for manual adjustments
+const StockHistory = ({ productId }) => {
+  const { currentUser, userRole } = useAuth();
+  const [product, setProduct] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reasonFilter, setReasonFilter] = useState('');
+  const [adjustment, setAdjustment] = useState({ variantId: '', change: '', note: '' });
+  const [adjusting, setAdjusting] = useState(false);
+  const [adjustError, setAdjustError] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setError(null);
+      const [productData, ledger] = await Promise.all([getProductById(productId), getInventoryLedger(productId)]);
+      if (!productData) {
+        throw new Error('Product not found');
+      }
+      setProduct(productData);
+      setEntries(ledger);
+    } catch (err) {
+      console.error('Error fetching stock history:', err);
+      setError(err.message || 'Failed to load stock history. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [productId]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  // The admin as recorded on inventory ledger entries
+  const getActor = () => ({
+    uid: currentUser.uid,
+    name: currentUser.displayName || '',
+    email: currentUser.email || '',
+    role: userRole
+  });
+
+  const handleAdjustmentChange = (e) => {
+    const { name, value } = e.target;
+    setAdjustment(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAdjust = async (e) => {
+    e.preventDefault();
+    const change = parseInt(adjustment.change);
+    if (isNaN(change) || change === 0 || String(change) !== adjustment.change.trim()) {
+      setAdjustError('Enter a whole number to add (or, with a minus sign, to remove)');
+      return;
+    }
+    if (!adjustment.note.trim()) {
+      setAdjustError('Please say why the stock is changing');
+      return;
+    }
+    if (hasVariants(product) && !adjustment.variantId) {
+      setAdjustError('Please choose a variant');
+      return;
+    }
+
+    try {
+      setAdjusting(true);
+      setAdjustError(null);
+      await adjustProductStock(productId, {
+        variantId: adjustment.variantId || null,
+        change,
+        note: adjustment.note.trim()
+      }, getActor());
+      setAdjustment({ variantId: adjustment.variantId, change: '', note: '' });
+      await fetchData();
+    } catch (err) {
+      console.error('Error adjusting stock:', err);
+      setAdjustError(err.message || 'Failed to adjust stock. Please try again.');
+    } finally {
+      setAdjusting(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner text="Loading stock history..." />;
+  }
+
+  if (!product) {
+    return (
+      <>
+        <ErrorAlert error={error || 'Product not found'} dismissible={false} />
+        <Button as={Link} to="/admin/products" variant="outline-secondary">
+          Back to Products
+        </Button>
+      </>
+    );
+  }
+
+  const stockRows = getStockRows(product);
+  const withVariants = hasVariants(product);
+  const variantNames = new Map(stockRows.map(row => [row.variantId, row.name]));
+
+  // Stock the ledger doesn't account for: what each product or variant held before its history began
+  const untracked = stockRows
+    .map(row => ({
+      ...row,
+      quantity: row.quantity - entries
+        .filter(entry => (entry.variantId || '') === row.variantId)
+        .reduce((sum, entry) => sum + entry.change, 0)
+    }))
+    .filter(row => row.quantity !== 0);
+
+  const visibleEntries = reasonFilter ? entries.filter(entry => entry.reason === reasonFilter) : entries;
+
+  return (
+    <>
+      {error && (
+        <ErrorAlert error={error} onClose={() => setError(null)} className="mb-4" />
+      )}
+
+      <Card className="shadow-sm mb-4">
+        <Card.Body>
+          <div className="d-flex flex-wrap justify-content-between align-items-start gap-3 mb-3">
+            <div>
+              <h4 className="mb-1">{product.name}</h4>
+              {product.sku && <div className="text-muted">SKU: <code>{product.sku}</code></div>}
+            </div>
+            {product.barcode && <Barcode value={product.barcode} />}
+            <div className="d-flex gap-2">
+              <Button as={Link} to={`/admin/products/edit/${productId}`} variant="outline-primary" size="sm">
+                <i className="bi bi-pencil me-1"></i> Edit Product
+              </Button>
+              <Button as={Link} to="/admin/products" variant="outline-secondary" size="sm">
+                Back to Products
+              </Button>
+            </div>
+          </div>
+
+          <Table size="sm" className="mb-0 align-middle">
+            <thead>
+              <tr>
+                {withVariants && <th>Variant</th>}
+                <th>SKU</th>
+                <th>Barcode</th>
+                <th className="text-end">In stock</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stockRows.map(row => (
+                <tr key={row.variantId || 'product'}>
+                  {withVariants && <td>{row.name}</td>}
+                  <td><code>{row.sku || '—'}</code></td>
+                  <td><code>{row.barcode || '—'}</code></td>
+                  <td className={`text-end fw-bold ${row.quantity > 0 ? '' : 'text-danger'}`}>{row.quantity}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
+
+      <Card className="shadow-sm mb-4">
+        <Card.Body>
+          <h5 className="mb-3">Adjust Stock</h5>
+          {adjustError && (
+            <ErrorAlert error={adjustError} onClose={() => setAdjustError(null)} className="mb-3" />
+          )}
+          <Form onSubmit={handleAdjust}>
+            <Row className="g-2 align-items-end">
+              {withVariants && (
+                <Col md={3}>
+                  <Form.Group controlId="adjustVariant">
+                    <Form.Label>Variant</Form.Label>
+                    <Form.Select name="variantId" value={adjustment.variantId} onChange={handleAdjustmentChange} disabled={adjusting}>
+                      <option value="">Choose...</option>
+                      {stockRows.map(row => (
+                        <option key={row.variantId} value={row.variantId}>{row.name}</option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+              )}
+              <Col md={2}>
+                <Form.Group controlId="adjustChange">
+                  <Form.Label>Add / remove</Form.Label>
+                  <Form.Control
+                    type="number"
+                    step="1"
+                    name="change"
+                    placeholder="e.g. 10 or -2"
+                    value={adjustment.change}
+                    onChange={handleAdjustmentChange}
+                    disabled={adjusting}
+                  />
+                </Form.Group>
+              </Col>
+              <Col>
+                <Form.Group controlId="adjustNote">
+                  <Form.Label>Reason</Form.Label>
+                  <Form.Control
+                    type="text"
+                    name="note"
+                    placeholder="e.g. Delivery from supplier, stock count, damaged"
+                    value={adjustment.note}
+                    onChange={handleAdjustmentChange}
+                    disabled={adjusting}
+                  />
+                </Form.Group>
+              </Col>
+              <Col xs="auto">
+                <Button type="submit" variant="primary" disabled={adjusting}>
+                  {adjusting ? 'Saving...' : 'Record Adjustment'}
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+        </Card.Body>
+      </Card>
+
+      <Card className="shadow-sm">
+        <Card.Body>
+          <div className="d-flex justify-content-between align-items-center mb-3">
+            <h5 className="mb-0">History</h5>
+            <Form.Select
+              size="sm"
+              value={reasonFilter}
+              onChange={(e) => setReasonFilter(e.target.value)}
+              style={{ maxWidth: '220px' }}
+              aria-label="Filter by reason"
+            >
+              <option value="">All changes</option>
+              {Object.entries(INVENTORY_REASON_DETAILS).map(([reason, { label }]) => (
+                <option key={reason} value={reason}>{label}</option>
+              ))}
+            </Form.Select>
+          </div>
+
+          {visibleEntries.length === 0 && untracked.length === 0 ? (
+            <p className="text-muted mb-0">No stock changes recorded yet.</p>
+          ) : (
+            <Table responsive hover size="sm" className="align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  {withVariants && <th>Variant</th>}
+                  <th>Reason</th>
+                  <th className="text-end">Change</th>
+                  <th className="text-end">Stock after</th>
+                  <th>Details</th>
+                  <th>By</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleEntries.map(entry => {
+                  const reason = INVENTORY_REASON_DETAILS[entry.reason] || { label: entry.reason, variant: 'secondary' };
+                  return (
+                    <tr key={entry.id}>
+                      <td className="text-nowrap">{formatDate(entry.createdAt)}</td>
+                      {withVariants && (
+                        <td>{entry.variantName || variantNames.get(entry.variantId || '') || '—'}</td>
+                      )}
+                      <td><Badge bg={reason.variant}>{reason.label}</Badge></td>
+                      <td className={`text-end fw-bold ${entry.change > 0 ? 'text-success' : 'text-danger'}`}>
+                        {formatChange(entry.change)}
+                      </td>
+                      <td className="text-end">{entry.quantityAfter}</td>
+                      <td className="small">
+                        {entry.orderId && <div>Order #{entry.orderId.substring(0, 8).toUpperCase()}</div>}
+                        {entry.note && <div className="text-muted">{entry.note}</div>}
+                      </td>
+                      <td className="small">
+                        {entry.actor
+                          ? `${entry.actor.name || entry.actor.email || entry.actor.uid}${entry.actor.role ? ` (${entry.actor.role})` : ''}`
+                          : '—'}
+                      </td>
+                    </tr>
+                  );
+                })}
+                {!reasonFilter && untracked.map(row => (
+                  <tr key={`untracked-${row.variantId}`} className="table-light">
+                    <td className="text-muted">Before history</td>
+                    {withVariants && <td>{row.name}</td>}
+                    <td><Badge bg="light" text="dark">Not recorded</Badge></td>
+                    <td className="text-end fw-bold">{formatChange(row.quantity)}</td>
+                    <td className="text-end">{row.quantity}</td>
+                    <td className="small text-muted" colSpan={2}>
+                      Stock held before the inventory ledger started
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+
+      {withVariants && (
+        <Alert variant="light" className="small text-muted mt-3 mb-0">
+          The product's total stock is the sum of its variants.
+        </Alert>
+      )}
+    </>
+  );
+};
+
+export default StockHistory;
@@ -0,0 +1,445 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Table, Button, Form, Modal, Row, Col, Card, InputGroup, Badge } from 'react-bootstrap';
+import { motion } from 'framer-motion';
+import {
+  getAllTaxRates,
+  addTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+  getAllCategories
+} from '../../services/firestore';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ErrorAlert from '../common/ErrorAlert';
+
+const emptyTaxRate = {
+  id: '',
+  name: '',
+  country: 'Pakistan',
+  states: '',
+  categoryIds: [],
+  rate: '',
+  inclusive: false,
+  active: true
+};
+
+// Split a comma separated list of provinces into trimmed, non-empty names
+const parseRegionList = (value) => (
+  value.split(',').map(region => region.trim()).filter(Boolean)
+);
+
+const TaxManagement = () => {
+  const [taxRates, setTaxRates] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+
+  // Modal states
+  const [showModal, setShowModal] = useState(false);
+  const [modalMode, setModalMode] = useState('add'); // 'add' or 'edit'
+  const [currentTaxRate, setCurrentTaxRate] = useState(emptyTaxRate);
+  const [formError, setFormError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Delete confirmation modal
+  const [taxRateToDelete, setTaxRateToDelete] = useState(null);
+  const [deleteLoading, setDeleteLoading] = useState(false);
+  const [deleteError, setDeleteError] = useState(null);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [taxRatesData, categoriesData] = await Promise.all([
+        getAllTaxRates(),
+        getAllCategories()
+      ]);
+      setTaxRates(taxRatesData);
+      setCategories(categoriesData);
+    } catch (err) {
+      console.error('Error fetching tax rates:', err);
+      setError('Failed to load tax rates. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch tax rates on component mount
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  // Describe the region a tax rate covers
+  const describeRegion = (taxRate) => {
+    const country = taxRate.country || 'All countries';
+    return taxRate.states?.length ? `${taxRate.states.join(', ')} · ${country}` : country;
+  };
+
+  // Describe the categories a tax rate covers
+  const describeCategories = (taxRate) => {
+    if (!taxRate.categoryIds?.length) return 'All categories';
+    return taxRate.categoryIds
+      .map(id => categories.find(category => category.id === id)?.name || 'Unknown')
+      .join(', ');
+  };
+
+  // Filter tax rates based on search term
+  const filteredTaxRates = taxRates.filter(taxRate =>
+    taxRate.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    describeRegion(taxRate).toLowerCase().includes(searchTerm.toLowerCase())
+  );
+
+  const handleAddClick = () => {
+    setCurrentTaxRate(emptyTaxRate);
+    setModalMode('add');
+    setFormError(null);
+    setShowModal(true);
+  };
+
+  const handleEditClick = (taxRate) => {
+    setCurrentTaxRate({
+      ...emptyTaxRate,
+      ...taxRate,
+      states: (taxRate.states || []).join(', '),
+      categoryIds: taxRate.categoryIds || [],
+      rate: taxRate.rate?.toString() || ''
+    });
+    setModalMode('edit');
+    setFormError(null);
+    setShowModal(true);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setCurrentTaxRate(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  const handleCategoriesChange = (e) => {
+    const categoryIds = Array.from(e.target.selectedOptions).map(option => option.value);
+    setCurrentTaxRate(prev => ({ ...prev, categoryIds }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+
+    const rate = parseFloat(currentTaxRate.rate);
+    if (!currentTaxRate.name.trim()) {
+      setFormError('Tax name is required');
+      return;
+    }
+    if (isNaN(rate) || rate <= 0 || rate > 100) {
+      setFormError('Please enter a rate between 0 and 100');
+      return;
+    }
+
+    const taxRateData = {
+      name: currentTaxRate.name.trim(),
+      country: currentTaxRate.country.trim(),
+      states: parseRegionList(currentTaxRate.states),
+      categoryIds: currentTaxRate.categoryIds,
+      rate,
+      inclusive: currentTaxRate.inclusive,
+      active: currentTaxRate.active
+    };
+
+    try {
+      setSubmitting(true);
+      if (modalMode === 'add') {
+        await addTaxRate(taxRateData);
+      } else {
+        await updateTaxRate(currentTaxRate.id, taxRateData);
+      }
+      setShowModal(false);
+      fetchData();
+    } catch (err) {
+      console.error('Error saving tax rate:', err);
+      setFormError('Failed to save tax rate. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const confirmDelete = async () => {
+    if (!taxRateToDelete) return;
+
+    try {
+      setDeleteLoading(true);
+      setDeleteError(null);
+      await deleteTaxRate(taxRateToDelete.id);
+      setTaxRates(taxRates.filter(taxRate => taxRate.id !== taxRateToDelete.id));
+      setTaxRateToDelete(null);
+    } catch (err) {
+      console.error('Error deleting tax rate:', err);
+      setDeleteError('Failed to delete tax rate. Please try again.');
+    } finally {
+      setDeleteLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner fullPage text="Loading tax rates..." />;
+  }
+
+  return (
+    <Container className="py-5">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <Button variant="primary" onClick={handleAddClick}>
+          <i className="bi bi-plus-circle me-2"></i>
+          Add Tax Rate
+        </Button>
+      </div>
+
+      {error && (
+        <ErrorAlert
+          error={error}
+          onClose={() => setError(null)}
+          className="mb-4"
+        />
+      )}
+
+      <p className="text-muted">
+        Every active rate that matches an order's shipping address and a product's category is applied to that line,
+        so national and provincial taxes can be combined. Inclusive rates are treated as already part of the product price.
+      </p>
+
+      <Card className="shadow-sm mb-4">
+        <Card.Body>
+          <Row className="mb-3">
+            <Col md={6}>
+              <InputGroup>
+                <InputGroup.Text>
+                  <i className="bi bi-search"></i>
+                </InputGroup.Text>
+                <Form.Control
+                  placeholder="Search tax rates..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                />
+              </InputGroup>
+            </Col>
+            <Col md={6} className="d-flex align-items-center mt-3 mt-md-0">
+              <span className="ms-auto">
+                {filteredTaxRates.length} tax rate{filteredTaxRates.length !== 1 ? 's' : ''} found
+              </span>
+            </Col>
+          </Row>
+
+          {filteredTaxRates.length === 0 ? (
+            <div className="text-center py-5">
+              <i className="bi bi-percent display-1 text-muted mb-3"></i>
+              <h5>No tax rates found</h5>
+              <p className="text-muted">
+                {searchTerm ? 'Try adjusting your search to find what you\'re looking for.' : 'Click the "Add Tax Rate" button to start charging tax.'}
+              </p>
+            </div>
+          ) : (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              transition={{ duration: 0.3 }}
+            >
+              <Table responsive hover className="align-middle">
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Rate</th>
+                    <th>Region</th>
+                    <th>Categories</th>
+                    <th>Pricing</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredTaxRates.map(taxRate => (
+                    <tr key={taxRate.id}>
+                      <td className="fw-bold">{taxRate.name}</td>
+                      <td>{taxRate.rate}%</td>
+                      <td><small>{describeRegion(taxRate)}</small></td>
+                      <td><small>{describeCategories(taxRate)}</small></td>
+                      <td>{taxRate.inclusive ? 'Inclusive' : 'Exclusive'}</td>
+                      <td>
+                        <Badge bg={taxRate.active === false ? 'secondary' : 'success'}>
+                          {taxRate.active === false ? 'Inactive' : 'Active'}
+                        </Badge>
+                      </td>
+                      <td>
+                        <Button
+                          variant="outline-primary"
+                          size="sm"
+                          className="me-2"
+                          onClick={() => handleEditClick(taxRate)}
+                        >
+                          <i className="bi bi-pencil"></i> Edit
+                        </Button>
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          onClick={() => {
+                            setTaxRateToDelete(taxRate);
+                            setDeleteError(null);
+                          }}
+                        >
+                          <i className="bi bi-trash"></i> Delete
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </motion.div>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Add/Edit Tax Rate Modal */}
+      <Modal show={showModal} onHide={() => setShowModal(false)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>{modalMode === 'add' ? 'Add Tax Rate' : 'Edit Tax Rate'}</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleSubmit}>
+          <Modal.Body>
+            {formError && (
+              <ErrorAlert
+                error={formError}
+                onClose={() => setFormError(null)}
+                className="mb-3"
+              />
+            )}
+            <Row>
+              <Col md={8}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Name</Form.Label>
+                  <Form.Control
+                    name="name"
+                    value={currentTaxRate.name}
+                    onChange={handleChange}
+                    placeholder="e.g. Sales Tax"
+                    disabled={submitting}
+                    autoFocus
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Rate (%)</Form.Label>
+                  <Form.Control
+                    type="number"
+                    name="rate"
+                    min="0"
+                    max="100"
+                    step="0.01"
+                    value={currentTaxRate.rate}
+                    onChange={handleChange}
+                    disabled={submitting}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Form.Group className="mb-3">
+              <Form.Label>Country</Form.Label>
+              <Form.Control
+                name="country"
+                value={currentTaxRate.country}
+                onChange={handleChange}
+                placeholder="Leave empty for all countries"
+                disabled={submitting}
+              />
+            </Form.Group>
+            <Form.Group className="mb-3">
+              <Form.Label>Provinces/States</Form.Label>
+              <Form.Control
+                name="states"
+                value={currentTaxRate.states}
+                onChange={handleChange}
+                placeholder="e.g. Punjab, Sindh"
+                disabled={submitting}
+              />
+              <Form.Text className="text-muted">Comma separated. Leave empty for the whole country.</Form.Text>
+            </Form.Group>
+            <Form.Group className="mb-3">
+              <Form.Label>Categories</Form.Label>
+              <Form.Select
+                multiple
+                value={currentTaxRate.categoryIds}
+                onChange={handleCategoriesChange}
+                disabled={submitting}
+                style={{ height: '120px' }}
+              >
+                {categories.map(category => (
+                  <option key={category.id} value={category.id}>{category.name}</option>
+                ))}
+              </Form.Select>
+              <Form.Text className="text-muted">Leave empty to tax every category.</Form.Text>
+            </Form.Group>
+            <Form.Check
+              type="switch"
+              id="taxInclusive"
+              name="inclusive"
+              label="Prices already include this tax"
+              checked={currentTaxRate.inclusive}
+              onChange={handleChange}
+              disabled={submitting}
+              className="mb-2"
+            />
+            <Form.Check
+              type="switch"
+              id="taxActive"
+              name="active"
+              label="Active"
+              checked={currentTaxRate.active}
+              onChange={handleChange}
+              disabled={submitting}
+            />
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowModal(false)} disabled={submitting}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={submitting}>
+              {submitting ? (
+                <>
+                  <LoadingSpinner size="sm" text="" />
+                  <span className="ms-2">Saving...</span>
+                </>
+              ) : (
+                modalMode === 'add' ? 'Add Tax Rate' : 'Update Tax Rate'
+              )}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Delete Confirmation Modal */}
+      <Modal show={Boolean(taxRateToDelete)} onHide={() => setTaxRateToDelete(null)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Confirm Deletion</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {deleteError && (
+            <ErrorAlert
+              error={deleteError}
+              onClose={() => setDeleteError(null)}
+              className="mb-3"
+            />
+          )}
+          <p>Are you sure you want to delete the tax rate <strong>{taxRateToDelete?.name}</strong>?</p>
+          <p className="text-muted">Existing orders keep the tax they were charged.</p>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setTaxRateToDelete(null)} disabled={deleteLoading}>
+            Cancel
+          </Button>
+          <Button variant="danger" onClick={confirmDelete} disabled={deleteLoading}>
+            {deleteLoading ? <LoadingSpinner size="sm" text="" /> : 'Delete Tax Rate'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </Container>
+  );
+};
+
+export default TaxManagement;
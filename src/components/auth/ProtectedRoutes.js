@@ -33,6 +33,17 @@ export function CustomerRoute({ children }) {
     <Navigate to={currentUser ? "/unauthorized" : "/login"} />;
 }
 
+// Route for shopping pages: open to guests and customers, but not admins
+export function ShopperRoute({ children }) {
+  const { currentUser, isCustomer, loading } = useAuth();
+  
+  if (loading) return <div>Loading...</div>;
+  
+  return !currentUser || isCustomer ? 
+    children : 
+    <Navigate to="/unauthorized" />;
+}
+
 // Route accessible only to non-authenticated users
 export function PublicRoute({ children }) {
   const { currentUser, loading } = useAuth();
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { Form, Button, Card, Container, Row, Col, Alert } from 'react-bootstrap';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../../contexts/AuthContext';
 import { isValidEmail, isStrongPassword } from '../../utils/helpers';
@@ -8,9 +8,12 @@ import LoadingSpinner from '../common/LoadingSpinner';
 import ErrorAlert from '../common/ErrorAlert';
 
 const Signup = () => {
+  // Guests arriving from order tracking have their checkout details prefilled
+  const location = useLocation();
+  const guestOrder = location.state?.orderNumber ? location.state : null;
   const [formData, setFormData] = useState({
-    fullName: '',
-    email: '',
+    fullName: guestOrder?.fullName || '',
+    email: guestOrder?.email || '',
     password: '',
     confirmPassword: ''
   });
@@ -69,6 +72,7 @@ const Signup = () => {
     
     try {
       setLoading(true);
+      // Past guest orders are attached once the email is verified and the customer signs in
       await signup(formData.email, formData.password, formData.fullName);
       navigate('/');
     } catch (err) {
@@ -0,0 +1,35 @@
+import React from 'react';
+import { encodeCode128 } from '../../utils/barcode';
+
+// A Code 128 barcode as SVG, with the text printed underneath
+const Barcode = ({ value, height = 48, moduleWidth = 1.5, className = '' }) => {
+  let encoded;
+  try {
+    encoded = encodeCode128(value);
+  } catch (error) {
+    // Characters Code 128 can't encode: show the text alone
+    return <code className={className}>{value}</code>;
+  }
+
+  const width = encoded.width * moduleWidth;
+  return (
+    <svg
+      className={className}
+      width={width}
+      height={height + 16}
+      viewBox={`0 0 ${width} ${height + 16}`}
+      role="img"
+      aria-label={`Barcode ${value}`}
+    >
+      <rect width={width} height={height + 16} fill="#fff" />
+      {encoded.bars.map(bar => (
+        <rect key={bar.x} x={bar.x * moduleWidth} y={0} width={bar.width * moduleWidth} height={height} fill="#000" />
+      ))}
+      <text x={width / 2} y={height + 13} textAnchor="middle" fontSize="12" fontFamily="monospace">
+        {value}
+      </text>
+    </svg>
+  );
+};
+
+export default Barcode;
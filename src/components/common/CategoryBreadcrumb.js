@@ -0,0 +1,30 @@
+import React from 'react';
+import { Breadcrumb } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { getCategoryPath } from '../../utils/categories';
+
+// Home › Products › Clothing › Men › current. Categories link to their landing pages;
+// without a current label the category itself is the last, unlinked item.
+const CategoryBreadcrumb = ({ categories, categoryId, current, rootLabel = 'Products', rootPath = '/products', className = 'mb-4' }) => {
+  const path = categoryId ? getCategoryPath(categories, categoryId) : [];
+  const currentLabel = current ?? (path.length > 0 ? path.pop().name : null);
+
+  return (
+    <Breadcrumb className={className}>
+      <Breadcrumb.Item linkAs={Link} linkProps={{ to: '/' }}>Home</Breadcrumb.Item>
+      {currentLabel ? (
+        <Breadcrumb.Item linkAs={Link} linkProps={{ to: rootPath }}>{rootLabel}</Breadcrumb.Item>
+      ) : (
+        <Breadcrumb.Item active>{rootLabel}</Breadcrumb.Item>
+      )}
+      {path.map(category => (
+        <Breadcrumb.Item key={category.id} linkAs={Link} linkProps={{ to: `/categories/${category.id}` }}>
+          {category.name}
+        </Breadcrumb.Item>
+      ))}
+      {currentLabel && <Breadcrumb.Item active>{currentLabel}</Breadcrumb.Item>}
+    </Breadcrumb>
+  );
+};
+
+export default CategoryBreadcrumb;
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { Dropdown, Button } from 'react-bootstrap';
+import { flattenCategoryTree, getCategoryPath, getCategoryPathLabel } from '../../utils/categories';
+
+// Category picker showing the category tree, with expandable branches.
+// disabledIds can't be picked (e.g. a category and its subcategories when choosing its parent);
+// pass noneLabel to offer an empty choice, such as "None (top level)".
+const CategoryTreePicker = ({
+  id,
+  categories,
+  value,
+  onChange,
+  disabled = false,
+  disabledIds = [],
+  placeholder = 'Select a category',
+  noneLabel
+}) => {
+  const [show, setShow] = useState(false);
+  const [expandedIds, setExpandedIds] = useState(() => new Set());
+
+  const rows = flattenCategoryTree(categories);
+
+  // Open with the branches leading to the current choice expanded
+  const handleToggle = (nextShow) => {
+    if (nextShow && value) {
+      setExpandedIds(prev => new Set([...prev, ...getCategoryPath(categories, value).map(category => category.id)]));
+    }
+    setShow(nextShow);
+  };
+
+  const toggleExpanded = (categoryId) => {
+    setExpandedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(categoryId)) next.delete(categoryId);
+      else next.add(categoryId);
+      return next;
+    });
+  };
+
+  const handleSelect = (categoryId) => {
+    onChange(categoryId);
+    setShow(false);
+  };
+
+  // Only rows whose ancestors are all expanded are shown
+  const visibleRows = [];
+  let collapsedDepth = Infinity;
+  rows.forEach((row, index) => {
+    if (row.depth > collapsedDepth) return;
+    const hasChildren = rows[index + 1]?.depth > row.depth;
+    const expanded = expandedIds.has(row.category.id);
+    collapsedDepth = hasChildren && !expanded ? row.depth : Infinity;
+    visibleRows.push({ ...row, hasChildren, expanded });
+  });
+
+  const selectedLabel = value ? getCategoryPathLabel(categories, value) : '';
+
+  return (
+    <Dropdown show={show} onToggle={handleToggle} autoClose="outside">
+      <Dropdown.Toggle
+        id={id}
+        variant="outline-secondary"
+        className="w-100 d-flex justify-content-between align-items-center text-start bg-white text-body"
+        disabled={disabled}
+      >
+        <span className={`text-truncate ${selectedLabel ? '' : 'text-muted'}`}>
+          {selectedLabel || (value === '' && noneLabel) || placeholder}
+        </span>
+      </Dropdown.Toggle>
+
+      <Dropdown.Menu className="w-100" style={{ maxHeight: '320px', overflowY: 'auto' }}>
+        {noneLabel && (
+          <Dropdown.Item as="button" type="button" active={!value} onClick={() => handleSelect('')}>
+            {noneLabel}
+          </Dropdown.Item>
+        )}
+        {visibleRows.length === 0 && !noneLabel && (
+          <Dropdown.ItemText className="text-muted">No categories yet</Dropdown.ItemText>
+        )}
+        {visibleRows.map(({ category, depth, hasChildren, expanded }) => (
+          <div key={category.id} className="d-flex align-items-center" style={{ paddingLeft: `${depth * 1.25}rem` }}>
+            {hasChildren ? (
+              <Button
+                variant="link"
+                size="sm"
+                className="p-0 ms-2 text-body"
+                onClick={() => toggleExpanded(category.id)}
+                aria-expanded={expanded}
+                aria-label={`${expanded ? 'Collapse' : 'Expand'} ${category.name}`}
+              >
+                <i className={`bi ${expanded ? 'bi-chevron-down' : 'bi-chevron-right'}`}></i>
+              </Button>
+            ) : (
+              <span className="ms-2" style={{ width: '1rem' }}></span>
+            )}
+            <Dropdown.Item
+              as="button"
+              type="button"
+              className="ps-2"
+              active={category.id === value}
+              disabled={disabledIds.includes(category.id)}
+              onClick={() => handleSelect(category.id)}
+            >
+              {category.name}
+            </Dropdown.Item>
+          </div>
+        ))}
+      </Dropdown.Menu>
+    </Dropdown>
+  );
+};
+
+export default CategoryTreePicker;
@@ -4,6 +4,7 @@ import { Navbar, Nav, Container, Button, NavDropdown, Badge } from 'react-bootst
 import { useAuth } from '../../contexts/AuthContext';
 import { useCart } from '../../contexts/CartContext';
 import { motion } from 'framer-motion';
+import NavbarSearch from './NavbarSearch';
 import './Navbar.css';
 
 const AppNavbar = () => {
@@ -80,39 +81,47 @@ const AppNavbar = () => {
                     <NavDropdown.Item as={Link} to="/admin/users">Users</NavDropdown.Item>
                     <NavDropdown.Item as={Link} to="/admin/home-content">Home Content</NavDropdown.Item>
                     <NavDropdown.Item as={Link} to="/admin/orders">Orders</NavDropdown.Item>
+                    <NavDropdown.Item as={Link} to="/admin/coupons">Coupons</NavDropdown.Item>
+                    <NavDropdown.Item as={Link} to="/admin/shipping">Shipping</NavDropdown.Item>
+                    <NavDropdown.Item as={Link} to="/admin/taxes">Taxes</NavDropdown.Item>
+                    <NavDropdown.Item as={Link} to="/admin/reviews">Reviews</NavDropdown.Item>
                     <NavDropdown.Item as={Link} to="/admin/chats">Customer Chat</NavDropdown.Item>
                   </NavDropdown>
                 </motion.div>
               )}
             </Nav>
+          {!isAdmin && <NavbarSearch />}
           <Nav>
+            {(!currentUser || isCustomer) && (
+              <motion.div 
+                custom={3} 
+                variants={navItemVariants}
+                whileHover={{ scale: 1.1 }}
+              >
+                <Nav.Link as={Link} to="/cart" className="nav-link-animated position-relative">
+                  <i className="bi bi-cart"></i> Cart
+                  {itemCount > 0 && (
+                    <Badge 
+                      pill 
+                      bg="danger" 
+                      className="position-absolute cart-badge"
+                    >
+                      {itemCount}
+                    </Badge>
+                  )}
+                </Nav.Link>
+              </motion.div>
+            )}
             {currentUser ? (
               <>
-                {isCustomer && (
-                  <motion.div 
-                    custom={3} 
-                    variants={navItemVariants}
-                    whileHover={{ scale: 1.1 }}
-                  >
-                    <Nav.Link as={Link} to="/cart" className="nav-link-animated position-relative">
-                      <i className="bi bi-cart"></i> Cart
-                      {itemCount > 0 && (
-                        <Badge 
-                          pill 
-                          bg="danger" 
-                          className="position-absolute cart-badge"
-                        >
-                          {itemCount}
-                        </Badge>
-                      )}
-                    </Nav.Link>
-                  </motion.div>
-                )}
                 <motion.div custom={4} variants={navItemVariants}>
                   <NavDropdown title={currentUser.displayName || 'Account'} id="user-dropdown" className="nav-dropdown-animated">
                     <NavDropdown.Item as={Link} to="/profile">Profile</NavDropdown.Item>
                     {isCustomer && (
-                      <NavDropdown.Item as={Link} to="/orders">Orders</NavDropdown.Item>
+                      <>
+                        <NavDropdown.Item as={Link} to="/orders">Orders</NavDropdown.Item>
+                        <NavDropdown.Item as={Link} to="/wishlist">Wishlist</NavDropdown.Item>
+                      </>
                     )}
                     <NavDropdown.Divider />
                     <NavDropdown.Item onClick={handleLogout}>Logout</NavDropdown.Item>
@@ -121,6 +130,15 @@ const AppNavbar = () => {
               </>
             ) : (
               <>
+                <motion.div 
+                  custom={3} 
+                  variants={navItemVariants}
+                  whileHover={{ scale: 1.1 }}
+                >
+                  <Nav.Link as={Link} to="/track-order" className="nav-link-animated me-2">
+                    <i className="bi bi-box-seam"></i> Track Order
+                  </Nav.Link>
+                </motion.div>
                 <motion.div 
                   custom={3} 
                   variants={navItemVariants}
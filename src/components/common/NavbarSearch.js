@@ -0,0 +1,276 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Form, InputGroup, Button } from 'react-bootstrap';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { loadCatalog } from '../../services/catalog';
+import { debounce, formatCurrency, optimizeCloudinaryImage } from '../../utils/helpers';
+import { getSearchIndex, searchProducts } from '../../utils/search';
+
+const MAX_PRODUCT_SUGGESTIONS = 5;
+const MAX_CATEGORY_SUGGESTIONS = 3;
+const MAX_RECENT_SEARCHES = 5;
+
+// Recent searches are kept on this device, separately for each account
+const getRecentSearchesKey = (userId) => `recent_searches_${userId || 'guest'}`;
+
+const loadRecentSearches = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(getRecentSearchesKey(userId))) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Product search box with typeahead suggestions: matching products, categories and recent searches
+const NavbarSearch = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid;
+  const [query, setQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [catalog, setCatalog] = useState(null);
+  const [recentSearches, setRecentSearches] = useState(() => loadRecentSearches(userId));
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const containerRef = useRef(null);
+
+  const updateDebouncedQuery = useMemo(() => debounce(setDebouncedQuery, 200), []);
+
+  // Show the current search while browsing results, clear it elsewhere
+  useEffect(() => {
+    const params = new URLSearchParams(location.search);
+    const currentSearch = location.pathname === '/products' ? params.get('search') || '' : '';
+    setQuery(currentSearch);
+    setDebouncedQuery(currentSearch);
+    setOpen(false);
+  }, [location.pathname, location.search]);
+
+  useEffect(() => {
+    setRecentSearches(loadRecentSearches(userId));
+  }, [userId]);
+
+  // Close the suggestions when clicking elsewhere on the page
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleFocus = () => {
+    setOpen(true);
+    if (!catalog) {
+      loadCatalog()
+        .then(setCatalog)
+        .catch(error => console.error('Error loading search suggestions:', error));
+    }
+  };
+
+  // Suggestions as one flat list, so arrow keys move through every section in order
+  const term = debouncedQuery.trim();
+  const suggestions = useMemo(() => {
+    if (!term) {
+      return recentSearches.map(search => ({ type: 'recent', id: `recent-${search}`, label: search }));
+    }
+    if (!catalog) return [];
+
+    const lowerTerm = term.toLowerCase();
+    const categories = catalog.categories
+      .filter(category => category.name.toLowerCase().includes(lowerTerm))
+      .slice(0, MAX_CATEGORY_SUGGESTIONS)
+      .map(category => ({ type: 'category', id: `category-${category.id}`, label: category.name, category }));
+    const products = searchProducts(getSearchIndex(catalog.products, catalog.categories), term)
+      .slice(0, MAX_PRODUCT_SUGGESTIONS)
+      .map(({ product }) => ({ type: 'product', id: `product-${product.id}`, label: product.name, product }));
+
+    return [...products, ...categories];
+  }, [term, catalog, recentSearches]);
+
+  // Start from no active option whenever the suggestions change
+  useEffect(() => {
+    setActiveIndex(-1);
+  }, [suggestions]);
+
+  const saveRecentSearch = (search) => {
+    const updated = [search, ...recentSearches.filter(item => item.toLowerCase() !== search.toLowerCase())]
+      .slice(0, MAX_RECENT_SEARCHES);
+    setRecentSearches(updated);
+    try {
+      localStorage.setItem(getRecentSearchesKey(userId), JSON.stringify(updated));
+    } catch (error) {
+      console.error('Error saving recent searches:', error);
+    }
+  };
+
+  const clearRecentSearches = () => {
+    setRecentSearches([]);
+    localStorage.removeItem(getRecentSearchesKey(userId));
+  };
+
+  const runSearch = (search) => {
+    const trimmed = search.trim();
+    setOpen(false);
+    if (trimmed) saveRecentSearch(trimmed);
+    navigate(trimmed ? `/products?search=${encodeURIComponent(trimmed)}` : '/products');
+  };
+
+  const selectSuggestion = (suggestion) => {
+    setOpen(false);
+    if (suggestion.type === 'product') {
+      if (term) saveRecentSearch(term);
+      navigate(`/products/${suggestion.product.id}`);
+    } else if (suggestion.type === 'category') {
+      navigate(`/products?category=${encodeURIComponent(suggestion.category.id)}`);
+    } else {
+      runSearch(suggestion.label);
+    }
+  };
+
+  const handleChange = (e) => {
+    setQuery(e.target.value);
+    updateDebouncedQuery(e.target.value);
+    setOpen(true);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch(query);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      if (suggestions.length > 0) setActiveIndex((activeIndex + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (suggestions.length > 0) setActiveIndex(activeIndex <= 0 ? suggestions.length - 1 : activeIndex - 1);
+    } else if (e.key === 'Enter' && open && activeIndex >= 0) {
+      e.preventDefault();
+      selectSuggestion(suggestions[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  const showSuggestions = open && suggestions.length > 0;
+  const listboxId = 'navbar-search-suggestions';
+  const getOptionId = (suggestion) => `navbar-search-${suggestion.id}`;
+
+  // Announced to screen readers as the suggestions change
+  let announcement = '';
+  if (open && term && catalog) {
+    const productCount = suggestions.filter(suggestion => suggestion.type === 'product').length;
+    const categoryCount = suggestions.length - productCount;
+    announcement = suggestions.length === 0
+      ? 'No suggestions. Press Enter to search.'
+      : `${productCount} product${productCount === 1 ? '' : 's'} and ${categoryCount} categor${categoryCount === 1 ? 'y' : 'ies'} suggested. Use the up and down arrows to choose.`;
+  } else if (open && !term && suggestions.length > 0) {
+    announcement = `${suggestions.length} recent search${suggestions.length === 1 ? '' : 'es'}. Use the up and down arrows to choose.`;
+  }
+
+  const renderSuggestion = (suggestion, index) => {
+    const active = index === activeIndex;
+    const imageUrl = suggestion.product?.imageUrls?.[0] || suggestion.product?.imageUrl;
+    return (
+      <li
+        key={suggestion.id}
+        id={getOptionId(suggestion)}
+        role="option"
+        aria-selected={active}
+        className={`d-flex align-items-center px-3 py-2 navbar-search-option ${active ? 'active' : ''}`}
+        onMouseDown={(e) => e.preventDefault()}
+        onClick={() => selectSuggestion(suggestion)}
+        onMouseEnter={() => setActiveIndex(index)}
+      >
+        {suggestion.type === 'product' && (
+          <>
+            <img
+              src={optimizeCloudinaryImage(imageUrl, 80) || '/placeholder-product.jpg'}
+              alt=""
+              width="40"
+              height="40"
+              className="rounded me-2 flex-shrink-0"
+              style={{ objectFit: 'contain', backgroundColor: '#f8f9fa' }}
+            />
+            <span className="flex-grow-1 text-truncate">{suggestion.label}</span>
+            <small className="text-muted ms-2">{formatCurrency(suggestion.product.price)}</small>
+          </>
+        )}
+        {suggestion.type === 'category' && (
+          <>
+            <i className="bi bi-tag me-2 text-muted" aria-hidden="true"></i>
+            <span className="flex-grow-1">{suggestion.label}</span>
+            <small className="text-muted">Category</small>
+          </>
+        )}
+        {suggestion.type === 'recent' && (
+          <>
+            <i className="bi bi-clock-history me-2 text-muted" aria-hidden="true"></i>
+            <span className="flex-grow-1 text-truncate">{suggestion.label}</span>
+          </>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div ref={containerRef} className="position-relative my-2 my-lg-0 me-lg-3 navbar-search">
+      <Form className="d-flex" role="search" onSubmit={handleSubmit}>
+        <InputGroup size="sm">
+          <Form.Control
+            type="search"
+            placeholder="Search products..."
+            aria-label="Search products"
+            role="combobox"
+            aria-autocomplete="list"
+            aria-expanded={showSuggestions}
+            aria-controls={listboxId}
+            aria-activedescendant={showSuggestions && activeIndex >= 0 ? getOptionId(suggestions[activeIndex]) : undefined}
+            autoComplete="off"
+            value={query}
+            onChange={handleChange}
+            onFocus={handleFocus}
+            onKeyDown={handleKeyDown}
+          />
+          <Button type="submit" variant="light" aria-label="Search">
+            <i className="bi bi-search"></i>
+          </Button>
+        </InputGroup>
+      </Form>
+
+      {showSuggestions && (
+        <div className="navbar-search-menu bg-white rounded shadow">
+          {!term && (
+            <div className="d-flex justify-content-between align-items-center px-3 pt-2 small text-muted">
+              <span>Recent searches</span>
+              <Button
+                variant="link"
+                size="sm"
+                className="p-0"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={clearRecentSearches}
+              >
+                Clear
+              </Button>
+            </div>
+          )}
+          <ul id={listboxId} role="listbox" aria-label="Search suggestions" className="list-unstyled mb-0 py-1">
+            {suggestions.map(renderSuggestion)}
+          </ul>
+        </div>
+      )}
+
+      <div className="visually-hidden" role="status" aria-live="polite">
+        {announcement}
+      </div>
+    </div>
+  );
+};
+
+export default NavbarSearch;
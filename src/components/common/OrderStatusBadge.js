@@ -0,0 +1,15 @@
+import React from 'react';
+import { Badge } from 'react-bootstrap';
+import { getOrderStatusDetails } from '../../utils/orderStatus';
+
+const OrderStatusBadge = ({ status, className = '' }) => {
+  const { label, variant } = getOrderStatusDetails(status);
+
+  return (
+    <Badge bg={variant} text={variant === 'light' ? 'dark' : undefined} className={className}>
+      {label}
+    </Badge>
+  );
+};
+
+export default OrderStatusBadge;
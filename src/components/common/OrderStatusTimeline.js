@@ -0,0 +1,36 @@
+import React from 'react';
+import { ListGroup } from 'react-bootstrap';
+import OrderStatusBadge from './OrderStatusBadge';
+import { formatDate } from '../../utils/helpers';
+
+// Renders an order's statusHistory, oldest change first
+const OrderStatusTimeline = ({ history = [], showActor = false }) => {
+  if (!history.length) {
+    return <p className="text-muted small mb-0">No status history recorded for this order.</p>;
+  }
+
+  return (
+    <ListGroup variant="flush">
+      {history.map((entry, index) => (
+        <ListGroup.Item key={index} className="px-0 bg-transparent">
+          <div className="d-flex justify-content-between align-items-center">
+            <div>
+              <OrderStatusBadge status={entry.status} className="me-2" />
+              {entry.note && <span className="small">{entry.note}</span>}
+            </div>
+            <small className="text-muted">{formatDate(entry.changedAt)}</small>
+          </div>
+          {showActor && entry.changedBy && (
+            <small className="text-muted d-block mt-1">
+              <i className="bi bi-person me-1"></i>
+              {entry.changedBy.name || entry.changedBy.email || entry.changedBy.uid}
+              {entry.changedBy.role && ` (${entry.changedBy.role})`}
+            </small>
+          )}
+        </ListGroup.Item>
+      ))}
+    </ListGroup>
+  );
+};
+
+export default OrderStatusTimeline;
@@ -0,0 +1,18 @@
+import React from 'react';
+import { Badge } from 'react-bootstrap';
+import { getPaymentStatusDetails } from '../../utils/paymentStatus';
+
+const PaymentStatusBadge = ({ status, className = '' }) => {
+  // Orders placed before payment tracking have no payment status
+  if (!status) return null;
+
+  const { label, variant } = getPaymentStatusDetails(status);
+
+  return (
+    <Badge bg={variant} className={className}>
+      {label}
+    </Badge>
+  );
+};
+
+export default PaymentStatusBadge;
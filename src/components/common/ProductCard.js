@@ -1,14 +1,14 @@
 import React from 'react';
 import { Card, Button } from 'react-bootstrap';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { formatCurrency, truncateText } from '../../utils/helpers';
 import { optimizeImage } from '../../services/cloudinaryService';
-import { useAuth } from '../../contexts/AuthContext';
+import { hasVariants } from '../../utils/variants';
+import StarRating from './StarRating';
+import WishlistButton from './WishlistButton';
 
 const ProductCard = ({ product, onAddToCart }) => {
-  const { currentUser } = useAuth();
-  const navigate = useNavigate();
   if (!product) return null;
 
   const {
@@ -29,6 +29,10 @@ const ProductCard = ({ product, onAddToCart }) => {
   // Optimize image URL with Cloudinary
   const optimizedImageUrl = optimizeImage(mainImageUrl, 300);
 
+  // Products with variants are added to the cart from their details page, once options are chosen
+  const withVariants = hasVariants(product);
+  const variedPrices = withVariants && product.variants.some(variant => variant.price !== price);
+
   return (
     <motion.div
       whileHover={{ y: -5 }}
@@ -43,16 +47,27 @@ const ProductCard = ({ product, onAddToCart }) => {
             className="product-image"
             style={{ objectFit: 'contain', backgroundColor: '#f8f9fa' }}
           />
+          <WishlistButton
+            item={{ id, name, price, category, weight: product.weight || 0, imageUrl: mainImageUrl }}
+            size="sm"
+            className="position-absolute top-0 end-0 m-2 rounded-circle shadow-sm"
+          />
         </div>
         <Card.Body className="d-flex flex-column">
           <Card.Title className="product-title">{name}</Card.Title>
           <Card.Subtitle className="mb-2 text-muted">{category}</Card.Subtitle>
+          {product.ratingCount > 0 && (
+            <StarRating value={product.ratingAverage} count={product.ratingCount} size="0.85rem" className="mb-2" />
+          )}
           <Card.Text className="product-description">
             {truncateText(description, 80)}
           </Card.Text>
           <div className="mt-auto">
             <div className="d-flex justify-content-between align-items-center mb-2">
-              <span className="product-price fw-bold">{formatCurrency(price)}</span>
+              <span className="product-price fw-bold">
+                {variedPrices && <small className="text-muted fw-normal">From </small>}
+                {formatCurrency(price)}
+              </span>
               {inStock !== undefined && (
                 <small className={`badge ${inStock ? 'bg-success' : 'bg-danger'}`}>
                   {inStock ? 'In Stock' : 'Out of Stock'}
@@ -68,22 +83,26 @@ const ProductCard = ({ product, onAddToCart }) => {
               >
                 View Details
               </Button>
-              {onAddToCart && (
+              {onAddToCart && (withVariants ? (
                 <Button 
+                  as={Link} 
+                  to={`/products/${id}`} 
                   variant="primary" 
-                  onClick={() => {
-                    if (!currentUser) {
-                      navigate('/login', { state: { message: 'Login to buy products' } });
-                    } else {
-                      onAddToCart(product);
-                    }
-                  }}
+                  className="flex-grow-1"
+                  disabled={inStock === false}
+                >
+                  <i className="bi bi-sliders"></i> Choose Options
+                </Button>
+              ) : (
+                <Button 
+                  variant="primary" 
+                  onClick={() => onAddToCart(product)}
                   className="flex-grow-1"
                   disabled={inStock === false}
                 >
                   <i className="bi bi-cart-plus"></i> Add to Cart
                 </Button>
-              )}
+              ))}
             </div>
           </div>
         </Card.Body>
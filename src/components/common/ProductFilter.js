@@ -1,26 +1,58 @@
-import React, { useState, useEffect } from 'react';
-import { Form, Row, Col, Button, InputGroup } from 'react-bootstrap';
+import React, { useState, useEffect, useRef } from 'react';
+import { Form, Row, Col, Button, InputGroup, Dropdown } from 'react-bootstrap';
 import { motion } from 'framer-motion';
 import { debounce } from '../../utils/helpers';
-import { getAllCategories } from '../../services/firestore';
+import { loadCategories } from '../../services/catalog';
+import { flattenCategoryTree } from '../../utils/categories';
 
-const ProductFilter = ({ onFilterChange }) => {
+const DEFAULT_FILTERS = {
+  searchTerm: '',
+  category: '',
+  minPrice: '',
+  maxPrice: '',
+  sortBy: 'relevance',
+  attributes: {},
+  inStock: false,
+  minRating: 0
+};
+
+// facets (optional) come from getFacets: attribute values, in-stock and rating options with result counts.
+// Without them, onShowFacets (optional) offers a button to load them.
+const ProductFilter = ({ initialFilters, facets, facetsLoading = false, onShowFacets, onFilterChange }) => {
   const [categories, setCategories] = useState([]);
-  const [filters, setFilters] = useState({
-    searchTerm: '',
-    category: '',
-    minPrice: '',
-    maxPrice: '',
-    sortBy: 'newest'
-  });
+  const [filters, setFilters] = useState(() => Object.fromEntries(
+    Object.entries(DEFAULT_FILTERS).map(([name, defaultValue]) => [name, initialFilters?.[name] ?? defaultValue])
+  ));
   const [loading, setLoading] = useState(false);
+  
+  // Latest filters, so a pending debounced change never undoes a facet chosen since
+  const latestFiltersRef = useRef(filters);
+  
+  // Search term and category last sent to onFilterChange, to tell our own changes from outside ones
+  const appliedFiltersRef = useRef({ searchTerm: filters.searchTerm, category: filters.category });
+  
+  // Pick up a search term or category set outside the form, e.g. from the navbar or a "did you mean" suggestion
+  const externalSearchTerm = initialFilters?.searchTerm;
+  const externalCategory = initialFilters?.category;
+  useEffect(() => {
+    const externalFilters = {};
+    if (externalSearchTerm !== undefined && externalSearchTerm !== appliedFiltersRef.current.searchTerm) {
+      externalFilters.searchTerm = externalSearchTerm;
+    }
+    if (externalCategory !== undefined && externalCategory !== appliedFiltersRef.current.category) {
+      externalFilters.category = externalCategory;
+    }
+    if (Object.keys(externalFilters).length === 0) return;
+    appliedFiltersRef.current = { ...appliedFiltersRef.current, ...externalFilters };
+    setFilters(prev => ({ ...prev, ...externalFilters }));
+  }, [externalSearchTerm, externalCategory]);
 
   // Fetch categories on component mount
   useEffect(() => {
     const fetchCategories = async () => {
       try {
         setLoading(true);
-        const categoriesData = await getAllCategories();
+        const categoriesData = await loadCategories();
         setCategories(categoriesData);
       } catch (error) {
         console.error('Error fetching categories:', error);
@@ -32,30 +64,53 @@ const ProductFilter = ({ onFilterChange }) => {
     fetchCategories();
   }, []);
 
-  // Debounced filter change handler
-  const debouncedFilterChange = debounce((newFilters) => {
+  const applyFilters = () => {
+    const newFilters = latestFiltersRef.current;
+    appliedFiltersRef.current = { searchTerm: newFilters.searchTerm, category: newFilters.category };
     onFilterChange(newFilters);
-  }, 300);
+  };
+  
+  const updateFilters = (newFilters) => {
+    latestFiltersRef.current = newFilters;
+    setFilters(newFilters);
+  };
+
+  // Debounced filter change handler
+  const debouncedFilterChange = debounce(applyFilters, 300);
 
   // Handle input changes
   const handleInputChange = (e) => {
     const { name, value } = e.target;
-    const newFilters = { ...filters, [name]: value };
-    setFilters(newFilters);
-    debouncedFilterChange(newFilters);
+    updateFilters({ ...filters, [name]: value });
+    debouncedFilterChange();
+  };
+
+  // Facets apply straight away
+  const handleAttributeToggle = (name, option) => {
+    const selected = filters.attributes[name] || [];
+    const values = option.selected
+      ? selected.filter(value => value.toLowerCase() !== option.value.toLowerCase())
+      : [...selected, option.value];
+    const attributes = { ...filters.attributes, [name]: values };
+    if (values.length === 0) delete attributes[name];
+    updateFilters({ ...filters, attributes });
+    applyFilters();
+  };
+
+  const handleInStockChange = (e) => {
+    updateFilters({ ...filters, inStock: e.target.checked });
+    applyFilters();
+  };
+
+  const handleRatingChange = (e) => {
+    updateFilters({ ...filters, minRating: parseFloat(e.target.value) || 0 });
+    applyFilters();
   };
 
   // Handle form reset
   const handleReset = () => {
-    const resetFilters = {
-      searchTerm: '',
-      category: '',
-      minPrice: '',
-      maxPrice: '',
-      sortBy: 'newest'
-    };
-    setFilters(resetFilters);
-    onFilterChange(resetFilters);
+    updateFilters(DEFAULT_FILTERS);
+    applyFilters();
   };
 
   return (
@@ -94,9 +149,9 @@ const ProductFilter = ({ onFilterChange }) => {
               disabled={loading || categories.length === 0}
             >
               <option value="">All Categories</option>
-              {categories.map(category => (
+              {flattenCategoryTree(categories).map(({ category, depth }) => (
                 <option key={category.id} value={category.id}>
-                  {category.name}
+                  {'\u00a0\u00a0'.repeat(depth)}{category.name}
                 </option>
               ))}
             </Form.Select>
@@ -139,11 +194,13 @@ const ProductFilter = ({ onFilterChange }) => {
               value={filters.sortBy}
               onChange={handleInputChange}
             >
+              <option value="relevance">Best Match</option>
               <option value="newest">Newest First</option>
               <option value="priceAsc">Price: Low to High</option>
               <option value="priceDesc">Price: High to Low</option>
               <option value="nameAsc">Name: A to Z</option>
               <option value="nameDesc">Name: Z to A</option>
+              <option value="rating">Top Rated</option>
             </Form.Select>
           </Form.Group>
         </div>
@@ -158,6 +215,70 @@ const ProductFilter = ({ onFilterChange }) => {
           </Button>
         </div>
       </Form>
+      
+      {!facets && onShowFacets && (
+        <div className="mt-3 pt-3 border-top">
+          <Button variant="outline-secondary" size="sm" onClick={onShowFacets} disabled={facetsLoading}>
+            <i className="bi bi-sliders me-2"></i>
+            {facetsLoading ? 'Loading filters...' : 'More filters'}
+          </Button>
+        </div>
+      )}
+      
+      {facets && (
+        <div className="d-flex flex-wrap align-items-center gap-2 mt-3 pt-3 border-top">
+          {facets.attributes.map(facet => {
+            const selectedCount = facet.values.filter(option => option.selected).length;
+            return (
+              <Dropdown key={facet.name} autoClose="outside">
+                <Dropdown.Toggle
+                  size="sm"
+                  variant={selectedCount > 0 ? 'primary' : 'outline-secondary'}
+                  id={`facet-${facet.name}`}
+                >
+                  {facet.name}{selectedCount > 0 && ` (${selectedCount})`}
+                </Dropdown.Toggle>
+                <Dropdown.Menu style={{ maxHeight: '300px', overflowY: 'auto' }}>
+                  {facet.values.map(option => (
+                    <div key={option.value} className="px-3 py-1">
+                      <Form.Check
+                        type="checkbox"
+                        id={`facet-${facet.name}-${option.value}`}
+                        label={<>{option.value} <span className="text-muted">({option.count})</span></>}
+                        checked={option.selected}
+                        disabled={!option.selected && option.count === 0}
+                        onChange={() => handleAttributeToggle(facet.name, option)}
+                      />
+                    </div>
+                  ))}
+                </Dropdown.Menu>
+              </Dropdown>
+            );
+          })}
+          <Form.Select
+            size="sm"
+            style={{ width: 'auto' }}
+            aria-label="Minimum rating"
+            value={filters.minRating}
+            onChange={handleRatingChange}
+          >
+            <option value={0}>Any rating</option>
+            {facets.ratings.map(({ rating, count }) => (
+              <option key={rating} value={rating}>
+                {rating}★ & up ({count})
+              </option>
+            ))}
+          </Form.Select>
+          <Form.Check
+            type="switch"
+            id="inStockOnly"
+            className="ms-2 mb-0"
+            label={`In stock only (${facets.inStockCount})`}
+            checked={filters.inStock}
+            onChange={handleInStockChange}
+          />
+        </div>
+      )}
     </motion.div>
   );
 };
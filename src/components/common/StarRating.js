@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+
+const STARS = [1, 2, 3, 4, 5];
+
+// Star rating display; pass onChange to let the user pick a rating
+const StarRating = ({ value = 0, count, onChange, size = '1rem', className = '' }) => {
+  const [hoverValue, setHoverValue] = useState(null);
+  const shownValue = hoverValue ?? value;
+
+  const getStarIcon = (star) => {
+    if (shownValue >= star) return 'bi-star-fill';
+    if (shownValue >= star - 0.5) return 'bi-star-half';
+    return 'bi-star';
+  };
+
+  if (onChange) {
+    return (
+      <div className={`d-inline-flex ${className}`} role="radiogroup" aria-label="Rating">
+        {STARS.map(star => (
+          <button
+            key={star}
+            type="button"
+            className="btn btn-link p-0 me-1 text-warning"
+            style={{ fontSize: size }}
+            role="radio"
+            aria-checked={value === star}
+            aria-label={`${star} star${star > 1 ? 's' : ''}`}
+            onClick={() => onChange(star)}
+            onMouseEnter={() => setHoverValue(star)}
+            onMouseLeave={() => setHoverValue(null)}
+          >
+            <i className={`bi ${getStarIcon(star)}`}></i>
+          </button>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <span className={`d-inline-flex align-items-center ${className}`} title={`${value} out of 5`}>
+      <span className="text-warning" style={{ fontSize: size }} aria-hidden="true">
+        {STARS.map(star => (
+          <i key={star} className={`bi ${getStarIcon(star)}`}></i>
+        ))}
+      </span>
+      <span className="visually-hidden">{value} out of 5 stars</span>
+      {count !== undefined && (
+        <small className="text-muted ms-1">({count})</small>
+      )}
+    </span>
+  );
+};
+
+export default StarRating;
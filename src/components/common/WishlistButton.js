@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { Button } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { useWishlist } from '../../contexts/WishlistContext';
+import { getCartLineId } from '../../utils/variants';
+
+// Heart toggle that saves an item to the customer's wishlist; guests are sent to sign in
+const WishlistButton = ({ item, size, className = '' }) => {
+  const { currentUser, isCustomer } = useAuth();
+  const { isInWishlist, toggleWishlist } = useWishlist();
+  const navigate = useNavigate();
+  const [saving, setSaving] = useState(false);
+
+  // Admins have no wishlist
+  if (currentUser && !isCustomer) return null;
+
+  const saved = Boolean(currentUser) && isInWishlist(getCartLineId(item));
+
+  const handleClick = async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (!currentUser) {
+      navigate('/login', { state: { message: 'Sign in to save items to your wishlist.' } });
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await toggleWishlist(item);
+    } catch (err) {
+      console.error('Error updating wishlist:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Button
+      variant="light"
+      size={size}
+      className={`text-danger ${className}`}
+      onClick={handleClick}
+      disabled={saving}
+      aria-pressed={saved}
+      aria-label={saved ? 'Remove from wishlist' : 'Save to wishlist'}
+      title={saved ? 'Remove from wishlist' : 'Save to wishlist'}
+    >
+      <i className={`bi ${saved ? 'bi-heart-fill' : 'bi-heart'}`}></i>
+    </Button>
+  );
+};
+
+export default WishlistButton;
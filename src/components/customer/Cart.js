@@ -1,14 +1,48 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Button, Table, Image, Form, Alert } from 'react-bootstrap';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useCart } from '../../contexts/CartContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { useWishlist } from '../../contexts/WishlistContext';
+import { getAllTaxRates, getUserById } from '../../services/firestore';
+import { calculateTax } from '../../utils/tax';
+import { getCartLineId } from '../../utils/variants';
 import { formatCurrency } from '../../utils/helpers';
 import { optimizeImage } from '../../services/cloudinaryService';
 import LoadingSpinner from '../common/LoadingSpinner';
+import CouponCodeInput from './CouponCodeInput';
 
 const Cart = () => {
-  const { items, total, itemCount, loading, error, removeFromCart, updateQuantity, clearCart } = useCart();
+  const { items, total, itemCount, discount, coupon, loading, error, removeFromCart, updateQuantity, clearCart } = useCart();
+  const { currentUser } = useAuth();
+  const { addToWishlist } = useWishlist();
+  const [savingId, setSavingId] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const [taxRates, setTaxRates] = useState([]);
+  const [taxAddress, setTaxAddress] = useState({ country: 'Pakistan' });
+
+  // Estimate tax from the customer's saved address until they enter one at checkout
+  useEffect(() => {
+    const fetchTaxData = async () => {
+      try {
+        const [taxRatesData, userData] = await Promise.all([
+          getAllTaxRates(),
+          currentUser?.uid ? getUserById(currentUser.uid) : null
+        ]);
+        setTaxRates(taxRatesData);
+        if (userData?.country) {
+          setTaxAddress({ country: userData.country, state: userData.state });
+        }
+      } catch (err) {
+        console.error('Error fetching tax rates:', err);
+      }
+    };
+
+    fetchTaxData();
+  }, [currentUser]);
+
+  const taxSummary = calculateTax(taxRates, items, taxAddress, { discount });
 
   if (loading) {
     return <LoadingSpinner fullPage text="Loading your cart..." />;
@@ -52,17 +86,38 @@ const Cart = () => {
     );
   }
 
-  const handleQuantityChange = (productId, newQuantity) => {
-    updateQuantity(productId, parseInt(newQuantity));
+  const handleQuantityChange = (lineId, newQuantity) => {
+    updateQuantity(lineId, parseInt(newQuantity));
+  };
+
+  const handleRemoveItem = (lineId) => {
+    removeFromCart(lineId);
   };
 
-  const handleRemoveItem = (productId) => {
-    removeFromCart(productId);
+  // Move a line out of the cart and into the wishlist
+  const handleSaveForLater = async (item) => {
+    const lineId = getCartLineId(item);
+    try {
+      setSavingId(lineId);
+      setSaveError(null);
+      await addToWishlist(item);
+      removeFromCart(lineId);
+    } catch (err) {
+      console.error('Error saving item for later:', err);
+      setSaveError('Failed to save the item for later. Please try again.');
+    } finally {
+      setSavingId(null);
+    }
   };
 
   return (
     <Container className="py-5">
       <h1 className="mb-4">Your Shopping Cart</h1>
+      {saveError && (
+        <Alert variant="danger" onClose={() => setSaveError(null)} dismissible>
+          {saveError}
+        </Alert>
+      )}
       <Row>
         <Col lg={8}>
           <motion.div
@@ -84,7 +139,7 @@ const Cart = () => {
                   </thead>
                   <tbody>
                     {items.map((item) => (
-                      <tr key={item.id}>
+                      <tr key={getCartLineId(item)}>
                         <td>
                           <div className="d-flex align-items-center">
                             <Image 
@@ -101,7 +156,21 @@ const Cart = () => {
                                   {item.name}
                                 </Link>
                               </h6>
+                              {item.variantName && (
+                                <small className="d-block">{item.variantName}</small>
+                              )}
                               <small className="text-muted">{item.category}</small>
+                              {currentUser && (
+                                <Button
+                                  variant="link"
+                                  size="sm"
+                                  className="d-block p-0"
+                                  onClick={() => handleSaveForLater(item)}
+                                  disabled={savingId === getCartLineId(item)}
+                                >
+                                  Save for later
+                                </Button>
+                              )}
                             </div>
                           </div>
                         </td>
@@ -112,7 +181,7 @@ const Cart = () => {
                             min="1"
                             max="99"
                             value={item.quantity}
-                            onChange={(e) => handleQuantityChange(item.id, e.target.value)}
+                            onChange={(e) => handleQuantityChange(getCartLineId(item), e.target.value)}
                             style={{ width: '70px' }}
                           />
                         </td>
@@ -121,7 +190,7 @@ const Cart = () => {
                           <Button
                             variant="outline-danger"
                             size="sm"
-                            onClick={() => handleRemoveItem(item.id)}
+                            onClick={() => handleRemoveItem(getCartLineId(item))}
                           >
                             <i className="bi bi-trash"></i>
                           </Button>
@@ -136,10 +205,18 @@ const Cart = () => {
                   <i className="bi bi-x-circle me-2"></i>
                   Clear Cart
                 </Button>
-                <Button as={Link} to="/products" variant="outline-primary">
-                  <i className="bi bi-arrow-left me-2"></i>
-                  Continue Shopping
-                </Button>
+                <div>
+                  {currentUser && (
+                    <Button as={Link} to="/wishlist" variant="outline-secondary" className="me-2">
+                      <i className="bi bi-heart me-2"></i>
+                      Wishlist
+                    </Button>
+                  )}
+                  <Button as={Link} to="/products" variant="outline-primary">
+                    <i className="bi bi-arrow-left me-2"></i>
+                    Continue Shopping
+                  </Button>
+                </div>
               </Card.Footer>
             </Card>
           </motion.div>
@@ -155,19 +232,39 @@ const Cart = () => {
                 <h5 className="mb-0">Order Summary</h5>
               </Card.Header>
               <Card.Body>
+                <CouponCodeInput />
                 <div className="d-flex justify-content-between mb-2">
                   <span>Items ({itemCount}):</span>
                   <span>{formatCurrency(total)}</span>
                 </div>
+                {discount > 0 && (
+                  <div className="d-flex justify-content-between mb-2 text-success">
+                    <span>Discount ({coupon.code}):</span>
+                    <span>-{formatCurrency(discount)}</span>
+                  </div>
+                )}
+                {taxSummary.breakdown.map(entry => (
+                  <div key={entry.taxRateId} className="d-flex justify-content-between mb-2">
+                    <span>
+                      {entry.name} ({entry.rate}%{entry.inclusive ? ', included' : ''}):
+                    </span>
+                    <span className={entry.inclusive ? 'text-muted' : ''}>{formatCurrency(entry.amount)}</span>
+                  </div>
+                ))}
                 <div className="d-flex justify-content-between mb-2">
                   <span>Shipping:</span>
-                  <span>Free</span>
+                  <span className="text-muted small">Calculated at checkout</span>
                 </div>
                 <hr />
                 <div className="d-flex justify-content-between mb-3 fw-bold">
                   <span>Total:</span>
-                  <span className="text-primary fs-5">{formatCurrency(total)}</span>
+                  <span className="text-primary fs-5">{formatCurrency(total - discount + taxSummary.exclusiveAmount)}</span>
                 </div>
+                {taxSummary.breakdown.length > 0 && (
+                  <p className="text-muted small mb-3">
+                    Tax is estimated and will be confirmed from your shipping address at checkout.
+                  </p>
+                )}
                 <div className="d-grid gap-2">
                   <Button variant="primary" size="lg" as={Link} to="/checkout">
                     Proceed to Checkout
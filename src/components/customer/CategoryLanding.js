@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button } from 'react-bootstrap';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { getProductsPage, MAX_IN_FILTER_VALUES } from '../../services/firestore';
+import { loadCatalog, loadCategories } from '../../services/catalog';
+import { filterProducts, optimizeCloudinaryImage } from '../../utils/helpers';
+import { getChildCategories, getCategoryDescendantIds } from '../../utils/categories';
+import ProductCard from '../common/ProductCard';
+import CategoryBreadcrumb from '../common/CategoryBreadcrumb';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ErrorAlert from '../common/ErrorAlert';
+import FloatingCart from '../common/FloatingCart';
+
+const FEATURED_PRODUCT_COUNT = 8;
+
+// Newest products in a category and its subcategories, with the total count
+const fetchCategoryProducts = async (categoryIds) => {
+  if (categoryIds.length <= MAX_IN_FILTER_VALUES) {
+    const pageData = await getProductsPage({ categoryIds, sortBy: 'newest', pageSize: FEATURED_PRODUCT_COUNT });
+    return { products: pageData.products, total: pageData.total };
+  }
+
+  // Too many subcategories for one query: filter the cached catalog instead
+  const { products, categories } = await loadCatalog();
+  const matching = filterProducts(products, { category: categoryIds[0], sortBy: 'newest' }, categories);
+  return { products: matching.slice(0, FEATURED_PRODUCT_COUNT), total: matching.length };
+};
+
+// Landing page for a category: its subcategories and newest products.
+// Without a category ID it lists the top-level categories.
+const CategoryLanding = () => {
+  const { categoryId } = useParams();
+  const [categories, setCategories] = useState(null);
+  const [categoryProducts, setCategoryProducts] = useState({ products: [], total: 0 });
+  const [loadingProducts, setLoadingProducts] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadCategories()
+      .then(setCategories)
+      .catch(err => {
+        console.error('Error fetching categories:', err);
+        setError('Failed to load categories. Please try again.');
+      });
+  }, []);
+
+  const category = categoryId && categories ? categories.find(item => item.id === categoryId) : null;
+
+  useEffect(() => {
+    if (!category) return undefined;
+
+    let cancelled = false;
+
+    const fetchProducts = async () => {
+      try {
+        setLoadingProducts(true);
+        const data = await fetchCategoryProducts(getCategoryDescendantIds(categories, category.id));
+        if (!cancelled) setCategoryProducts(data);
+      } catch (err) {
+        console.error('Error fetching category products:', err);
+        if (!cancelled) setError('Failed to load products. Please try again.');
+      } finally {
+        if (!cancelled) setLoadingProducts(false);
+      }
+    };
+
+    fetchProducts();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [categories, category]);
+
+  if (!categories && !error) {
+    return <LoadingSpinner fullPage text="Loading categories..." />;
+  }
+
+  if (categoryId && categories && !category) {
+    return (
+      <Container className="py-5 text-center">
+        <i className="bi bi-tag display-1 text-muted"></i>
+        <h2 className="mt-3">Category not found</h2>
+        <p className="text-muted">It may have been renamed or removed.</p>
+        <Button as={Link} to="/categories" variant="primary">
+          Browse Categories
+        </Button>
+      </Container>
+    );
+  }
+
+  const subcategories = categories ? getChildCategories(categories, category?.id) : [];
+
+  return (
+    <>
+      <Container className="py-5">
+        <CategoryBreadcrumb
+          categories={categories || []}
+          categoryId={category?.id}
+          rootLabel="Categories"
+          rootPath="/categories"
+        />
+
+        {error && (
+          <ErrorAlert error={error} onClose={() => setError(null)} className="mb-4" />
+        )}
+
+        {category ? (
+          <Row className="align-items-center mb-5">
+            {category.imageUrl && (
+              <Col md={4} className="mb-3 mb-md-0">
+                <img
+                  src={optimizeCloudinaryImage(category.imageUrl, 600)}
+                  alt={category.name}
+                  className="img-fluid rounded shadow-sm w-100"
+                  style={{ maxHeight: '260px', objectFit: 'contain', backgroundColor: '#f8f9fa' }}
+                />
+              </Col>
+            )}
+            <Col>
+              <h1 className="text-capitalize">{category.name}</h1>
+              {category.description && <p className="lead text-muted">{category.description}</p>}
+              <Button as={Link} to={`/products?category=${category.id}`} variant="primary">
+                Shop All {category.name}
+              </Button>
+            </Col>
+          </Row>
+        ) : (
+          <h1 className="mb-4">Shop by Category</h1>
+        )}
+
+        {subcategories.length > 0 && (
+          <section className="mb-5">
+            {category && <h2 className="h4 mb-4">Browse {category.name}</h2>}
+            <Row>
+              {subcategories.map((subcategory, index) => (
+                <Col key={subcategory.id} xs={6} md={4} lg={3} className="mb-4">
+                  <motion.div
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: index * 0.05 }}
+                  >
+                    <Card
+                      as={Link}
+                      to={`/categories/${subcategory.id}`}
+                      className="text-decoration-none text-dark h-100 shadow-sm border-0 overflow-hidden"
+                    >
+                      <div style={{ height: '160px', overflow: 'hidden' }}>
+                        {subcategory.imageUrl ? (
+                          <Card.Img
+                            variant="top"
+                            src={optimizeCloudinaryImage(subcategory.imageUrl, 400)}
+                            alt={subcategory.name}
+                            className="h-100 w-100"
+                            style={{ objectFit: 'contain', backgroundColor: '#f8f9fa' }}
+                          />
+                        ) : (
+                          <div className="bg-light h-100 d-flex align-items-center justify-content-center">
+                            <i className="bi bi-collection display-4 text-muted"></i>
+                          </div>
+                        )}
+                      </div>
+                      <Card.Body className="text-center">
+                        <Card.Title className="mb-0 text-capitalize h6">{subcategory.name}</Card.Title>
+                      </Card.Body>
+                    </Card>
+                  </motion.div>
+                </Col>
+              ))}
+            </Row>
+          </section>
+        )}
+
+        {!category && subcategories.length === 0 && (
+          <p className="text-muted">No categories yet.</p>
+        )}
+
+        {category && (
+          <section>
+            <h2 className="h4 mb-4">New in {category.name}</h2>
+            {loadingProducts ? (
+              <LoadingSpinner text="Loading products..." />
+            ) : categoryProducts.products.length === 0 ? (
+              <p className="text-muted">No products in this category yet.</p>
+            ) : (
+              <>
+                <Row>
+                  {categoryProducts.products.map((product, index) => (
+                    <Col key={product.id} md={6} lg={3} className="mb-4">
+                      <motion.div
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        transition={{ delay: index * 0.05 }}
+                      >
+                        <ProductCard product={product} />
+                      </motion.div>
+                    </Col>
+                  ))}
+                </Row>
+                {categoryProducts.total > categoryProducts.products.length && (
+                  <div className="text-center mt-3">
+                    <Button as={Link} to={`/products?category=${category.id}`} variant="outline-primary">
+                      View all {categoryProducts.total} products
+                    </Button>
+                  </div>
+                )}
+              </>
+            )}
+          </section>
+        )}
+      </Container>
+      <FloatingCart />
+    </>
+  );
+};
+
+export default CategoryLanding;
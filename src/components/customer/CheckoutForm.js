@@ -1,19 +1,48 @@
-import React, { useState } from 'react';
-import { Form, Button, Row, Col, Card, Alert } from 'react-bootstrap';
+import React, { useState, useEffect } from 'react';
+import { Form, Button, Row, Col, Card, Alert, Table } from 'react-bootstrap';
 import { motion } from 'framer-motion';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { useCart } from '../../contexts/CartContext';
 import { useAuth } from '../../contexts/AuthContext';
 import { formatCurrency } from '../../utils/helpers';
 import LoadingSpinner from '../common/LoadingSpinner';
-import { addOrder } from '../../services/firestore';
+import CouponCodeInput from './CouponCodeInput';
+import {
+  addOrder,
+  repriceOrderItems,
+  getAllShippingZones,
+  getAllTaxRates,
+  GUEST_USER_ID
+} from '../../services/firestore';
+import { findShippingZone, calculateShipping, formatDeliveryEstimate } from '../../utils/shipping';
+import { calculateTax } from '../../utils/tax';
+import { getCartLineId, getItemDisplayName } from '../../utils/variants';
+import { uploadImage } from '../../services/cloudinaryService';
+import {
+  PAYMENT_METHODS,
+  BANK_TRANSFER_DETAILS,
+  authorizeOrderPayment,
+  cancelUnpaidOrder,
+  retryPendingCancellations,
+  getAvailablePaymentMethods
+} from '../../services/paymentService';
+
+const availablePaymentMethods = getAvailablePaymentMethods();
 
 const CheckoutForm = () => {
   const navigate = useNavigate();
-  const { items, total, clearCart } = useCart();
+  const {
+    items, total, discount, freeShipping, coupon, couponError,
+    clearCart, updatePrices, updateItemDetails, removeCoupon
+  } = useCart();
   const { currentUser } = useAuth();
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState(null);
+  const [stockErrors, setStockErrors] = useState([]);
+  const [priceChanges, setPriceChanges] = useState([]);
+  const [paymentProofFile, setPaymentProofFile] = useState(null);
+  const [shippingZones, setShippingZones] = useState([]);
+  const [taxRates, setTaxRates] = useState([]);
   const [formData, setFormData] = useState({
     firstName: '',
     lastName: '',
@@ -23,10 +52,39 @@ const CheckoutForm = () => {
     city: '',
     state: '',
     zipCode: '',
-    country: '',
-    paymentMethod: 'credit_card',
+    country: 'Pakistan',
+    paymentMethod: availablePaymentMethods[0],
   });
 
+  const fetchRates = async () => {
+    try {
+      const [zonesData, taxRatesData] = await Promise.all([getAllShippingZones(), getAllTaxRates()]);
+      setShippingZones(zonesData);
+      setTaxRates(taxRatesData);
+    } catch (err) {
+      console.error('Error fetching shipping and tax rates:', err);
+    }
+  };
+
+  // Fetch shipping zones and tax rates on component mount, and finish canceling any earlier
+  // unpaid orders whose cancellation couldn't be saved
+  useEffect(() => {
+    fetchRates();
+    retryPendingCancellations().catch(() => {});
+  }, []);
+
+  // Shipping is quoted from the entered address; stores without zones ship for free
+  const shippingZone = findShippingZone(shippingZones, formData);
+  const shippingQuote = shippingZone
+    ? calculateShipping(shippingZone, items, { orderValue: total - discount, freeShipping })
+    : null;
+  const shippingCost = shippingQuote ? shippingQuote.cost : 0;
+  const shipsToAddress = shippingZones.length === 0 || Boolean(shippingZone);
+
+  // Tax depends on the entered province/country; only exclusive tax is added to the total
+  const taxSummary = calculateTax(taxRates, items, formData, { discount });
+  const taxAmount = taxSummary.exclusiveAmount;
+
   // Handle form input changes
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -40,6 +98,7 @@ const CheckoutForm = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
+    setStockErrors([]);
     setSubmitting(true);
 
     // Validate form
@@ -97,16 +156,53 @@ const CheckoutForm = () => {
       return;
     }
 
-    // if (!formData.country.trim()) {
-    //   setError('Country is required');
-    //   setSubmitting(false);
-    //   return;
-    // }
+    if (formData.paymentMethod === 'bank_transfer' && !paymentProofFile) {
+      setError('Please upload your proof of payment for the bank transfer');
+      setSubmitting(false);
+      return;
+    }
+
+    if (!formData.country.trim()) {
+      setError('Country is required');
+      setSubmitting(false);
+      return;
+    }
+
+    if (!shipsToAddress) {
+      setError('Sorry, we do not ship to this address yet');
+      setSubmitting(false);
+      return;
+    }
 
     try {
+      // Re-check every line against the catalog so stale or edited cart prices never reach the order
+      const { items: repricedItems, total: repricedTotal, changes } = await repriceOrderItems(items);
+      if (changes.length > 0) {
+        updatePrices(Object.fromEntries(changes.map(change => [change.lineId, change.newPrice])));
+        setPriceChanges(changes);
+        setSubmitting(false);
+        return;
+      }
+
+      // Discounts, tax and shipping depend on each product's category and weight; refresh stale ones
+      // so the summary shown matches what the order will be charged
+      const staleDetails = repricedItems.filter((repricedItem, index) => {
+        const cartItem = items[index];
+        return cartItem.category !== repricedItem.category || (cartItem.weight || 0) !== repricedItem.weight;
+      });
+      if (staleDetails.length > 0) {
+        updateItemDetails(Object.fromEntries(staleDetails.map(item => [
+          item.id,
+          { category: item.category, weight: item.weight }
+        ])));
+        setError('Your order summary has been updated with current product details. Please review the total and place your order again.');
+        setSubmitting(false);
+        return;
+      }
+
       // Prepare order data
       const orderData = {
-        userId: currentUser ? currentUser.uid : 'guest',
+        userId: currentUser ? currentUser.uid : GUEST_USER_ID,
         customerInfo: {
           firstName: formData.firstName,
           lastName: formData.lastName,
@@ -118,33 +214,87 @@ const CheckoutForm = () => {
           zipCode: formData.zipCode,
           country: formData.country
         },
-        items: items.map(item => ({
+        items: repricedItems.map(item => ({
           id: item.id,
           name: item.name,
+          ...(item.variantId && { variantId: item.variantId, variantName: item.variantName }),
+          ...(item.sku && { sku: item.sku }),
           price: item.price,
           quantity: item.quantity,
           imageUrl: item.imageUrl
         })),
         paymentMethod: formData.paymentMethod,
-        total: total,
+        coupon: coupon && !couponError ? { id: coupon.id, code: coupon.code } : null,
+        shippingCost,
+        taxAmount,
+        total: repricedTotal - discount + taxAmount + shippingCost,
         status: 'pending' // Initial status is always 'pending'
       };
 
+      // Upload the bank transfer receipt before the order holds any stock
+      const paymentDetails = {};
+      if (formData.paymentMethod === 'bank_transfer') {
+        paymentDetails.proofImageUrl = await uploadImage(paymentProofFile);
+      }
+
       // Save order to Firestore
-      await addOrder(orderData);
+      const orderId = await addOrder(orderData);
+
+      // Authorize payment; a failed payment cancels the order so its stock and coupon use are released.
+      // If the cancellation can't be saved now it is retried the next time checkout opens.
+      let paymentResult;
+      try {
+        paymentResult = await authorizeOrderPayment({ id: orderId, ...orderData }, paymentDetails);
+      } catch (paymentError) {
+        // The provider couldn't be reached or the outcome couldn't be saved: treat it as failed too,
+        // so retrying doesn't leave this order holding stock alongside a new one
+        paymentResult = { success: false, message: 'the payment could not be processed' };
+      }
+      if (!paymentResult.success) {
+        await cancelUnpaidOrder(
+          orderId,
+          { uid: orderData.userId, name: `${formData.firstName} ${formData.lastName}`, email: formData.email },
+          `Payment failed: ${paymentResult.message}`
+        );
+        setError(`Payment failed: ${paymentResult.message}. Your order was not placed, please try another payment method.`);
+        setSubmitting(false);
+        return;
+      }
       
       // Clear the cart
       clearCart();
       
-      // Redirect to a success page or back to home
-      navigate('/');
+      // Guests are taken to order tracking, customers back to home
+      const orderNumber = orderId.substring(0, 8).toUpperCase();
+      if (currentUser) {
+        navigate('/');
+      } else {
+        navigate('/track-order', { state: { orderNumber, email: formData.email } });
+      }
       
       // Show success message
-      alert('Order placed successfully! Thank you for your purchase. Your order status is pending.');
+      alert(formData.paymentMethod === 'bank_transfer'
+        ? `Order #${orderNumber} placed successfully! We will confirm your order once your bank transfer has been verified.`
+        : `Order #${orderNumber} placed successfully! Thank you for your purchase. Your order status is pending.`);
       
       setSubmitting(false);
     } catch (err) {
-      setError('An error occurred while processing your order. Please try again.');
+      if (err.code === 'coupon-invalid') {
+        removeCoupon();
+        setError(`Your coupon could not be applied: ${err.message}`);
+      } else if (err.code === 'shipping-unavailable') {
+        setError(`${err.message}. Please check your shipping address.`);
+      } else if (err.code === 'shipping-changed' || err.code === 'tax-changed') {
+        fetchRates();
+        setError('Shipping or tax rates changed while your order was being placed. Please review the updated charges and try again.');
+      } else if (err.code === 'price-changed') {
+        setError('Some prices changed while your order was being placed. Please review your order and try again.');
+      } else if (err.code === 'out-of-stock') {
+        setStockErrors(err.items || []);
+        setError('Some items in your cart are no longer available in the requested quantity. Please update your cart and try again.');
+      } else {
+        setError('An error occurred while processing your order. Please try again.');
+      }
       setSubmitting(false);
     }
   };
@@ -162,226 +312,290 @@ const CheckoutForm = () => {
     >
       <h1 className="mb-4">Checkout</h1>
       
+      {!currentUser && (
+        <Alert variant="info">
+          You are checking out as a guest. You can track your order with its order number and your email.{' '}
+          <Link to="/login">Sign in</Link> to use your saved details and order history.
+        </Alert>
+      )}
+      
       {error && (
         <Alert variant="danger" onClose={() => setError(null)} dismissible>
           {error}
+          {stockErrors.length > 0 && (
+            <ul className="mb-0 mt-2">
+              {stockErrors.map((stockError) => (
+                <li key={stockError.lineId || stockError.id}>
+                  <strong>{stockError.name}</strong>:{' '}
+                  {stockError.available > 0
+                    ? `only ${stockError.available} left (you requested ${stockError.requested})`
+                    : 'out of stock'}
+                </li>
+              ))}
+            </ul>
+          )}
         </Alert>
       )}
       
       <Row>
         <Col md={8}>
-          <Card className="shadow-sm mb-4">
-            <Card.Body>
-              <h4 className="mb-3">Shipping Information</h4>
-              <Form onSubmit={handleSubmit}>
-                <Row className="mb-3">
-                  <Col md={6}>
-                    <Form.Group controlId="firstName">
-                      <Form.Label>First Name</Form.Label>
-                      <Form.Control
-                        type="text"
-                        name="firstName"
-                        value={formData.firstName}
-                        onChange={handleChange}
-                        disabled={submitting}
-                        required
-                      />
-                    </Form.Group>
-                  </Col>
-                  <Col md={6}>
-                    <Form.Group controlId="lastName">
-                      <Form.Label>Last Name</Form.Label>
-                      <Form.Control
-                        type="text"
-                        name="lastName"
-                        value={formData.lastName}
-                        onChange={handleChange}
-                        disabled={submitting}
-                        required
-                      />
-                    </Form.Group>
-                  </Col>
-                </Row>
-
-                <Row className="mb-3">
-                  <Col md={6}>
-                    <Form.Group controlId="email">
-                      <Form.Label>Email</Form.Label>
-                      <Form.Control
-                        type="email"
-                        name="email"
-                        value={formData.email}
-                        onChange={handleChange}
-                        disabled={submitting}
-                        required
-                      />
-                    </Form.Group>
-                  </Col>
-                  <Col md={6}>
-                    <Form.Group controlId="phone">
-                      <Form.Label>Phone Number</Form.Label>
-                      <Form.Control
-                        type="tel"
-                        name="phone"
-                        value={formData.phone}
-                        onChange={handleChange}
-                        disabled={submitting}
-                        required
-                      />
-                    </Form.Group>
-                  </Col>
-                </Row>
-
-                <Form.Group className="mb-3" controlId="address">
-                  <Form.Label>Address</Form.Label>
-                  <Form.Control
-                    type="text"
-                    name="address"
-                    value={formData.address}
-                    onChange={handleChange}
-                    disabled={submitting}
-                    required
-                  />
-                </Form.Group>
-
-                <Row className="mb-3">
-                  <Col md={6}>
-                    <Form.Group controlId="city">
-                      <Form.Label>City</Form.Label>
-                      <Form.Control
-                        type="text"
-                        name="city"
-                        value={formData.city}
-                        onChange={handleChange}
-                        disabled={submitting}
-                        required
-                      />
-                    </Form.Group>
-                  </Col>
-                  <Col md={6}>
-                    <Form.Group controlId="state">
-                      <Form.Label>State/Province</Form.Label>
-                      <Form.Control
-                        type="text"
-                        name="state"
-                        value={formData.state}
-                        onChange={handleChange}
-                        disabled={submitting}
-                        required
-                      />
-                    </Form.Group>
-                  </Col>
-                </Row>
-
-                <Row className="mb-3">
-                  <Col md={6}>
-                    <Form.Group controlId="zipCode">
-                      <Form.Label>Zip/Postal Code</Form.Label>
-                      <Form.Control
-                        type="text"
-                        name="zipCode"
-                        value={formData.zipCode}
-                        onChange={handleChange}
-                        disabled={submitting}
-                        required
-                      />
-                    </Form.Group>
-                  </Col>
-                  {/* <Col md={6}>
-                    <Form.Group controlId="country">
-                      <Form.Label>Country</Form.Label>
-                      <Form.Select
-                        name="country"
-                        value={formData.country}
-                        onChange={handleChange}
-                        disabled={submitting}
-                        required
-                      >
-                        <option value="Pakistan">Pakistan</option>
-                        <option value="United States">United States</option>
-                        <option value="Canada">Canada</option>
-                        <option value="United Kingdom">United Kingdom</option>
-                        <option value="Australia">Australia</option>
-                        <option value="Germany">Germany</option>
-                        <option value="France">France</option>
-                        <option value="Japan">Japan</option>
-                        <option value="Other">Other</option>
-                      </Form.Select>
-                    </Form.Group>
-                  </Col> */}
-                </Row>
-
-                <h4 className="mb-3 mt-4">Payment Method</h4>
-                <Form.Group className="mb-3">
-                  {/* <Form.Check
-                    type="radio"
-                    id="credit_card"
-                    name="paymentMethod"
-                    value="credit_card"
-                    label="Credit Card"
-                    checked={formData.paymentMethod === 'credit_card'}
-                    onChange={handleChange}
-                    disabled={submitting}
-                  />
-                  <Form.Check
-                    type="radio"
-                    id="paypal"
-                    name="paymentMethod"
-                    value="paypal"
-                    label="PayPal"
-                    checked={formData.paymentMethod === 'paypal'}
-                    onChange={handleChange}
-                    disabled={submitting}
-                  />
-                  <Form.Check
-                    type="radio"
-                    id="bank_transfer"
-                    name="paymentMethod"
-                    value="bank_transfer"
-                    label="Bank Transfer"
-                    checked={formData.paymentMethod === 'bank_transfer'}
-                    onChange={handleChange}
-                    disabled={submitting}
-                  /> */}
-                  <Form.Check
-                    type="radio"
-                    id="cash_on_delivery"
-                    name="paymentMethod"
-                    value="cash_on_delivery"
-                    label="Cash on Delivery"
-                    checked={formData.paymentMethod === 'cash_on_delivery'}
-                    onChange={handleChange}
-                    disabled={submitting}
-                  />
-                </Form.Group>
-
-                <div className="d-flex justify-content-between mt-4">
-                  <Button
-                    variant="outline-secondary"
-                    onClick={handleBackToCart}
-                    disabled={submitting}
-                  >
+          {priceChanges.length > 0 ? (
+            <Card className="shadow-sm mb-4 border-warning">
+              <Card.Body>
+                <h4 className="mb-3">Prices Changed</h4>
+                <p className="text-muted">
+                  Some prices have changed since these items were added to your cart.
+                  Your cart has been updated with the current prices. Please review them before placing your order.
+                </p>
+                <Table responsive className="mb-3">
+                  <thead>
+                    <tr>
+                      <th>Product</th>
+                      <th>Quantity</th>
+                      <th>Previous Price</th>
+                      <th>Current Price</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {priceChanges.map((change) => (
+                      <tr key={change.lineId}>
+                        <td>{getItemDisplayName(change)}</td>
+                        <td>{change.quantity}</td>
+                        <td className="text-muted text-decoration-line-through">{formatCurrency(change.oldPrice)}</td>
+                        <td className={change.newPrice > change.oldPrice ? 'text-danger fw-bold' : 'text-success fw-bold'}>
+                          {formatCurrency(change.newPrice)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+                <div className="d-flex justify-content-between">
+                  <Button variant="outline-secondary" onClick={handleBackToCart}>
                     <i className="bi bi-arrow-left me-2"></i>
                     Back to Cart
                   </Button>
-                  <Button
-                    type="submit"
-                    variant="primary"
-                    disabled={submitting}
-                  >
-                    {submitting ? (
-                      <>
-                        <LoadingSpinner size="sm" text="" />
-                        <span className="ms-2">Processing...</span>
-                      </>
-                    ) : (
-                      'Place Order'
-                    )}
+                  <Button variant="primary" onClick={() => setPriceChanges([])}>
+                    Continue with Current Prices
                   </Button>
                 </div>
-              </Form>
-            </Card.Body>
-          </Card>
+              </Card.Body>
+            </Card>
+          ) : (
+            <Card className="shadow-sm mb-4">
+              <Card.Body>
+                <h4 className="mb-3">Shipping Information</h4>
+                <Form onSubmit={handleSubmit}>
+                  <Row className="mb-3">
+                    <Col md={6}>
+                      <Form.Group controlId="firstName">
+                        <Form.Label>First Name</Form.Label>
+                        <Form.Control
+                          type="text"
+                          name="firstName"
+                          value={formData.firstName}
+                          onChange={handleChange}
+                          disabled={submitting}
+                          required
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col md={6}>
+                      <Form.Group controlId="lastName">
+                        <Form.Label>Last Name</Form.Label>
+                        <Form.Control
+                          type="text"
+                          name="lastName"
+                          value={formData.lastName}
+                          onChange={handleChange}
+                          disabled={submitting}
+                          required
+                        />
+                      </Form.Group>
+                    </Col>
+                  </Row>
+
+                  <Row className="mb-3">
+                    <Col md={6}>
+                      <Form.Group controlId="email">
+                        <Form.Label>Email</Form.Label>
+                        <Form.Control
+                          type="email"
+                          name="email"
+                          value={formData.email}
+                          onChange={handleChange}
+                          disabled={submitting}
+                          required
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col md={6}>
+                      <Form.Group controlId="phone">
+                        <Form.Label>Phone Number</Form.Label>
+                        <Form.Control
+                          type="tel"
+                          name="phone"
+                          value={formData.phone}
+                          onChange={handleChange}
+                          disabled={submitting}
+                          required
+                        />
+                      </Form.Group>
+                    </Col>
+                  </Row>
+
+                  <Form.Group className="mb-3" controlId="address">
+                    <Form.Label>Address</Form.Label>
+                    <Form.Control
+                      type="text"
+                      name="address"
+                      value={formData.address}
+                      onChange={handleChange}
+                      disabled={submitting}
+                      required
+                    />
+                  </Form.Group>
+
+                  <Row className="mb-3">
+                    <Col md={6}>
+                      <Form.Group controlId="city">
+                        <Form.Label>City</Form.Label>
+                        <Form.Control
+                          type="text"
+                          name="city"
+                          value={formData.city}
+                          onChange={handleChange}
+                          disabled={submitting}
+                          required
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col md={6}>
+                      <Form.Group controlId="state">
+                        <Form.Label>State/Province</Form.Label>
+                        <Form.Control
+                          type="text"
+                          name="state"
+                          value={formData.state}
+                          onChange={handleChange}
+                          disabled={submitting}
+                          required
+                        />
+                      </Form.Group>
+                    </Col>
+                  </Row>
+
+                  <Row className="mb-3">
+                    <Col md={6}>
+                      <Form.Group controlId="zipCode">
+                        <Form.Label>Zip/Postal Code</Form.Label>
+                        <Form.Control
+                          type="text"
+                          name="zipCode"
+                          value={formData.zipCode}
+                          onChange={handleChange}
+                          disabled={submitting}
+                          required
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col md={6}>
+                      <Form.Group controlId="country">
+                        <Form.Label>Country</Form.Label>
+                        <Form.Select
+                          name="country"
+                          value={formData.country}
+                          onChange={handleChange}
+                          disabled={submitting}
+                          required
+                        >
+                          <option value="Pakistan">Pakistan</option>
+                          <option value="United States">United States</option>
+                          <option value="Canada">Canada</option>
+                          <option value="United Kingdom">United Kingdom</option>
+                          <option value="Australia">Australia</option>
+                          <option value="Germany">Germany</option>
+                          <option value="France">France</option>
+                          <option value="Japan">Japan</option>
+                          <option value="Other">Other</option>
+                        </Form.Select>
+                      </Form.Group>
+                    </Col>
+                  </Row>
+
+                  <h4 className="mb-3 mt-4">Payment Method</h4>
+                  <Form.Group className="mb-3">
+                    {availablePaymentMethods.map(method => (
+                      <Form.Check
+                        key={method}
+                        type="radio"
+                        id={method}
+                        name="paymentMethod"
+                        value={method}
+                        label={PAYMENT_METHODS[method].label}
+                        checked={formData.paymentMethod === method}
+                        onChange={handleChange}
+                        disabled={submitting}
+                      />
+                    ))}
+                  </Form.Group>
+
+                  {formData.paymentMethod === 'bank_transfer' && (
+                    <Card className="mb-3 bg-light">
+                      <Card.Body>
+                        <p className="mb-2">
+                          Transfer the order total to the account below and upload a screenshot or photo of the receipt.
+                          Your order will be confirmed once the transfer is verified.
+                        </p>
+                        <p className="mb-3 small">
+                          <strong>Account Title:</strong> {BANK_TRANSFER_DETAILS.accountTitle}<br />
+                          {BANK_TRANSFER_DETAILS.bankName && (
+                            <><strong>Bank:</strong> {BANK_TRANSFER_DETAILS.bankName}<br /></>
+                          )}
+                          {BANK_TRANSFER_DETAILS.accountNumber && (
+                            <><strong>Account Number:</strong> {BANK_TRANSFER_DETAILS.accountNumber}</>
+                          )}
+                        </p>
+                        <Form.Group controlId="paymentProof">
+                          <Form.Label>Proof of Payment</Form.Label>
+                          <Form.Control
+                            type="file"
+                            accept="image/*"
+                            onChange={(e) => setPaymentProofFile(e.target.files[0] || null)}
+                            disabled={submitting}
+                          />
+                        </Form.Group>
+                      </Card.Body>
+                    </Card>
+                  )}
+
+                  <div className="d-flex justify-content-between mt-4">
+                    <Button
+                      variant="outline-secondary"
+                      onClick={handleBackToCart}
+                      disabled={submitting}
+                    >
+                      <i className="bi bi-arrow-left me-2"></i>
+                      Back to Cart
+                    </Button>
+                    <Button
+                      type="submit"
+                      variant="primary"
+                      disabled={submitting}
+                    >
+                      {submitting ? (
+                        <>
+                          <LoadingSpinner size="sm" text="" />
+                          <span className="ms-2">Processing...</span>
+                        </>
+                      ) : (
+                        'Place Order'
+                      )}
+                    </Button>
+                  </div>
+                </Form>
+              </Card.Body>
+            </Card>
+          )}
         </Col>
         
         <Col md={4}>
@@ -392,27 +606,56 @@ const CheckoutForm = () => {
             <Card.Body>
               <div className="mb-3">
                 {items.map((item) => (
-                  <div key={item.id} className="d-flex justify-content-between mb-2">
-                    <span>
-                      {item.name} <small className="text-muted">x{item.quantity}</small>
+                  <div key={getCartLineId(item)} className="d-flex justify-content-between mb-2">
+                    <span className={stockErrors.some(stockError => (stockError.lineId || stockError.id) === getCartLineId(item)) ? 'text-danger' : ''}>
+                      {getItemDisplayName(item)} <small className="text-muted">x{item.quantity}</small>
                     </span>
                     <span>{formatCurrency(item.price * item.quantity)}</span>
                   </div>
                 ))}
               </div>
+              <CouponCodeInput disabled={submitting} />
               <hr />
               <div className="d-flex justify-content-between mb-2">
                 <span>Subtotal:</span>
                 <span>{formatCurrency(total)}</span>
               </div>
+              {discount > 0 && (
+                <div className="d-flex justify-content-between mb-2 text-success">
+                  <span>Discount ({coupon.code}):</span>
+                  <span>-{formatCurrency(discount)}</span>
+                </div>
+              )}
+              {taxSummary.breakdown.map(entry => (
+                <div key={entry.taxRateId} className="d-flex justify-content-between mb-2">
+                  <span>
+                    {entry.name} ({entry.rate}%{entry.inclusive ? ', included' : ''}):
+                  </span>
+                  <span className={entry.inclusive ? 'text-muted' : ''}>{formatCurrency(entry.amount)}</span>
+                </div>
+              ))}
               <div className="d-flex justify-content-between mb-2">
                 <span>Shipping:</span>
-                <span>Free</span>
+                {shippingQuote ? (
+                  <span>{shippingCost > 0 ? formatCurrency(shippingCost) : 'Free'}</span>
+                ) : shipsToAddress ? (
+                  <span>Free</span>
+                ) : (
+                  <span className="text-muted small">
+                    {formData.city.trim() ? 'Not available for this address' : 'Enter your address'}
+                  </span>
+                )}
               </div>
+              {shippingQuote && formatDeliveryEstimate(shippingQuote.estimatedDelivery) && (
+                <div className="text-muted small mb-2">
+                  <i className="bi bi-truck me-1"></i>
+                  Estimated delivery: {formatDeliveryEstimate(shippingQuote.estimatedDelivery)}
+                </div>
+              )}
               <hr />
               <div className="d-flex justify-content-between mb-0 fw-bold">
                 <span>Total:</span>
-                <span className="text-primary fs-5">{formatCurrency(total)}</span>
+                <span className="text-primary fs-5">{formatCurrency(total - discount + taxAmount + shippingCost)}</span>
               </div>
             </Card.Body>
           </Card>
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { Form, Button, InputGroup, Badge } from 'react-bootstrap';
+import { useCart } from '../../contexts/CartContext';
+import { describeCoupon } from '../../utils/coupons';
+
+// Coupon entry box shared by the cart and checkout summaries
+const CouponCodeInput = ({ disabled = false }) => {
+  const { coupon, couponDetails, couponError, applyCoupon, removeCoupon } = useCart();
+  const [code, setCode] = useState('');
+  const [applying, setApplying] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleApply = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+
+    try {
+      setApplying(true);
+      setError(null);
+      await applyCoupon(code);
+      setCode('');
+    } catch (err) {
+      setError(err.message || 'Failed to apply coupon. Please try again.');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  if (coupon) {
+    return (
+      <div className="mb-3">
+        <div className="d-flex justify-content-between align-items-center">
+          <span>
+            <Badge bg={couponError ? 'secondary' : 'success'} className="me-2">{coupon.code}</Badge>
+            {couponDetails && <small className="text-muted">{describeCoupon(couponDetails)}</small>}
+          </span>
+          <Button variant="link" size="sm" className="p-0 text-danger" onClick={removeCoupon} disabled={disabled}>
+            Remove
+          </Button>
+        </div>
+        {couponError && <small className="text-danger d-block mt-1">{couponError}</small>}
+      </div>
+    );
+  }
+
+  return (
+    <Form onSubmit={handleApply} className="mb-3">
+      <InputGroup size="sm">
+        <Form.Control
+          placeholder="Coupon code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          disabled={disabled || applying}
+          aria-label="Coupon code"
+        />
+        <Button type="submit" variant="outline-primary" disabled={disabled || applying || !code.trim()}>
+          {applying ? 'Applying...' : 'Apply'}
+        </Button>
+      </InputGroup>
+      {error && <small className="text-danger d-block mt-1">{error}</small>}
+    </Form>
+  );
+};
+
+export default CouponCodeInput;
@@ -2,8 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Button, Carousel } from 'react-bootstrap';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { getAllProducts, getAllCategories, getAllHomeContent } from '../../services/firestore';
+import { getLiveProducts, getAllCategories, getAllHomeContent } from '../../services/firestore';
 import { optimizeCloudinaryImage, formatCurrency } from '../../utils/helpers';
+import { getChildCategories } from '../../utils/categories';
 import ProductCard from '../common/ProductCard';
 import LoadingSpinner from '../common/LoadingSpinner';
 import ErrorAlert from '../common/ErrorAlert';
@@ -22,8 +23,8 @@ const Home = () => {
         setLoading(true);
         setError(null);
         
-        // Fetch all products and filter featured ones (limit to 8)
-        const allProducts = await getAllProducts();
+        // Fetch live products and filter featured ones (limit to 8)
+        const allProducts = await getLiveProducts();
         const featured = allProducts.filter(product => product.featured).slice(0, 8);
         setFeaturedProducts(featured);
         
@@ -117,12 +118,12 @@ const Home = () => {
     );
   };
 
-  // Featured categories section
+  // Featured categories section (top-level categories; subcategories are on their landing pages)
   const CategoriesSection = () => (
     <section className="mb-5">
       <h2 className="mb-4">Shop by Category</h2>
       <Row>
-        {categories.map((category, index) => (
+        {getChildCategories(categories).map((category, index) => (
           <Col key={category.id} md={6} lg={3} className="mb-4">
             <motion.div
               initial={{ opacity: 0, y: 20 }}
@@ -131,7 +132,7 @@ const Home = () => {
             >
               <Card 
                 as={Link} 
-                to={`/products?category=${category.id}`}
+                to={`/categories/${category.id}`}
                 className="text-decoration-none text-dark h-100 shadow-sm border-0 overflow-hidden"
               >
                 <div style={{ height: '200px', overflow: 'hidden' }}>
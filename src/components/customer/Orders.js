@@ -1,16 +1,33 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Table, Badge, Button, Card, Spinner, Accordion, Image } from 'react-bootstrap';
+import { Container, Row, Col, Table, Button, Card, Spinner, Accordion, Image, Modal, Form, Badge, Alert } from 'react-bootstrap';
 import { motion } from 'framer-motion';
-import { getOrdersByUserId } from '../../services/firestore';
+import { getOrdersByUserId, cancelOrder } from '../../services/firestore';
+import { voidOrderPayment } from '../../services/paymentService';
 import { useAuth } from '../../contexts/AuthContext';
 import { formatCurrency, formatDate } from '../../utils/helpers';
 import { optimizeImage } from '../../services/cloudinaryService';
+import OrderStatusBadge from '../common/OrderStatusBadge';
+import OrderStatusTimeline from '../common/OrderStatusTimeline';
+import ReturnRequestModal from './ReturnRequestModal';
+import PaymentStatusBadge from '../common/PaymentStatusBadge';
+import { PAYMENT_METHODS } from '../../services/paymentService';
+import { ORDER_STATUSES, RETURN_REQUEST_STATUSES, RETURN_REQUEST_DETAILS, normalizeOrderStatus } from '../../utils/orderStatus';
+import { formatDeliveryEstimate } from '../../utils/shipping';
+import { getOrderTotals } from '../../utils/orderTotals';
+import { getItemDisplayName } from '../../utils/variants';
+import { downloadInvoice } from '../../services/invoiceService';
 
 const Orders = () => {
   const { currentUser } = useAuth();
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [actionMessage, setActionMessage] = useState(null);
+  const [orderToCancel, setOrderToCancel] = useState(null);
+  const [cancelReason, setCancelReason] = useState('');
+  const [canceling, setCanceling] = useState(false);
+  const [cancelError, setCancelError] = useState(null);
+  const [orderToReturn, setOrderToReturn] = useState(null);
 
   // Fetch user orders on component mount
   useEffect(() => {
@@ -34,21 +51,56 @@ const Orders = () => {
     }
   };
 
-  const getStatusBadge = (status) => {
-    switch (status) {
-      case 'pending':
-        return <Badge bg="warning">Pending</Badge>;
-      case 'on the way':
-        return <Badge bg="info">On the Way</Badge>;
-      case 'completed':
-        return <Badge bg="success">Completed</Badge>;
-      case 'canceled':
-        return <Badge bg="danger">Canceled</Badge>;
-      default:
-        return <Badge bg="secondary">{status}</Badge>;
+  // The customer as recorded on status history and return requests
+  const getCustomer = () => ({
+    uid: currentUser.uid,
+    name: currentUser.displayName || '',
+    email: currentUser.email || ''
+  });
+
+  const openCancelModal = (order) => {
+    setOrderToCancel(order);
+    setCancelReason('');
+    setCancelError(null);
+  };
+
+  const closeCancelModal = () => {
+    if (canceling) return;
+    setOrderToCancel(null);
+  };
+
+  const handleCancelOrder = async () => {
+    if (!orderToCancel) return;
+
+    try {
+      setCanceling(true);
+      setCancelError(null);
+      await cancelOrder(orderToCancel.id, getCustomer(), cancelReason.trim());
+      // Release the payment authorization; the order is already canceled if this fails
+      await voidOrderPayment(orderToCancel).catch(() => {});
+      setOrderToCancel(null);
+      setActionMessage('Your order has been canceled.');
+      fetchOrders(currentUser.uid);
+    } catch (err) {
+      console.error('Error canceling order:', err);
+      setCancelError(err.message || 'Failed to cancel your order. Please try again.');
+    } finally {
+      setCanceling(false);
     }
   };
 
+  const handleReturnSubmitted = () => {
+    setOrderToReturn(null);
+    setActionMessage('Your return request has been submitted. We will review it shortly.');
+    fetchOrders(currentUser.uid);
+  };
+
+  // Delivered orders can be returned unless a request is already open or approved
+  const canRequestReturn = (order) => (
+    normalizeOrderStatus(order.status) === ORDER_STATUSES.DELIVERED &&
+    (!order.returnRequest || order.returnRequest.status === RETURN_REQUEST_STATUSES.REJECTED)
+  );
+
   if (loading) {
     return (
       <Container className="d-flex justify-content-center align-items-center" style={{ minHeight: '300px' }}>
@@ -86,6 +138,12 @@ const Orders = () => {
           </Col>
         </Row>
 
+        {actionMessage && (
+          <Alert variant="success" onClose={() => setActionMessage(null)} dismissible>
+            {actionMessage}
+          </Alert>
+        )}
+
         {orders.length === 0 ? (
           <Card className="text-center p-5 bg-light">
             <Card.Body>
@@ -106,7 +164,12 @@ const Orders = () => {
                       <small className="text-muted">Placed on {formatDate(order.createdAt)}</small>
                     </Col>
                     <Col xs="auto">
-                      {getStatusBadge(order.status)}
+                      <OrderStatusBadge status={order.status} />
+                      {order.returnRequest && (
+                        <Badge bg={RETURN_REQUEST_DETAILS[order.returnRequest.status]?.variant || 'secondary'} className="ms-2">
+                          {RETURN_REQUEST_DETAILS[order.returnRequest.status]?.label || order.returnRequest.status}
+                        </Badge>
+                      )}
                     </Col>
                   </Row>
                 </Card.Header>
@@ -121,11 +184,62 @@ const Orders = () => {
                     </Col>
                     <Col md={6}>
                       <h6>Order Summary</h6>
+                      <p className="mb-0"><strong>Subtotal:</strong> {formatCurrency(getOrderTotals(order).subtotal)}</p>
+                      {order.discount?.amount > 0 && (
+                        <p className="mb-0 text-success">
+                          <strong>Discount ({order.discount.code}):</strong> -{formatCurrency(order.discount.amount)}
+                        </p>
+                      )}
+                      {order.tax?.breakdown.map(entry => (
+                        <p key={entry.taxRateId} className="mb-0">
+                          <strong>{entry.name} ({entry.rate}%{entry.inclusive ? ', included' : ''}):</strong> {formatCurrency(entry.amount)}
+                        </p>
+                      ))}
+                      {order.shipping && (
+                        <p className="mb-0">
+                          <strong>Shipping:</strong> {order.shipping.cost > 0 ? formatCurrency(order.shipping.cost) : 'Free'}
+                          {formatDeliveryEstimate(order.shipping.estimatedDelivery) && (
+                            <small className="text-muted"> ({formatDeliveryEstimate(order.shipping.estimatedDelivery)})</small>
+                          )}
+                        </p>
+                      )}
                       <p className="mb-0"><strong>Total:</strong> {formatCurrency(order.total)}</p>
-                      <p className="mb-0"><strong>Payment Method:</strong> {order.paymentMethod}</p>
+                      <p className="mb-0">
+                        <strong>Payment Method:</strong> {PAYMENT_METHODS[order.paymentMethod]?.label || order.paymentMethod}{' '}
+                        <PaymentStatusBadge status={order.paymentStatus} />
+                      </p>
                       <p className="mb-0"><strong>Items:</strong> {order.items.length}</p>
                     </Col>
                   </Row>
+
+                  {order.returnRequest?.adminNote && (
+                    <Alert variant="light" className="border">
+                      <strong>Response to your return request:</strong> {order.returnRequest.adminNote}
+                    </Alert>
+                  )}
+
+                  {(order.status === ORDER_STATUSES.PENDING || canRequestReturn(order) || order.invoiceNumber) && (
+                    <div className="d-flex justify-content-end gap-2 mb-3">
+                      {order.invoiceNumber && (
+                        <Button variant="outline-dark" size="sm" onClick={() => downloadInvoice(order)}>
+                          <i className="bi bi-file-earmark-pdf me-2"></i>
+                          Download Invoice
+                        </Button>
+                      )}
+                      {order.status === ORDER_STATUSES.PENDING && (
+                        <Button variant="outline-danger" size="sm" onClick={() => openCancelModal(order)}>
+                          <i className="bi bi-x-circle me-2"></i>
+                          Cancel Order
+                        </Button>
+                      )}
+                      {canRequestReturn(order) && (
+                        <Button variant="outline-secondary" size="sm" onClick={() => setOrderToReturn(order)}>
+                          <i className="bi bi-arrow-return-left me-2"></i>
+                          Request Return
+                        </Button>
+                      )}
+                    </div>
+                  )}
                   
                   <Accordion>
                     <Accordion.Item eventKey="0">
@@ -153,7 +267,7 @@ const Orders = () => {
                                       className="me-3 product-thumbnail"
                                       rounded
                                     />
-                                    <span>{item.name}</span>
+                                    <span>{getItemDisplayName(item)}</span>
                                   </div>
                                 </td>
                                 <td>{formatCurrency(item.price)}</td>
@@ -165,12 +279,57 @@ const Orders = () => {
                         </Table>
                       </Accordion.Body>
                     </Accordion.Item>
+                    <Accordion.Item eventKey="1">
+                      <Accordion.Header>Track Order</Accordion.Header>
+                      <Accordion.Body>
+                        <OrderStatusTimeline history={order.statusHistory} />
+                      </Accordion.Body>
+                    </Accordion.Item>
                   </Accordion>
                 </Card.Body>
               </Card>
             ))}
           </div>
         )}
+
+        {/* Cancel Order Modal */}
+        <Modal show={Boolean(orderToCancel)} onHide={closeCancelModal}>
+          <Modal.Header closeButton>
+            <Modal.Title>Cancel Order</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {orderToCancel && (
+              <p>Are you sure you want to cancel order <strong>#{orderToCancel.id.substring(0, 8)}</strong>?</p>
+            )}
+            <Form.Group controlId="cancelReason">
+              <Form.Label>Reason (optional)</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={2}
+                value={cancelReason}
+                onChange={(e) => setCancelReason(e.target.value)}
+                disabled={canceling}
+              />
+            </Form.Group>
+            {cancelError && <Alert variant="danger" className="mt-3 mb-0">{cancelError}</Alert>}
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={closeCancelModal} disabled={canceling}>
+              Keep Order
+            </Button>
+            <Button variant="danger" onClick={handleCancelOrder} disabled={canceling}>
+              {canceling ? 'Canceling...' : 'Cancel Order'}
+            </Button>
+          </Modal.Footer>
+        </Modal>
+
+        <ReturnRequestModal
+          show={Boolean(orderToReturn)}
+          order={orderToReturn}
+          customer={currentUser ? getCustomer() : null}
+          onHide={() => setOrderToReturn(null)}
+          onSubmitted={handleReturnSubmitted}
+        />
       </Container>
     </motion.div>
   );
@@ -1,25 +1,34 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Container, Row, Col, Card, Button, Badge, Form } from 'react-bootstrap';
-import { useParams, useNavigate } from 'react-router-dom';
+import { Container, Row, Col, Card, Button, Badge, Form, ButtonGroup, Alert } from 'react-bootstrap';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { getProductById, getRelatedProducts } from '../../services/firestore';
+import { loadCategories } from '../../services/catalog';
 import { useCart } from '../../contexts/CartContext';
 import { useAuth } from '../../contexts/AuthContext';
 import { formatCurrency, optimizeCloudinaryImage } from '../../utils/helpers';
 import { optimizeImage } from '../../services/cloudinaryService';
+import { hasVariants, findVariant, describeVariant } from '../../utils/variants';
+import { getCategoryPathLabel } from '../../utils/categories';
+import { isProductLive, describeProductStatus, getPublishingWindow, getProductStatus, PRODUCT_STATUSES } from '../../utils/productStatus';
 import LoadingSpinner from '../common/LoadingSpinner';
 import ErrorAlert from '../common/ErrorAlert';
 import ProductCard from '../common/ProductCard';
 import FloatingCart from '../common/FloatingCart';
+import StarRating from '../common/StarRating';
+import CategoryBreadcrumb from '../common/CategoryBreadcrumb';
+import WishlistButton from '../common/WishlistButton';
+import ProductReviews from './ProductReviews';
 
 const ProductDetails = () => {
   const { productId } = useParams();
   const navigate = useNavigate();
   const { addToCart } = useCart();
-  const { currentUser } = useAuth();
+  const { isAdmin } = useAuth();
   
   const [product, setProduct] = useState(null);
   const [relatedProducts, setRelatedProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
   const [quantity, setQuantity] = useState(1);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -27,6 +36,7 @@ const ProductDetails = () => {
   const [selectedImageIndex, setSelectedImageIndex] = useState(0);
   const [zoomPosition, setZoomPosition] = useState({ x: 0, y: 0 });
   const [showZoom, setShowZoom] = useState(false);
+  const [selectedOptions, setSelectedOptions] = useState({});
   
   // Refs for zoom functionality
   const imageContainerRef = useRef(null);
@@ -50,6 +60,12 @@ const ProductDetails = () => {
         
         setProduct(productData);
         
+        // Start with the first variant that is in stock
+        if (hasVariants(productData)) {
+          const initialVariant = productData.variants.find(variant => variant.stockQuantity > 0) || productData.variants[0];
+          setSelectedOptions(initialVariant.options);
+        }
+        
         // Fetch related products
         if (productData.category) {
           const related = await getRelatedProducts(productData.category, productId, 4);
@@ -67,6 +83,13 @@ const ProductDetails = () => {
     fetchProductDetails();
   }, [productId]);
 
+  // Categories for the breadcrumb; the page works without them
+  useEffect(() => {
+    loadCategories()
+      .then(setCategories)
+      .catch(err => console.error('Error fetching categories:', err));
+  }, []);
+
   // Handle quantity change
   const handleQuantityChange = (e) => {
     const value = parseInt(e.target.value);
@@ -75,6 +98,18 @@ const ProductDetails = () => {
     }
   };
 
+  // Choose a value for one of the product's options
+  const handleOptionSelect = (optionName, value) => {
+    setSelectedOptions(prev => ({ ...prev, [optionName]: value }));
+    setSelectedImageIndex(0);
+  };
+  
+  // Whether picking this value, with the other options as selected, leads to a variant in stock
+  const isOptionValueAvailable = (optionName, value) => {
+    const variant = findVariant(product, { ...selectedOptions, [optionName]: value });
+    return Boolean(variant && variant.stockQuantity > 0);
+  };
+
   // Handle mouse movement for zoom effect
   const handleMouseMove = (e) => {
     if (!imageContainerRef.current || !zoomRef.current) return;
@@ -102,32 +137,46 @@ const ProductDetails = () => {
     setShowZoom(false);
   };
   
+  // Price, stock and images follow the selected variant for products with variants
+  const withVariants = hasVariants(product);
+  const selectedVariant = withVariants ? findVariant(product, selectedOptions) : null;
+  const displayPrice = selectedVariant ? selectedVariant.price : product?.price;
+  const inStock = withVariants ? Boolean(selectedVariant && selectedVariant.stockQuantity > 0) : product?.inStock;
+  const stockQuantity = withVariants ? selectedVariant?.stockQuantity : product?.stockQuantity;
+  // Admins can open products customers can't see yet, to check them before release
+  const isPreview = Boolean(product) && !isProductLive(product);
+  const canAddToCart = inStock && !isPreview;
+  const previewStatus = isPreview ? describeProductStatus(product) : null;
+  const scheduledFor = isPreview && getProductStatus(product) === PRODUCT_STATUSES.PUBLISHED
+    ? getPublishingWindow(product).publishAt
+    : null;
+  const galleryImages = selectedVariant?.imageUrls?.length > 0
+    ? selectedVariant.imageUrls
+    : (product?.imageUrls?.length > 0 ? product.imageUrls : [product?.imageUrl]);
+  
+  // The product, or its selected variant, as a cart line or wishlist entry
+  const getLineItem = () => ({
+    id: product.id,
+    name: product.name,
+    price: displayPrice,
+    category: product.category,
+    weight: product.weight || 0,
+    imageUrl: galleryImages[0],
+    ...(selectedVariant && {
+      variantId: selectedVariant.id,
+      variantName: describeVariant(product.variantOptions, selectedVariant.options),
+      sku: selectedVariant.sku
+    })
+  });
+  
   // Handle add to cart
   const handleAddToCart = async () => {
     if (!product) return;
     
-    // Check if user is authenticated
-    if (!currentUser) {
-      // Redirect to login page with message
-      navigate('/login', { state: { message: 'Login to buy products' } });
-      return;
-    }
-    
     try {
       setAddingToCart(true);
       
-      // Get the main image URL (either from imageUrls array or fallback to legacy imageUrl)
-      const mainImageUrl = product.imageUrls && product.imageUrls.length > 0 
-        ? product.imageUrls[0] 
-        : product.imageUrl;
-      
-      await addToCart({
-        id: product.id,
-        name: product.name,
-        price: product.price,
-        imageUrl: mainImageUrl,
-        quantity: quantity
-      });
+      await addToCart(getLineItem(), quantity);
       
       // Show success message or navigate to cart
       // For now, we'll just reset quantity
@@ -156,7 +205,7 @@ const ProductDetails = () => {
     );
   }
 
-  if (!product) {
+  if (!product || (isPreview && !isAdmin)) {
     return (
       <Container className="py-5 text-center">
         <h2>Product Not Found</h2>
@@ -176,17 +225,23 @@ const ProductDetails = () => {
           animate={{ opacity: 1 }}
           transition={{ duration: 0.3 }}
         >
+          {isPreview && (
+            <Alert variant="warning" className="d-flex flex-wrap align-items-center gap-2">
+              <i className="bi bi-eye"></i>
+              <span>
+                <strong>Preview.</strong> This product is{' '}
+                <Badge bg={previewStatus.variant}>{previewStatus.label}</Badge>
+                {' '}and customers can't see it
+                {scheduledFor > new Date() && ` until ${scheduledFor.toLocaleString()}`}.
+              </span>
+              <Button as={Link} to={`/admin/products/edit/${product.id}`} variant="outline-dark" size="sm" className="ms-auto">
+                Edit Product
+              </Button>
+            </Alert>
+          )}
+          
           {/* Breadcrumb */}
-          <div className="mb-4">
-            <Button 
-              variant="link" 
-              className="text-decoration-none p-0" 
-              onClick={() => navigate('/products')}
-            >
-              <i className="bi bi-arrow-left me-2"></i>
-              Back to Products
-            </Button>
-          </div>
+          <CategoryBreadcrumb categories={categories} categoryId={product.category} current={product.name} />
           
           <Row>
             {/* Product Images */}
@@ -209,13 +264,7 @@ const ProductDetails = () => {
                     </Badge>
                   )}
                   <img 
-                    src={optimizeImage(
-                      // Use imageUrls array if available, otherwise fall back to legacy imageUrl
-                      (product.imageUrls && product.imageUrls.length > 0)
-                        ? product.imageUrls[selectedImageIndex]
-                        : product.imageUrl,
-                      600
-                    )}
+                    src={optimizeImage(galleryImages[selectedImageIndex], 600)}
                     alt={`${product.name} - Image ${selectedImageIndex + 1}`}
                     className="img-fluid w-100"
                     style={{ objectFit: 'contain', height: '400px', backgroundColor: '#f8f9fa', cursor: 'crosshair' }}
@@ -233,9 +282,7 @@ const ProductDetails = () => {
                       top: '50%',
                       transform: 'translateY(-50%)',
                       backgroundImage: `url(${optimizeImage(
-                        (product.imageUrls && product.imageUrls.length > 0)
-                          ? product.imageUrls[selectedImageIndex]
-                          : product.imageUrl,
+                        galleryImages[selectedImageIndex],
                         1200 // Higher resolution for zoom
                       )})`,
                       backgroundPosition: `${zoomPosition.x * 100}% ${zoomPosition.y * 100}%`,
@@ -247,9 +294,9 @@ const ProductDetails = () => {
               </Card>
               
               {/* Thumbnails */}
-              {product.imageUrls && product.imageUrls.length > 1 && (
+              {galleryImages.length > 1 && (
                 <Row className="g-2">
-                  {product.imageUrls.map((imageUrl, index) => (
+                  {galleryImages.map((imageUrl, index) => (
                     <Col key={index} xs={3}>
                       <Card 
                         className={`border-0 overflow-hidden cursor-pointer ${selectedImageIndex === index ? 'border border-primary' : ''}`}
@@ -278,17 +325,26 @@ const ProductDetails = () => {
             <Col lg={6}>
               <div className="mb-2">
                 <Badge bg="secondary" className="text-uppercase">
-                  {product.category}
+                  {categories.find(category => category.id === product.category)?.name || product.category}
                 </Badge>
               </div>
               
-              <h1 className="mb-3">{product.name}</h1>
+              <div className="d-flex justify-content-between align-items-start">
+                <h1 className="mb-3">{product.name}</h1>
+                <WishlistButton item={getLineItem()} className="ms-3 rounded-circle" />
+              </div>
+              
+              {product.ratingCount > 0 && (
+                <a href="#reviews" className="d-inline-block mb-3 text-decoration-none">
+                  <StarRating value={product.ratingAverage} count={product.ratingCount} />
+                </a>
+              )}
               
               <div className="mb-4">
                 <h2 className="text-primary mb-0">
-                  {formatCurrency(product.price)}
+                  {formatCurrency(displayPrice)}
                 </h2>
-                {product.originalPrice && product.originalPrice > product.price && (
+                {product.originalPrice && product.originalPrice > displayPrice && (
                   <span className="text-muted text-decoration-line-through ms-2">
                     {formatCurrency(product.originalPrice)}
                   </span>
@@ -299,23 +355,50 @@ const ProductDetails = () => {
                 <p className="text-muted">{product.description}</p>
               </div>
               
+              {/* Variant Options */}
+              {withVariants && product.variantOptions.map(option => (
+                <div key={option.name} className="mb-3">
+                  <div className="mb-2">
+                    <span className="text-muted">{option.name}:</span>{' '}
+                    <strong>{selectedOptions[option.name]}</strong>
+                  </div>
+                  <ButtonGroup className="flex-wrap" aria-label={option.name}>
+                    {option.values.map(value => {
+                      const available = isOptionValueAvailable(option.name, value);
+                      return (
+                        <Button
+                          key={value}
+                          variant={selectedOptions[option.name] === value ? 'dark' : 'outline-dark'}
+                          className={available ? '' : 'text-decoration-line-through'}
+                          onClick={() => handleOptionSelect(option.name, value)}
+                          aria-pressed={selectedOptions[option.name] === value}
+                          title={available ? value : `${value} (out of stock)`}
+                        >
+                          {value}
+                        </Button>
+                      );
+                    })}
+                  </ButtonGroup>
+                </div>
+              ))}
+              
               {/* Stock Status */}
               <div className="mb-4">
                 <span className="me-2">Availability:</span>
-                {product.inStock ? (
+                {inStock ? (
                   <>
                     <Badge bg="success">In Stock</Badge>
-                    {product.stockQuantity && (
-                      <span className="ms-2 text-muted">({product.stockQuantity} items available)</span>
+                    {stockQuantity && (
+                      <span className="ms-2 text-muted">({stockQuantity} items available)</span>
                     )}
                   </>
                 ) : (
-                  <Badge bg="danger">Out of Stock</Badge>
+                  <Badge bg="danger">{withVariants && !selectedVariant ? 'Unavailable' : 'Out of Stock'}</Badge>
                 )}
               </div>
               
               {/* Add to Cart */}
-              {product.inStock && (
+              {canAddToCart && (
                 <div className="d-flex align-items-center mb-4">
                   <Form.Group className="me-3" style={{ width: '100px' }}>
                     <Form.Control
@@ -354,12 +437,12 @@ const ProductDetails = () => {
                   <h5 className="mb-3">Product Details</h5>
                   <Row>
                     <Col xs={4} className="text-muted">SKU:</Col>
-                    <Col xs={8}>{product.sku || product.id.substring(0, 8).toUpperCase()}</Col>
+                    <Col xs={8}>{selectedVariant?.sku || product.sku || product.id.substring(0, 8).toUpperCase()}</Col>
                   </Row>
                   <hr className="my-2" />
                   <Row>
                     <Col xs={4} className="text-muted">Category:</Col>
-                    <Col xs={8} className="text-capitalize">{product.category}</Col>
+                    <Col xs={8} className="text-capitalize">{getCategoryPathLabel(categories, product.category) || product.category}</Col>
                   </Row>
                   {product.brand && (
                     <>
@@ -384,6 +467,8 @@ const ProductDetails = () => {
             </Col>
           </Row>
           
+          <ProductReviews product={product} />
+          
           {/* Related Products */}
           {relatedProducts.length > 0 && (
             <div className="mt-5">
@@ -0,0 +1,277 @@
+import React, { useState, useEffect } from 'react';
+import { Row, Col, Card, Form, Button, Image, Alert, ProgressBar, Spinner } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { getProductReviews, getReviewEligibility, addReview } from '../../services/firestore';
+import { uploadImage, optimizeImage } from '../../services/cloudinaryService';
+import { formatDate } from '../../utils/helpers';
+import { MAX_REVIEW_PHOTOS, REVIEW_STATUSES, getRatingDistribution } from '../../utils/reviews';
+import StarRating from '../common/StarRating';
+
+// Ratings and reviews for a product, with a review form for customers who have received it
+const ProductReviews = ({ product }) => {
+  const { currentUser, isCustomer } = useAuth();
+  const [reviews, setReviews] = useState([]);
+  const [eligibility, setEligibility] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [rating, setRating] = useState(0);
+  const [title, setTitle] = useState('');
+  const [text, setText] = useState('');
+  const [photoFiles, setPhotoFiles] = useState([]);
+  const [photoPreviews, setPhotoPreviews] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [submitted, setSubmitted] = useState(false);
+
+  // Fetch approved reviews, and whether the signed-in customer may write one
+  useEffect(() => {
+    const fetchReviews = async () => {
+      try {
+        setLoading(true);
+        const [reviewsData, eligibilityData] = await Promise.all([
+          getProductReviews(product.id),
+          currentUser && isCustomer ? getReviewEligibility(currentUser.uid, product.id) : null
+        ]);
+        setReviews(reviewsData);
+        setEligibility(eligibilityData);
+      } catch (err) {
+        console.error('Error fetching reviews:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReviews();
+  }, [product.id, currentUser, isCustomer]);
+
+  // Handle photo selection
+  const handlePhotoChange = (e) => {
+    const selectedFiles = Array.from(e.target.files);
+    if (!selectedFiles.length) return;
+
+    if (photoFiles.length + selectedFiles.length > MAX_REVIEW_PHOTOS) {
+      setError(`You can attach up to ${MAX_REVIEW_PHOTOS} photos`);
+      return;
+    }
+
+    setError(null);
+    setPhotoFiles([...photoFiles, ...selectedFiles]);
+    setPhotoPreviews([...photoPreviews, ...selectedFiles.map(file => URL.createObjectURL(file))]);
+  };
+
+  // Remove a photo from the selection
+  const handleRemovePhoto = (index) => {
+    URL.revokeObjectURL(photoPreviews[index]);
+    setPhotoFiles(photoFiles.filter((_, i) => i !== index));
+    setPhotoPreviews(photoPreviews.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!rating) {
+      setError('Please choose a star rating');
+      return;
+    }
+    if (!text.trim()) {
+      setError('Please tell other customers what you thought');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      const photoUrls = await Promise.all(photoFiles.map(file => uploadImage(file)));
+      await addReview(
+        { productId: product.id, rating, title: title.trim(), text: text.trim(), photoUrls },
+        { uid: currentUser.uid, name: currentUser.displayName || 'Customer' }
+      );
+
+      photoPreviews.forEach(preview => URL.revokeObjectURL(preview));
+      setSubmitted(true);
+      setEligibility({ ...eligibility, eligible: false });
+    } catch (err) {
+      console.error('Error submitting review:', err);
+      setError(err.message || 'Failed to submit your review. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const distribution = getRatingDistribution(reviews);
+  const existingReview = eligibility?.existingReview;
+
+  return (
+    <div className="mt-5" id="reviews">
+      <h3 className="mb-4">Customer Reviews</h3>
+      <Row>
+        <Col md={4} className="mb-4">
+          <Card className="border-0 bg-light">
+            <Card.Body>
+              <div className="d-flex align-items-center mb-3">
+                <span className="display-6 me-3">{(product.ratingAverage || 0).toFixed(1)}</span>
+                <div>
+                  <StarRating value={product.ratingAverage || 0} size="1.25rem" />
+                  <div className="small text-muted">
+                    {product.ratingCount || 0} review{product.ratingCount === 1 ? '' : 's'}
+                  </div>
+                </div>
+              </div>
+              {distribution.map(({ stars, count }) => (
+                <div key={stars} className="d-flex align-items-center small mb-1">
+                  <span className="me-2" style={{ width: '3rem' }}>{stars} star</span>
+                  <ProgressBar
+                    now={reviews.length ? (count / reviews.length) * 100 : 0}
+                    variant="warning"
+                    className="flex-grow-1 me-2"
+                    style={{ height: '8px' }}
+                  />
+                  <span className="text-muted" style={{ width: '1.5rem' }}>{count}</span>
+                </div>
+              ))}
+            </Card.Body>
+          </Card>
+
+          {/* Write a review */}
+          <div className="mt-3">
+            {!currentUser && (
+              <p className="small text-muted">
+                <Link to="/login">Sign in</Link> to review products you have purchased.
+              </p>
+            )}
+            {submitted && (
+              <Alert variant="success" className="small">
+                Thank you! Your review will appear once it has been approved.
+              </Alert>
+            )}
+            {!submitted && existingReview && (
+              <Alert variant="info" className="small mb-0">
+                {existingReview.status === REVIEW_STATUSES.PENDING
+                  ? 'Your review is awaiting approval.'
+                  : 'You have already reviewed this product.'}
+              </Alert>
+            )}
+            {currentUser && isCustomer && eligibility && !eligibility.eligible && !existingReview && !submitted && (
+              <p className="small text-muted">
+                You can review this product once an order containing it has been delivered.
+              </p>
+            )}
+          </div>
+        </Col>
+
+        <Col md={8}>
+          {eligibility?.eligible && (
+            <Card className="shadow-sm mb-4">
+              <Card.Body>
+                <h5 className="mb-3">Write a Review</h5>
+                {error && (
+                  <Alert variant="danger" onClose={() => setError(null)} dismissible>
+                    {error}
+                  </Alert>
+                )}
+                <Form onSubmit={handleSubmit}>
+                  <Form.Group className="mb-3">
+                    <Form.Label className="d-block">Your Rating</Form.Label>
+                    <StarRating value={rating} onChange={setRating} size="1.5rem" />
+                  </Form.Group>
+                  <Form.Group className="mb-3" controlId="reviewTitle">
+                    <Form.Label>Title (optional)</Form.Label>
+                    <Form.Control
+                      value={title}
+                      onChange={(e) => setTitle(e.target.value)}
+                      maxLength={100}
+                      disabled={submitting}
+                    />
+                  </Form.Group>
+                  <Form.Group className="mb-3" controlId="reviewText">
+                    <Form.Label>Your Review</Form.Label>
+                    <Form.Control
+                      as="textarea"
+                      rows={4}
+                      value={text}
+                      onChange={(e) => setText(e.target.value)}
+                      maxLength={2000}
+                      disabled={submitting}
+                    />
+                  </Form.Group>
+                  <Form.Group className="mb-3" controlId="reviewPhotos">
+                    <Form.Label>Photos (up to {MAX_REVIEW_PHOTOS})</Form.Label>
+                    <Form.Control
+                      type="file"
+                      accept="image/*"
+                      multiple
+                      onChange={handlePhotoChange}
+                      disabled={submitting || photoFiles.length >= MAX_REVIEW_PHOTOS}
+                    />
+                    {photoPreviews.length > 0 && (
+                      <div className="d-flex flex-wrap gap-2 mt-2">
+                        {photoPreviews.map((preview, index) => (
+                          <div key={preview} className="position-relative">
+                            <Image src={preview} width={80} height={80} rounded style={{ objectFit: 'cover' }} />
+                            <Button
+                              variant="danger"
+                              size="sm"
+                              className="position-absolute top-0 end-0"
+                              onClick={() => handleRemovePhoto(index)}
+                              disabled={submitting}
+                            >
+                              ×
+                            </Button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </Form.Group>
+                  <Button type="submit" variant="primary" disabled={submitting}>
+                    {submitting ? <Spinner animation="border" size="sm" /> : 'Submit Review'}
+                  </Button>
+                </Form>
+              </Card.Body>
+            </Card>
+          )}
+
+          {loading ? (
+            <div className="text-center py-4">
+              <Spinner animation="border" size="sm" />
+            </div>
+          ) : reviews.length === 0 ? (
+            <p className="text-muted">No reviews yet.</p>
+          ) : (
+            reviews.map(review => (
+              <div key={review.id} className="border-bottom pb-3 mb-3">
+                <div className="d-flex justify-content-between align-items-start">
+                  <div>
+                    <StarRating value={review.rating} />
+                    {review.title && <strong className="ms-2">{review.title}</strong>}
+                  </div>
+                  <small className="text-muted">{formatDate(review.createdAt)}</small>
+                </div>
+                <div className="small text-muted mb-2">
+                  {review.userName} <i className="bi bi-patch-check-fill text-success ms-1"></i> Verified purchase
+                </div>
+                <p className="mb-2" style={{ whiteSpace: 'pre-line' }}>{review.text}</p>
+                {review.photoUrls?.length > 0 && (
+                  <div className="d-flex flex-wrap gap-2 mb-2">
+                    {review.photoUrls.map(photoUrl => (
+                      <a key={photoUrl} href={photoUrl} target="_blank" rel="noopener noreferrer">
+                        <Image src={optimizeImage(photoUrl, 160)} width={80} height={80} rounded style={{ objectFit: 'cover' }} />
+                      </a>
+                    ))}
+                  </div>
+                )}
+                {review.reply && (
+                  <div className="bg-light rounded p-2 ms-3 small">
+                    <strong>Response from the store:</strong> {review.reply.text}
+                  </div>
+                )}
+              </div>
+            ))
+          )}
+        </Col>
+      </Row>
+    </div>
+  );
+};
+
+export default ProductReviews;
@@ -1,173 +1,248 @@
-import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Pagination } from 'react-bootstrap';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Container, Row, Col, Pagination, Button } from 'react-bootstrap';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { getAllProducts, getAllCategories } from '../../services/firestore';
+import { getProductsPage, MAX_IN_FILTER_VALUES } from '../../services/firestore';
+import { loadCatalog, loadCategories } from '../../services/catalog';
+import { filterProducts } from '../../utils/helpers';
+import { getSearchIndex, getSearchSuggestion } from '../../utils/search';
+import { hasFacetSelection, applyFacetFilters, getFacets } from '../../utils/facets';
+import { getCategoryDescendantIds } from '../../utils/categories';
 import ProductCard from '../common/ProductCard';
 import ProductFilter from '../common/ProductFilter';
+import CategoryBreadcrumb from '../common/CategoryBreadcrumb';
 import LoadingSpinner from '../common/LoadingSpinner';
 import ErrorAlert from '../common/ErrorAlert';
 import FloatingCart from '../common/FloatingCart';
 import { useCart } from '../../contexts/CartContext';
 
+const PRODUCTS_PER_PAGE = 12;
+
+// Attribute facets are kept in the query string as repeated attr.<name>=<value> parameters
+const ATTRIBUTE_PARAM_PREFIX = 'attr.';
+
+// Listing filters and page position, read from the query string so any page can be bookmarked or shared
+const readListingParams = (search) => {
+  const params = new URLSearchParams(search);
+  const attributes = {};
+  params.forEach((value, key) => {
+    if (key.startsWith(ATTRIBUTE_PARAM_PREFIX)) {
+      const name = key.slice(ATTRIBUTE_PARAM_PREFIX.length);
+      attributes[name] = [...(attributes[name] || []), value];
+    }
+  });
+  
+  return {
+    searchTerm: params.get('search') || '',
+    category: params.get('category') || '',
+    minPrice: params.get('minPrice') || '',
+    maxPrice: params.get('maxPrice') || '',
+    sortBy: params.get('sort') || 'relevance',
+    attributes,
+    inStock: params.get('inStock') === '1',
+    minRating: parseFloat(params.get('minRating')) || 0,
+    page: parseInt(params.get('page')) || 1,
+    after: params.get('after') || '',
+    before: params.get('before') || ''
+  };
+};
+
+const buildListingSearch = (listing) => {
+  const params = new URLSearchParams();
+  if (listing.searchTerm) params.set('search', listing.searchTerm);
+  if (listing.category) params.set('category', listing.category);
+  if (listing.minPrice) params.set('minPrice', listing.minPrice);
+  if (listing.maxPrice) params.set('maxPrice', listing.maxPrice);
+  if (listing.sortBy && listing.sortBy !== 'relevance') params.set('sort', listing.sortBy);
+  Object.entries(listing.attributes || {}).forEach(([name, values]) => {
+    values.forEach(value => params.append(`${ATTRIBUTE_PARAM_PREFIX}${name}`, value));
+  });
+  if (listing.inStock) params.set('inStock', '1');
+  if (listing.minRating) params.set('minRating', listing.minRating.toString());
+  if (listing.page > 1) params.set('page', listing.page.toString());
+  if (listing.after) params.set('after', listing.after);
+  if (listing.before) params.set('before', listing.before);
+  return params.toString() ? `?${params.toString()}` : '';
+};
+
 const Products = () => {
   const location = useLocation();
   const navigate = useNavigate();
-  const queryParams = new URLSearchParams(location.search);
   const { addToCart } = useCart();
   
+  // Filters and page come from the URL; changing them navigates
+  const listing = useMemo(() => readListingParams(location.search), [location.search]);
+  const { searchTerm, category, minPrice, maxPrice, sortBy, page, after, before } = listing;
+  
   // State for products and filtering
   const [products, setProducts] = useState([]);
-  const [filteredProducts, setFilteredProducts] = useState([]);
+  const [pageInfo, setPageInfo] = useState({ total: 0, nextCursor: null, prevCursor: null });
   const [categories, setCategories] = useState([]);
+  const [categoriesLoaded, setCategoriesLoaded] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [initialized, setInitialized] = useState(false);
   const [error, setError] = useState(null);
   
-  // Filter states
-  const [searchTerm, setSearchTerm] = useState(queryParams.get('search') || '');
-  const [selectedCategory, setSelectedCategory] = useState(queryParams.get('category') || '');
-  const [priceRange, setPriceRange] = useState({
-    min: queryParams.get('minPrice') || '',
-    max: queryParams.get('maxPrice') || ''
-  });
-  const [sortOption, setSortOption] = useState(queryParams.get('sort') || 'newest');
+  // Full catalog, for search, facet filters and facet counts (Firestore has no full-text or facet queries).
+  // Plain browsing is paged by Firestore, so the catalog is only loaded once search or facets are used.
+  const [catalog, setCatalog] = useState(null);
+  const [facetsRequested, setFacetsRequested] = useState(false);
+  
+  // A category lists its subcategories' products too
+  const categoryIds = useMemo(
+    () => (category ? getCategoryDescendantIds(categories, category) : []),
+    [categories, category]
+  );
+  const categoryKey = categoryIds.join(',');
   
-  // Pagination
-  const [currentPage, setCurrentPage] = useState(parseInt(queryParams.get('page')) || 1);
-  const [totalPages, setTotalPages] = useState(1);
-  const productsPerPage = 12;
+  // Text search and facet filters run on the catalog in the browser; plain browsing is paged by Firestore,
+  // unless the category has more subcategories than one Firestore query can filter on
+  const filterInBrowser = Boolean(searchTerm) || hasFacetSelection(listing) || categoryIds.length > MAX_IN_FILTER_VALUES;
+  const needsCatalog = filterInBrowser || facetsRequested;
   
-  // Fetch products and categories
+  // Load the categories first (breadcrumbs and subcategories need them)
   useEffect(() => {
-    const fetchData = async () => {
-      try {
-        setLoading(true);
-        setError(null);
-        
-        // Fetch all products
-        const productsData = await getAllProducts();
-        setProducts(productsData);
-        
-        // Fetch all categories
-        const categoriesData = await getAllCategories();
+    let cancelled = false;
+    
+    loadCategories()
+      .then(categoriesData => {
+        if (cancelled) return;
         setCategories(categoriesData);
-        
-      } catch (err) {
-        console.error('Error fetching products:', err);
-        setError('Failed to load products. Please try again.');
-      } finally {
-        setLoading(false);
-      }
+        setCategoriesLoaded(true);
+      })
+      .catch(err => {
+        console.error('Error fetching categories:', err);
+        if (!cancelled) setCategoriesLoaded(true);
+      });
+    
+    return () => {
+      cancelled = true;
     };
-
-    fetchData();
   }, []);
   
-  // Apply filters and update URL
+  // Load the catalog the first time search or the facet filters need it
   useEffect(() => {
-    // Apply filters
-    let filtered = [...products];
-    
-    // Filter by search term
-    if (searchTerm) {
-      filtered = filtered.filter(product => 
-        product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        product.description.toLowerCase().includes(searchTerm.toLowerCase())
-      );
-    }
-    
-    // Filter by category
-    if (selectedCategory) {
-      filtered = filtered.filter(product => 
-        product.category === selectedCategory
-      );
-    }
-    
-    // Filter by price range
-    if (priceRange.min) {
-      filtered = filtered.filter(product => 
-        product.price >= parseFloat(priceRange.min)
-      );
-    }
-    
-    if (priceRange.max) {
-      filtered = filtered.filter(product => 
-        product.price <= parseFloat(priceRange.max)
-      );
-    }
-    
-    // Apply sorting
-    switch (sortOption) {
-      case 'priceAsc':
-        filtered.sort((a, b) => a.price - b.price);
-        break;
-      case 'priceDesc':
-        filtered.sort((a, b) => b.price - a.price);
-        break;
-      case 'nameAsc':
-        filtered.sort((a, b) => a.name.localeCompare(b.name));
-        break;
-      case 'nameDesc':
-        filtered.sort((a, b) => b.name.localeCompare(a.name));
-        break;
-      case 'newest':
-      default:
-        filtered.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-        break;
-    }
+    if (!needsCatalog || catalog) return undefined;
     
-    // Calculate total pages
-    setTotalPages(Math.ceil(filtered.length / productsPerPage));
+    let cancelled = false;
     
-    // Reset to first page if filters change
-    if (currentPage > Math.ceil(filtered.length / productsPerPage)) {
-      setCurrentPage(1);
-    }
+    loadCatalog()
+      .then(catalogData => {
+        if (cancelled) return;
+        setCatalog(catalogData.products);
+        setInitialized(true);
+      })
+      .catch(err => {
+        console.error('Error fetching catalog:', err);
+        if (!cancelled) setError('Failed to load products. Please try again.');
+      });
     
-    // Update filtered products
-    setFilteredProducts(filtered);
+    return () => {
+      cancelled = true;
+    };
+  }, [needsCatalog, catalog]);
+  
+  // Fetch the current page from Firestore when browsing without search or facet filters
+  useEffect(() => {
+    if (filterInBrowser || !categoriesLoaded) return undefined;
     
-    // Update URL with query parameters
-    const params = new URLSearchParams();
-    if (searchTerm) params.set('search', searchTerm);
-    if (selectedCategory) params.set('category', selectedCategory);
-    if (priceRange.min) params.set('minPrice', priceRange.min);
-    if (priceRange.max) params.set('maxPrice', priceRange.max);
-    if (sortOption !== 'newest') params.set('sort', sortOption);
-    if (currentPage > 1) params.set('page', currentPage.toString());
+    let cancelled = false;
     
-    const newUrl = `${location.pathname}${params.toString() ? `?${params.toString()}` : ''}`;
-    navigate(newUrl, { replace: true });
+    const fetchProducts = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        
+        const pageData = await getProductsPage({
+          categoryIds: categoryKey ? categoryKey.split(',') : [],
+          minPrice: minPrice ? parseFloat(minPrice) : undefined,
+          maxPrice: maxPrice ? parseFloat(maxPrice) : undefined,
+          sortBy,
+          pageSize: PRODUCTS_PER_PAGE,
+          after: after || undefined,
+          before: before || undefined
+        });
+        if (cancelled) return;
+        setProducts(pageData.products);
+        setPageInfo({ total: pageData.total, nextCursor: pageData.nextCursor, prevCursor: pageData.prevCursor });
+      } catch (err) {
+        console.error('Error fetching products:', err);
+        if (!cancelled) setError('Failed to load products. Please try again.');
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+          setInitialized(true);
+        }
+      }
+    };
+
+    fetchProducts();
     
-  }, [products, searchTerm, selectedCategory, priceRange, sortOption, currentPage, location.pathname, navigate]);
+    return () => {
+      cancelled = true;
+    };
+  }, [filterInBrowser, categoriesLoaded, categoryKey, minPrice, maxPrice, sortBy, after, before]);
   
-  // Handle filter changes
+  // Catalog products matching the search, category and price, ranked and sorted
+  const baseResults = useMemo(() => {
+    if (!catalog) return null;
+    return filterProducts(catalog, {
+      searchTerm,
+      category,
+      minPrice: minPrice ? parseFloat(minPrice) : undefined,
+      maxPrice: maxPrice ? parseFloat(maxPrice) : undefined,
+      sortBy
+    }, categories);
+  }, [catalog, categories, searchTerm, category, minPrice, maxPrice, sortBy]);
+  
+  // Facets with counts for the current results, and the results narrowed by the selected facets
+  const facets = useMemo(() => (baseResults ? getFacets(baseResults, listing) : null), [baseResults, listing]);
+  const browserResults = useMemo(
+    () => (baseResults && filterInBrowser ? applyFacetFilters(baseResults, listing) : null),
+    [baseResults, filterInBrowser, listing]
+  );
+  
+  // Handle filter changes (replaces the history entry, like typing in the filter form)
   const handleFilterChange = (filters) => {
-    setSearchTerm(filters.searchTerm || '');
-    setSelectedCategory(filters.category || '');
-    setPriceRange({
-      min: filters.minPrice || '',
-      max: filters.maxPrice || ''
+    const search = buildListingSearch({
+      searchTerm: filters.searchTerm || '',
+      category: filters.category || '',
+      minPrice: filters.minPrice || '',
+      maxPrice: filters.maxPrice || '',
+      sortBy: filters.sortBy || 'relevance',
+      attributes: filters.attributes || {},
+      inStock: Boolean(filters.inStock),
+      minRating: filters.minRating || 0,
+      page: 1
     });
-    setSortOption(filters.sortBy || 'newest');
-    setCurrentPage(1); // Reset to first page when filters change
+    if (search !== location.search) {
+      navigate(`${location.pathname}${search}`, { replace: true });
+    }
   };
   
-  // Handle page change
-  const handlePageChange = (page) => {
-    setCurrentPage(page);
-    window.scrollTo(0, 0); // Scroll to top when page changes
+  // Apply a "did you mean" suggestion
+  const handleSuggestionClick = (suggestion) => {
+    handleFilterChange({ ...listing, searchTerm: suggestion });
   };
   
-  // Get current page products
-  const getCurrentPageProducts = () => {
-    const startIndex = (currentPage - 1) * productsPerPage;
-    const endIndex = startIndex + productsPerPage;
-    return filteredProducts.slice(startIndex, endIndex);
+  // Go to another page; each page gets its own history entry so Back returns to it
+  const handlePageChange = (pagePosition) => {
+    navigate(`${location.pathname}${buildListingSearch({ ...listing, after: '', before: '', ...pagePosition })}`);
+    window.scrollTo(0, 0); // Scroll to top when page changes
   };
   
-  // Pagination component
-  const PaginationComponent = () => {
+  // Results filtered in the browser are paged in memory; browsing pages come from Firestore
+  const listLoading = filterInBrowser ? !browserResults : loading;
+  const totalProducts = filterInBrowser ? browserResults?.length || 0 : pageInfo.total;
+  const totalPages = Math.max(Math.ceil(totalProducts / PRODUCTS_PER_PAGE), 1);
+  const currentPage = Math.min(page, totalPages);
+  const pageProducts = filterInBrowser
+    ? (browserResults || []).slice((currentPage - 1) * PRODUCTS_PER_PAGE, currentPage * PRODUCTS_PER_PAGE)
+    : products;
+  const firstShown = pageProducts.length > 0 ? (currentPage - 1) * PRODUCTS_PER_PAGE + 1 : 0;
+  
+  // Numbered pages for results filtered in the browser
+  const NumberedPagination = () => {
     if (totalPages <= 1) return null;
     
     const maxPagesToShow = 5;
@@ -187,58 +262,85 @@ const Products = () => {
     return (
       <Pagination className="justify-content-center mt-4">
         <Pagination.First 
-          onClick={() => handlePageChange(1)} 
+          onClick={() => handlePageChange({ page: 1 })} 
           disabled={currentPage === 1}
         />
         <Pagination.Prev 
-          onClick={() => handlePageChange(currentPage - 1)} 
+          onClick={() => handlePageChange({ page: currentPage - 1 })} 
           disabled={currentPage === 1}
         />
         
         {startPage > 1 && (
           <>
-            <Pagination.Item onClick={() => handlePageChange(1)}>1</Pagination.Item>
+            <Pagination.Item onClick={() => handlePageChange({ page: 1 })}>1</Pagination.Item>
             {startPage > 2 && <Pagination.Ellipsis />}
           </>
         )}
         
-        {pages.map(page => (
+        {pages.map(pageNumber => (
           <Pagination.Item 
-            key={page} 
-            active={page === currentPage}
-            onClick={() => handlePageChange(page)}
+            key={pageNumber} 
+            active={pageNumber === currentPage}
+            onClick={() => handlePageChange({ page: pageNumber })}
           >
-            {page}
+            {pageNumber}
           </Pagination.Item>
         ))}
         
         {endPage < totalPages && (
           <>
             {endPage < totalPages - 1 && <Pagination.Ellipsis />}
-            <Pagination.Item onClick={() => handlePageChange(totalPages)}>{totalPages}</Pagination.Item>
+            <Pagination.Item onClick={() => handlePageChange({ page: totalPages })}>{totalPages}</Pagination.Item>
           </>
         )}
         
         <Pagination.Next 
-          onClick={() => handlePageChange(currentPage + 1)} 
+          onClick={() => handlePageChange({ page: currentPage + 1 })} 
           disabled={currentPage === totalPages}
         />
         <Pagination.Last 
-          onClick={() => handlePageChange(totalPages)} 
+          onClick={() => handlePageChange({ page: totalPages })} 
           disabled={currentPage === totalPages}
         />
       </Pagination>
     );
   };
   
-  if (loading) {
+  // Previous / next pages by cursor when browsing
+  const CursorPagination = () => {
+    if (!pageInfo.prevCursor && !pageInfo.nextCursor && currentPage === 1) return null;
+    
+    return (
+      <Pagination className="justify-content-center mt-4">
+        <Pagination.First 
+          onClick={() => handlePageChange({ page: 1 })} 
+          disabled={currentPage === 1 && !pageInfo.prevCursor}
+        />
+        <Pagination.Prev 
+          onClick={() => handlePageChange({ page: Math.max(currentPage - 1, 1), before: pageInfo.prevCursor })} 
+          disabled={!pageInfo.prevCursor}
+        />
+        <Pagination.Item active>{currentPage} of {totalPages}</Pagination.Item>
+        <Pagination.Next 
+          onClick={() => handlePageChange({ page: currentPage + 1, after: pageInfo.nextCursor })} 
+          disabled={!pageInfo.nextCursor}
+        />
+      </Pagination>
+    );
+  };
+  
+  if (!initialized && !error) {
     return <LoadingSpinner fullPage text="Loading products..." />;
   }
   
+  const searchSuggestion = searchTerm && catalog ? getSearchSuggestion(getSearchIndex(catalog, categories), searchTerm) : null;
+  const currentCategory = categories.find(item => item.id === category);
+  
   return (
     <>
       <Container className="py-5">
-        <h1 className="mb-4">Products</h1>
+        <CategoryBreadcrumb categories={categories} categoryId={currentCategory?.id} />
+        <h1 className="mb-4">{currentCategory ? currentCategory.name : 'Products'}</h1>
         
         {error && (
           <ErrorAlert error={error} onClose={() => setError(null)} className="mb-4" />
@@ -248,21 +350,30 @@ const Products = () => {
           <Col>
             <ProductFilter 
               categories={categories}
-              initialFilters={{
-                searchTerm,
-                category: selectedCategory,
-                minPrice: priceRange.min,
-                maxPrice: priceRange.max,
-                sortBy: sortOption
-              }}
+              initialFilters={listing}
+              facets={facets}
+              facetsLoading={needsCatalog && !catalog}
+              onShowFacets={() => setFacetsRequested(true)}
               onFilterChange={handleFilterChange}
             />
           </Col>
         </Row>
         
+        {searchSuggestion && (
+          <p className="mb-3">
+            Did you mean{' '}
+            <Button variant="link" className="p-0 align-baseline fw-semibold" onClick={() => handleSuggestionClick(searchSuggestion)}>
+              {searchSuggestion}
+            </Button>
+            ?
+          </p>
+        )}
+        
         <Row>
           <Col>
-            {filteredProducts.length === 0 ? (
+            {listLoading && pageProducts.length === 0 ? (
+              <LoadingSpinner text="Loading products..." />
+            ) : pageProducts.length === 0 ? (
               <div className="text-center py-5">
                 <i className="bi bi-search display-1 text-muted"></i>
                 <h3 className="mt-3">No products found</h3>
@@ -271,11 +382,11 @@ const Products = () => {
             ) : (
               <>
                 <p className="mb-4">
-                  Showing {getCurrentPageProducts().length} of {filteredProducts.length} products
+                  Showing {firstShown}–{firstShown + pageProducts.length - 1} of {totalProducts} products
                 </p>
                 
-                <Row>
-                  {getCurrentPageProducts().map((product, index) => (
+                <Row style={{ opacity: listLoading ? 0.5 : 1, transition: 'opacity 0.2s' }}>
+                  {pageProducts.map((product, index) => (
                     <Col key={product.id} md={6} lg={4} className="mb-4">
                       <motion.div
                         initial={{ opacity: 0, y: 20 }}
@@ -289,6 +400,8 @@ const Products = () => {
                               id: product.id,
                               name: product.name,
                               price: product.price,
+                              category: product.category,
+                              weight: product.weight || 0,
                               imageUrl: product.imageUrls && product.imageUrls.length > 0 ? product.imageUrls[0] : product.imageUrl,
                               quantity: 1
                             });
@@ -299,7 +412,7 @@ const Products = () => {
                   ))}
                 </Row>
                 
-                <PaginationComponent />
+                {filterInBrowser ? <NumberedPagination /> : <CursorPagination />}
               </>
             )}
           </Col>
@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { Modal, Form, Button, Image, Alert, Spinner } from 'react-bootstrap';
+import { uploadImage } from '../../services/cloudinaryService';
+import { requestOrderReturn } from '../../services/firestore';
+import { RETURN_REASONS, MAX_RETURN_PHOTOS } from '../../utils/orderStatus';
+
+const ReturnRequestModal = ({ show, order, customer, onHide, onSubmitted }) => {
+  const [reason, setReason] = useState(RETURN_REASONS[0]);
+  const [details, setDetails] = useState('');
+  const [photoFiles, setPhotoFiles] = useState([]);
+  const [photoPreviews, setPhotoPreviews] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const resetForm = () => {
+    setReason(RETURN_REASONS[0]);
+    setDetails('');
+    setPhotoFiles([]);
+    setPhotoPreviews([]);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    if (submitting) return;
+    resetForm();
+    onHide();
+  };
+
+  // Handle photo selection
+  const handlePhotoChange = (e) => {
+    const selectedFiles = Array.from(e.target.files);
+    if (!selectedFiles.length) return;
+
+    if (photoFiles.length + selectedFiles.length > MAX_RETURN_PHOTOS) {
+      setError(`You can attach up to ${MAX_RETURN_PHOTOS} photos`);
+      return;
+    }
+
+    setError(null);
+    setPhotoFiles([...photoFiles, ...selectedFiles]);
+    setPhotoPreviews([...photoPreviews, ...selectedFiles.map(file => URL.createObjectURL(file))]);
+  };
+
+  // Remove a photo from the selection
+  const handleRemovePhoto = (index) => {
+    URL.revokeObjectURL(photoPreviews[index]);
+    setPhotoFiles(photoFiles.filter((_, i) => i !== index));
+    setPhotoPreviews(photoPreviews.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (reason === 'Other' && !details.trim()) {
+      setError('Please describe the reason for your return');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      const imageUrls = await Promise.all(photoFiles.map(file => uploadImage(file)));
+      await requestOrderReturn(order.id, customer, {
+        reason,
+        details: details.trim(),
+        imageUrls
+      });
+
+      resetForm();
+      onSubmitted();
+    } catch (err) {
+      console.error('Error submitting return request:', err);
+      setError(err.message || 'Failed to submit your return request. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={handleClose}>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>Request a Return</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {order && (
+            <p className="text-muted">Order #{order.id.substring(0, 8)}</p>
+          )}
+
+          {error && <Alert variant="danger">{error}</Alert>}
+
+          <Form.Group className="mb-3" controlId="returnReason">
+            <Form.Label>Reason</Form.Label>
+            <Form.Select
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              disabled={submitting}
+            >
+              {RETURN_REASONS.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+
+          <Form.Group className="mb-3" controlId="returnDetails">
+            <Form.Label>Details</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={3}
+              value={details}
+              onChange={(e) => setDetails(e.target.value)}
+              placeholder="Tell us what went wrong"
+              disabled={submitting}
+            />
+          </Form.Group>
+
+          <Form.Group controlId="returnPhotos">
+            <Form.Label>Photos (up to {MAX_RETURN_PHOTOS})</Form.Label>
+            {photoPreviews.length > 0 && (
+              <div className="d-flex flex-wrap gap-2 mb-2">
+                {photoPreviews.map((preview, index) => (
+                  <div key={preview} className="position-relative" style={{ width: '80px' }}>
+                    <Image
+                      src={preview}
+                      alt={`Return photo ${index + 1}`}
+                      rounded
+                      style={{ width: '80px', height: '80px', objectFit: 'cover' }}
+                    />
+                    <Button
+                      variant="danger"
+                      size="sm"
+                      className="position-absolute top-0 end-0"
+                      onClick={() => handleRemovePhoto(index)}
+                      disabled={submitting}
+                    >
+                      ×
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <Form.Control
+              type="file"
+              accept="image/*"
+              multiple
+              onChange={handlePhotoChange}
+              disabled={submitting || photoFiles.length >= MAX_RETURN_PHOTOS}
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={handleClose} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" disabled={submitting}>
+            {submitting ? (
+              <>
+                <Spinner as="span" animation="border" size="sm" role="status" aria-hidden="true" className="me-2" />
+                Submitting...
+              </>
+            ) : (
+              'Submit Request'
+            )}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default ReturnRequestModal;
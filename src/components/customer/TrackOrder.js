@@ -0,0 +1,274 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Row, Col, Card, Form, Button, Alert, Table } from 'react-bootstrap';
+import { motion } from 'framer-motion';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { getOrderByNumberAndEmail, attachGuestOrders, GUEST_USER_ID } from '../../services/firestore';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatCurrency, formatDate, isValidEmail } from '../../utils/helpers';
+import { formatDeliveryEstimate } from '../../utils/shipping';
+import { getOrderTotals } from '../../utils/orderTotals';
+import { getItemDisplayName } from '../../utils/variants';
+import { downloadInvoice } from '../../services/invoiceService';
+import OrderStatusBadge from '../common/OrderStatusBadge';
+import OrderStatusTimeline from '../common/OrderStatusTimeline';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+// Public order tracking by order number and email, used by guest customers
+const TrackOrder = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { currentUser, isCustomer } = useAuth();
+  const [orderNumber, setOrderNumber] = useState(location.state?.orderNumber || '');
+  const [email, setEmail] = useState(location.state?.email || '');
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [attaching, setAttaching] = useState(false);
+  const [attachMessage, setAttachMessage] = useState(null);
+
+  const lookupOrder = useCallback(async (number, address) => {
+    try {
+      setLoading(true);
+      setError(null);
+      setAttachMessage(null);
+      const orderData = await getOrderByNumberAndEmail(number, address);
+      setOrder(orderData);
+      if (!orderData) {
+        setError('We could not find an order with that order number and email address.');
+      }
+    } catch (err) {
+      console.error('Error looking up order:', err);
+      setError('Failed to look up your order. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Look the order up straight away when arriving from checkout
+  useEffect(() => {
+    if (location.state?.orderNumber && location.state?.email) {
+      lookupOrder(location.state.orderNumber, location.state.email);
+    }
+  }, [location.state, lookupOrder]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!orderNumber.trim()) {
+      setError('Please enter your order number');
+      return;
+    }
+    if (!isValidEmail(email.trim())) {
+      setError('Please enter the email address used for the order');
+      return;
+    }
+
+    lookupOrder(orderNumber, email);
+  };
+
+  // Attach this and any other guest orders placed with the customer's email to their account
+  const handleAttachOrders = async () => {
+    try {
+      setAttaching(true);
+      setError(null);
+      const count = await attachGuestOrders(currentUser.uid, currentUser.email);
+      setOrder({ ...order, userId: currentUser.uid });
+      setAttachMessage(`${count} order${count !== 1 ? 's were' : ' was'} added to your account.`);
+    } catch (err) {
+      console.error('Error attaching guest orders:', err);
+      setError('Failed to add this order to your account. Please try again.');
+    } finally {
+      setAttaching(false);
+    }
+  };
+
+  const handleCreateAccount = () => {
+    navigate('/register', {
+      state: {
+        email: order.customerInfo.email,
+        fullName: `${order.customerInfo.firstName} ${order.customerInfo.lastName}`.trim(),
+        orderNumber: order.orderNumber
+      }
+    });
+  };
+
+  // Only a verified email proves the orders placed with it belong to this customer
+  const canAttach = order && currentUser && isCustomer && currentUser.emailVerified &&
+    order.userId === GUEST_USER_ID &&
+    currentUser.email?.toLowerCase() === order.customerEmail;
+  const totals = order ? getOrderTotals(order) : null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      transition={{ duration: 0.5 }}
+    >
+      <h1 className="mb-4">Track Your Order</h1>
+
+      <Card className="shadow-sm mb-4">
+        <Card.Body>
+          <Form onSubmit={handleSubmit}>
+            <Row className="align-items-end">
+              <Col md={4}>
+                <Form.Group className="mb-3 mb-md-0" controlId="trackOrderNumber">
+                  <Form.Label>Order Number</Form.Label>
+                  <Form.Control
+                    value={orderNumber}
+                    onChange={(e) => setOrderNumber(e.target.value)}
+                    placeholder="e.g. 7F3K9Q2A"
+                    disabled={loading}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={5}>
+                <Form.Group className="mb-3 mb-md-0" controlId="trackOrderEmail">
+                  <Form.Label>Email Address</Form.Label>
+                  <Form.Control
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="The email used at checkout"
+                    disabled={loading}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={3} className="d-grid">
+                <Button type="submit" variant="primary" disabled={loading}>
+                  {loading ? <LoadingSpinner size="sm" text="" /> : 'Track Order'}
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+        </Card.Body>
+      </Card>
+
+      {error && (
+        <Alert variant="danger" onClose={() => setError(null)} dismissible>
+          {error}
+        </Alert>
+      )}
+
+      {order && (
+        <Row>
+          <Col lg={8}>
+            <Card className="shadow-sm mb-4">
+              <Card.Header className="bg-white d-flex justify-content-between align-items-center">
+                <div>
+                  <h5 className="mb-0">Order #{order.orderNumber}</h5>
+                  <small className="text-muted">Placed on {formatDate(order.createdAt)}</small>
+                </div>
+                <OrderStatusBadge status={order.status} />
+              </Card.Header>
+              <Card.Body>
+                {formatDeliveryEstimate(order.shipping?.estimatedDelivery) && (
+                  <p>
+                    <i className="bi bi-truck me-2"></i>
+                    Estimated delivery: {formatDeliveryEstimate(order.shipping.estimatedDelivery)}
+                  </p>
+                )}
+                <h6>Status History</h6>
+                <OrderStatusTimeline history={order.statusHistory} />
+
+                <h6 className="mt-4">Items</h6>
+                <Table responsive size="sm" className="mb-0">
+                  <tbody>
+                    {order.items.map((item, index) => (
+                      <tr key={index}>
+                        <td>{getItemDisplayName(item)}</td>
+                        <td className="text-muted">x{item.quantity}</td>
+                        <td className="text-end">{formatCurrency(item.price * item.quantity)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card.Body>
+            </Card>
+          </Col>
+          <Col lg={4}>
+            <Card className="shadow-sm mb-4">
+              <Card.Header className="bg-white">
+                <h5 className="mb-0">Order Summary</h5>
+              </Card.Header>
+              <Card.Body>
+                <div className="d-flex justify-content-between mb-2">
+                  <span>Subtotal:</span>
+                  <span>{formatCurrency(totals.subtotal)}</span>
+                </div>
+                {totals.discount > 0 && (
+                  <div className="d-flex justify-content-between mb-2 text-success">
+                    <span>Discount:</span>
+                    <span>-{formatCurrency(totals.discount)}</span>
+                  </div>
+                )}
+                {totals.tax > 0 && (
+                  <div className="d-flex justify-content-between mb-2">
+                    <span>Tax:</span>
+                    <span>{formatCurrency(totals.tax)}</span>
+                  </div>
+                )}
+                <div className="d-flex justify-content-between mb-2">
+                  <span>Shipping:</span>
+                  <span>{totals.shipping > 0 ? formatCurrency(totals.shipping) : 'Free'}</span>
+                </div>
+                <hr />
+                <div className="d-flex justify-content-between fw-bold">
+                  <span>Total:</span>
+                  <span className="text-primary">{formatCurrency(totals.total)}</span>
+                </div>
+                {order.invoiceNumber && (
+                  <div className="d-grid mt-3">
+                    <Button variant="outline-dark" size="sm" onClick={() => downloadInvoice(order)}>
+                      <i className="bi bi-file-earmark-pdf me-2"></i>
+                      Download Invoice
+                    </Button>
+                  </div>
+                )}
+              </Card.Body>
+            </Card>
+
+            {!currentUser && (
+              <Card className="shadow-sm mb-4 border-primary">
+                <Card.Body>
+                  <h6>Save your details for next time</h6>
+                  <p className="small text-muted">
+                    Create an account with {order.customerInfo.email} to see this and your other orders in one place.
+                  </p>
+                  <div className="d-grid">
+                    <Button variant="primary" onClick={handleCreateAccount}>
+                      Create an Account
+                    </Button>
+                  </div>
+                </Card.Body>
+              </Card>
+            )}
+
+            {canAttach && (
+              <Card className="shadow-sm mb-4 border-primary">
+                <Card.Body>
+                  <h6>Add to your account</h6>
+                  <p className="small text-muted">
+                    This order was placed as a guest with your email address.
+                  </p>
+                  <div className="d-grid">
+                    <Button variant="primary" onClick={handleAttachOrders} disabled={attaching}>
+                      {attaching ? <LoadingSpinner size="sm" text="" /> : 'Add My Guest Orders'}
+                    </Button>
+                  </div>
+                </Card.Body>
+              </Card>
+            )}
+
+            {attachMessage && (
+              <Alert variant="success">
+                {attachMessage} <Link to="/orders">View your orders</Link>
+              </Alert>
+            )}
+          </Col>
+        </Row>
+      )}
+    </motion.div>
+  );
+};
+
+export default TrackOrder;
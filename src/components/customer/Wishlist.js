@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Card, Button, Table, Image, Badge, Alert } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useWishlist } from '../../contexts/WishlistContext';
+import { useCart } from '../../contexts/CartContext';
+import { getProductById } from '../../services/firestore';
+import { formatCurrency, formatDate } from '../../utils/helpers';
+import { optimizeImage } from '../../services/cloudinaryService';
+import { getCartLineId, hasVariants } from '../../utils/variants';
+import { isProductLive } from '../../utils/productStatus';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ErrorAlert from '../common/ErrorAlert';
+
+const Wishlist = () => {
+  const { items, loading, error: wishlistError, removeFromWishlist } = useWishlist();
+  const { addToCart } = useCart();
+  const [products, setProducts] = useState({});
+  const [loadingProducts, setLoadingProducts] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [movingId, setMovingId] = useState(null);
+
+  // Refetch products only when the set of saved products changes
+  const productIds = [...new Set(items.map(item => item.id))].join(',');
+
+  // Fetch current product details, so prices and stock are up to date
+  useEffect(() => {
+    const fetchProducts = async () => {
+      try {
+        setLoadingProducts(true);
+        const ids = productIds ? productIds.split(',') : [];
+        const productsData = await Promise.all(ids.map(id => getProductById(id)));
+        setProducts(Object.fromEntries(ids.map((id, index) => [id, productsData[index]])));
+      } catch (err) {
+        console.error('Error fetching wishlist products:', err);
+        setError('Failed to load product details. Please try again.');
+      } finally {
+        setLoadingProducts(false);
+      }
+    };
+
+    fetchProducts();
+  }, [productIds]);
+
+  // Current price and availability of a saved item
+  const getAvailability = (item) => {
+    const product = products[item.id];
+    if (!isProductLive(product)) {
+      return { available: false, label: 'No longer available' };
+    }
+    if (hasVariants(product)) {
+      if (!item.variantId) {
+        return { available: false, needsOptions: true, price: product.price, label: 'Choose options' };
+      }
+      const variant = product.variants.find(productVariant => productVariant.id === item.variantId);
+      if (!variant) {
+        return { available: false, label: 'Option no longer available' };
+      }
+      return variant.stockQuantity > 0
+        ? { available: true, price: variant.price }
+        : { available: false, price: variant.price, label: 'Out of stock' };
+    }
+    return product.inStock === false
+      ? { available: false, price: product.price, label: 'Out of stock' }
+      : { available: true, price: product.price };
+  };
+
+  const handleMoveToCart = async (item) => {
+    const lineId = getCartLineId(item);
+    const { addedAt, ...line } = item;
+
+    try {
+      setMovingId(lineId);
+      setError(null);
+      addToCart({ ...line, price: getAvailability(item).price }, 1);
+      await removeFromWishlist(lineId);
+      setMessage(`${item.name} was moved to your cart.`);
+    } catch (err) {
+      console.error('Error moving item to cart:', err);
+      setError('Failed to update your wishlist. Please try again.');
+    } finally {
+      setMovingId(null);
+    }
+  };
+
+  const handleRemove = async (item) => {
+    try {
+      setError(null);
+      await removeFromWishlist(getCartLineId(item));
+    } catch (err) {
+      console.error('Error removing wishlist item:', err);
+      setError('Failed to update your wishlist. Please try again.');
+    }
+  };
+
+  if (loading || (loadingProducts && items.length > 0)) {
+    return <LoadingSpinner fullPage text="Loading your wishlist..." />;
+  }
+
+  if (items.length === 0) {
+    return (
+      <Container className="py-5">
+        {wishlistError && <ErrorAlert error={wishlistError} className="mb-4" />}
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          transition={{ duration: 0.5 }}
+        >
+          <Card className="text-center shadow-sm">
+            <Card.Body className="p-5">
+              <div className="mb-4">
+                <i className="bi bi-heart display-1 text-muted"></i>
+              </div>
+              <Card.Title className="fs-2 mb-3">Your Wishlist is Empty</Card.Title>
+              <Card.Text className="text-muted mb-4">
+                Tap the heart on any product to save it for later.
+              </Card.Text>
+              <Button as={Link} to="/products" variant="primary" size="lg">
+                Browse Products
+              </Button>
+            </Card.Body>
+          </Card>
+        </motion.div>
+      </Container>
+    );
+  }
+
+  return (
+    <Container className="py-5">
+      <h1 className="mb-4">Your Wishlist</h1>
+
+      {error && (
+        <ErrorAlert error={error} onClose={() => setError(null)} className="mb-4" />
+      )}
+      {message && (
+        <Alert variant="success" onClose={() => setMessage(null)} dismissible>
+          {message} <Link to="/cart">View cart</Link>
+        </Alert>
+      )}
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+      >
+        <Card className="shadow-sm">
+          <Card.Body>
+            <Table responsive className="align-middle">
+              <thead>
+                <tr>
+                  <th>Product</th>
+                  <th>Price</th>
+                  <th>Saved</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map(item => {
+                  const lineId = getCartLineId(item);
+                  const availability = getAvailability(item);
+                  const priceChanged = availability.price !== undefined && availability.price !== item.price;
+                  return (
+                    <tr key={lineId}>
+                      <td>
+                        <div className="d-flex align-items-center">
+                          <Image
+                            src={optimizeImage(item.imageUrl, 80) || '/placeholder-product.jpg'}
+                            alt={item.name}
+                            width={80}
+                            height={80}
+                            className="me-3 product-thumbnail"
+                            rounded
+                          />
+                          <div>
+                            <h6 className="mb-1">
+                              <Link to={`/products/${item.id}`} className="text-decoration-none">
+                                {item.name}
+                              </Link>
+                            </h6>
+                            {item.variantName && (
+                              <small className="d-block">{item.variantName}</small>
+                            )}
+                            {availability.label && !availability.needsOptions && (
+                              <Badge bg="secondary">{availability.label}</Badge>
+                            )}
+                          </div>
+                        </div>
+                      </td>
+                      <td>
+                        {availability.price !== undefined ? formatCurrency(availability.price) : '-'}
+                        {priceChanged && (
+                          <small className="d-block text-muted">
+                            was {formatCurrency(item.price)}
+                          </small>
+                        )}
+                      </td>
+                      <td>{formatDate(item.addedAt)}</td>
+                      <td className="text-end text-nowrap">
+                        {availability.needsOptions ? (
+                          <Button as={Link} to={`/products/${item.id}`} variant="outline-primary" size="sm" className="me-2">
+                            <i className="bi bi-sliders me-1"></i> Choose Options
+                          </Button>
+                        ) : (
+                          <Button
+                            variant="primary"
+                            size="sm"
+                            className="me-2"
+                            onClick={() => handleMoveToCart(item)}
+                            disabled={!availability.available || movingId === lineId}
+                          >
+                            <i className="bi bi-cart-plus me-1"></i> Move to Cart
+                          </Button>
+                        )}
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          onClick={() => handleRemove(item)}
+                          disabled={movingId === lineId}
+                          aria-label={`Remove ${item.name} from wishlist`}
+                        >
+                          <i className="bi bi-trash"></i>
+                        </Button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          </Card.Body>
+        </Card>
+      </motion.div>
+    </Container>
+  );
+};
+
+export default Wishlist;
@@ -13,6 +13,7 @@ import { doc, setDoc, getDoc, serverTimestamp } from 'firebase/firestore';
 import { auth, db, googleProvider } from '../services/firebase';
 import { checkLoginRateLimit, resetLoginAttempts, generateCSRFToken, storeCSRFToken, secureStorage } from '../utils/security';
 import { secureHttp } from '../services/secureHttpClient';
+import { attachGuestOrders } from '../services/firestore';
 
 const AuthContext = createContext();
 
@@ -251,6 +252,11 @@ export function AuthProvider({ children }) {
               await logout();
               setCurrentUser(null);
               setUserRole(null);
+            } else if (userData.role === 'customer' && user.emailVerified) {
+              // Guest orders placed with a verified email belong to this customer
+              attachGuestOrders(user.uid, user.email).catch(error => {
+                console.error('Error attaching guest orders:', error);
+              });
             }
           } else {
             await getUserRole(user.uid);
@@ -1,5 +1,18 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useRef, useState } from 'react';
 import { useAuth } from './AuthContext';
+import { validateCoupon, getCouponById, getCart, saveCart, subscribeToCart } from '../services/firestore';
+import { evaluateCoupon, toCouponRef } from '../utils/coupons';
+import { EMPTY_CART, mergeCarts, getCartFingerprint } from '../utils/cart';
+import { getCartLineId } from '../utils/variants';
+
+// localStorage key of the cart kept while signed out
+const GUEST_CART_KEY = 'cart_guest';
+
+// Read the signed-out cart from localStorage
+const loadGuestCart = () => {
+  const savedCart = localStorage.getItem(GUEST_CART_KEY);
+  return savedCart ? JSON.parse(savedCart) : null;
+};
 
 // Create context
 const CartContext = createContext();
@@ -9,6 +22,8 @@ const initialState = {
   items: [],
   total: 0,
   itemCount: 0,
+  coupon: null,
+  owner: null,
   loading: false,
   error: null
 };
@@ -21,6 +36,9 @@ const CLEAR_CART = 'CLEAR_CART';
 const SET_LOADING = 'SET_LOADING';
 const SET_ERROR = 'SET_ERROR';
 const LOAD_CART = 'LOAD_CART';
+const UPDATE_PRICES = 'UPDATE_PRICES';
+const UPDATE_ITEM_DETAILS = 'UPDATE_ITEM_DETAILS';
+const SET_COUPON = 'SET_COUPON';
 
 // Reducer function
 const cartReducer = (state, action) => {
@@ -31,16 +49,19 @@ const cartReducer = (state, action) => {
         items: action.payload.items || [],
         total: action.payload.total || 0,
         itemCount: action.payload.itemCount || 0,
+        coupon: toCouponRef(action.payload.coupon),
+        owner: action.payload.owner,
         loading: false,
         error: null
       };
     case ADD_TO_CART: {
       const { product, quantity = 1 } = action.payload;
-      const existingItemIndex = state.items.findIndex(item => item.id === product.id);
+      const lineId = getCartLineId(product);
+      const existingItemIndex = state.items.findIndex(item => getCartLineId(item) === lineId);
       
       let newItems;
       if (existingItemIndex >= 0) {
-        // Product already in cart, update quantity
+        // Product (or the same variant) already in cart, update quantity
         newItems = state.items.map((item, index) => 
           index === existingItemIndex 
             ? { ...item, quantity: item.quantity + quantity } 
@@ -65,8 +86,8 @@ const cartReducer = (state, action) => {
       };
     }
     case REMOVE_FROM_CART: {
-      const productId = action.payload;
-      const newItems = state.items.filter(item => item.id !== productId);
+      const lineId = action.payload;
+      const newItems = state.items.filter(item => getCartLineId(item) !== lineId);
       
       // Calculate new total and item count
       const newTotal = newItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
@@ -82,15 +103,15 @@ const cartReducer = (state, action) => {
       };
     }
     case UPDATE_QUANTITY: {
-      const { productId, quantity } = action.payload;
+      const { lineId, quantity } = action.payload;
       
       // If quantity is 0 or less, remove item from cart
       if (quantity <= 0) {
-        return cartReducer(state, { type: REMOVE_FROM_CART, payload: productId });
+        return cartReducer(state, { type: REMOVE_FROM_CART, payload: lineId });
       }
       
       const newItems = state.items.map(item => 
-        item.id === productId ? { ...item, quantity } : item
+        getCartLineId(item) === lineId ? { ...item, quantity } : item
       );
       
       // Calculate new total and item count
@@ -106,12 +127,45 @@ const cartReducer = (state, action) => {
         error: null
       };
     }
+    case UPDATE_PRICES: {
+      const prices = action.payload;
+      const newItems = state.items.map(item => {
+        const lineId = getCartLineId(item);
+        return prices[lineId] !== undefined ? { ...item, price: prices[lineId] } : item;
+      });
+      
+      // Calculate new total
+      const newTotal = newItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+      
+      return {
+        ...state,
+        items: newItems,
+        total: newTotal,
+        loading: false,
+        error: null
+      };
+    }
+    case UPDATE_ITEM_DETAILS: {
+      const details = action.payload;
+      return {
+        ...state,
+        items: state.items.map(item => 
+          details[item.id] ? { ...item, ...details[item.id] } : item
+        )
+      };
+    }
+    case SET_COUPON:
+      return {
+        ...state,
+        coupon: toCouponRef(action.payload)
+      };
     case CLEAR_CART:
       return {
         ...state,
         items: [],
         total: 0,
         itemCount: 0,
+        coupon: null,
         loading: false,
         error: null
       };
@@ -136,47 +190,121 @@ export const CartProvider = ({ children }) => {
   const [state, dispatch] = useReducer(cartReducer, initialState);
   const { currentUser } = useAuth();
   
-  // Load cart from localStorage on mount and when user changes
+  // Fingerprint of the last cart read from or written to Firestore
+  const lastSyncedRef = useRef(null);
+  
+  // The cart keeps only the applied coupon's ID and code; the coupon itself is read for working out
+  // the discount. { id, coupon } with coupon null when it no longer exists.
+  const [loadedCoupon, setLoadedCoupon] = useState({ id: null, coupon: null });
+  const couponId = state.coupon?.id || null;
+  
+  // Load the cart on mount and when the user changes. Signed-out carts live in localStorage;
+  // signed-in carts live in Firestore, with the signed-out cart merged in on sign-in.
   useEffect(() => {
-    const loadCart = () => {
+    if (!currentUser) {
+      try {
+        dispatch({ type: SET_LOADING, payload: true });
+        dispatch({ type: LOAD_CART, payload: { ...(loadGuestCart() || EMPTY_CART), owner: 'guest' } });
+      } catch (error) {
+        console.error('Error loading cart:', error);
+        dispatch({ type: SET_ERROR, payload: 'Failed to load cart' });
+      }
+      return undefined;
+    }
+    
+    const userId = currentUser.uid;
+    let cancelled = false;
+    let unsubscribe = null;
+    
+    const syncCart = async () => {
       try {
         dispatch({ type: SET_LOADING, payload: true });
         
-        // Get cart from localStorage
-        const userId = currentUser?.uid || 'guest';
-        const savedCart = localStorage.getItem(`cart_${userId}`);
+        let cart = await getCart(userId);
         
-        if (savedCart) {
-          const parsedCart = JSON.parse(savedCart);
-          dispatch({ type: LOAD_CART, payload: parsedCart });
-        } else {
-          // No saved cart, initialize empty cart
-          dispatch({ type: CLEAR_CART });
+        // Carts kept on this device before carts were stored in Firestore are merged in once
+        const legacyKey = `cart_${userId}`;
+        const legacyCart = localStorage.getItem(legacyKey);
+        const guestCart = loadGuestCart();
+        if (legacyCart || guestCart?.items?.length > 0) {
+          if (legacyCart) cart = mergeCarts(cart, JSON.parse(legacyCart));
+          if (guestCart) cart = mergeCarts(cart, guestCart);
+          await saveCart(userId, cart);
+          localStorage.removeItem(legacyKey);
+          localStorage.removeItem(GUEST_CART_KEY);
         }
+        if (cancelled) return;
+        
+        cart = cart || EMPTY_CART;
+        lastSyncedRef.current = getCartFingerprint(cart);
+        dispatch({ type: LOAD_CART, payload: { ...cart, owner: userId } });
+        
+        // Pick up changes made in other tabs and on other devices
+        unsubscribe = subscribeToCart(userId, (remoteCart) => {
+          const fingerprint = getCartFingerprint(remoteCart || EMPTY_CART);
+          if (fingerprint === lastSyncedRef.current) return;
+          lastSyncedRef.current = fingerprint;
+          dispatch({ type: LOAD_CART, payload: { ...(remoteCart || EMPTY_CART), owner: userId } });
+        });
       } catch (error) {
         console.error('Error loading cart:', error);
         dispatch({ type: SET_ERROR, payload: 'Failed to load cart' });
       }
     };
     
-    loadCart();
+    syncCart();
+    
+    return () => {
+      cancelled = true;
+      if (unsubscribe) unsubscribe();
+    };
   }, [currentUser]);
   
-  // Save cart to localStorage whenever it changes
+  // Save the cart whenever it changes: to Firestore when signed in, otherwise to localStorage
   useEffect(() => {
-    if (!state.loading) {
+    // Skip while loading and until the loaded cart belongs to the current user
+    if (state.loading || state.owner !== (currentUser?.uid || 'guest')) return;
+    
+    const cart = {
+      items: state.items,
+      total: state.total,
+      itemCount: state.itemCount,
+      coupon: state.coupon
+    };
+    
+    if (!currentUser) {
       try {
-        const userId = currentUser?.uid || 'guest';
-        localStorage.setItem(`cart_${userId}`, JSON.stringify({
-          items: state.items,
-          total: state.total,
-          itemCount: state.itemCount
-        }));
+        localStorage.setItem(GUEST_CART_KEY, JSON.stringify(cart));
       } catch (error) {
         console.error('Error saving cart:', error);
       }
+      return;
     }
-  }, [state.items, state.total, state.itemCount, state.loading, currentUser]);
+    
+    const fingerprint = getCartFingerprint(cart);
+    if (fingerprint === lastSyncedRef.current) return;
+    lastSyncedRef.current = fingerprint;
+    saveCart(currentUser.uid, cart).catch(error => {
+      console.error('Error saving cart:', error);
+    });
+  }, [state.items, state.total, state.itemCount, state.coupon, state.owner, state.loading, currentUser]);
+  
+  // Read the applied coupon when a cart with one is loaded
+  useEffect(() => {
+    if (!couponId || loadedCoupon.id === couponId) return undefined;
+    
+    let cancelled = false;
+    getCouponById(couponId)
+      .then(coupon => {
+        if (!cancelled) setLoadedCoupon({ id: couponId, coupon });
+      })
+      .catch(error => {
+        console.error('Error loading coupon:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [couponId, loadedCoupon.id]);
   
   // Add item to cart
   const addToCart = (product, quantity = 1) => {
@@ -186,33 +314,80 @@ export const CartProvider = ({ children }) => {
     });
   };
   
-  // Remove item from cart
-  const removeFromCart = (productId) => {
+  // Remove a line from the cart (lineId from getCartLineId)
+  const removeFromCart = (lineId) => {
     dispatch({ 
       type: REMOVE_FROM_CART, 
-      payload: productId 
+      payload: lineId 
     });
   };
   
-  // Update item quantity
-  const updateQuantity = (productId, quantity) => {
+  // Update a line's quantity
+  const updateQuantity = (lineId, quantity) => {
     dispatch({ 
       type: UPDATE_QUANTITY, 
-      payload: { productId, quantity }
+      payload: { lineId, quantity }
     });
   };
   
+  // Replace stored prices with current ones ({ [lineId]: price })
+  const updatePrices = (prices) => {
+    dispatch({ 
+      type: UPDATE_PRICES, 
+      payload: prices 
+    });
+  };
+  
+  // Refresh catalog details used for discounts, tax and shipping ({ [productId]: { category, weight } })
+  const updateItemDetails = (details) => {
+    dispatch({ 
+      type: UPDATE_ITEM_DETAILS, 
+      payload: details 
+    });
+  };
+  
+  // Apply a coupon code; rejects with the reason when the code does not apply
+  const applyCoupon = async (code) => {
+    const result = await validateCoupon(code, state.items, currentUser?.uid || null);
+    if (!result.valid) {
+      throw new Error(result.error);
+    }
+    setLoadedCoupon({ id: result.coupon.id, coupon: result.coupon });
+    dispatch({ type: SET_COUPON, payload: result.coupon });
+    return result;
+  };
+  
+  // Remove the applied coupon
+  const removeCoupon = () => {
+    dispatch({ type: SET_COUPON, payload: null });
+  };
+  
   // Clear cart
   const clearCart = () => {
     dispatch({ type: CLEAR_CART });
   };
   
+  // Re-evaluate the applied coupon whenever the cart changes (once it has been read)
+  const couponDetails = couponId && loadedCoupon.id === couponId ? loadedCoupon.coupon : null;
+  const couponResult = couponId && loadedCoupon.id === couponId
+    ? evaluateCoupon(couponDetails, state.items, { userId: currentUser?.uid || null })
+    : null;
+  const discount = couponResult?.valid ? couponResult.discount : 0;
+  
   // Context value
   const value = {
     ...state,
+    couponDetails,
+    discount,
+    freeShipping: Boolean(couponResult?.valid && couponResult.freeShipping),
+    couponError: couponResult && !couponResult.valid ? couponResult.error : null,
+    applyCoupon,
+    removeCoupon,
     addToCart,
     removeFromCart,
     updateQuantity,
+    updatePrices,
+    updateItemDetails,
     clearCart
   };
   
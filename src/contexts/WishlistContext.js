@@ -0,0 +1,102 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import { useAuth } from './AuthContext';
+import { getWishlist, saveWishlist } from '../services/firestore';
+import { getCartLineId } from '../utils/variants';
+
+const WishlistContext = createContext();
+
+export function useWishlist() {
+  return useContext(WishlistContext);
+}
+
+// Saved items for signed-in customers. Entries have the same shape as cart lines
+// (without a quantity), so a variant saved from the cart keeps its options.
+export function WishlistProvider({ children }) {
+  const { currentUser, isCustomer } = useAuth();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Load the customer's wishlist
+  useEffect(() => {
+    if (!currentUser || !isCustomer) {
+      setItems([]);
+      setLoading(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    const loadWishlist = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const wishlistItems = await getWishlist(currentUser.uid);
+        if (!cancelled) setItems(wishlistItems);
+      } catch (err) {
+        console.error('Error loading wishlist:', err);
+        if (!cancelled) setError('Failed to load your wishlist');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadWishlist();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser, isCustomer]);
+
+  // Update the list straight away and save it in the background, rolling back if the save fails
+  const updateItems = async (newItems) => {
+    const previousItems = items;
+    setItems(newItems);
+    try {
+      await saveWishlist(currentUser.uid, newItems);
+    } catch (err) {
+      setItems(previousItems);
+      throw err;
+    }
+  };
+
+  const isInWishlist = (lineId) => items.some(item => getCartLineId(item) === lineId);
+
+  // Save an item (a cart line or product snapshot); saving it again is a no-op
+  const addToWishlist = async (item) => {
+    const lineId = getCartLineId(item);
+    if (isInWishlist(lineId)) return;
+    const { quantity, ...entry } = item;
+    await updateItems([{ ...entry, addedAt: new Date().toISOString() }, ...items]);
+  };
+
+  const removeFromWishlist = async (lineId) => {
+    await updateItems(items.filter(item => getCartLineId(item) !== lineId));
+  };
+
+  const toggleWishlist = async (item) => {
+    const lineId = getCartLineId(item);
+    if (isInWishlist(lineId)) {
+      await removeFromWishlist(lineId);
+    } else {
+      await addToWishlist(item);
+    }
+  };
+
+  const value = {
+    items,
+    loading,
+    error,
+    itemCount: items.length,
+    isInWishlist,
+    addToWishlist,
+    removeFromWishlist,
+    toggleWishlist
+  };
+
+  return (
+    <WishlistContext.Provider value={value}>
+      {children}
+    </WishlistContext.Provider>
+  );
+}
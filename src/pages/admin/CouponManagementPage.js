@@ -0,0 +1,22 @@
+import React from 'react';
+import { Container } from 'react-bootstrap';
+import CouponManagement from '../../components/admin/CouponManagement';
+import Navbar from '../../components/common/Navbar';
+import Footer from '../../components/common/Footer';
+
+const CouponManagementPage = () => {
+  return (
+    <div className="page-container">
+      <Navbar />
+      <div className="content-wrap">
+        <Container className="py-4">
+          <h1 className="mb-4">Coupon Management</h1>
+          <CouponManagement />
+        </Container>
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default CouponManagementPage;
\ No newline at end of file
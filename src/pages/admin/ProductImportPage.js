@@ -0,0 +1,22 @@
+import React from 'react';
+import { Container } from 'react-bootstrap';
+import ProductImport from '../../components/admin/ProductImport';
+import Navbar from '../../components/common/Navbar';
+import Footer from '../../components/common/Footer';
+
+const ProductImportPage = () => {
+  return (
+    <div className="page-container">
+      <Navbar />
+      <div className="content-wrap">
+        <Container className="py-4">
+          <h1 className="mb-4">Import Products</h1>
+          <ProductImport />
+        </Container>
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default ProductImportPage;
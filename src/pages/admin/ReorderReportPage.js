@@ -0,0 +1,22 @@
+import React from 'react';
+import { Container } from 'react-bootstrap';
+import ReorderReport from '../../components/admin/ReorderReport';
+import Navbar from '../../components/common/Navbar';
+import Footer from '../../components/common/Footer';
+
+const ReorderReportPage = () => {
+  return (
+    <div className="page-container">
+      <Navbar />
+      <div className="content-wrap">
+        <Container className="py-4">
+          <h1 className="mb-4">Reorder Report</h1>
+          <ReorderReport />
+        </Container>
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default ReorderReportPage;
@@ -0,0 +1,22 @@
+import React from 'react';
+import { Container } from 'react-bootstrap';
+import ReviewModeration from '../../components/admin/ReviewModeration';
+import Navbar from '../../components/common/Navbar';
+import Footer from '../../components/common/Footer';
+
+const ReviewModerationPage = () => {
+  return (
+    <div className="page-container">
+      <Navbar />
+      <div className="content-wrap">
+        <Container className="py-4">
+          <h1 className="mb-4">Product Reviews</h1>
+          <ReviewModeration />
+        </Container>
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default ReviewModerationPage;
\ No newline at end of file
@@ -0,0 +1,22 @@
+import React from 'react';
+import { Container } from 'react-bootstrap';
+import ShippingManagement from '../../components/admin/ShippingManagement';
+import Navbar from '../../components/common/Navbar';
+import Footer from '../../components/common/Footer';
+
+const ShippingManagementPage = () => {
+  return (
+    <div className="page-container">
+      <Navbar />
+      <div className="content-wrap">
+        <Container className="py-4">
+          <h1 className="mb-4">Shipping Zones</h1>
+          <ShippingManagement />
+        </Container>
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default ShippingManagementPage;
\ No newline at end of file
@@ -0,0 +1,25 @@
+import React from 'react';
+import { Container } from 'react-bootstrap';
+import { useParams } from 'react-router-dom';
+import StockHistory from '../../components/admin/StockHistory';
+import Navbar from '../../components/common/Navbar';
+import Footer from '../../components/common/Footer';
+
+const StockHistoryPage = () => {
+  const { productId } = useParams();
+
+  return (
+    <div className="page-container">
+      <Navbar />
+      <div className="content-wrap">
+        <Container className="py-4">
+          <h1 className="mb-4">Stock History</h1>
+          <StockHistory productId={productId} />
+        </Container>
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default StockHistoryPage;
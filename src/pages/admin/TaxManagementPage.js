@@ -0,0 +1,22 @@
+import React from 'react';
+import { Container } from 'react-bootstrap';
+import TaxManagement from '../../components/admin/TaxManagement';
+import Navbar from '../../components/common/Navbar';
+import Footer from '../../components/common/Footer';
+
+const TaxManagementPage = () => {
+  return (
+    <div className="page-container">
+      <Navbar />
+      <div className="content-wrap">
+        <Container className="py-4">
+          <h1 className="mb-4">Tax Rates</h1>
+          <TaxManagement />
+        </Container>
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default TaxManagementPage;
\ No newline at end of file
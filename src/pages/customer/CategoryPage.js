@@ -0,0 +1,16 @@
+import React from 'react';
+import CategoryLanding from '../../components/customer/CategoryLanding';
+import Navbar from '../../components/common/Navbar';
+import Footer from '../../components/common/Footer';
+
+const CategoryPage = () => {
+  return (
+    <>
+      <Navbar />
+      <CategoryLanding />
+      <Footer />
+    </>
+  );
+};
+
+export default CategoryPage;
\ No newline at end of file
@@ -0,0 +1,21 @@
+import React from 'react';
+import { Container } from 'react-bootstrap';
+import TrackOrder from '../../components/customer/TrackOrder';
+import Navbar from '../../components/common/Navbar';
+import Footer from '../../components/common/Footer';
+
+const TrackOrderPage = () => {
+  return (
+    <div className="page-container">
+      <Navbar />
+      <div className="content-wrap">
+        <Container className="py-4">
+          <TrackOrder />
+        </Container>
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default TrackOrderPage;
\ No newline at end of file
@@ -0,0 +1,21 @@
+import React from 'react';
+import { Container } from 'react-bootstrap';
+import Wishlist from '../../components/customer/Wishlist';
+import Navbar from '../../components/common/Navbar';
+import Footer from '../../components/common/Footer';
+
+const WishlistPage = () => {
+  return (
+    <div className="page-container">
+      <Navbar />
+      <div className="content-wrap">
+        <Container className="py-4">
+          <Wishlist />
+        </Container>
+      </div>
+      <Footer />
+    </div>
+  );
+};
+
+export default WishlistPage;
\ No newline at end of file
@@ -0,0 +1,37 @@
+import { getLiveProducts, getAllCategories } from './firestore';
+
+// How long fetched data is reused before it is fetched again
+const CATALOG_TTL = 5 * 60 * 1000;
+
+let catalogCache = null;
+let categoriesCache = null;
+
+// Reuse a cached promise while it is fresh; a failed fetch is retried on next use
+const loadCached = (cache, fetch) => {
+  if (cache && Date.now() - cache.loadedAt <= CATALOG_TTL) return cache;
+  const entry = { promise: fetch(), loadedAt: Date.now() };
+  entry.promise.catch(() => {
+    entry.loadedAt = 0;
+  });
+  return entry;
+};
+
+// All categories, for category trees, breadcrumbs and landing pages
+export const loadCategories = () => {
+  categoriesCache = loadCached(categoriesCache, getAllCategories);
+  return categoriesCache.promise;
+};
+
+// Live products and all categories, for client-side search, suggestions and facet counts.
+// Fetched on first use and shared by every component until it is older than CATALOG_TTL.
+export const loadCatalog = () => {
+  catalogCache = loadCached(catalogCache, () => Promise.all([getLiveProducts(), loadCategories()])
+    .then(([products, categories]) => ({ products, categories })));
+  return catalogCache.promise;
+};
+
+// Drop the cached catalog, e.g. after an admin edits categories, so the store shows the changes
+export const clearCatalogCache = () => {
+  catalogCache = null;
+  categoriesCache = null;
+};
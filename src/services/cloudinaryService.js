@@ -229,6 +229,50 @@ export const uploadMultipleImages = async (files, progressCallback = () => {}) =
   }
 };
 
+// Whether an image URL is already served by Cloudinary
+export const isCloudinaryUrl = (imageUrl) => /^https:\/\/res\.cloudinary\.com\//.test(imageUrl || '');
+
+// Function to copy a remote image (e.g. from a supplier's catalog) into Cloudinary (admin only).
+// Cloudinary fetches the URL itself, so the image never passes through the browser.
+export const uploadImageFromUrl = async (imageUrl) => {
+  const cloudName = process.env.REACT_APP_CLOUDINARY_CLOUD_NAME;
+  const uploadPreset = process.env.REACT_APP_CLOUDINARY_UPLOAD_PRESET || 'ml_default';
+  
+  if (!cloudName) {
+    throw new Error('Cloudinary configuration missing: REACT_APP_CLOUDINARY_CLOUD_NAME is not defined');
+  }
+  
+  if (!/^https?:\/\//i.test(imageUrl || '')) {
+    throw new Error(`Invalid image URL: ${imageUrl}`);
+  }
+  
+  // Already on Cloudinary, nothing to copy
+  if (isCloudinaryUrl(imageUrl)) {
+    return imageUrl;
+  }
+  
+  const formData = new FormData();
+  formData.append('file', imageUrl);
+  formData.append('upload_preset', uploadPreset);
+  
+  const response = await fetch(`https://api.cloudinary.com/v1_1/${cloudName}/image/upload`, {
+    method: 'POST',
+    body: formData,
+    mode: 'cors'
+  });
+  
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => null);
+    throw new Error(`Could not copy image ${imageUrl}: ${errorData?.error?.message || response.statusText}`);
+  }
+  
+  const result = await response.json();
+  if (!result.secure_url) {
+    throw new Error('Invalid response from Cloudinary: Missing secure_url');
+  }
+  return result.secure_url;
+};
+
 // Validate image file before upload
 const validateImageFile = (file) => {
   // Check if file exists
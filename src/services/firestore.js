@@ -4,16 +4,55 @@ import {
   getDoc, 
   getDocs, 
   addDoc, 
+  setDoc, 
   updateDoc, 
   deleteDoc, 
   query, 
   where, 
   orderBy, 
   limit,
+  limitToLast,
   startAfter,
-  serverTimestamp
+  endBefore,
+  documentId,
+  getCountFromServer,
+  Timestamp,
+  serverTimestamp,
+  runTransaction,
+  increment,
+  writeBatch,
+  deleteField,
+  onSnapshot
 } from 'firebase/firestore';
 import { db } from './firebase';
+import { ORDER_STATUSES, RETURN_REQUEST_STATUSES, canTransitionOrder, normalizeOrderStatus } from '../utils/orderStatus';
+import { PAYMENT_STATUSES, SETTLED_PAYMENT_STATUSES } from '../utils/paymentStatus';
+import { evaluateCoupon, normalizeCouponCode, toCouponRef } from '../utils/coupons';
+import { findShippingZone, calculateShipping } from '../utils/shipping';
+import { calculateTax } from '../utils/tax';
+import { hasVariants, getCartLineId, summarizeVariants } from '../utils/variants';
+import { REVIEW_STATUSES, applyRatingChange, hasRatingFields } from '../utils/reviews';
+import { PRODUCT_STATUSES, NO_UNPUBLISH_DATE, isProductLive, toDate } from '../utils/productStatus';
+import { INVENTORY_REASONS, getStockChanges, rebaseStockFields } from '../utils/inventory';
+import { rebaseBulkUpdate } from '../utils/bulkProductActions';
+
+// Most writes Firestore accepts in one batch
+const MAX_BATCH_WRITES = 500;
+
+// Products read and written per transaction when their stock changes are recorded in the inventory
+// ledger; each product write can add ledger entries, so half a batch leaves room for them
+const MAX_PRODUCTS_PER_TRANSACTION = MAX_BATCH_WRITES / 2;
+
+// Commit writes in as many batches as needed. Each write is a function given the batch to add itself to;
+// onProgress gets (committed, total) after each batch.
+const commitInBatches = async (writes, onProgress = () => {}) => {
+  for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + MAX_BATCH_WRITES).forEach(write => write(batch));
+    await batch.commit();
+    onProgress(Math.min(i + MAX_BATCH_WRITES, writes.length), writes.length);
+  }
+};
 
 // Users Collection
 export const usersRef = collection(db, 'users');
@@ -100,6 +139,38 @@ export const getAllProducts = async () => {
   }
 };
 
+// Filters limiting a product query to live products (published, and inside the publishing window)
+const getLiveProductFilters = () => {
+  const now = Timestamp.now();
+  return [
+    where('status', '==', PRODUCT_STATUSES.PUBLISHED),
+    where('publishAt', '<=', now),
+    where('unpublishAt', '>', now)
+  ];
+};
+
+// Publishing fields as stored. Every product gets a publishAt and an unpublishAt so live queries
+// can filter on them: with no dates it is live from now on, with no end.
+const toPublishingFields = ({ status, publishAt, unpublishAt }) => ({
+  status: status || PRODUCT_STATUSES.PUBLISHED,
+  publishAt: publishAt ? Timestamp.fromDate(toDate(publishAt)) : Timestamp.now(),
+  unpublishAt: Timestamp.fromDate(unpublishAt ? toDate(unpublishAt) : NO_UNPUBLISH_DATE)
+});
+
+// Get the products customers can see
+export const getLiveProducts = async () => {
+  try {
+    const querySnapshot = await getDocs(query(productsRef, ...getLiveProductFilters()));
+    return querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  } catch (error) {
+    console.error('Error getting live products:', error);
+    throw error;
+  }
+};
+
 // Get products by category
 export const getProductsByCategory = async (categoryId) => {
   try {
@@ -115,7 +186,89 @@ export const getProductsByCategory = async (categoryId) => {
   }
 };
 
-// Get product by ID
+// Sort orders for paged product listings: [field, direction]. Listings are ordered by document ID
+// after the sort field, so every product has a unique position for cursors. Firestore leaves out
+// products without the sort field, so every product is created with these fields (older products
+// get their ratings from backfillProductRatings).
+export const PRODUCT_SORTS = {
+  newest: ['createdAt', 'desc'],
+  priceAsc: ['price', 'asc'],
+  priceDesc: ['price', 'desc'],
+  nameAsc: ['name', 'asc'],
+  nameDesc: ['name', 'desc'],
+  rating: ['ratingAverage', 'desc']
+};
+
+const getProductSort = (sortBy) => PRODUCT_SORTS[sortBy] || PRODUCT_SORTS.newest;
+
+// Encode a product's position in a listing as a URL-safe cursor string
+const encodeProductCursor = (product, sortBy) => {
+  const [field] = getProductSort(sortBy);
+  const value = product[field];
+  const position = value instanceof Timestamp
+    ? { millis: value.toMillis(), id: product.id }
+    : { value: value ?? null, id: product.id };
+  return btoa(encodeURIComponent(JSON.stringify(position)));
+};
+
+// Cursor string back to the [sort value, document ID] pair used by startAfter / endBefore
+const decodeProductCursor = (cursor) => {
+  const position = JSON.parse(decodeURIComponent(atob(cursor)));
+  const value = position.millis !== undefined ? Timestamp.fromMillis(position.millis) : position.value;
+  return [value, position.id];
+};
+
+// Most values Firestore accepts in one 'in' filter
+export const MAX_IN_FILTER_VALUES = 30;
+
+// Get one page of live products, filtered by category (any of categoryIds) and price and sorted by sortBy.
+// Pass the previous page's nextCursor as `after`, or its prevCursor as `before` to go back.
+// Needs composite indexes on the filter and sort fields; the Firestore console links to them on first use.
+export const getProductsPage = async ({ categoryIds = [], minPrice, maxPrice, sortBy, pageSize = 12, after, before } = {}) => {
+  try {
+    const filters = getLiveProductFilters();
+    if (categoryIds.length === 1) filters.push(where('category', '==', categoryIds[0]));
+    if (categoryIds.length > 1) filters.push(where('category', 'in', categoryIds));
+    if (minPrice !== undefined) filters.push(where('price', '>=', minPrice));
+    if (maxPrice !== undefined) filters.push(where('price', '<=', maxPrice));
+    
+    const [field, direction] = getProductSort(sortBy);
+    const ordering = [orderBy(field, direction), orderBy(documentId(), direction)];
+    
+    // Fetch one extra product to tell whether there is another page in that direction
+    const pageQuery = before
+      ? query(productsRef, ...filters, ...ordering, endBefore(...decodeProductCursor(before)), limitToLast(pageSize + 1))
+      : query(productsRef, ...filters, ...ordering, ...(after ? [startAfter(...decodeProductCursor(after))] : []), limit(pageSize + 1));
+    
+    const [querySnapshot, countSnapshot] = await Promise.all([
+      getDocs(pageQuery),
+      getCountFromServer(query(productsRef, ...filters))
+    ]);
+    
+    let products = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+    const hasMore = products.length > pageSize;
+    if (hasMore) {
+      products = before ? products.slice(1) : products.slice(0, pageSize);
+    }
+    
+    const hasNext = before ? products.length > 0 : hasMore;
+    const hasPrev = before ? hasMore : Boolean(after);
+    return {
+      products,
+      total: countSnapshot.data().count,
+      nextCursor: hasNext ? encodeProductCursor(products[products.length - 1], sortBy) : null,
+      prevCursor: hasPrev && products.length > 0 ? encodeProductCursor(products[0], sortBy) : null
+    };
+  } catch (error) {
+    console.error('Error getting products page:', error);
+    throw error;
+  }
+};
+
+// Get product by ID, whatever its status (customer pages check isProductLive)
 export const getProductById = async (productId) => {
   try {
     const productDoc = await getDoc(doc(db, 'products', productId));
@@ -129,8 +282,8 @@ export const getProductById = async (productId) => {
   }
 };
 
-// Add product (admin only)
-export const addProduct = async (productData) => {
+// Add product (admin only). Its opening stock is the first inventory ledger entry.
+export const addProduct = async (productData, actor = null) => {
   try {
     // Ensure backward compatibility with imageUrl
     const processedData = { ...productData };
@@ -145,19 +298,32 @@ export const addProduct = async (productData) => {
       processedData.imageUrls = [processedData.imageUrl];
     }
     
-    const docRef = await addDoc(productsRef, {
+    const productRef = doc(productsRef);
+    const product = {
+      // Rating fields start at zero so new products are included when listings sort by rating
+      ratingCount: 0,
+      ratingTotal: 0,
+      ratingAverage: 0,
       ...processedData,
+      ...toPublishingFields(processedData),
       createdAt: serverTimestamp()
-    });
-    return docRef.id;
+    };
+    
+    const batch = writeBatch(db);
+    batch.set(productRef, product);
+    recordStockChanges(batch, productRef.id, null, product, { reason: INVENTORY_REASONS.OPENING, actor });
+    await batch.commit();
+    return productRef.id;
   } catch (error) {
     console.error('Error adding product:', error);
     throw error;
   }
 };
 
-// Update product (admin only)
-export const updateProduct = async (productId, productData) => {
+// Update product (admin only). A change to its stock is recorded in the inventory ledger as a
+// manual adjustment by actor. Pass loadedProduct (the product as an edit form loaded it) to apply
+// edited stock as a change from that, so orders placed while the form was open keep their stock.
+export const updateProduct = async (productId, productData, actor = null, { loadedProduct = null } = {}) => {
   try {
     // Ensure backward compatibility with imageUrl
     const processedData = { ...productData };
@@ -172,9 +338,31 @@ export const updateProduct = async (productId, productData) => {
       processedData.imageUrls = [processedData.imageUrl];
     }
     
-    await updateDoc(doc(db, 'products', productId), {
-      ...processedData,
-      updatedAt: serverTimestamp()
+    // Partial updates that don't touch the status keep the stored publishing window
+    if ('status' in processedData) {
+      Object.assign(processedData, toPublishingFields(processedData));
+    }
+    
+    const productRef = doc(db, 'products', productId);
+    await runTransaction(db, async (transaction) => {
+      const productSnap = await transaction.get(productRef);
+      if (!productSnap.exists()) {
+        throw new Error('Product not found');
+      }
+      
+      // Stock edited in a form opened earlier is applied as a change, not over what orders took since
+      const updates = loadedProduct
+        ? { ...processedData, ...rebaseStockFields(processedData, loadedProduct, productSnap.data()) }
+        : processedData;
+      transaction.update(productRef, {
+        ...updates,
+        updatedAt: serverTimestamp()
+      });
+      recordStockChanges(transaction, productId, productSnap.data(), { ...productSnap.data(), ...updates }, {
+        reason: INVENTORY_REASONS.MANUAL,
+        actor,
+        note: 'Product edited'
+      });
     });
     return true;
   } catch (error) {
@@ -194,6 +382,260 @@ export const deleteProduct = async (productId) => {
   }
 };
 
+// Update many products in transactions of up to MAX_PRODUCTS_PER_TRANSACTION (admin only).
+// updates is [{ id, data, previous }]; a data value of undefined removes the field, so undoing a change can
+// restore a product exactly. Each update is rebased onto the stored product first (see rebaseBulkUpdate).
+// Stock changes are recorded in the inventory ledger with actor and note.
+// Returns the updates as written, for showing the new values and undoing them.
+export const bulkUpdateProducts = async (updates, onProgress = () => {}, { actor = null, note = '' } = {}) => {
+  try {
+    const applied = [];
+    for (let i = 0; i < updates.length; i += MAX_PRODUCTS_PER_TRANSACTION) {
+      const chunk = updates.slice(i, i + MAX_PRODUCTS_PER_TRANSACTION);
+      const chunkApplied = await runTransaction(db, async (transaction) => {
+        const productSnaps = await Promise.all(chunk.map(({ id }) => transaction.get(doc(db, 'products', id))));
+        return chunk.map((update, index) => {
+          const before = productSnaps[index].data();
+          const rebased = rebaseBulkUpdate(update, before);
+          const fields = Object.fromEntries(
+            Object.entries(rebased.data).map(([key, value]) => [key, value === undefined ? deleteField() : value])
+          );
+          transaction.update(productSnaps[index].ref, { ...fields, updatedAt: serverTimestamp() });
+          recordStockChanges(transaction, update.id, before, { ...before, ...rebased.data }, { reason: INVENTORY_REASONS.MANUAL, actor, note });
+          return rebased;
+        });
+      });
+      applied.push(...chunkApplied);
+      onProgress(Math.min(i + MAX_PRODUCTS_PER_TRANSACTION, updates.length), updates.length);
+    }
+    return applied;
+  } catch (error) {
+    console.error('Error updating products:', error);
+    throw error;
+  }
+};
+
+// Delete many products in batched writes (admin only)
+export const bulkDeleteProducts = async (productIds, onProgress) => {
+  try {
+    await commitInBatches(productIds.map(productId => (batch) => {
+      batch.delete(doc(db, 'products', productId));
+    }), onProgress);
+    return productIds.length;
+  } catch (error) {
+    console.error('Error deleting products:', error);
+    throw error;
+  }
+};
+
+// Write deleted products back under their original IDs, so reviews, wishlists and carts
+// that refer to them keep working (admin only)
+export const restoreProducts = async (products, onProgress) => {
+  try {
+    await commitInBatches(products.map(({ id, ...productData }) => (batch) => {
+      batch.set(doc(db, 'products', id), { ...productData, updatedAt: serverTimestamp() });
+    }), onProgress);
+    return products.length;
+  } catch (error) {
+    console.error('Error restoring products:', error);
+    throw error;
+  }
+};
+
+// Give products saved before publishing existed a status and publishing window, so the shop lists
+// them again (admin only). They stay published, live from when they were created.
+export const backfillProductPublishing = async (products, onProgress) => {
+  try {
+    await commitInBatches(products.map(product => (batch) => {
+      batch.update(doc(db, 'products', product.id), {
+        status: product.status || PRODUCT_STATUSES.PUBLISHED,
+        publishAt: product.publishAt || product.createdAt || Timestamp.now(),
+        unpublishAt: product.unpublishAt || Timestamp.fromDate(NO_UNPUBLISH_DATE)
+      });
+    }), onProgress);
+    return products.length;
+  } catch (error) {
+    console.error('Error backfilling product publishing:', error);
+    throw error;
+  }
+};
+
+// Give products saved before reviews existed their rating fields, so listings sorted by rating include
+// them (admin only). Products read inside the transaction, so ratings added since the list loaded are kept.
+export const backfillProductRatings = async (products, onProgress = () => {}) => {
+  try {
+    for (let i = 0; i < products.length; i += MAX_BATCH_WRITES) {
+      const chunk = products.slice(i, i + MAX_BATCH_WRITES);
+      await runTransaction(db, async (transaction) => {
+        const productSnaps = await Promise.all(chunk.map(product => transaction.get(doc(db, 'products', product.id))));
+        productSnaps
+          .filter(productSnap => productSnap.exists() && !hasRatingFields(productSnap.data()))
+          .forEach(productSnap => transaction.update(productSnap.ref, applyRatingChange(productSnap.data(), 0, 0)));
+      });
+      onProgress(Math.min(i + MAX_BATCH_WRITES, products.length), products.length);
+    }
+    return products.length;
+  } catch (error) {
+    console.error('Error backfilling product ratings:', error);
+    throw error;
+  }
+};
+
+// Create and update products from a bulk import plan (rows from buildImportPlan, admin only).
+// Rows are saved in transactions of up to MAX_PRODUCTS_PER_TRANSACTION, with an inventory ledger entry
+// (reason 'import', with actor and note) for each stock change. A chunk that fails doesn't stop the rest;
+// its rows come back with an error. Returns [{ rowNumber, productId, error }] and reports
+// (saved, total) to onProgress after each chunk.
+export const importProducts = async (rows, onProgress = () => {}, { actor = null, note = '' } = {}) => {
+  const results = [];
+  const ledgerContext = { reason: INVENTORY_REASONS.IMPORT, actor, note };
+  for (let i = 0; i < rows.length; i += MAX_PRODUCTS_PER_TRANSACTION) {
+    const chunk = rows.slice(i, i + MAX_PRODUCTS_PER_TRANSACTION);
+    let chunkResults = [];
+    
+    try {
+      await runTransaction(db, async (transaction) => {
+        const existingSnaps = await Promise.all(chunk.map(row => (
+          row.action === 'create' ? null : transaction.get(doc(db, 'products', row.productId))
+        )));
+        
+        chunkResults = chunk.map((row, index) => {
+          const data = { ...row.data };
+          if (data.imageUrls) {
+            data.imageUrl = data.imageUrls[0] || '';
+          }
+          
+          if (row.action === 'create') {
+            const productRef = doc(productsRef);
+            const product = {
+              ratingCount: 0,
+              ratingTotal: 0,
+              ratingAverage: 0,
+              ...data,
+              ...toPublishingFields(data),
+              createdAt: serverTimestamp(),
+              updatedAt: serverTimestamp()
+            };
+            transaction.set(productRef, product);
+            recordStockChanges(transaction, productRef.id, null, product, ledgerContext);
+            return { rowNumber: row.rowNumber, productId: productRef.id };
+          }
+          
+          const before = existingSnaps[index].data();
+          // A status change keeps the product's publishing dates
+          if ('status' in data) {
+            Object.assign(data, toPublishingFields({ ...before, ...data }));
+          }
+          transaction.update(existingSnaps[index].ref, { ...data, updatedAt: serverTimestamp() });
+          recordStockChanges(transaction, row.productId, before, { ...before, ...data }, ledgerContext);
+          return { rowNumber: row.rowNumber, productId: row.productId };
+        });
+      });
+      results.push(...chunkResults);
+    } catch (error) {
+      console.error('Error importing products:', error);
+      results.push(...chunk.map(row => ({
+        rowNumber: row.rowNumber,
+        productId: row.productId,
+        error: error.message || 'Failed to save'
+      })));
+    }
+    onProgress(Math.min(i + MAX_PRODUCTS_PER_TRANSACTION, rows.length), rows.length);
+  }
+  return results;
+};
+
+// Other products already using a SKU or barcode (field is 'sku' or 'barcode'), to keep them unique
+export const findProductsWithCode = async (field, value, excludeProductId = null) => {
+  try {
+    const querySnapshot = await getDocs(query(productsRef, where(field, '==', value)));
+    return querySnapshot.docs
+      .filter(productDoc => productDoc.id !== excludeProductId)
+      .map(productDoc => ({ id: productDoc.id, ...productDoc.data() }));
+  } catch (error) {
+    console.error('Error finding products by code:', error);
+    throw error;
+  }
+};
+
+// Inventory Ledger Collection
+export const inventoryLedgerRef = collection(db, 'inventoryLedger');
+
+// Add an inventory ledger entry for each stock change between two versions of a product to a batch
+// or transaction (before is null for a new product). context: { reason, actor, orderId, note }
+const recordStockChanges = (writer, productId, before, after, { reason, actor = null, orderId = null, note = '' }) => {
+  getStockChanges(before, after).forEach(change => {
+    writer.set(doc(inventoryLedgerRef), {
+      productId,
+      productName: after?.name || before?.name || '',
+      ...change,
+      reason,
+      note,
+      orderId,
+      actor,
+      createdAt: serverTimestamp()
+    });
+  });
+};
+
+// Get a product's inventory ledger, newest first (admin only)
+export const getInventoryLedger = async (productId) => {
+  try {
+    const querySnapshot = await getDocs(query(inventoryLedgerRef, where('productId', '==', productId)));
+    return sortNewestFirst(querySnapshot.docs.map(entryDoc => ({
+      id: entryDoc.id,
+      ...entryDoc.data()
+    })));
+  } catch (error) {
+    console.error('Error getting inventory ledger:', error);
+    throw error;
+  }
+};
+
+// Add to (or with a negative change, take from) a product's or variant's stock, with a note saying
+// why, e.g. a stock count or damaged goods (admin only)
+export const adjustProductStock = async (productId, { variantId = null, change, note = '' }, actor = null) => {
+  try {
+    const productRef = doc(db, 'products', productId);
+    await runTransaction(db, async (transaction) => {
+      const productSnap = await transaction.get(productRef);
+      if (!productSnap.exists()) {
+        throw new Error('Product not found');
+      }
+      const product = productSnap.data();
+      
+      let stockFields;
+      if (variantId) {
+        const variant = (product.variants || []).find(candidate => candidate.id === variantId);
+        if (!variant) {
+          throw new Error('Variant not found');
+        }
+        const variants = product.variants.map(candidate => (candidate.id === variantId
+          ? { ...candidate, stockQuantity: (candidate.stockQuantity || 0) + change }
+          : candidate));
+        const { stockQuantity, inStock } = summarizeVariants(variants);
+        stockFields = { variants, stockQuantity, inStock };
+      } else {
+        const stockQuantity = (product.stockQuantity || 0) + change;
+        stockFields = { stockQuantity, inStock: stockQuantity > 0 };
+      }
+      
+      const after = { ...product, ...stockFields };
+      const negative = getStockChanges(product, after).find(stockChange => stockChange.quantityAfter < 0);
+      if (negative) {
+        throw new Error(`Stock can't go below zero (${negative.quantityAfter - negative.change} in stock)`);
+      }
+      
+      transaction.update(productRef, { ...stockFields, updatedAt: serverTimestamp() });
+      recordStockChanges(transaction, productId, product, after, { reason: INVENTORY_REASONS.MANUAL, actor, note });
+    });
+    return true;
+  } catch (error) {
+    console.error('Error adjusting stock:', error);
+    throw error;
+  }
+};
+
 // Categories Collection
 export const categoriesRef = collection(db, 'categories');
 
@@ -253,11 +695,102 @@ export const updateCategory = async (categoryId, categoryData) => {
   }
 };
 
-// Delete category (admin only)
-export const deleteCategory = async (categoryId) => {
+// Save category positions after drag-and-drop, from moveCategory's [{ id, parentId, sortOrder }] (admin only)
+export const reorderCategories = async (updates) => {
   try {
-    await deleteDoc(doc(db, 'categories', categoryId));
+    const batch = writeBatch(db);
+    updates.forEach(({ id, parentId, sortOrder }) => {
+      batch.update(doc(db, 'categories', id), { parentId, sortOrder, updatedAt: serverTimestamp() });
+    });
+    await batch.commit();
     return true;
+  } catch (error) {
+    console.error('Error reordering categories:', error);
+    throw error;
+  }
+};
+
+// Count the products assigned to a category (not counting its subcategories)
+export const getCategoryProductCount = async (categoryId) => {
+  try {
+    const countSnapshot = await getCountFromServer(query(productsRef, where('category', '==', categoryId)));
+    return countSnapshot.data().count;
+  } catch (error) {
+    console.error('Error counting category products:', error);
+    throw error;
+  }
+};
+
+// Move products to another category in batched writes (admin only)
+export const reassignProducts = async (productIds, categoryId) => {
+  try {
+    await commitInBatches(productIds.map(productId => (batch) => {
+      batch.update(doc(db, 'products', productId), { category: categoryId, updatedAt: serverTimestamp() });
+    }));
+    return productIds.length;
+  } catch (error) {
+    console.error('Error reassigning products:', error);
+    throw error;
+  }
+};
+
+// Delete category (admin only). Products still assigned to it are moved to reassignTo along with the delete;
+// without a reassignTo the delete is refused, so no product is left pointing at a missing category.
+// Subcategories move up to the deleted category's parent, after its other children.
+export const deleteCategory = async (categoryId, { reassignTo } = {}) => {
+  try {
+    if (reassignTo === categoryId) {
+      throw new Error('Products cannot be reassigned to the category being deleted');
+    }
+    
+    const categorySnap = await getDoc(doc(db, 'categories', categoryId));
+    if (!categorySnap.exists()) {
+      throw new Error('Category not found');
+    }
+    const parentId = categorySnap.data().parentId || null;
+    
+    // Top-level categories saved before nesting existed have no parentId, which a query can't match
+    const [productsSnapshot, childrenSnapshot, siblingsSnapshot] = await Promise.all([
+      getDocs(query(productsRef, where('category', '==', categoryId))),
+      getDocs(query(categoriesRef, where('parentId', '==', categoryId))),
+      getDocs(parentId ? query(categoriesRef, where('parentId', '==', parentId)) : categoriesRef)
+    ]);
+    
+    if (!productsSnapshot.empty) {
+      if (!reassignTo) {
+        const inUseError = new Error(`${productsSnapshot.size} product${productsSnapshot.size === 1 ? ' is' : 's are'} still assigned to this category. Choose a category to move ${productsSnapshot.size === 1 ? 'it' : 'them'} to.`);
+        inUseError.code = 'category-in-use';
+        inUseError.productCount = productsSnapshot.size;
+        throw inUseError;
+      }
+      const targetSnap = await getDoc(doc(db, 'categories', reassignTo));
+      if (!targetSnap.exists()) {
+        throw new Error('The category chosen for the products no longer exists');
+      }
+    }
+    
+    const siblingCount = siblingsSnapshot.docs
+      .filter(siblingDoc => siblingDoc.id !== categoryId && (siblingDoc.data().parentId || null) === parentId)
+      .length;
+    const childDocs = [...childrenSnapshot.docs].sort((a, b) => (a.data().sortOrder ?? 0) - (b.data().sortOrder ?? 0));
+    
+    // The products, subcategories and delete are written in one batch, so no product is left pointing
+    // at a deleted category. Products that don't fit are moved first; if that fails the category remains.
+    const productIds = productsSnapshot.docs.map(productDoc => productDoc.id);
+    const batchRoom = MAX_BATCH_WRITES - childDocs.length - 1;
+    const movedFirst = productIds.slice(0, Math.max(productIds.length - batchRoom, 0));
+    await reassignProducts(movedFirst, reassignTo);
+    
+    const batch = writeBatch(db);
+    productIds.slice(movedFirst.length).forEach(productId => {
+      batch.update(doc(db, 'products', productId), { category: reassignTo, updatedAt: serverTimestamp() });
+    });
+    childDocs.forEach((childDoc, index) => {
+      batch.update(childDoc.ref, { parentId, sortOrder: siblingCount + index, updatedAt: serverTimestamp() });
+    });
+    batch.delete(doc(db, 'categories', categoryId));
+    await batch.commit();
+    return { reassignedCount: productsSnapshot.size, movedSubcategoryCount: childDocs.length };
   } catch (error) {
     console.error('Error deleting category:', error);
     throw error;
@@ -267,18 +800,22 @@ export const deleteCategory = async (categoryId) => {
 // Get related products
 export const getRelatedProducts = async (categoryId, currentProductId, limitCount = 4) => {
   try {
+    // One extra, in case the current product is among them
     const q = query(
       productsRef, 
       where('category', '==', categoryId),
-      where('id', '!=', currentProductId),
-      limit(limitCount)
+      ...getLiveProductFilters(),
+      limit(limitCount + 1)
     );
     
     const querySnapshot = await getDocs(q);
-    return querySnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    return querySnapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }))
+      .filter(product => product.id !== currentProductId)
+      .slice(0, limitCount);
   } catch (error) {
     console.error('Error getting related products:', error);
     return [];
@@ -365,103 +902,1143 @@ export const deleteHomeContent = async (contentId) => {
   }
 };
 
-// Orders Collection
-export const ordersRef = collection(db, 'orders');
+// Coupons Collection
+export const couponsRef = collection(db, 'coupons');
 
-// Get all orders (admin only)
-export const getAllOrders = async () => {
+// Get all coupons (admin only)
+export const getAllCoupons = async () => {
   try {
-    const querySnapshot = await getDocs(query(ordersRef, orderBy('createdAt', 'desc')));
+    const querySnapshot = await getDocs(couponsRef);
     return querySnapshot.docs.map(doc => ({
       id: doc.id,
       ...doc.data()
     }));
   } catch (error) {
-    console.error('Error getting orders:', error);
+    console.error('Error getting coupons:', error);
     throw error;
   }
 };
 
-// Get orders by user ID (for customer)
-export const getOrdersByUserId = async (userId) => {
+// Get coupon by code (codes are stored upper-case)
+export const getCouponByCode = async (code) => {
   try {
-    const q = query(
-      ordersRef, 
-      where('userId', '==', userId),
-      orderBy('createdAt', 'desc')
-    );
+    const q = query(couponsRef, where('code', '==', normalizeCouponCode(code)), limit(1));
     const querySnapshot = await getDocs(q);
-    return querySnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
-  } catch (error) {
-    // Suppress Firebase index error from console while maintaining functionality
-    if (error.code === 'failed-precondition' && error.message.includes('index')) {
-      // Try without ordering if index is missing
-      try {
-        const q = query(ordersRef, where('userId', '==', userId));
-        const querySnapshot = await getDocs(q);
-        // Sort client-side as fallback
-        const orders = querySnapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-        return orders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-      } catch (fallbackError) {
-        console.error('Error getting user orders:', fallbackError);
-        return []; // Return empty array instead of throwing
-      }
+    if (querySnapshot.empty) {
+      return null;
     }
-    console.error('Error getting user orders:', error);
-    return []; // Return empty array instead of throwing
+    const couponDoc = querySnapshot.docs[0];
+    return { id: couponDoc.id, ...couponDoc.data() };
+  } catch (error) {
+    console.error('Error getting coupon:', error);
+    throw error;
   }
 };
 
-// Get order by ID
-export const getOrderById = async (orderId) => {
+// Get coupon by ID, or null when it no longer exists
+export const getCouponById = async (couponId) => {
   try {
-    const orderDoc = await getDoc(doc(db, 'orders', orderId));
-    if (orderDoc.exists()) {
-      return { id: orderDoc.id, ...orderDoc.data() };
+    const couponDoc = await getDoc(doc(db, 'coupons', couponId));
+    if (couponDoc.exists()) {
+      return { id: couponDoc.id, ...couponDoc.data() };
     }
     return null;
   } catch (error) {
-    console.error('Error getting order:', error);
+    console.error('Error getting coupon:', error);
     throw error;
   }
 };
 
-// Add order (customer)
-export const addOrder = async (orderData) => {
+// Check a coupon code against cart items for a customer
+// Returns the coupon together with the evaluateCoupon result
+export const validateCoupon = async (code, items, userId = null) => {
+  try {
+    const coupon = await getCouponByCode(code);
+    return { coupon, ...evaluateCoupon(coupon, items, { userId }) };
+  } catch (error) {
+    console.error('Error validating coupon:', error);
+    throw error;
+  }
+};
+
+// Add coupon (admin only)
+export const addCoupon = async (couponData) => {
   try {
-    const docRef = await addDoc(ordersRef, {
-      ...orderData,
-      status: 'pending', // Initial status is always 'pending'
+    const code = normalizeCouponCode(couponData.code);
+    if (await getCouponByCode(code)) {
+      throw new Error('A coupon with this code already exists');
+    }
+
+    const docRef = await addDoc(couponsRef, {
+      ...couponData,
+      code,
+      usageCount: 0,
+      usageByUser: {},
       createdAt: serverTimestamp()
     });
     return docRef.id;
   } catch (error) {
-    console.error('Error adding order:', error);
+    console.error('Error adding coupon:', error);
     throw error;
   }
 };
 
-// Update order status (admin only)
-export const updateOrderStatus = async (orderId, status) => {
+// Update coupon (admin only)
+// Usage counters are only changed by orders, so they are never overwritten here
+export const updateCoupon = async (couponId, couponData) => {
   try {
-    const validStatuses = ['pending', 'on the way', 'completed', 'canceled'];
-    if (!validStatuses.includes(status)) {
-      throw new Error('Invalid order status');
+    const { usageCount, usageByUser, ...editableData } = couponData;
+    const code = normalizeCouponCode(editableData.code);
+    const existing = await getCouponByCode(code);
+    if (existing && existing.id !== couponId) {
+      throw new Error('A coupon with this code already exists');
     }
-    
-    await updateDoc(doc(db, 'orders', orderId), {
-      status,
+
+    await updateDoc(doc(db, 'coupons', couponId), {
+      ...editableData,
+      code,
       updatedAt: serverTimestamp()
     });
     return true;
   } catch (error) {
-    console.error('Error updating order status:', error);
+    console.error('Error updating coupon:', error);
+    throw error;
+  }
+};
+
+// Delete coupon (admin only)
+export const deleteCoupon = async (couponId) => {
+  try {
+    await deleteDoc(doc(db, 'coupons', couponId));
+    return true;
+  } catch (error) {
+    console.error('Error deleting coupon:', error);
+    throw error;
+  }
+};
+
+// Shipping Zones Collection
+export const shippingZonesRef = collection(db, 'shippingZones');
+
+// Get all shipping zones
+export const getAllShippingZones = async () => {
+  try {
+    const querySnapshot = await getDocs(shippingZonesRef);
+    return querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  } catch (error) {
+    console.error('Error getting shipping zones:', error);
+    throw error;
+  }
+};
+
+// Add shipping zone (admin only)
+export const addShippingZone = async (zoneData) => {
+  try {
+    const docRef = await addDoc(shippingZonesRef, {
+      ...zoneData,
+      createdAt: serverTimestamp()
+    });
+    return docRef.id;
+  } catch (error) {
+    console.error('Error adding shipping zone:', error);
+    throw error;
+  }
+};
+
+// Update shipping zone (admin only)
+export const updateShippingZone = async (zoneId, zoneData) => {
+  try {
+    await updateDoc(doc(db, 'shippingZones', zoneId), {
+      ...zoneData,
+      updatedAt: serverTimestamp()
+    });
+    return true;
+  } catch (error) {
+    console.error('Error updating shipping zone:', error);
+    throw error;
+  }
+};
+
+// Delete shipping zone (admin only)
+export const deleteShippingZone = async (zoneId) => {
+  try {
+    await deleteDoc(doc(db, 'shippingZones', zoneId));
+    return true;
+  } catch (error) {
+    console.error('Error deleting shipping zone:', error);
+    throw error;
+  }
+};
+
+// Tax Rates Collection
+export const taxRatesRef = collection(db, 'taxRates');
+
+// Get all tax rates
+export const getAllTaxRates = async () => {
+  try {
+    const querySnapshot = await getDocs(taxRatesRef);
+    return querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  } catch (error) {
+    console.error('Error getting tax rates:', error);
+    throw error;
+  }
+};
+
+// Add tax rate (admin only)
+export const addTaxRate = async (taxRateData) => {
+  try {
+    const docRef = await addDoc(taxRatesRef, {
+      ...taxRateData,
+      createdAt: serverTimestamp()
+    });
+    return docRef.id;
+  } catch (error) {
+    console.error('Error adding tax rate:', error);
+    throw error;
+  }
+};
+
+// Update tax rate (admin only)
+export const updateTaxRate = async (taxRateId, taxRateData) => {
+  try {
+    await updateDoc(doc(db, 'taxRates', taxRateId), {
+      ...taxRateData,
+      updatedAt: serverTimestamp()
+    });
+    return true;
+  } catch (error) {
+    console.error('Error updating tax rate:', error);
+    throw error;
+  }
+};
+
+// Delete tax rate (admin only)
+export const deleteTaxRate = async (taxRateId) => {
+  try {
+    await deleteDoc(doc(db, 'taxRates', taxRateId));
+    return true;
+  } catch (error) {
+    console.error('Error deleting tax rate:', error);
+    throw error;
+  }
+};
+
+// Carts Collection (one document per customer, keyed by user ID)
+export const cartsRef = collection(db, 'carts');
+
+// Convert a stored cart document into the shape used by CartContext
+const toCart = (cartSnap) => {
+  if (!cartSnap.exists()) {
+    return null;
+  }
+  const { items = [], total = 0, itemCount = 0, coupon = null } = cartSnap.data();
+  return { items, total, itemCount, coupon };
+};
+
+// Get a customer's saved cart, or null when they have none
+export const getCart = async (userId) => {
+  try {
+    return toCart(await getDoc(doc(db, 'carts', userId)));
+  } catch (error) {
+    console.error('Error getting cart:', error);
+    throw error;
+  }
+};
+
+// Save a customer's cart
+export const saveCart = async (userId, cart) => {
+  try {
+    await setDoc(doc(db, 'carts', userId), {
+      // Round-trip through JSON so optional fields left undefined are dropped
+      items: JSON.parse(JSON.stringify(cart.items)),
+      total: cart.total,
+      itemCount: cart.itemCount,
+      coupon: toCouponRef(cart.coupon),
+      updatedAt: serverTimestamp()
+    });
+    return true;
+  } catch (error) {
+    console.error('Error saving cart:', error);
+    throw error;
+  }
+};
+
+// Subscribe to a customer's cart (real-time updates from other tabs and devices)
+// Returns the unsubscribe function.
+export const subscribeToCart = (userId, callback) => {
+  try {
+    return onSnapshot(doc(db, 'carts', userId), (cartSnap) => {
+      callback(toCart(cartSnap));
+    }, (error) => {
+      console.error('Error listening to cart:', error);
+    });
+  } catch (error) {
+    console.error('Error subscribing to cart:', error);
+    throw error;
+  }
+};
+
+// Wishlists Collection (one document per customer, keyed by user ID)
+export const wishlistsRef = collection(db, 'wishlists');
+
+// Get a customer's saved items (empty when they have none)
+export const getWishlist = async (userId) => {
+  try {
+    const wishlistSnap = await getDoc(doc(db, 'wishlists', userId));
+    return wishlistSnap.exists() ? wishlistSnap.data().items || [] : [];
+  } catch (error) {
+    console.error('Error getting wishlist:', error);
+    throw error;
+  }
+};
+
+// Save a customer's wishlist items
+export const saveWishlist = async (userId, items) => {
+  try {
+    await setDoc(doc(db, 'wishlists', userId), {
+      // Round-trip through JSON so optional fields left undefined are dropped
+      items: JSON.parse(JSON.stringify(items)),
+      updatedAt: serverTimestamp()
+    });
+    return true;
+  } catch (error) {
+    console.error('Error saving wishlist:', error);
+    throw error;
+  }
+};
+
+// Orders Collection
+export const ordersRef = collection(db, 'orders');
+
+// userId stored on orders placed without an account
+export const GUEST_USER_ID = 'guest';
+
+// Get all orders (admin only)
+export const getAllOrders = async () => {
+  try {
+    const querySnapshot = await getDocs(query(ordersRef, orderBy('createdAt', 'desc')));
+    return querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  } catch (error) {
+    console.error('Error getting orders:', error);
+    throw error;
+  }
+};
+
+// Get orders by user ID (for customer)
+export const getOrdersByUserId = async (userId) => {
+  try {
+    const q = query(
+      ordersRef, 
+      where('userId', '==', userId),
+      orderBy('createdAt', 'desc')
+    );
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  } catch (error) {
+    // Suppress Firebase index error from console while maintaining functionality
+    if (error.code === 'failed-precondition' && error.message.includes('index')) {
+      // Try without ordering if index is missing
+      try {
+        const q = query(ordersRef, where('userId', '==', userId));
+        const querySnapshot = await getDocs(q);
+        // Sort client-side as fallback
+        const orders = querySnapshot.docs.map(doc => ({
+          id: doc.id,
+          ...doc.data()
+        }));
+        return orders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      } catch (fallbackError) {
+        console.error('Error getting user orders:', fallbackError);
+        return []; // Return empty array instead of throwing
+      }
+    }
+    console.error('Error getting user orders:', error);
+    return []; // Return empty array instead of throwing
+  }
+};
+
+// Get order by ID
+export const getOrderById = async (orderId) => {
+  try {
+    const orderDoc = await getDoc(doc(db, 'orders', orderId));
+    if (orderDoc.exists()) {
+      return { id: orderDoc.id, ...orderDoc.data() };
+    }
+    return null;
+  } catch (error) {
+    console.error('Error getting order:', error);
+    throw error;
+  }
+};
+
+// Look up an order by its order number and the email it was placed with (guest order tracking)
+export const getOrderByNumberAndEmail = async (orderNumber, email) => {
+  try {
+    const q = query(
+      ordersRef,
+      where('orderNumber', '==', orderNumber.trim().replace(/^#/, '').toUpperCase()),
+      where('customerEmail', '==', email.trim().toLowerCase()),
+      limit(1)
+    );
+    const querySnapshot = await getDocs(q);
+    if (querySnapshot.empty) {
+      return null;
+    }
+    const orderDoc = querySnapshot.docs[0];
+    return { id: orderDoc.id, ...orderDoc.data() };
+  } catch (error) {
+    console.error('Error looking up order:', error);
+    throw error;
+  }
+};
+
+// Move guest orders placed with an email address onto a customer account
+// Returns the number of orders attached.
+export const attachGuestOrders = async (userId, email) => {
+  try {
+    const q = query(
+      ordersRef,
+      where('customerEmail', '==', email.trim().toLowerCase()),
+      where('userId', '==', GUEST_USER_ID)
+    );
+    const querySnapshot = await getDocs(q);
+    if (querySnapshot.empty) {
+      return 0;
+    }
+
+    const batch = writeBatch(db);
+    querySnapshot.docs.forEach(orderDoc => {
+      batch.update(orderDoc.ref, {
+        userId,
+        attachedFromGuestAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+    });
+    await batch.commit();
+    return querySnapshot.size;
+  } catch (error) {
+    console.error('Error attaching guest orders:', error);
+    throw error;
+  }
+};
+
+// Price an order line is sold at: its variant's price for variant lines, otherwise the product's
+// (undefined when the variant no longer exists)
+const getLinePrice = (product, item) => (
+  item.variantId
+    ? (product.variants || []).find(variant => variant.id === item.variantId)?.price
+    : product.price
+);
+
+// Re-price cart items against the current product documents
+// Returns the re-priced items (with their current category and weight), the recomputed total
+// and a list of lines (by lineId) whose price changed.
+export const repriceOrderItems = async (items = []) => {
+  try {
+    const products = await Promise.all(items.map(item => getProductById(item.id)));
+
+    const changes = [];
+    const repricedItems = items.map((item, index) => {
+      const product = products[index];
+      const price = product ? getLinePrice(product, item) : undefined;
+      // Missing products and variants are left untouched; addOrder rejects them as unavailable
+      if (typeof price !== 'number') {
+        return item;
+      }
+
+      if (price !== item.price) {
+        changes.push({
+          id: item.id,
+          lineId: getCartLineId(item),
+          name: product.name || item.name,
+          variantName: item.variantName,
+          oldPrice: item.price,
+          newPrice: price,
+          quantity: item.quantity
+        });
+      }
+
+      return {
+        ...item,
+        name: product.name || item.name,
+        price,
+        category: product.category,
+        weight: product.weight || 0
+      };
+    });
+
+    const total = repricedItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    return { items: repricedItems, total, changes };
+  } catch (error) {
+    console.error('Error repricing order items:', error);
+    throw error;
+  }
+};
+
+// Merge order lines that point at the same product so each product document is read and written once.
+// quantity is the product's total; variantQuantities breaks it down by variant ID.
+const groupOrderItemsByProduct = (items = []) => {
+  const grouped = new Map();
+  items.forEach(item => {
+    if (!grouped.has(item.id)) {
+      grouped.set(item.id, { id: item.id, name: item.name, quantity: 0, variantQuantities: {}, variantNames: {} });
+    }
+    const line = grouped.get(item.id);
+    line.quantity += item.quantity;
+    if (item.variantId) {
+      line.variantQuantities[item.variantId] = (line.variantQuantities[item.variantId] || 0) + item.quantity;
+      line.variantNames[item.variantId] = item.variantName;
+    }
+  });
+  return Array.from(grouped.values());
+};
+
+// Products (and variants) without a numeric stockQuantity predate stock tracking and are not limited
+const isStockTracked = (product) => typeof product.stockQuantity === 'number';
+
+// List the parts of a grouped order line that the product cannot cover
+const getLineStockErrors = (product, line) => {
+  const name = product.name || line.name;
+
+  if (!hasVariants(product)) {
+    // Variant lines for a product that no longer has variants cannot be fulfilled
+    if (Object.keys(line.variantQuantities).length > 0) {
+      return [{ id: line.id, name, requested: line.quantity, available: 0 }];
+    }
+    if (isStockTracked(product) && product.stockQuantity < line.quantity) {
+      return [{ id: line.id, name, requested: line.quantity, available: Math.max(product.stockQuantity, 0) }];
+    }
+    return [];
+  }
+
+  const stockErrors = [];
+  // Lines added before the product had variants do not say which variant to ship
+  const unassigned = line.quantity - Object.values(line.variantQuantities).reduce((sum, quantity) => sum + quantity, 0);
+  if (unassigned > 0) {
+    stockErrors.push({ id: line.id, name, requested: unassigned, available: 0 });
+  }
+  Object.entries(line.variantQuantities).forEach(([variantId, quantity]) => {
+    const variant = product.variants.find(candidate => candidate.id === variantId);
+    if (!variant || (isStockTracked(variant) && variant.stockQuantity < quantity)) {
+      stockErrors.push({
+        id: line.id,
+        variantId,
+        lineId: getCartLineId({ id: line.id, variantId }),
+        name: `${name} (${line.variantNames[variantId]})`,
+        requested: quantity,
+        available: variant ? Math.max(variant.stockQuantity, 0) : 0
+      });
+    }
+  });
+  return stockErrors;
+};
+
+// Stock fields after taking (direction -1) or returning (direction 1) a grouped order line,
+// or null when the product does not track stock. Variant products update each variant
+// and the product-level totals.
+const getStockUpdate = (product, line, direction) => {
+  if (hasVariants(product)) {
+    const variants = product.variants.map(variant => {
+      const quantity = line.variantQuantities[variant.id];
+      if (!quantity || !isStockTracked(variant)) return variant;
+      return { ...variant, stockQuantity: variant.stockQuantity + direction * quantity };
+    });
+    const { stockQuantity, inStock } = summarizeVariants(variants);
+    return { variants, stockQuantity, inStock };
+  }
+
+  if (!isStockTracked(product)) return null;
+  const stockQuantity = product.stockQuantity + direction * line.quantity;
+  return { stockQuantity, inStock: stockQuantity > 0 };
+};
+
+// Build a statusHistory entry (serverTimestamp() is not allowed inside arrays, so use the client clock)
+const createStatusHistoryEntry = (status, changedBy = null, note = '') => ({
+  status,
+  changedBy,
+  note,
+  changedAt: new Date()
+});
+
+// Add order (customer)
+// Stock is validated and decremented in the same transaction that writes the order,
+// so two customers can never buy the last unit at the same time.
+// Rejects with error.code === 'out-of-stock' and error.items listing each failing line,
+// with error.code === 'price-changed' if a line no longer matches the product price,
+// with error.code === 'coupon-invalid' if orderData.coupon ({ id, code }) no longer applies,
+// with error.code === 'shipping-unavailable' if no shipping zone covers the address,
+// with error.code === 'shipping-changed' if the shipping charge differs from orderData.shippingCost,
+// or with error.code === 'tax-changed' if the tax added to the order differs from orderData.taxAmount.
+// The subtotal, coupon discount, shipping, tax and total are recomputed here and the coupon's usage
+// counters are incremented in the same transaction.
+export const addOrder = async (orderData) => {
+  try {
+    const { coupon, shippingCost, taxAmount, ...orderFields } = orderData;
+    const isGuest = orderData.userId === GUEST_USER_ID;
+    const orderRef = doc(ordersRef);
+    const lines = groupOrderItemsByProduct(orderData.items);
+    const couponRef = coupon ? doc(db, 'coupons', coupon.id) : null;
+
+    // Stores that have not configured any zones keep shipping free
+    const shippingZones = await getAllShippingZones();
+    const shippingZone = findShippingZone(shippingZones, orderData.customerInfo);
+    if (shippingZones.length > 0 && !shippingZone) {
+      const shippingError = new Error('We do not ship to this address yet');
+      shippingError.code = 'shipping-unavailable';
+      throw shippingError;
+    }
+    const taxRates = await getAllTaxRates();
+
+    await runTransaction(db, async (transaction) => {
+      // All reads must happen before any writes in a transaction
+      const productSnaps = await Promise.all(
+        lines.map(line => transaction.get(doc(db, 'products', line.id)))
+      );
+      const couponSnap = couponRef ? await transaction.get(couponRef) : null;
+
+      const productSnapsById = new Map(productSnaps.map((productSnap, index) => [lines[index].id, productSnap]));
+      const priceChanged = (orderData.items || []).some(item => {
+        const productSnap = productSnapsById.get(item.id);
+        if (!productSnap.exists()) return false;
+        // Missing variants are reported as out of stock below
+        const price = getLinePrice(productSnap.data(), item);
+        return price !== undefined && price !== item.price;
+      });
+      if (priceChanged) {
+        const priceError = new Error('Product prices changed while placing the order');
+        priceError.code = 'price-changed';
+        throw priceError;
+      }
+
+      const stockErrors = [];
+      productSnaps.forEach((productSnap, index) => {
+        const line = lines[index];
+        // Drafts, archived products and products outside their publishing window can't be ordered
+        if (!productSnap.exists() || !isProductLive(productSnap.data())) {
+          stockErrors.push({ id: line.id, name: line.name, requested: line.quantity, available: 0 });
+          return;
+        }
+
+        stockErrors.push(...getLineStockErrors(productSnap.data(), line));
+      });
+
+      if (stockErrors.length > 0) {
+        const stockError = new Error('Some items in your order are no longer available in the requested quantity');
+        stockError.code = 'out-of-stock';
+        stockError.items = stockErrors;
+        throw stockError;
+      }
+
+      // Coupon scoping, category tax rates and weight-based shipping need each line's category
+      // and weight, which only the product documents carry
+      const itemsWithDetails = orderData.items.map(item => ({
+        ...item,
+        category: productSnapsById.get(item.id).data().category,
+        weight: productSnapsById.get(item.id).data().weight || 0
+      }));
+
+      const subtotal = orderData.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+      let discount = null;
+      if (couponSnap) {
+        const couponData = couponSnap.exists() ? couponSnap.data() : null;
+        const couponResult = evaluateCoupon(couponData, itemsWithDetails, { userId: isGuest ? null : orderData.userId });
+        if (!couponResult.valid) {
+          const couponError = new Error(couponResult.error);
+          couponError.code = 'coupon-invalid';
+          throw couponError;
+        }
+
+        discount = {
+          couponId: couponSnap.id,
+          code: couponData.code,
+          type: couponData.type,
+          amount: couponResult.discount,
+          freeShipping: couponResult.freeShipping,
+          // Customer whose per-user count was incremented (guests have none)
+          usageUserId: isGuest ? null : orderData.userId
+        };
+      }
+
+      const shipping = shippingZone
+        ? calculateShipping(shippingZone, itemsWithDetails, {
+            orderValue: subtotal - (discount ? discount.amount : 0),
+            freeShipping: Boolean(discount?.freeShipping)
+          })
+        : { zoneId: null, zoneName: null, cost: 0, freeShipping: true, estimatedDelivery: null };
+      if (shippingCost !== undefined && shippingCost !== shipping.cost) {
+        const shippingError = new Error('The shipping charge changed while placing the order');
+        shippingError.code = 'shipping-changed';
+        throw shippingError;
+      }
+
+      const tax = calculateTax(taxRates, itemsWithDetails, orderData.customerInfo, {
+        discount: discount ? discount.amount : 0
+      });
+      if (taxAmount !== undefined && taxAmount !== tax.exclusiveAmount) {
+        const taxError = new Error('The tax on this order changed while placing it');
+        taxError.code = 'tax-changed';
+        throw taxError;
+      }
+
+      const customer = { uid: orderData.userId, role: isGuest ? 'guest' : 'customer' };
+      productSnaps.forEach((productSnap, index) => {
+        const stockUpdate = getStockUpdate(productSnap.data(), lines[index], -1);
+        if (!stockUpdate) return;
+
+        transaction.update(productSnap.ref, {
+          ...stockUpdate,
+          updatedAt: serverTimestamp()
+        });
+        recordStockChanges(transaction, productSnap.id, productSnap.data(), { ...productSnap.data(), ...stockUpdate }, {
+          reason: INVENTORY_REASONS.ORDER,
+          actor: customer,
+          orderId: orderRef.id
+        });
+      });
+
+      if (discount) {
+        transaction.update(couponRef, {
+          usageCount: increment(1),
+          ...(discount.usageUserId && { [`usageByUser.${discount.usageUserId}`]: increment(1) }),
+          updatedAt: serverTimestamp()
+        });
+      }
+
+      transaction.set(orderRef, {
+        ...orderFields,
+        // Order number and lower-cased email let guests look their order up without an account
+        orderNumber: orderRef.id.substring(0, 8).toUpperCase(),
+        customerEmail: (orderData.customerInfo?.email || '').trim().toLowerCase(),
+        subtotal,
+        discount,
+        shipping,
+        tax,
+        total: subtotal - (discount ? discount.amount : 0) + tax.exclusiveAmount + shipping.cost,
+        status: ORDER_STATUSES.PENDING, // Initial status is always 'pending'
+        statusHistory: [
+          createStatusHistoryEntry(ORDER_STATUSES.PENDING, customer, 'Order placed')
+        ],
+        paymentStatus: PAYMENT_STATUSES.PENDING,
+        paymentReference: null,
+        stockReserved: true,
+        createdAt: serverTimestamp()
+      });
+    });
+
+    return orderRef.id;
+  } catch (error) {
+    console.error('Error adding order:', error);
+    throw error;
+  }
+};
+
+// Return the stock held by an order to its products (runs inside a transaction). reason is the
+// inventory ledger reason (cancellation or return) and actor who caused it.
+const restockOrderItems = async (transaction, order, reason, actor) => {
+  const lines = groupOrderItemsByProduct(order.items);
+  const productSnaps = await Promise.all(
+    lines.map(line => transaction.get(doc(db, 'products', line.id)))
+  );
+
+  productSnaps.forEach((productSnap, index) => {
+    // Deleted products have nothing to restock
+    if (!productSnap.exists()) return;
+
+    const stockUpdate = getStockUpdate(productSnap.data(), lines[index], 1);
+    if (!stockUpdate) return;
+
+    transaction.update(productSnap.ref, {
+      ...stockUpdate,
+      updatedAt: serverTimestamp()
+    });
+    recordStockChanges(transaction, productSnap.id, productSnap.data(), { ...productSnap.data(), ...stockUpdate }, {
+      reason,
+      actor,
+      orderId: order.id
+    });
+  });
+};
+
+// Update payment fields on an order (paymentStatus, paymentReference, paymentProof, ...)
+export const updateOrderPayment = async (orderId, paymentData) => {
+  try {
+    await updateDoc(doc(db, 'orders', orderId), {
+      ...paymentData,
+      updatedAt: serverTimestamp()
+    });
+    return true;
+  } catch (error) {
+    console.error('Error updating order payment:', error);
+    throw error;
+  }
+};
+
+// Read an order (with its id) inside a transaction, failing if it does not exist
+const getOrderInTransaction = async (transaction, orderRef) => {
+  const orderSnap = await transaction.get(orderRef);
+  if (!orderSnap.exists()) {
+    throw new Error('Order not found');
+  }
+  return { id: orderSnap.id, ...orderSnap.data() };
+};
+
+// Take the next invoice number from the counters/invoices document (runs inside a transaction,
+// so concurrent confirmations can never share a number)
+const assignInvoiceNumber = async (transaction) => {
+  const counterRef = doc(db, 'counters', 'invoices');
+  const counterSnap = await transaction.get(counterRef);
+  const nextNumber = (counterSnap.exists() ? counterSnap.data().lastNumber : 0) + 1;
+  transaction.set(counterRef, { lastNumber: nextNumber, updatedAt: serverTimestamp() });
+  return `INV-${String(nextNumber).padStart(6, '0')}`;
+};
+
+// Validate a status transition and build the order update for it (runs inside a transaction).
+// Orders that still hold stock give it back when they are canceled or returned, and orders
+// get their sequential invoice number when they are confirmed.
+const buildOrderStatusUpdate = async (transaction, order, status, changedBy, note) => {
+  if (!canTransitionOrder(order.status, status)) {
+    const transitionError = new Error(`Cannot change order status from "${order.status}" to "${status}"`);
+    transitionError.code = 'invalid-transition';
+    throw transitionError;
+  }
+
+  // Orders only move past 'pending' once payment is authorized (orders placed before
+  // payment tracking have no paymentStatus and are not held back)
+  const awaitingPayment = order.paymentStatus !== undefined &&
+    !SETTLED_PAYMENT_STATUSES.includes(order.paymentStatus);
+  if (order.status === ORDER_STATUSES.PENDING && status !== ORDER_STATUSES.CANCELED && awaitingPayment) {
+    const paymentError = new Error('This order cannot be confirmed until its payment has been authorized');
+    paymentError.code = 'payment-required';
+    throw paymentError;
+  }
+
+  const updates = {
+    status,
+    statusHistory: [
+      ...(order.statusHistory || []),
+      createStatusHistoryEntry(status, changedBy, note)
+    ],
+    updatedAt: serverTimestamp()
+  };
+
+  if (status === ORDER_STATUSES.CONFIRMED && !order.invoiceNumber) {
+    updates.invoiceNumber = await assignInvoiceNumber(transaction);
+    updates.invoicedAt = serverTimestamp();
+  }
+
+  const releasesStock = status === ORDER_STATUSES.CANCELED || status === ORDER_STATUSES.RETURNED;
+  if (releasesStock && order.stockReserved) {
+    const reason = status === ORDER_STATUSES.RETURNED ? INVENTORY_REASONS.RETURN : INVENTORY_REASONS.CANCELLATION;
+    await restockOrderItems(transaction, order, reason, changedBy);
+    updates.stockReserved = false;
+  }
+
+  // A canceled order gives its coupon use back
+  if (status === ORDER_STATUSES.CANCELED && order.discount?.couponId) {
+    transaction.update(doc(db, 'coupons', order.discount.couponId), {
+      usageCount: increment(-1),
+      ...(order.discount.usageUserId && { [`usageByUser.${order.discount.usageUserId}`]: increment(-1) })
+    });
+  }
+
+  return updates;
+};
+
+// Update order status (admin only)
+// Only transitions allowed by ORDER_STATUS_TRANSITIONS are accepted; each change is appended
+// to the order's statusHistory with who made it. Returns the updated order, including the
+// invoice number assigned on confirmation.
+export const updateOrderStatus = async (orderId, status, changedBy = null, note = '') => {
+  try {
+    if (!Object.values(ORDER_STATUSES).includes(status)) {
+      throw new Error('Invalid order status');
+    }
+    
+    const orderRef = doc(db, 'orders', orderId);
+    await runTransaction(db, async (transaction) => {
+      const order = await getOrderInTransaction(transaction, orderRef);
+      const updates = await buildOrderStatusUpdate(transaction, order, status, changedBy, note);
+      transaction.update(orderRef, updates);
+    });
+    return await getOrderById(orderId);
+  } catch (error) {
+    console.error('Error updating order status:', error);
+    throw error;
+  }
+};
+
+// Cancel an order (customer)
+// Customers may only cancel their own orders, and only while they are still pending.
+export const cancelOrder = async (orderId, customer, reason = '') => {
+  try {
+    const orderRef = doc(db, 'orders', orderId);
+    await runTransaction(db, async (transaction) => {
+      const order = await getOrderInTransaction(transaction, orderRef);
+      if (order.userId !== customer.uid) {
+        throw new Error('You can only cancel your own orders');
+      }
+      if (order.status !== ORDER_STATUSES.PENDING) {
+        const statusError = new Error('This order can no longer be canceled because it is already being processed');
+        statusError.code = 'not-cancelable';
+        throw statusError;
+      }
+
+      const updates = await buildOrderStatusUpdate(
+        transaction,
+        order,
+        ORDER_STATUSES.CANCELED,
+        { ...customer, role: 'customer' },
+        reason || 'Canceled by customer'
+      );
+      transaction.update(orderRef, updates);
+    });
+    return true;
+  } catch (error) {
+    console.error('Error canceling order:', error);
+    throw error;
+  }
+};
+
+// File a return request for a delivered order (customer)
+// requestData: { reason, details, imageUrls }
+export const requestOrderReturn = async (orderId, customer, requestData) => {
+  try {
+    const orderRef = doc(db, 'orders', orderId);
+    await runTransaction(db, async (transaction) => {
+      const order = await getOrderInTransaction(transaction, orderRef);
+      if (order.userId !== customer.uid) {
+        throw new Error('You can only request returns for your own orders');
+      }
+      if (normalizeOrderStatus(order.status) !== ORDER_STATUSES.DELIVERED) {
+        throw new Error('Returns can only be requested for delivered orders');
+      }
+      if (order.returnRequest && order.returnRequest.status !== RETURN_REQUEST_STATUSES.REJECTED) {
+        throw new Error('A return request has already been filed for this order');
+      }
+
+      transaction.update(orderRef, {
+        returnRequest: {
+          status: RETURN_REQUEST_STATUSES.REQUESTED,
+          reason: requestData.reason,
+          details: requestData.details || '',
+          imageUrls: requestData.imageUrls || [],
+          requestedBy: { ...customer, role: 'customer' },
+          requestedAt: new Date()
+        },
+        updatedAt: serverTimestamp()
+      });
+    });
+    return true;
+  } catch (error) {
+    console.error('Error requesting order return:', error);
+    throw error;
+  }
+};
+
+// Approve or reject a pending return request (admin only)
+// Approving moves the order to 'returned', which restocks its items.
+export const resolveReturnRequest = async (orderId, approved, resolvedBy, adminNote = '') => {
+  try {
+    const orderRef = doc(db, 'orders', orderId);
+    await runTransaction(db, async (transaction) => {
+      const order = await getOrderInTransaction(transaction, orderRef);
+      if (!order.returnRequest || order.returnRequest.status !== RETURN_REQUEST_STATUSES.REQUESTED) {
+        throw new Error('This order has no pending return request');
+      }
+
+      const statusUpdates = approved
+        ? await buildOrderStatusUpdate(
+            transaction,
+            order,
+            ORDER_STATUSES.RETURNED,
+            resolvedBy,
+            adminNote || `Return approved: ${order.returnRequest.reason}`
+          )
+        : { updatedAt: serverTimestamp() };
+
+      transaction.update(orderRef, {
+        ...statusUpdates,
+        returnRequest: {
+          ...order.returnRequest,
+          status: approved ? RETURN_REQUEST_STATUSES.APPROVED : RETURN_REQUEST_STATUSES.REJECTED,
+          adminNote,
+          resolvedBy,
+          resolvedAt: new Date()
+        }
+      });
+    });
+    return true;
+  } catch (error) {
+    console.error('Error resolving return request:', error);
+    throw error;
+  }
+};
+
+// Reviews Collection
+export const reviewsRef = collection(db, 'reviews');
+
+// Newest first; sorted in memory so the queries need no composite index
+const sortNewestFirst = (docs) => docs.sort((a, b) => {
+  const timeA = a.createdAt?.seconds || 0;
+  const timeB = b.createdAt?.seconds || 0;
+  return timeB - timeA;
+});
+
+// Get the approved reviews for a product
+export const getProductReviews = async (productId) => {
+  try {
+    const q = query(
+      reviewsRef,
+      where('productId', '==', productId),
+      where('status', '==', REVIEW_STATUSES.APPROVED)
+    );
+    const querySnapshot = await getDocs(q);
+    return sortNewestFirst(querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    })));
+  } catch (error) {
+    console.error('Error getting product reviews:', error);
+    throw error;
+  }
+};
+
+// Get all reviews for moderation (admin only)
+export const getAllReviews = async () => {
+  try {
+    const querySnapshot = await getDocs(reviewsRef);
+    return sortNewestFirst(querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    })));
+  } catch (error) {
+    console.error('Error getting reviews:', error);
+    throw error;
+  }
+};
+
+// Check whether a customer may review a product: they need a delivered order containing it,
+// and get one review per product.
+// Returns { eligible, orderId, existingReview }.
+export const getReviewEligibility = async (userId, productId) => {
+  try {
+    const [orders, reviewSnapshot] = await Promise.all([
+      getOrdersByUserId(userId),
+      getDocs(query(reviewsRef, where('productId', '==', productId), where('userId', '==', userId)))
+    ]);
+
+    const existingReview = reviewSnapshot.empty
+      ? null
+      : { id: reviewSnapshot.docs[0].id, ...reviewSnapshot.docs[0].data() };
+    const deliveredOrder = orders.find(order =>
+      normalizeOrderStatus(order.status) === ORDER_STATUSES.DELIVERED &&
+      (order.items || []).some(item => item.id === productId)
+    );
+
+    return {
+      eligible: Boolean(deliveredOrder) && !existingReview,
+      orderId: deliveredOrder ? deliveredOrder.id : null,
+      existingReview
+    };
+  } catch (error) {
+    console.error('Error checking review eligibility:', error);
+    throw error;
+  }
+};
+
+// Add a review (customer)
+// reviewData: { productId, rating, title, text, photoUrls }
+// Reviews start out pending and only count towards the product rating once approved.
+export const addReview = async (reviewData, customer) => {
+  try {
+    const { eligible, orderId } = await getReviewEligibility(customer.uid, reviewData.productId);
+    if (!eligible) {
+      const reviewError = new Error('Only customers who have received this product can review it, once');
+      reviewError.code = 'review-not-allowed';
+      throw reviewError;
+    }
+
+    const docRef = await addDoc(reviewsRef, {
+      productId: reviewData.productId,
+      userId: customer.uid,
+      userName: customer.name,
+      orderId,
+      rating: reviewData.rating,
+      title: reviewData.title || '',
+      text: reviewData.text,
+      photoUrls: reviewData.photoUrls || [],
+      status: REVIEW_STATUSES.PENDING,
+      reply: null,
+      createdAt: serverTimestamp()
+    });
+    return docRef.id;
+  } catch (error) {
+    console.error('Error adding review:', error);
+    throw error;
+  }
+};
+
+// Approve, hide or re-queue a review (admin only)
+// The product's ratingCount, ratingTotal and ratingAverage are updated in the same transaction
+// whenever a review starts or stops being approved.
+export const updateReviewStatus = async (reviewId, status, moderatedBy = null) => {
+  try {
+    if (!Object.values(REVIEW_STATUSES).includes(status)) {
+      throw new Error(`Unknown review status "${status}"`);
+    }
+
+    const reviewRef = doc(db, 'reviews', reviewId);
+    await runTransaction(db, async (transaction) => {
+      const reviewSnap = await transaction.get(reviewRef);
+      if (!reviewSnap.exists()) {
+        throw new Error('Review not found');
+      }
+      const review = reviewSnap.data();
+      const productRef = doc(db, 'products', review.productId);
+      const productSnap = await transaction.get(productRef);
+
+      const wasApproved = review.status === REVIEW_STATUSES.APPROVED;
+      const isApproved = status === REVIEW_STATUSES.APPROVED;
+      if (wasApproved !== isApproved && productSnap.exists()) {
+        transaction.update(productRef, applyRatingChange(productSnap.data(), review.rating, isApproved ? 1 : -1));
+      }
+
+      transaction.update(reviewRef, {
+        status,
+        moderatedBy,
+        moderatedAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+    });
+    return true;
+  } catch (error) {
+    console.error('Error updating review status:', error);
+    throw error;
+  }
+};
+
+// Publicly reply to a review (admin only); an empty reply removes it
+export const replyToReview = async (reviewId, text, repliedBy = null) => {
+  try {
+    await updateDoc(doc(db, 'reviews', reviewId), {
+      reply: text.trim() ? { text: text.trim(), repliedBy, repliedAt: new Date() } : null,
+      updatedAt: serverTimestamp()
+    });
+    return true;
+  } catch (error) {
+    console.error('Error replying to review:', error);
     throw error;
   }
 };
@@ -0,0 +1,251 @@
+import { jsPDF } from 'jspdf';
+import { formatCurrency, formatDate } from '../utils/helpers';
+import { encodeCode128 } from '../utils/barcode';
+import { getOrderTotals } from '../utils/orderTotals';
+import { getCartLineId, getItemDisplayName } from '../utils/variants';
+import { getPaymentStatusDetails } from '../utils/paymentStatus';
+import { PAYMENT_METHODS } from './paymentService';
+
+// Store details printed in the document header
+export const STORE_DETAILS = {
+  name: process.env.REACT_APP_STORE_NAME || 'Shoppico',
+  address: process.env.REACT_APP_STORE_ADDRESS || '',
+  email: process.env.REACT_APP_STORE_EMAIL || '',
+  phone: process.env.REACT_APP_STORE_PHONE || ''
+};
+
+const PAGE_MARGIN = 15;
+const PAGE_BOTTOM = 280;
+const LINE_HEIGHT = 6;
+
+/**
+ * Draw an order ID barcode
+ * @param {jsPDF} pdf - Document to draw on
+ * @param {string} value - Text to encode
+ * @param {number} x - Left edge in mm
+ * @param {number} y - Top edge in mm
+ * @param {number} width - Barcode width in mm
+ * @param {number} height - Bar height in mm
+ */
+const drawBarcode = (pdf, value, x, y, width, height) => {
+  const { bars, width: modules } = encodeCode128(value);
+  const moduleWidth = width / modules;
+
+  pdf.setFillColor(0, 0, 0);
+  bars.forEach(bar => {
+    pdf.rect(x + bar.x * moduleWidth, y, bar.width * moduleWidth, height, 'F');
+  });
+
+  pdf.setFontSize(8);
+  pdf.text(value, x + width / 2, y + height + 4, { align: 'center' });
+};
+
+/**
+ * Draw a table row, one cell per column
+ * @param {jsPDF} pdf - Document to draw on
+ * @param {Array<Object>} columns - Column definitions ({ x, width, align })
+ * @param {Array<string>} cells - Cell text
+ * @param {number} y - Baseline in mm
+ * @returns {number} - Height of the row in mm
+ */
+const drawRow = (pdf, columns, cells, y) => {
+  let lines = 1;
+  cells.forEach((cell, index) => {
+    const column = columns[index];
+    const text = pdf.splitTextToSize(String(cell), column.width - 2);
+    lines = Math.max(lines, text.length);
+    const x = column.align === 'right' ? column.x + column.width : column.x;
+    pdf.text(text, x, y, { align: column.align || 'left' });
+  });
+  return lines * LINE_HEIGHT;
+};
+
+/**
+ * Build the invoice or packing slip for an order
+ * @param {Object} order - Order document with id
+ * @param {Object} options - { packingSlip: true } leaves out prices, taxes and payment details
+ * @returns {jsPDF} - The generated document
+ */
+export const createOrderDocument = (order, { packingSlip = false } = {}) => {
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const rightEdge = pageWidth - PAGE_MARGIN;
+  const orderNumber = order.id.substring(0, 8).toUpperCase();
+  const customer = order.customerInfo || {};
+  let y = PAGE_MARGIN + 5;
+
+  // Start a new page when the next block would run off the bottom
+  const ensureSpace = (height) => {
+    if (y + height > PAGE_BOTTOM) {
+      pdf.addPage();
+      y = PAGE_MARGIN + 5;
+    }
+  };
+
+  // Store header
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(20);
+  pdf.text(STORE_DETAILS.name, PAGE_MARGIN, y);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(9);
+  [STORE_DETAILS.address, STORE_DETAILS.email, STORE_DETAILS.phone]
+    .filter(Boolean)
+    .forEach((line, index) => pdf.text(line, PAGE_MARGIN, y + 6 + index * 4.5));
+
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(16);
+  pdf.text(packingSlip ? 'PACKING SLIP' : 'INVOICE', rightEdge, y, { align: 'right' });
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(9);
+  const headerLines = [
+    !packingSlip && order.invoiceNumber && `Invoice No: ${order.invoiceNumber}`,
+    `Order No: ${orderNumber}`,
+    `Order Date: ${formatDate(order.createdAt)}`,
+    !packingSlip && order.invoicedAt && `Invoice Date: ${formatDate(order.invoicedAt)}`
+  ].filter(Boolean);
+  headerLines.forEach((line, index) => pdf.text(line, rightEdge, y + 6 + index * 4.5, { align: 'right' }));
+
+  y += 8 + headerLines.length * 4.5;
+  drawBarcode(pdf, order.id, rightEdge - 60, y, 60, 12);
+  y += 24;
+
+  // Customer details
+  pdf.setDrawColor(200, 200, 200);
+  pdf.line(PAGE_MARGIN, y, rightEdge, y);
+  y += 7;
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(10);
+  pdf.text('Ship To', PAGE_MARGIN, y);
+  if (!packingSlip) {
+    pdf.text('Payment', pageWidth / 2, y);
+  }
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(9);
+  const addressLines = [
+    `${customer.firstName || ''} ${customer.lastName || ''}`.trim(),
+    customer.address,
+    [customer.city, customer.state, customer.zipCode].filter(Boolean).join(', '),
+    customer.country,
+    customer.phone,
+    customer.email
+  ].filter(Boolean);
+  addressLines.forEach((line, index) => pdf.text(line, PAGE_MARGIN, y + 5 + index * 4.5));
+
+  if (!packingSlip) {
+    const paymentLines = [
+      `Method: ${PAYMENT_METHODS[order.paymentMethod]?.label || order.paymentMethod || 'N/A'}`,
+      order.paymentStatus && `Status: ${getPaymentStatusDetails(order.paymentStatus).label}`,
+      order.paymentReference && `Reference: ${order.paymentReference}`
+    ].filter(Boolean);
+    paymentLines.forEach((line, index) => pdf.text(line, pageWidth / 2, y + 5 + index * 4.5));
+  }
+  y += 10 + addressLines.length * 4.5;
+
+  // Items
+  const columns = packingSlip
+    ? [
+        { x: PAGE_MARGIN, width: 110 },
+        { x: PAGE_MARGIN + 110, width: 35 },
+        { x: PAGE_MARGIN + 145, width: 15, align: 'right' },
+        { x: PAGE_MARGIN + 160, width: 20, align: 'right' }
+      ]
+    : [
+        { x: PAGE_MARGIN, width: 85 },
+        { x: PAGE_MARGIN + 85, width: 15, align: 'right' },
+        { x: PAGE_MARGIN + 100, width: 27, align: 'right' },
+        { x: PAGE_MARGIN + 127, width: 25, align: 'right' },
+        { x: PAGE_MARGIN + 152, width: 28, align: 'right' }
+      ];
+  const headings = packingSlip
+    ? ['Item', 'SKU', 'Qty', 'Packed']
+    : ['Item', 'Qty', 'Unit Price', 'Tax', 'Amount'];
+
+  ensureSpace(20);
+  pdf.setFillColor(240, 240, 240);
+  pdf.rect(PAGE_MARGIN, y - 4.5, rightEdge - PAGE_MARGIN, 7, 'F');
+  pdf.setFont('helvetica', 'bold');
+  drawRow(pdf, columns, headings, y);
+  pdf.setFont('helvetica', 'normal');
+  y += LINE_HEIGHT + 2;
+
+  // Tax lines are keyed by product and variant (orders placed before variants only have the product ID)
+  const lineTaxById = new Map((order.tax?.lines || []).map(line => [line.lineId || line.id, line]));
+  (order.items || []).forEach(item => {
+    ensureSpace(LINE_HEIGHT * 2);
+    const lineTax = lineTaxById.get(getCartLineId(item));
+    const cells = packingSlip
+      ? [getItemDisplayName(item), item.sku || '-', item.quantity, '[   ]']
+      : [
+          getItemDisplayName(item),
+          item.quantity,
+          formatCurrency(item.price),
+          lineTax ? formatCurrency(lineTax.amount) : '-',
+          formatCurrency(item.price * item.quantity)
+        ];
+    y += drawRow(pdf, columns, cells, y);
+  });
+
+  pdf.line(PAGE_MARGIN, y - 3, rightEdge, y - 3);
+  y += 3;
+
+  if (packingSlip) {
+    const itemCount = (order.items || []).reduce((sum, item) => sum + item.quantity, 0);
+    pdf.text(`Total items: ${itemCount}`, rightEdge, y, { align: 'right' });
+  } else {
+    // Totals
+    const totals = getOrderTotals(order);
+    const totalLines = [
+      ['Subtotal', formatCurrency(totals.subtotal)],
+      totals.discount > 0 && [`Discount (${order.discount.code})`, `-${formatCurrency(totals.discount)}`],
+      ...totals.taxBreakdown.map(entry => [
+        `${entry.name} (${entry.rate}%${entry.inclusive ? ', included' : ''})`,
+        formatCurrency(entry.amount)
+      ]),
+      order.shipping && ['Shipping', totals.shipping > 0 ? formatCurrency(totals.shipping) : 'Free']
+    ].filter(Boolean);
+
+    ensureSpace((totalLines.length + 2) * 5);
+    totalLines.forEach(([label, value]) => {
+      pdf.text(label, rightEdge - 35, y, { align: 'right' });
+      pdf.text(value, rightEdge, y, { align: 'right' });
+      y += 5;
+    });
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(11);
+    pdf.text('Grand Total', rightEdge - 35, y + 2, { align: 'right' });
+    pdf.text(formatCurrency(totals.total), rightEdge, y + 2, { align: 'right' });
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(9);
+  }
+
+  pdf.setTextColor(120, 120, 120);
+  pdf.text(
+    packingSlip ? 'Please check the contents of this package against the list above.' : 'Thank you for shopping with us!',
+    pageWidth / 2,
+    PAGE_BOTTOM + 7,
+    { align: 'center' }
+  );
+  pdf.setTextColor(0, 0, 0);
+
+  return pdf;
+};
+
+/**
+ * Download the invoice for a confirmed order
+ * @param {Object} order - Order document with id and invoiceNumber
+ */
+export const downloadInvoice = (order) => {
+  if (!order.invoiceNumber) {
+    throw new Error('An invoice is issued once the order has been confirmed');
+  }
+  createOrderDocument(order).save(`${order.invoiceNumber}.pdf`);
+};
+
+/**
+ * Download the packing slip for an order
+ * @param {Object} order - Order document with id
+ */
+export const downloadPackingSlip = (order) => {
+  createOrderDocument(order, { packingSlip: true })
+    .save(`packing-slip-${order.id.substring(0, 8).toUpperCase()}.pdf`);
+};
@@ -0,0 +1,340 @@
+import { generateId } from '../utils/helpers';
+import { updateOrderPayment, cancelOrder } from './firestore';
+import { PAYMENT_STATUSES } from '../utils/paymentStatus';
+
+// Payment methods offered at checkout
+export const PAYMENT_METHODS = {
+  credit_card: { label: 'Credit Card' },
+  paypal: { label: 'PayPal' },
+  bank_transfer: { label: 'Bank Transfer' },
+  cash_on_delivery: { label: 'Cash on Delivery' }
+};
+
+// Bank account shown to customers who pay by bank transfer
+export const BANK_TRANSFER_DETAILS = {
+  accountTitle: process.env.REACT_APP_BANK_ACCOUNT_TITLE || 'Shoppico',
+  bankName: process.env.REACT_APP_BANK_NAME || '',
+  accountNumber: process.env.REACT_APP_BANK_ACCOUNT_NUMBER || ''
+};
+
+/**
+ * A payment provider implements:
+ *   authorize({ orderId, amount, currency, method, details }) -> { success, status, transactionId, message }
+ *   capture(transactionId, amount) -> { success, status, message }
+ *   refund(transactionId, amount) -> { success, status, message }
+ *   void(transactionId, amount) -> { success, status, message } (releases an authorization that won't be captured)
+ *   verifyWebhook(payload, signature) -> boolean
+ */
+
+/**
+ * Local provider for development: approves everything unless
+ * REACT_APP_MOCK_PAYMENT_OUTCOME is set to 'decline'.
+ */
+export const mockPaymentProvider = {
+  name: 'mock',
+  authorize: async ({ amount }) => {
+    if (process.env.REACT_APP_MOCK_PAYMENT_OUTCOME === 'decline' || !(amount > 0)) {
+      return { success: false, status: PAYMENT_STATUSES.FAILED, transactionId: null, message: 'Payment was declined' };
+    }
+    return {
+      success: true,
+      status: PAYMENT_STATUSES.AUTHORIZED,
+      transactionId: `mock_${generateId(16)}`,
+      message: 'Payment authorized'
+    };
+  },
+  capture: async () => ({ success: true, status: PAYMENT_STATUSES.CAPTURED, message: 'Payment captured' }),
+  refund: async () => ({ success: true, status: PAYMENT_STATUSES.REFUNDED, message: 'Payment refunded' }),
+  void: async () => ({ success: true, status: PAYMENT_STATUSES.VOIDED, message: 'Authorization voided' }),
+  // Mock webhooks are signed with "mock_<transactionId>"
+  verifyWebhook: (payload, signature) => Boolean(payload?.transactionId) && signature === `mock_${payload.transactionId}`
+};
+
+/**
+ * Cash on delivery: nothing to charge up front, so authorization always succeeds
+ * and the payment is captured when the courier collects it.
+ */
+export const cashOnDeliveryProvider = {
+  name: 'cash_on_delivery',
+  authorize: async () => ({
+    success: true,
+    status: PAYMENT_STATUSES.AUTHORIZED,
+    transactionId: `cod_${generateId(12)}`,
+    message: 'Payment will be collected on delivery'
+  }),
+  capture: async () => ({ success: true, status: PAYMENT_STATUSES.CAPTURED, message: 'Cash collected' }),
+  refund: async () => ({ success: true, status: PAYMENT_STATUSES.REFUNDED, message: 'Refund issued manually' }),
+  void: async () => ({ success: true, status: PAYMENT_STATUSES.VOIDED, message: 'Nothing to collect' }),
+  verifyWebhook: () => false
+};
+
+/**
+ * Bank transfer: the customer uploads a proof of payment at checkout and
+ * an admin verifies it (see verifyBankTransfer).
+ */
+export const bankTransferProvider = {
+  name: 'bank_transfer',
+  authorize: async ({ details }) => {
+    if (!details?.proofImageUrl) {
+      return { success: false, status: PAYMENT_STATUSES.FAILED, transactionId: null, message: 'Proof of payment is required' };
+    }
+    return {
+      success: true,
+      status: PAYMENT_STATUSES.AWAITING_VERIFICATION,
+      transactionId: details.reference || `bank_${generateId(12)}`,
+      message: 'Proof of payment received'
+    };
+  },
+  capture: async () => ({ success: true, status: PAYMENT_STATUSES.CAPTURED, message: 'Transfer verified' }),
+  refund: async () => ({ success: true, status: PAYMENT_STATUSES.REFUNDED, message: 'Refund issued manually' }),
+  void: async () => ({ success: true, status: PAYMENT_STATUSES.VOIDED, message: 'Return any transfer received manually' }),
+  verifyWebhook: () => false
+};
+
+// Provider used for each payment method; card and PayPal go through the mock provider
+// until a real gateway is registered with registerPaymentProvider
+const providers = {
+  credit_card: mockPaymentProvider,
+  paypal: mockPaymentProvider,
+  bank_transfer: bankTransferProvider,
+  cash_on_delivery: cashOnDeliveryProvider
+};
+
+// The mock provider approves every payment, so it is never offered in production builds
+// unless explicitly enabled
+const isMockPaymentsEnabled = () => (
+  process.env.NODE_ENV !== 'production' || process.env.REACT_APP_ENABLE_MOCK_PAYMENTS === 'true'
+);
+
+/**
+ * Get the payment methods that can be offered at checkout
+ * @returns {Array<string>} - Payment method keys
+ */
+export const getAvailablePaymentMethods = () => {
+  return Object.keys(PAYMENT_METHODS).filter(method => (
+    providers[method] && (providers[method] !== mockPaymentProvider || isMockPaymentsEnabled())
+  ));
+};
+
+/**
+ * Register the provider that handles a payment method
+ * @param {string} method - Payment method key (e.g. 'credit_card')
+ * @param {Object} provider - Object implementing authorize/capture/refund/void/verifyWebhook
+ */
+export const registerPaymentProvider = (method, provider) => {
+  const requiredFunctions = ['authorize', 'capture', 'refund', 'void', 'verifyWebhook'];
+  const missing = requiredFunctions.filter(fn => typeof provider?.[fn] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Payment provider is missing: ${missing.join(', ')}`);
+  }
+  providers[method] = provider;
+};
+
+/**
+ * Get the provider for a payment method
+ * @param {string} method - Payment method key
+ * @returns {Object} - The payment provider
+ */
+export const getPaymentProvider = (method) => {
+  const provider = providers[method];
+  if (!provider) {
+    throw new Error(`Unsupported payment method: ${method}`);
+  }
+  return provider;
+};
+
+/**
+ * Authorize payment for a newly placed order and record the outcome on it
+ * @param {Object} order - Order with id, total and paymentMethod
+ * @param {Object} details - Method-specific details (e.g. { proofImageUrl } for bank transfer)
+ * @returns {Promise<Object>} - The provider result
+ */
+export const authorizeOrderPayment = async (order, details = {}) => {
+  try {
+    const provider = getPaymentProvider(order.paymentMethod);
+    const result = await provider.authorize({
+      orderId: order.id,
+      amount: order.total,
+      currency: 'PKR',
+      method: order.paymentMethod,
+      details
+    });
+
+    const paymentData = {
+      paymentStatus: result.status,
+      paymentProvider: provider.name,
+      paymentReference: result.transactionId || null
+    };
+    if (details.proofImageUrl) {
+      paymentData.paymentProof = {
+        imageUrl: details.proofImageUrl,
+        uploadedAt: new Date(),
+        verified: false
+      };
+    }
+    await updateOrderPayment(order.id, paymentData);
+
+    return result;
+  } catch (error) {
+    console.error('Error authorizing payment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Capture a previously authorized payment (admin only)
+ * @param {Object} order - Order with id, total, paymentMethod and paymentReference
+ * @returns {Promise<Object>} - The provider result
+ */
+export const captureOrderPayment = async (order) => {
+  try {
+    const provider = getPaymentProvider(order.paymentMethod);
+    const result = await provider.capture(order.paymentReference, order.total);
+    if (result.success) {
+      await updateOrderPayment(order.id, { paymentStatus: result.status });
+    }
+    return result;
+  } catch (error) {
+    console.error('Error capturing payment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Refund a captured payment (admin only)
+ * @param {Object} order - Order with id, total, paymentMethod and paymentReference
+ * @returns {Promise<Object>} - The provider result
+ */
+export const refundOrderPayment = async (order) => {
+  try {
+    const provider = getPaymentProvider(order.paymentMethod);
+    const result = await provider.refund(order.paymentReference, order.total);
+    if (result.success) {
+      await updateOrderPayment(order.id, { paymentStatus: result.status });
+    }
+    return result;
+  } catch (error) {
+    console.error('Error refunding payment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Void a payment that was authorized but won't be captured, e.g. because the order was canceled.
+ * Payments that aren't authorized or awaiting verification are left alone.
+ * @param {Object} order - Order with id, total, paymentMethod, paymentStatus and paymentReference
+ * @returns {Promise<Object|null>} - The provider result, or null when there was nothing to void
+ */
+export const voidOrderPayment = async (order) => {
+  try {
+    if (![PAYMENT_STATUSES.AUTHORIZED, PAYMENT_STATUSES.AWAITING_VERIFICATION].includes(order.paymentStatus)) {
+      return null;
+    }
+    const provider = getPaymentProvider(order.paymentMethod);
+    const result = await provider.void(order.paymentReference, order.total);
+    if (result.success) {
+      await updateOrderPayment(order.id, { paymentStatus: result.status });
+    }
+    return result;
+  } catch (error) {
+    console.error('Error voiding payment:', error);
+    throw error;
+  }
+};
+
+// localStorage key of orders whose payment failed but that couldn't be canceled yet
+const PENDING_CANCELLATIONS_KEY = 'pending_order_cancellations';
+
+const loadPendingCancellations = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_CANCELLATIONS_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const savePendingCancellations = (cancellations) => {
+  if (cancellations.length > 0) {
+    localStorage.setItem(PENDING_CANCELLATIONS_KEY, JSON.stringify(cancellations));
+  } else {
+    localStorage.removeItem(PENDING_CANCELLATIONS_KEY);
+  }
+};
+
+/**
+ * Cancel an order whose payment failed, so it stops holding stock and coupon usage. A cancellation
+ * that can't be saved is kept on this device and retried by retryPendingCancellations.
+ * @param {string} orderId - The unpaid order
+ * @param {Object} customer - { uid, name, email } of the customer who placed it
+ * @param {string} reason - Reason recorded in the status history
+ * @returns {Promise<boolean>} - Whether the order was canceled now
+ */
+export const cancelUnpaidOrder = async (orderId, customer, reason) => {
+  try {
+    await cancelOrder(orderId, customer, reason);
+    return true;
+  } catch (error) {
+    console.error(`Error canceling unpaid order ${orderId}; it will be retried:`, error);
+    savePendingCancellations([
+      ...loadPendingCancellations().filter(cancellation => cancellation.orderId !== orderId),
+      { orderId, customer, reason }
+    ]);
+    return false;
+  }
+};
+
+/**
+ * Retry cancellations that cancelUnpaidOrder couldn't save. Orders that are no longer pending
+ * (already canceled, or taken up by the shop) are dropped.
+ * @returns {Promise<number>} - The number of cancellations still waiting
+ */
+export const retryPendingCancellations = async () => {
+  const remaining = [];
+  for (const cancellation of loadPendingCancellations()) {
+    try {
+      await cancelOrder(cancellation.orderId, cancellation.customer, cancellation.reason);
+    } catch (error) {
+      if (error.code !== 'not-cancelable') {
+        remaining.push(cancellation);
+      }
+    }
+  }
+  savePendingCancellations(remaining);
+  return remaining.length;
+};
+
+/**
+ * Verify or reject a bank transfer proof of payment (admin only)
+ * @param {Object} order - Bank transfer order awaiting verification
+ * @param {boolean} approved - Whether the transfer was found in the account
+ * @param {Object} verifiedBy - The admin making the decision
+ * @returns {Promise<boolean>}
+ */
+export const verifyBankTransfer = async (order, approved, verifiedBy) => {
+  try {
+    await updateOrderPayment(order.id, {
+      paymentStatus: approved ? PAYMENT_STATUSES.CAPTURED : PAYMENT_STATUSES.FAILED,
+      paymentProof: {
+        ...order.paymentProof,
+        verified: approved,
+        verifiedBy,
+        verifiedAt: new Date()
+      }
+    });
+    return true;
+  } catch (error) {
+    console.error('Error verifying bank transfer:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check the signature of an incoming provider webhook
+ * @param {string} method - Payment method the webhook belongs to
+ * @param {Object} payload - Webhook body
+ * @param {string} signature - Signature sent with the webhook
+ * @returns {boolean}
+ */
+export const verifyPaymentWebhook = (method, payload, signature) => {
+  return getPaymentProvider(method).verifyWebhook(payload, signature);
+};
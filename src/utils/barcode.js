@@ -0,0 +1,59 @@
+// Code 128 bar/space widths for symbol values 0-106 (106 is the stop pattern)
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const START_B = 104;
+const STOP = 106;
+
+// Encode printable ASCII text as Code 128 (code set B).
+// Returns the bars as { x, width } in modules, plus the total width in modules.
+export const encodeCode128 = (text) => {
+  const values = Array.from(String(text)).map(char => {
+    const code = char.charCodeAt(0);
+    if (code < 32 || code > 126) {
+      throw new Error(`Cannot encode "${char}" in a Code 128 barcode`);
+    }
+    return code - 32;
+  });
+
+  const checksum = values.reduce((sum, value, index) => sum + value * (index + 1), START_B) % 103;
+  const symbols = [START_B, ...values, checksum, STOP];
+
+  const bars = [];
+  let x = 0;
+  symbols.forEach(symbol => {
+    Array.from(CODE128_PATTERNS[symbol]).forEach((width, index) => {
+      // Patterns alternate bar, space, bar, ... starting with a bar
+      if (index % 2 === 0) {
+        bars.push({ x, width: Number(width) });
+      }
+      x += Number(width);
+    });
+  });
+
+  return { bars, width: x };
+};
+
+// Whether a code has the length of a GTIN (EAN-8, UPC-A, EAN-13 or GTIN-14), the numbers printed
+// on retail packaging
+export const looksLikeGtin = (code) => /^(\d{8}|\d{12,14})$/.test(String(code));
+
+// Whether a GTIN's last digit matches its check digit (weights 3 and 1 alternating from the right)
+export const isValidGtin = (code) => {
+  if (!looksLikeGtin(code)) return false;
+  const digits = Array.from(String(code), Number);
+  const checkDigit = digits.pop();
+  const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === checkDigit;
+};
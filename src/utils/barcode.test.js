@@ -0,0 +1,38 @@
+import { encodeCode128, looksLikeGtin, isValidGtin } from './barcode';
+
+describe('encodeCode128', () => {
+  test('encodes start, data, checksum and stop symbols', () => {
+    const { bars, width } = encodeCode128('A');
+    // Four 11-module symbols and the 13-module stop pattern
+    expect(width).toBe(46);
+    expect(bars).toHaveLength(13);
+    expect(bars[0]).toEqual({ x: 0, width: 2 });
+  });
+
+  test('grows by one symbol per character', () => {
+    expect(encodeCode128('SKU-001').width).toBe(46 + 6 * 11);
+  });
+
+  test('rejects characters outside printable ASCII', () => {
+    expect(() => encodeCode128('Café')).toThrow('Cannot encode "é" in a Code 128 barcode');
+  });
+});
+
+describe('looksLikeGtin', () => {
+  test('accepts 8, 12, 13 and 14 digit codes', () => {
+    expect(looksLikeGtin('96385074')).toBe(true);
+    expect(looksLikeGtin('036000291452')).toBe(true);
+    expect(looksLikeGtin('4006381333931')).toBe(true);
+    expect(looksLikeGtin('1234567')).toBe(false);
+    expect(looksLikeGtin('SKU-001')).toBe(false);
+  });
+});
+
+describe('isValidGtin', () => {
+  test('checks the check digit', () => {
+    expect(isValidGtin('96385074')).toBe(true);
+    expect(isValidGtin('036000291452')).toBe(true);
+    expect(isValidGtin('4006381333931')).toBe(true);
+    expect(isValidGtin('4006381333932')).toBe(false);
+  });
+});
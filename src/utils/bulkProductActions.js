@@ -0,0 +1,162 @@
+// Bulk edits from the admin product table. Each action is turned into per-product updates
+// ({ id, data, previous }) before anything is written, so the same list drives the confirmation,
+// the batched writes and the undo (which writes previous back). Updates are rebased onto the stored
+// product when they are written (see rebaseBulkUpdate), as the table may be out of date by then.
+import { hasVariants, summarizeVariants } from './variants';
+import { PRODUCT_STATUSES, NO_UNPUBLISH_DATE, hasPublishingFields } from './productStatus';
+import { rebaseStockFields } from './inventory';
+
+export const BULK_ACTIONS = {
+  CATEGORY: 'category',
+  PRICE: 'price',
+  STOCK: 'stock',
+  PUBLISH: 'publish',
+  UNPUBLISH: 'unpublish',
+  DELETE: 'delete'
+};
+
+// How adjusted prices are rounded
+export const PRICE_ROUNDING_OPTIONS = [
+  { value: 'cents', label: 'Nearest cent' },
+  { value: 'whole', label: 'Nearest whole amount' },
+  { value: 'ninety-nine', label: 'Up to .99' }
+];
+
+const roundPrice = (price, rounding) => {
+  const cents = Math.round(price * 100) / 100;
+  if (rounding === 'whole') return Math.round(price);
+  if (rounding === 'ninety-nine') return Math.floor(cents) + 0.99;
+  return cents;
+};
+
+// Price after a bulk adjustment. amount is signed: a percentage of the price for 'percent',
+// an amount of money for 'fixed'. Returns null when the result would not be a positive price.
+export const adjustPrice = (price, { mode, amount, rounding }) => {
+  const adjusted = mode === 'percent' ? price * (1 + amount / 100) : price + amount;
+  const rounded = Number(roundPrice(adjusted, rounding).toFixed(2));
+  return rounded > 0 ? rounded : null;
+};
+
+// Current values of the fields an update will change; fields the product doesn't have come back
+// undefined, which the undo write removes again
+const pickPrevious = (product, data) =>
+  Object.fromEntries(Object.keys(data).map(key => [key, product[key]]));
+
+const toUpdate = (product, data) => ({ id: product.id, data, previous: pickPrevious(product, data) });
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Updates for a bulk action on the selected products, plus the products it can't apply to
+// as [{ product, reason }]. params: { categoryId } for CATEGORY, { mode, amount, rounding } for PRICE,
+// { quantity } for STOCK. Price updates also carry the adjustment as priceAdjustment, so it can be
+// applied again to the stored prices.
+export const buildBulkUpdates = (products, action, params = {}) => {
+  const updates = [];
+  const skipped = [];
+
+  products.forEach(product => {
+    switch (action) {
+      case BULK_ACTIONS.CATEGORY:
+        if (product.category !== params.categoryId) {
+          updates.push(toUpdate(product, { category: params.categoryId }));
+        }
+        break;
+
+      case BULK_ACTIONS.PRICE: {
+        // Variant products are priced per variant; the product price follows the cheapest one
+        if (hasVariants(product)) {
+          const variants = product.variants.map(variant => ({ ...variant, price: adjustPrice(variant.price, params) }));
+          if (variants.some(variant => variant.price === null)) {
+            skipped.push({ product, reason: 'A variant price would drop to zero or below' });
+          } else {
+            updates.push({ ...toUpdate(product, { variants, price: summarizeVariants(variants).price }), priceAdjustment: params });
+          }
+          break;
+        }
+        const price = adjustPrice(product.price || 0, params);
+        if (price === null) {
+          skipped.push({ product, reason: 'The price would drop to zero or below' });
+        } else if (price !== product.price) {
+          updates.push({ ...toUpdate(product, { price }), priceAdjustment: params });
+        }
+        break;
+      }
+
+      case BULK_ACTIONS.STOCK:
+        if (hasVariants(product)) {
+          skipped.push({ product, reason: 'Stock is set per variant' });
+        } else if (product.stockQuantity !== params.quantity) {
+          updates.push(toUpdate(product, { stockQuantity: params.quantity, inStock: params.quantity > 0 }));
+        }
+        break;
+
+      case BULK_ACTIONS.PUBLISH:
+        // Products saved before scheduling existed also get a publishing window, so the shop lists them
+        if (product.status !== PRODUCT_STATUSES.PUBLISHED || !hasPublishingFields(product)) {
+          updates.push(toUpdate(product, {
+            status: PRODUCT_STATUSES.PUBLISHED,
+            ...(!product.publishAt && { publishAt: new Date() }),
+            ...(!product.unpublishAt && { unpublishAt: NO_UNPUBLISH_DATE })
+          }));
+        }
+        break;
+
+      case BULK_ACTIONS.UNPUBLISH:
+        if (product.status !== PRODUCT_STATUSES.DRAFT) {
+          updates.push(toUpdate(product, { status: PRODUCT_STATUSES.DRAFT }));
+        }
+        break;
+
+      default:
+        throw new Error(`Unknown bulk action: ${action}`);
+    }
+  });
+
+  return { updates, skipped };
+};
+
+// The undo of a set of updates: each product's previous values written back
+export const invertBulkUpdates = (updates) =>
+  updates.map(({ id, data, previous }) => ({ id, data: previous, previous: data }));
+
+// The stored variants with an update's changes: a price adjustment is applied to each stored price,
+// otherwise the fields the update changes on a variant (data against previous) are copied onto it.
+// Variant stock is never taken from the update.
+const rebaseVariants = ({ data, previous, priceAdjustment }, variants) => variants.map(variant => {
+  if (priceAdjustment) return { ...variant, price: adjustPrice(variant.price, priceAdjustment) };
+  const edited = data.variants.find(item => item.id === variant.id);
+  const loaded = (previous.variants || []).find(item => item.id === variant.id);
+  if (!edited || !loaded) return variant;
+  const changedKeys = Object.keys(edited).filter(key => key !== 'stockQuantity' && !isSameValue(edited[key], loaded[key]));
+  return { ...variant, ...Object.fromEntries(changedKeys.map(key => [key, edited[key]])) };
+});
+
+// An update as it applies to the product as stored now (current) instead of the copy the table loaded,
+// so changes made since then aren't overwritten: prices are adjusted from the stored prices, variant
+// changes are made to the stored variants, and stock moves by the amount the update changes it rather
+// than being set outright, keeping stock that orders took in the meantime. previous comes from current,
+// so the inverse of the result undoes exactly what was written.
+export const rebaseBulkUpdate = ({ id, data, previous = {}, priceAdjustment = null }, current) => {
+  const rebased = { ...data };
+
+  if (data.variants && hasVariants(current)) {
+    const variants = rebaseVariants({ data, previous, priceAdjustment }, current.variants);
+    if (variants.some(variant => variant.price === null)) {
+      throw new Error(`A variant price of ${current.name} would drop to zero or below`);
+    }
+    rebased.variants = variants;
+    if ('price' in data) rebased.price = summarizeVariants(variants).price;
+  } else if (priceAdjustment && 'price' in data) {
+    const price = adjustPrice(current.price || 0, priceAdjustment);
+    if (price === null) {
+      throw new Error(`The price of ${current.name} would drop to zero or below`);
+    }
+    rebased.price = price;
+  }
+
+  if ('stockQuantity' in data && !hasVariants(current)) {
+    Object.assign(rebased, rebaseStockFields({ stockQuantity: data.stockQuantity }, { stockQuantity: previous.stockQuantity }, current));
+  }
+
+  return { id, data: rebased, previous: pickPrevious(current, rebased) };
+};
@@ -0,0 +1,122 @@
+import { BULK_ACTIONS, adjustPrice, buildBulkUpdates, invertBulkUpdates, rebaseBulkUpdate } from './bulkProductActions';
+import { PRODUCT_STATUSES, NO_UNPUBLISH_DATE } from './productStatus';
+
+describe('adjustPrice', () => {
+  test('adjusts by a percentage or a fixed amount', () => {
+    expect(adjustPrice(100, { mode: 'percent', amount: 10 })).toBe(110);
+    expect(adjustPrice(100, { mode: 'percent', amount: -25 })).toBe(75);
+    expect(adjustPrice(100, { mode: 'fixed', amount: -30 })).toBe(70);
+  });
+
+  test('rounds as asked', () => {
+    expect(adjustPrice(19.99, { mode: 'percent', amount: 15 })).toBe(22.99);
+    expect(adjustPrice(19.99, { mode: 'fixed', amount: 5, rounding: 'whole' })).toBe(25);
+    expect(adjustPrice(10.5, { mode: 'percent', amount: 0, rounding: 'ninety-nine' })).toBe(10.99);
+  });
+
+  test('returns null instead of a price of zero or below', () => {
+    expect(adjustPrice(10, { mode: 'fixed', amount: -10 })).toBeNull();
+    expect(adjustPrice(10, { mode: 'percent', amount: -150 })).toBeNull();
+  });
+});
+
+describe('buildBulkUpdates', () => {
+  const simple = { id: 'simple', price: 100, stockQuantity: 4, category: 'a', status: PRODUCT_STATUSES.DRAFT };
+  const withVariants = {
+    id: 'variants',
+    price: 10,
+    variants: [{ id: 's', price: 10, stockQuantity: 1 }, { id: 'm', price: 12, stockQuantity: 1 }]
+  };
+
+  test('skips products that already have the value', () => {
+    const { updates } = buildBulkUpdates([simple, { ...simple, id: 'other', category: 'b' }], BULK_ACTIONS.CATEGORY, { categoryId: 'b' });
+    expect(updates).toEqual([{ id: 'simple', data: { category: 'b' }, previous: { category: 'a' } }]);
+  });
+
+  test('adjusts variant prices and keeps the product price at the cheapest variant', () => {
+    const { updates } = buildBulkUpdates([withVariants], BULK_ACTIONS.PRICE, { mode: 'percent', amount: 10 });
+    expect(updates[0].data.variants.map(variant => variant.price)).toEqual([11, 13.2]);
+    expect(updates[0].data.price).toBe(11);
+  });
+
+  test('skips products whose price would drop to zero', () => {
+    const params = { mode: 'fixed', amount: -50 };
+    const { updates, skipped } = buildBulkUpdates([simple, withVariants], BULK_ACTIONS.PRICE, params);
+    expect(updates).toEqual([{ id: 'simple', data: { price: 50 }, previous: { price: 100 }, priceAdjustment: params }]);
+    expect(skipped).toEqual([{ product: withVariants, reason: 'A variant price would drop to zero or below' }]);
+  });
+
+  test('sets stock on simple products only', () => {
+    const { updates, skipped } = buildBulkUpdates([simple, withVariants], BULK_ACTIONS.STOCK, { quantity: 0 });
+    expect(updates).toEqual([{ id: 'simple', data: { stockQuantity: 0, inStock: false }, previous: { stockQuantity: 4, inStock: undefined } }]);
+    expect(skipped).toEqual([{ product: withVariants, reason: 'Stock is set per variant' }]);
+  });
+
+  test('gives published products a publishing window', () => {
+    const { updates } = buildBulkUpdates([simple], BULK_ACTIONS.PUBLISH);
+    expect(updates[0].data.status).toBe(PRODUCT_STATUSES.PUBLISHED);
+    expect(updates[0].data.publishAt).toBeInstanceOf(Date);
+    expect(updates[0].data.unpublishAt).toBe(NO_UNPUBLISH_DATE);
+  });
+
+  test('unpublishes legacy products that have no status', () => {
+    const { updates } = buildBulkUpdates([{ id: 'legacy' }], BULK_ACTIONS.UNPUBLISH);
+    expect(updates).toEqual([{ id: 'legacy', data: { status: PRODUCT_STATUSES.DRAFT }, previous: { status: undefined } }]);
+  });
+
+  test('throws for an unknown action', () => {
+    expect(() => buildBulkUpdates([simple], 'rename')).toThrow('Unknown bulk action: rename');
+  });
+});
+
+describe('invertBulkUpdates', () => {
+  test('writes the previous values back', () => {
+    expect(invertBulkUpdates([{ id: 'a', data: { price: 50 }, previous: { price: 100 } }]))
+      .toEqual([{ id: 'a', data: { price: 100 }, previous: { price: 50 } }]);
+  });
+});
+
+describe('rebaseBulkUpdate', () => {
+  const loaded = {
+    id: 'shirt',
+    name: 'Shirt',
+    price: 10,
+    variants: [{ id: 's', price: 10, stockQuantity: 5 }, { id: 'm', price: 12, stockQuantity: 5 }]
+  };
+  // Orders took stock and another admin repriced M after the table loaded
+  const current = {
+    ...loaded,
+    variants: [{ id: 's', price: 10, stockQuantity: 2 }, { id: 'm', price: 20, stockQuantity: 0 }]
+  };
+
+  test('adjusts the stored variant prices and keeps the stored stock', () => {
+    const [update] = buildBulkUpdates([loaded], BULK_ACTIONS.PRICE, { mode: 'percent', amount: 10 }).updates;
+    const { data, previous } = rebaseBulkUpdate(update, current);
+    expect(data.variants).toEqual([{ id: 's', price: 11, stockQuantity: 2 }, { id: 'm', price: 22, stockQuantity: 0 }]);
+    expect(data.price).toBe(11);
+    expect(previous.variants).toBe(current.variants);
+  });
+
+  test('undoes variant price changes without resetting stock', () => {
+    const [update] = buildBulkUpdates([loaded], BULK_ACTIONS.PRICE, { mode: 'fixed', amount: 1 }).updates;
+    const applied = rebaseBulkUpdate(update, loaded);
+    const [undo] = invertBulkUpdates([applied]);
+    const { data } = rebaseBulkUpdate(undo, { ...applied.data, variants: applied.data.variants.map(variant => ({ ...variant, stockQuantity: 1 })) });
+    expect(data.variants).toEqual([{ id: 's', price: 10, stockQuantity: 1 }, { id: 'm', price: 12, stockQuantity: 1 }]);
+    expect(data.price).toBe(10);
+  });
+
+  test('moves stock by the change made instead of setting it outright', () => {
+    const [update] = buildBulkUpdates([{ id: 'mug', stockQuantity: 4 }], BULK_ACTIONS.STOCK, { quantity: 10 }).updates;
+    const applied = rebaseBulkUpdate(update, { id: 'mug', stockQuantity: 1, inStock: true });
+    expect(applied).toEqual({ id: 'mug', data: { stockQuantity: 7, inStock: true }, previous: { stockQuantity: 1, inStock: true } });
+
+    const [undo] = invertBulkUpdates([applied]);
+    expect(rebaseBulkUpdate(undo, { id: 'mug', stockQuantity: 6, inStock: true }).data).toEqual({ stockQuantity: 0, inStock: false });
+  });
+
+  test('refuses a price adjustment that no longer leaves a positive price', () => {
+    const [update] = buildBulkUpdates([{ id: 'mug', name: 'Mug', price: 100 }], BULK_ACTIONS.PRICE, { mode: 'fixed', amount: -50 }).updates;
+    expect(() => rebaseBulkUpdate(update, { id: 'mug', name: 'Mug', price: 40 })).toThrow('The price of Mug would drop to zero or below');
+  });
+});
@@ -0,0 +1,55 @@
+import { getCartLineId } from './variants';
+
+// Largest quantity a single cart line can hold (matches the cart quantity input)
+export const MAX_LINE_QUANTITY = 99;
+
+export const EMPTY_CART = { items: [], total: 0, itemCount: 0, coupon: null };
+
+// Recompute a cart's total and item count from its lines
+export const summarizeCart = (items = [], coupon = null) => ({
+  items,
+  total: items.reduce((sum, item) => sum + (item.price * item.quantity), 0),
+  itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+  coupon
+});
+
+// Merge the cart built while signed out into the customer's saved cart.
+// - Lines for the same product and variant are combined: quantities are added together, capped at
+//   MAX_LINE_QUANTITY, and the guest line's details win because they were seen most recently.
+// - Lines only in one of the carts are kept as they are, saved lines first.
+// - The saved cart's coupon is kept; the guest coupon is used only when there is none.
+export const mergeCarts = (savedCart, guestCart) => {
+  const savedItems = savedCart?.items || [];
+  const guestItems = guestCart?.items || [];
+
+  const merged = savedItems.map(savedItem => {
+    const guestItem = guestItems.find(item => getCartLineId(item) === getCartLineId(savedItem));
+    if (!guestItem) return savedItem;
+    return {
+      ...savedItem,
+      ...guestItem,
+      quantity: Math.min(savedItem.quantity + guestItem.quantity, MAX_LINE_QUANTITY)
+    };
+  });
+  const guestOnly = guestItems.filter(guestItem =>
+    !savedItems.some(item => getCartLineId(item) === getCartLineId(guestItem))
+  );
+
+  return summarizeCart([...merged, ...guestOnly], savedCart?.coupon || guestCart?.coupon || null);
+};
+
+// A copy of a value with the keys of every object, nested ones included, in sorted order
+const sortKeys = (value) => {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+  }
+  return value;
+};
+
+// Stable fingerprint of a cart's contents, used to tell remote changes from our own writes.
+// Keys are sorted because Firestore does not keep the order fields were written in.
+export const getCartFingerprint = (cart) => JSON.stringify({
+  items: (cart?.items || []).map(sortKeys),
+  coupon: cart?.coupon?.id || null
+});
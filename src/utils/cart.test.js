@@ -0,0 +1,75 @@
+import { MAX_LINE_QUANTITY, summarizeCart, mergeCarts, getCartFingerprint } from './cart';
+
+describe('summarizeCart', () => {
+  test('totals the lines', () => {
+    expect(summarizeCart([{ price: 100, quantity: 2 }, { price: 50, quantity: 1 }])).toEqual({
+      items: [{ price: 100, quantity: 2 }, { price: 50, quantity: 1 }],
+      total: 250,
+      itemCount: 3,
+      coupon: null
+    });
+  });
+});
+
+describe('mergeCarts', () => {
+  test('combines lines for the same product, keeping the guest details', () => {
+    const merged = mergeCarts(
+      { items: [{ id: 'a', name: 'Old name', price: 100, quantity: 2 }] },
+      { items: [{ id: 'a', name: 'New name', price: 120, quantity: 3 }, { id: 'b', price: 50, quantity: 1 }] }
+    );
+    expect(merged.items).toEqual([
+      { id: 'a', name: 'New name', price: 120, quantity: 5 },
+      { id: 'b', price: 50, quantity: 1 }
+    ]);
+    expect(merged.total).toBe(650);
+    expect(merged.itemCount).toBe(6);
+  });
+
+  test('caps combined quantities', () => {
+    const merged = mergeCarts(
+      { items: [{ id: 'a', price: 1, quantity: 60 }] },
+      { items: [{ id: 'a', price: 1, quantity: 50 }] }
+    );
+    expect(merged.items[0].quantity).toBe(MAX_LINE_QUANTITY);
+  });
+
+  test('keeps different variants of a product as separate lines', () => {
+    const merged = mergeCarts(
+      { items: [{ id: 'a', variantId: 's', price: 10, quantity: 1 }] },
+      { items: [{ id: 'a', variantId: 'm', price: 10, quantity: 1 }] }
+    );
+    expect(merged.items.map(item => item.variantId)).toEqual(['s', 'm']);
+  });
+
+  test('keeps the saved coupon, using the guest one only when there is none', () => {
+    const saved = { id: 'SAVED' };
+    const guest = { id: 'GUEST' };
+    expect(mergeCarts({ items: [], coupon: saved }, { items: [], coupon: guest }).coupon).toBe(saved);
+    expect(mergeCarts({ items: [] }, { items: [], coupon: guest }).coupon).toBe(guest);
+  });
+
+  test('handles a missing cart on either side', () => {
+    expect(mergeCarts(null, { items: [{ id: 'a', price: 5, quantity: 1 }] }).total).toBe(5);
+    expect(mergeCarts({ items: [{ id: 'a', price: 5, quantity: 1 }] }, null).itemCount).toBe(1);
+  });
+});
+
+describe('getCartFingerprint', () => {
+  test('ignores the order fields were stored in, nested ones included', () => {
+    const a = { items: [{ id: 'a', quantity: 1, options: { Size: 'M', Color: 'Red' } }], coupon: { id: 'X' } };
+    const b = { coupon: { id: 'X' }, items: [{ options: { Color: 'Red', Size: 'M' }, quantity: 1, id: 'a' }] };
+    expect(getCartFingerprint(a)).toBe(getCartFingerprint(b));
+  });
+
+  test('changes when a line or the coupon changes', () => {
+    const cart = { items: [{ id: 'a', quantity: 1, price: 10 }], coupon: null };
+    expect(getCartFingerprint(cart)).not.toBe(getCartFingerprint({ ...cart, items: [{ id: 'a', quantity: 2, price: 10 }] }));
+    expect(getCartFingerprint(cart)).not.toBe(getCartFingerprint({ ...cart, coupon: { id: 'X' } }));
+  });
+
+  test('changes when a nested field changes', () => {
+    const a = { items: [{ id: 'a', quantity: 1, options: { Size: 'M' } }] };
+    const b = { items: [{ id: 'a', quantity: 1, options: { Size: 'L' } }] };
+    expect(getCartFingerprint(a)).not.toBe(getCartFingerprint(b));
+  });
+});
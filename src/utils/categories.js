@@ -0,0 +1,93 @@
+// Category hierarchy. Categories are stored flat: each has an optional parentId (null for
+// top-level categories) and a sortOrder among its siblings.
+
+// Separator between the names in a category path, e.g. "Clothing › Men › Shirts"
+export const CATEGORY_PATH_SEPARATOR = ' › ';
+
+// Siblings by sortOrder, then name (categories created before ordering existed have none)
+const compareCategories = (a, b) =>
+  (a.sortOrder ?? Infinity) - (b.sortOrder ?? Infinity) || (a.name || '').localeCompare(b.name || '');
+
+// Parent ID, treating a missing parent (e.g. one that was deleted) as top level
+const getParentId = (category, categoriesById) =>
+  category.parentId && categoriesById.has(category.parentId) ? category.parentId : null;
+
+// Child categories of parentId (null for the top level), in display order
+export const getChildCategories = (categories, parentId = null) => {
+  const categoriesById = new Map(categories.map(category => [category.id, category]));
+  return categories
+    .filter(category => getParentId(category, categoriesById) === (parentId || null))
+    .sort(compareCategories);
+};
+
+// Every category in tree order (each one followed by its children) as [{ category, depth }].
+// Categories caught in a parent loop are never reached from the top, so they are listed at the end.
+export const flattenCategoryTree = (categories) => {
+  const categoriesById = new Map(categories.map(category => [category.id, category]));
+  const childrenByParent = new Map();
+  categories.forEach(category => {
+    const parentId = getParentId(category, categoriesById);
+    childrenByParent.set(parentId, [...(childrenByParent.get(parentId) || []), category]);
+  });
+
+  const rows = [];
+  const visited = new Set();
+  const visit = (category, depth) => {
+    if (visited.has(category.id)) return;
+    visited.add(category.id);
+    rows.push({ category, depth });
+    (childrenByParent.get(category.id) || []).sort(compareCategories).forEach(child => visit(child, depth + 1));
+  };
+  (childrenByParent.get(null) || []).sort(compareCategories).forEach(category => visit(category, 0));
+  categories.filter(category => !visited.has(category.id)).forEach(category => visit(category, 0));
+  return rows;
+};
+
+// Categories from the top level down to categoryId, e.g. [Clothing, Men, Shirts]
+export const getCategoryPath = (categories, categoryId) => {
+  const categoriesById = new Map(categories.map(category => [category.id, category]));
+  const path = [];
+  let category = categoriesById.get(categoryId);
+  while (category && !path.includes(category)) {
+    path.unshift(category);
+    category = categoriesById.get(getParentId(category, categoriesById));
+  }
+  return path;
+};
+
+// Category names from the top level down, e.g. "Clothing › Men › Shirts"
+export const getCategoryPathLabel = (categories, categoryId) =>
+  getCategoryPath(categories, categoryId).map(category => category.name).join(CATEGORY_PATH_SEPARATOR);
+
+// IDs of a category and all its subcategories, so listing a category includes its subcategories' products
+export const getCategoryDescendantIds = (categories, categoryId) => {
+  const ids = [categoryId];
+  for (let i = 0; i < ids.length; i++) {
+    categories
+      .filter(category => category.parentId === ids[i] && !ids.includes(category.id))
+      .forEach(category => ids.push(category.id));
+  }
+  return ids;
+};
+
+// sortOrder updates for moving categoryId to parentId, just before beforeId (or last when beforeId is null).
+// Returns [{ id, parentId, sortOrder }] for every sibling whose position changes.
+export const moveCategory = (categories, categoryId, parentId, beforeId = null) => {
+  const siblings = getChildCategories(categories, parentId).filter(category => category.id !== categoryId);
+  const moved = categories.find(category => category.id === categoryId);
+  const insertAt = beforeId ? siblings.findIndex(category => category.id === beforeId) : -1;
+  siblings.splice(insertAt === -1 ? siblings.length : insertAt, 0, moved);
+
+  return siblings
+    .map((category, index) => ({ id: category.id, parentId: parentId || null, sortOrder: index }))
+    .filter(update => {
+      const category = categories.find(existing => existing.id === update.id);
+      return category.sortOrder !== update.sortOrder || (category.parentId || null) !== update.parentId;
+    });
+};
+
+// Products whose category is missing or no longer exists
+export const findOrphanedProducts = (products, categories) => {
+  const categoryIds = new Set(categories.map(category => category.id));
+  return products.filter(product => !product.category || !categoryIds.has(product.category));
+};
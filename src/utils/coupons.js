@@ -0,0 +1,122 @@
+import { formatCurrency } from './helpers';
+
+// Coupon discount types
+export const COUPON_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+  FREE_SHIPPING: 'free_shipping'
+};
+
+export const COUPON_TYPE_LABELS = {
+  [COUPON_TYPES.PERCENTAGE]: 'Percentage',
+  [COUPON_TYPES.FIXED]: 'Fixed Amount',
+  [COUPON_TYPES.FREE_SHIPPING]: 'Free Shipping'
+};
+
+// Coupon codes are matched case-insensitively and stored upper-case
+export const normalizeCouponCode = (code) => (code || '').trim().toUpperCase();
+
+// Convert Firestore Timestamps (live or serialized to localStorage), dates and strings to a Date
+export const toDateValue = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  if (typeof value.seconds === 'number') return new Date(value.seconds * 1000);
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Check whether a coupon is limited to certain products or categories
+export const isCouponScoped = (coupon) => (
+  (coupon.productIds?.length || 0) > 0 || (coupon.categoryIds?.length || 0) > 0
+);
+
+// Subtotal of the lines a coupon applies to (items need id, category, price and quantity)
+export const getEligibleSubtotal = (coupon, items = []) => {
+  const eligibleItems = isCouponScoped(coupon)
+    ? items.filter(item =>
+        (coupon.productIds || []).includes(item.id) ||
+        (coupon.categoryIds || []).includes(item.category)
+      )
+    : items;
+
+  return eligibleItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+};
+
+// What a cart or order keeps of a coupon: the ID to look it up again and the code to show. Usage counts
+// and who used the coupon stay in the coupon document, which is read again whenever the coupon is checked.
+export const toCouponRef = (coupon) => (coupon ? { id: coupon.id, code: coupon.code } : null);
+
+// Describe a coupon's benefit, e.g. "10% off" or "Free shipping"
+export const describeCoupon = (coupon) => {
+  switch (coupon.type) {
+    case COUPON_TYPES.PERCENTAGE:
+      return `${coupon.value}% off`;
+    case COUPON_TYPES.FIXED:
+      return `${formatCurrency(coupon.value)} off`;
+    case COUPON_TYPES.FREE_SHIPPING:
+      return 'Free shipping';
+    default:
+      return coupon.type;
+  }
+};
+
+// Evaluate a coupon against cart or order items.
+// Returns { valid: false, error } or { valid: true, discount, freeShipping, eligibleSubtotal }.
+export const evaluateCoupon = (coupon, items = [], { userId = null, now = new Date() } = {}) => {
+  if (!coupon) {
+    return { valid: false, error: 'Invalid coupon code' };
+  }
+
+  if (coupon.active === false) {
+    return { valid: false, error: 'This coupon is no longer active' };
+  }
+
+  const startsAt = toDateValue(coupon.startsAt);
+  const endsAt = toDateValue(coupon.endsAt);
+  if (startsAt && now < startsAt) {
+    return { valid: false, error: 'This coupon is not active yet' };
+  }
+  if (endsAt && now > endsAt) {
+    return { valid: false, error: 'This coupon has expired' };
+  }
+
+  if (coupon.usageLimit && (coupon.usageCount || 0) >= coupon.usageLimit) {
+    return { valid: false, error: 'This coupon has reached its usage limit' };
+  }
+
+  // Per-customer limits can only be enforced for signed-in customers
+  if (coupon.perUserLimit && !userId) {
+    return { valid: false, error: 'Please sign in to use this coupon' };
+  }
+
+  if (coupon.perUserLimit && (coupon.usageByUser?.[userId] || 0) >= coupon.perUserLimit) {
+    return { valid: false, error: 'You have already used this coupon the maximum number of times' };
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  if (coupon.minOrderValue && subtotal < coupon.minOrderValue) {
+    return { valid: false, error: `This coupon requires a minimum order of ${formatCurrency(coupon.minOrderValue)}` };
+  }
+
+  const eligibleSubtotal = getEligibleSubtotal(coupon, items);
+  if (isCouponScoped(coupon) && eligibleSubtotal <= 0) {
+    return { valid: false, error: 'This coupon does not apply to any items in your cart' };
+  }
+
+  let discount = 0;
+  if (coupon.type === COUPON_TYPES.PERCENTAGE) {
+    discount = roundAmount(eligibleSubtotal * Math.min(coupon.value, 100) / 100);
+  } else if (coupon.type === COUPON_TYPES.FIXED) {
+    discount = roundAmount(Math.min(coupon.value, eligibleSubtotal));
+  }
+
+  return {
+    valid: true,
+    discount,
+    freeShipping: coupon.type === COUPON_TYPES.FREE_SHIPPING,
+    eligibleSubtotal
+  };
+};
@@ -0,0 +1,104 @@
+import { COUPON_TYPES, normalizeCouponCode, toDateValue, getEligibleSubtotal, evaluateCoupon, toCouponRef } from './coupons';
+
+const items = [
+  { id: 'shirt', category: 'clothing', price: 1000, quantity: 2 },
+  { id: 'mug', category: 'kitchen', price: 500, quantity: 1 }
+];
+
+describe('normalizeCouponCode', () => {
+  test('trims and upper-cases codes', () => {
+    expect(normalizeCouponCode('  save10 ')).toBe('SAVE10');
+    expect(normalizeCouponCode(null)).toBe('');
+  });
+});
+
+describe('toDateValue', () => {
+  test('reads Timestamps, serialized Timestamps, dates and strings', () => {
+    const date = new Date('2026-01-01T00:00:00Z');
+    expect(toDateValue({ toDate: () => date })).toBe(date);
+    expect(toDateValue({ seconds: 10, nanoseconds: 0 })).toEqual(new Date(10000));
+    expect(toDateValue('2026-01-01T00:00:00Z')).toEqual(date);
+    expect(toDateValue('not a date')).toBeNull();
+    expect(toDateValue(null)).toBeNull();
+  });
+});
+
+describe('getEligibleSubtotal', () => {
+  test('counts every line for an unscoped coupon', () => {
+    expect(getEligibleSubtotal({}, items)).toBe(2500);
+  });
+
+  test('counts only the products and categories a scoped coupon names', () => {
+    expect(getEligibleSubtotal({ categoryIds: ['kitchen'] }, items)).toBe(500);
+    expect(getEligibleSubtotal({ productIds: ['shirt'], categoryIds: ['kitchen'] }, items)).toBe(2500);
+  });
+});
+
+describe('evaluateCoupon', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+
+  test('takes a percentage off the eligible subtotal', () => {
+    expect(evaluateCoupon({ type: COUPON_TYPES.PERCENTAGE, value: 10 }, items, { now })).toEqual({
+      valid: true,
+      discount: 250,
+      freeShipping: false,
+      eligibleSubtotal: 2500
+    });
+    expect(evaluateCoupon({ type: COUPON_TYPES.PERCENTAGE, value: 10, categoryIds: ['kitchen'] }, items, { now }).discount).toBe(50);
+  });
+
+  test('never discounts more than the eligible subtotal', () => {
+    expect(evaluateCoupon({ type: COUPON_TYPES.PERCENTAGE, value: 150 }, items, { now }).discount).toBe(2500);
+    expect(evaluateCoupon({ type: COUPON_TYPES.FIXED, value: 5000 }, items, { now }).discount).toBe(2500);
+    expect(evaluateCoupon({ type: COUPON_TYPES.FIXED, value: 800, productIds: ['mug'] }, items, { now }).discount).toBe(500);
+  });
+
+  test('rounds percentage discounts to cents', () => {
+    const result = evaluateCoupon({ type: COUPON_TYPES.PERCENTAGE, value: 15 }, [{ id: 'a', price: 33.33, quantity: 1 }], { now });
+    expect(result.discount).toBe(5);
+  });
+
+  test('gives free shipping without a discount', () => {
+    const result = evaluateCoupon({ type: COUPON_TYPES.FREE_SHIPPING }, items, { now });
+    expect(result).toMatchObject({ valid: true, discount: 0, freeShipping: true });
+  });
+
+  test('rejects missing, inactive and out-of-date coupons', () => {
+    expect(evaluateCoupon(null, items, { now }).valid).toBe(false);
+    expect(evaluateCoupon({ type: COUPON_TYPES.FIXED, value: 100, active: false }, items, { now }).error)
+      .toBe('This coupon is no longer active');
+    expect(evaluateCoupon({ type: COUPON_TYPES.FIXED, value: 100, startsAt: new Date('2026-07-01') }, items, { now }).error)
+      .toBe('This coupon is not active yet');
+    expect(evaluateCoupon({ type: COUPON_TYPES.FIXED, value: 100, endsAt: { seconds: now.getTime() / 1000 - 1 } }, items, { now }).error)
+      .toBe('This coupon has expired');
+  });
+
+  test('enforces the total and per-customer usage limits', () => {
+    const coupon = { type: COUPON_TYPES.FIXED, value: 100, usageLimit: 5, usageCount: 5 };
+    expect(evaluateCoupon(coupon, items, { now }).error).toBe('This coupon has reached its usage limit');
+
+    const perUser = { type: COUPON_TYPES.FIXED, value: 100, perUserLimit: 1, usageByUser: { u1: 1 } };
+    expect(evaluateCoupon(perUser, items, { now }).error).toBe('Please sign in to use this coupon');
+    expect(evaluateCoupon(perUser, items, { now, userId: 'u1' }).valid).toBe(false);
+    expect(evaluateCoupon(perUser, items, { now, userId: 'u2' }).valid).toBe(true);
+  });
+
+  test('requires the minimum order value', () => {
+    const coupon = { type: COUPON_TYPES.FIXED, value: 100, minOrderValue: 3000 };
+    expect(evaluateCoupon(coupon, items, { now }).error).toMatch(/minimum order/);
+    expect(evaluateCoupon({ ...coupon, minOrderValue: 2500 }, items, { now }).valid).toBe(true);
+  });
+
+  test('rejects a scoped coupon when nothing in the cart qualifies', () => {
+    const coupon = { type: COUPON_TYPES.PERCENTAGE, value: 10, categoryIds: ['garden'] };
+    expect(evaluateCoupon(coupon, items, { now }).error).toBe('This coupon does not apply to any items in your cart');
+  });
+});
+
+describe('toCouponRef', () => {
+  test('keeps only the ID and code, leaving out other customers\' usage', () => {
+    const coupon = { id: 'c1', code: 'SAVE10', type: COUPON_TYPES.PERCENTAGE, value: 10, usageCount: 4, usageByUser: { u1: 1 } };
+    expect(toCouponRef(coupon)).toEqual({ id: 'c1', code: 'SAVE10' });
+    expect(toCouponRef(null)).toBeNull();
+  });
+});
@@ -0,0 +1,122 @@
+// Product attributes and faceted filtering.
+// Products store attributes as { [name]: [values] }, e.g. { Brand: ['Acme'], Size: ['S', 'M'] }.
+
+// Attributes offered on every product form; admins can add their own alongside these
+export const STANDARD_ATTRIBUTES = ['Brand', 'Material', 'Size', 'Color'];
+
+// Minimum average ratings offered by the rating filter
+export const RATING_FILTERS = [4, 3, 2, 1];
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+// Attributes per product object, as facet counts look them up many times
+const attributeCache = new WeakMap();
+
+// A product's attributes, including the values of its variant options (a shirt sold in S and M has Size S and M)
+export const getProductAttributes = (product) => {
+  if (attributeCache.has(product)) return attributeCache.get(product);
+
+  const attributes = {};
+  const addValues = (name, values) => {
+    const key = Object.keys(attributes).find(existing => normalize(existing) === normalize(name)) || name;
+    const merged = attributes[key] || [];
+    values.forEach(value => {
+      if (value !== '' && !merged.some(existing => normalize(existing) === normalize(value))) {
+        merged.push(value);
+      }
+    });
+    attributes[key] = merged;
+  };
+
+  Object.entries(product.attributes || {}).forEach(([name, values]) => addValues(name, values));
+  (product.variantOptions || []).forEach(option => addValues(option.name, option.values));
+  attributeCache.set(product, attributes);
+  return attributes;
+};
+
+const isInStock = (product) => product.inStock !== false;
+
+// Whether a product has at least one selected value of every attribute with a selection
+export const matchesAttributes = (product, selectedAttributes) => {
+  const selections = Object.entries(selectedAttributes).filter(([, values]) => values.length > 0);
+  if (selections.length === 0) return true;
+
+  const attributes = getProductAttributes(product);
+  return selections.every(([name, selectedValues]) => {
+    const key = Object.keys(attributes).find(existing => normalize(existing) === normalize(name));
+    const values = key ? attributes[key].map(normalize) : [];
+    return selectedValues.some(value => values.includes(normalize(value)));
+  });
+};
+
+// Whether any facet filter is set
+export const hasFacetSelection = ({ attributes = {}, inStock = false, minRating = 0 }) =>
+  inStock || minRating > 0 || Object.values(attributes).some(values => values.length > 0);
+
+// Products passing the facet filters: attributes, in-stock only and minimum rating
+export const applyFacetFilters = (products, { attributes = {}, inStock = false, minRating = 0 }) =>
+  products.filter(product =>
+    matchesAttributes(product, attributes) &&
+    (!inStock || isInStock(product)) &&
+    (!minRating || (product.ratingAverage || 0) >= minRating)
+  );
+
+// Facets with live counts. Each count is the number of results the option would give, so an attribute's
+// own selection is left out when counting its values (choosing Red as well as Blue widens the results).
+export const getFacets = (products, selection) => {
+  const { attributes: selectedAttributes = {} } = selection;
+  const facetsByName = {};
+
+  products.forEach(product => {
+    Object.entries(getProductAttributes(product)).forEach(([name, values]) => {
+      const key = normalize(name);
+      if (!facetsByName[key]) facetsByName[key] = { name, values: {} };
+      values.forEach(value => {
+        const valueKey = normalize(value);
+        if (!facetsByName[key].values[valueKey]) facetsByName[key].values[valueKey] = { value };
+      });
+    });
+  });
+
+  const attributeFacets = Object.values(facetsByName).map(facet => {
+    const selectedName = Object.keys(selectedAttributes).find(name => normalize(name) === normalize(facet.name));
+    const selectedValues = (selectedName && selectedAttributes[selectedName]) || [];
+    const otherAttributes = Object.fromEntries(
+      Object.entries(selectedAttributes).filter(([name]) => name !== selectedName)
+    );
+    const counts = {};
+    applyFacetFilters(products, { ...selection, attributes: otherAttributes }).forEach(product => {
+      const attributes = getProductAttributes(product);
+      const key = Object.keys(attributes).find(name => normalize(name) === normalize(facet.name));
+      (key ? attributes[key] : []).forEach(value => {
+        counts[normalize(value)] = (counts[normalize(value)] || 0) + 1;
+      });
+    });
+    const values = Object.entries(facet.values).map(([valueKey, { value }]) => ({
+      value,
+      count: counts[valueKey] || 0,
+      selected: selectedValues.some(selectedValue => normalize(selectedValue) === valueKey)
+    }));
+    values.sort((a, b) => a.value.localeCompare(b.value, undefined, { numeric: true }));
+    return { name: facet.name, values };
+  });
+
+  // Standard attributes first, in their usual order, then custom ones alphabetically
+  const standardIndex = (name) => {
+    const index = STANDARD_ATTRIBUTES.findIndex(standard => normalize(standard) === normalize(name));
+    return index === -1 ? STANDARD_ATTRIBUTES.length : index;
+  };
+  attributeFacets.sort((a, b) => standardIndex(a.name) - standardIndex(b.name) || a.name.localeCompare(b.name));
+
+  const withoutStock = applyFacetFilters(products, { ...selection, inStock: false });
+  const withoutRating = applyFacetFilters(products, { ...selection, minRating: 0 });
+
+  return {
+    attributes: attributeFacets,
+    inStockCount: withoutStock.filter(isInStock).length,
+    ratings: RATING_FILTERS.map(rating => ({
+      rating,
+      count: withoutRating.filter(product => (product.ratingAverage || 0) >= rating).length
+    }))
+  };
+};
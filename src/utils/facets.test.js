@@ -0,0 +1,86 @@
+import { getProductAttributes, matchesAttributes, hasFacetSelection, applyFacetFilters, getFacets } from './facets';
+
+const shirt = {
+  id: 'shirt',
+  attributes: { Brand: ['Acme'] },
+  variantOptions: [{ name: 'size', values: ['S', 'M'] }],
+  inStock: true,
+  ratingAverage: 4.5
+};
+const jacket = { id: 'jacket', attributes: { Brand: ['Zeta'], Size: ['M'] }, inStock: false, ratingAverage: 3 };
+const scarf = { id: 'scarf', attributes: { brand: ['acme'] }, ratingAverage: 2 };
+const products = [shirt, jacket, scarf];
+
+describe('getProductAttributes', () => {
+  test('adds variant option values to the attributes', () => {
+    expect(getProductAttributes(shirt)).toEqual({ Brand: ['Acme'], size: ['S', 'M'] });
+  });
+
+  test('merges names and values that differ only in case', () => {
+    expect(getProductAttributes({
+      attributes: { Color: ['Red'] },
+      variantOptions: [{ name: 'color', values: ['red', 'Blue'] }]
+    })).toEqual({ Color: ['Red', 'Blue'] });
+  });
+});
+
+describe('matchesAttributes', () => {
+  test('needs one selected value of every selected attribute', () => {
+    expect(matchesAttributes(shirt, { Size: ['M', 'L'], brand: ['ACME'] })).toBe(true);
+    expect(matchesAttributes(shirt, { Size: ['L'] })).toBe(false);
+    expect(matchesAttributes(shirt, { Material: ['Wool'] })).toBe(false);
+    expect(matchesAttributes(shirt, { Size: [] })).toBe(true);
+  });
+});
+
+describe('hasFacetSelection', () => {
+  test('is true once any filter is set', () => {
+    expect(hasFacetSelection({ attributes: { Size: [] } })).toBe(false);
+    expect(hasFacetSelection({ attributes: { Size: ['M'] } })).toBe(true);
+    expect(hasFacetSelection({ inStock: true })).toBe(true);
+    expect(hasFacetSelection({ minRating: 4 })).toBe(true);
+  });
+});
+
+describe('applyFacetFilters', () => {
+  test('filters by attributes, stock and rating together', () => {
+    const ids = (selection) => applyFacetFilters(products, selection).map(product => product.id);
+    expect(ids({ attributes: { Brand: ['Acme'] } })).toEqual(['shirt', 'scarf']);
+    expect(ids({ inStock: true })).toEqual(['shirt', 'scarf']);
+    expect(ids({ minRating: 3 })).toEqual(['shirt', 'jacket']);
+    expect(ids({ attributes: { Size: ['M'] }, inStock: true })).toEqual(['shirt']);
+  });
+});
+
+describe('getFacets', () => {
+  const facets = getFacets(products, { attributes: { Brand: ['Acme'] } });
+
+  test('lists standard attributes first with counts that leave out their own selection', () => {
+    expect(facets.attributes).toEqual([
+      {
+        name: 'Brand',
+        values: [
+          { value: 'Acme', count: 2, selected: true },
+          { value: 'Zeta', count: 1, selected: false }
+        ]
+      },
+      {
+        name: 'size',
+        values: [
+          { value: 'M', count: 1, selected: false },
+          { value: 'S', count: 1, selected: false }
+        ]
+      }
+    ]);
+  });
+
+  test('counts stock and rating options within the other filters', () => {
+    expect(facets.inStockCount).toBe(2);
+    expect(facets.ratings).toEqual([
+      { rating: 4, count: 1 },
+      { rating: 3, count: 1 },
+      { rating: 2, count: 2 },
+      { rating: 1, count: 2 }
+    ]);
+  });
+});
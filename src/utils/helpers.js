@@ -1,3 +1,7 @@
+import { getSearchIndex, searchProducts } from './search';
+import { getCategoryDescendantIds } from './categories';
+import { toDate } from './productStatus';
+
 // Format currency
 export const formatCurrency = (amount) => {
   // Format with PKR currency and make the symbol more prominent
@@ -20,6 +24,9 @@ export const formatDate = (timestamp) => {
     let date;
     if (timestamp instanceof Date) {
       date = timestamp;
+    } else if (typeof timestamp.toDate === 'function') {
+      // Handle Firestore Timestamp instances
+      date = timestamp.toDate();
     } else if (timestamp.seconds && timestamp.nanoseconds) {
       // Handle Firestore Timestamp objects
       date = new Date(timestamp.seconds * 1000 + timestamp.nanoseconds / 1000000);
@@ -101,24 +108,27 @@ export const optimizeCloudinaryImage = (imageUrl, width = 600) => {
   return `${parts[0]}/upload/q_auto,w_${width},f_auto/${parts[1]}`;
 };
 
-// Filter and sort products
-export const filterProducts = (products, filters) => {
+// Milliseconds of a Firestore Timestamp, Date or date string for sorting; missing dates sort as oldest
+const getSortTime = (value) => toDate(value)?.getTime() || 0;
+
+// Filter and sort products (categories lets the search match category names)
+export const filterProducts = (products, filters, categories = []) => {
   if (!products || !products.length) return [];
   
   let filtered = [...products];
+  let relevance = null;
   
-  // Filter by category
+  // Filter by category, including its subcategories
   if (filters.category) {
-    filtered = filtered.filter(product => product.category === filters.category);
+    const categoryIds = new Set(getCategoryDescendantIds(categories, filters.category));
+    filtered = filtered.filter(product => categoryIds.has(product.category));
   }
   
-  // Filter by search term
+  // Filter by search term, keeping each match's relevance score for sorting
   if (filters.searchTerm) {
-    const term = filters.searchTerm.toLowerCase();
-    filtered = filtered.filter(product => 
-      product.name.toLowerCase().includes(term) || 
-      product.description.toLowerCase().includes(term)
-    );
+    const results = searchProducts(getSearchIndex(products, categories), filters.searchTerm);
+    relevance = new Map(results.map(({ product, score }) => [product.id, score]));
+    filtered = filtered.filter(product => relevance.has(product.id));
   }
   
   // Filter by price range
@@ -130,28 +140,48 @@ export const filterProducts = (products, filters) => {
     filtered = filtered.filter(product => product.price <= filters.maxPrice);
   }
   
-  // Sort products
-  if (filters.sortBy) {
-    switch (filters.sortBy) {
-      case 'price-asc':
-        filtered.sort((a, b) => a.price - b.price);
-        break;
-      case 'price-desc':
-        filtered.sort((a, b) => b.price - a.price);
-        break;
-      case 'name-asc':
-        filtered.sort((a, b) => a.name.localeCompare(b.name));
-        break;
-      case 'name-desc':
-        filtered.sort((a, b) => b.name.localeCompare(a.name));
+  // Sort products (best match when searching, otherwise newest first, unless another order is chosen)
+  switch (filters.sortBy) {
+    case 'priceAsc':
+      filtered.sort((a, b) => a.price - b.price);
+      break;
+    case 'priceDesc':
+      filtered.sort((a, b) => b.price - a.price);
+      break;
+    case 'nameAsc':
+      filtered.sort((a, b) => a.name.localeCompare(b.name));
+      break;
+    case 'nameDesc':
+      filtered.sort((a, b) => b.name.localeCompare(a.name));
+      break;
+    case 'rating':
+      // Highest average first; more reviews break ties, unrated products go last
+      filtered.sort((a, b) =>
+        (b.ratingAverage || 0) - (a.ratingAverage || 0) || (b.ratingCount || 0) - (a.ratingCount || 0)
+      );
+      break;
+    case 'relevance':
+      if (relevance) {
+        filtered.sort((a, b) => relevance.get(b.id) - relevance.get(a.id));
         break;
-      case 'newest':
-        filtered.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-        break;
-      default:
-        break;
-    }
+      }
+      // falls through
+    case 'newest':
+    default:
+      filtered.sort((a, b) => getSortTime(b.createdAt) - getSortTime(a.createdAt));
+      break;
   }
   
   return filtered;
 };
+
+// Save text content (e.g. a CSV export) as a file download
+export const downloadFile = (content, fileName, type = 'text/csv') => {
+  const blob = new Blob([content], { type });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  window.URL.revokeObjectURL(url);
+};
@@ -0,0 +1,27 @@
+import { filterProducts } from './helpers';
+
+const timestamp = (date) => ({ toDate: () => new Date(date) });
+
+describe('filterProducts', () => {
+  test('sorts newest first by Firestore timestamps, with undated products last', () => {
+    const products = [
+      { id: 'old', name: 'Old', price: 1, createdAt: timestamp('2025-01-01') },
+      { id: 'undated', name: 'Undated', price: 1 },
+      { id: 'new', name: 'New', price: 1, createdAt: timestamp('2026-03-01') },
+      { id: 'string', name: 'String', price: 1, createdAt: '2025-06-01T00:00:00Z' }
+    ];
+    expect(filterProducts(products, { sortBy: 'newest' }).map(product => product.id))
+      .toEqual(['new', 'string', 'old', 'undated']);
+  });
+
+  test('keeps products in a category and its subcategories', () => {
+    const categories = [{ id: 'clothing', parentId: null }, { id: 'men', parentId: 'clothing' }, { id: 'toys', parentId: null }];
+    const products = [
+      { id: 'shirt', name: 'Shirt', category: 'men', price: 1 },
+      { id: 'ball', name: 'Ball', category: 'toys', price: 1 },
+      { id: 'scarf', name: 'Scarf', category: 'clothing', price: 1 }
+    ];
+    expect(filterProducts(products, { category: 'clothing', sortBy: 'nameAsc' }, categories).map(product => product.id))
+      .toEqual(['scarf', 'shirt']);
+  });
+});
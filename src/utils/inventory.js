@@ -0,0 +1,199 @@
+// Inventory ledger. Every change to a product's (or variant's) stock is recorded as an entry
+// { productId, variantId, change, quantityAfter, reason, note, orderId, actor, createdAt },
+// so the current stock can be traced back one change at a time.
+import { hasVariants, describeVariant, getCartLineId, summarizeVariants } from './variants';
+import { getProductStatus, PRODUCT_STATUSES, toDate } from './productStatus';
+import { ORDER_STATUSES, normalizeOrderStatus } from './orderStatus';
+import { toSpreadsheetCSV } from './productImport';
+
+export const INVENTORY_REASONS = {
+  OPENING: 'opening',
+  MANUAL: 'manual',
+  ORDER: 'order',
+  CANCELLATION: 'cancellation',
+  RETURN: 'return',
+  IMPORT: 'import'
+};
+
+// Display label and Bootstrap badge color for each reason
+export const INVENTORY_REASON_DETAILS = {
+  [INVENTORY_REASONS.OPENING]: { label: 'Opening stock', variant: 'secondary' },
+  [INVENTORY_REASONS.MANUAL]: { label: 'Manual adjustment', variant: 'primary' },
+  [INVENTORY_REASONS.ORDER]: { label: 'Order', variant: 'info' },
+  [INVENTORY_REASONS.CANCELLATION]: { label: 'Cancellation', variant: 'warning' },
+  [INVENTORY_REASONS.RETURN]: { label: 'Return', variant: 'success' },
+  [INVENTORY_REASONS.IMPORT]: { label: 'Import', variant: 'dark' }
+};
+
+// Stock levels keyed by variant ID ('' for a product without variants). Stock that isn't a number
+// isn't tracked, so it has no level.
+const getStockLevels = (product) => {
+  const levels = new Map();
+  if (!product) return levels;
+
+  if (hasVariants(product)) {
+    product.variants.forEach(variant => {
+      if (typeof variant.stockQuantity !== 'number') return;
+      levels.set(variant.id, {
+        quantity: variant.stockQuantity,
+        variantName: describeVariant(product.variantOptions || [], variant.options || {}),
+        sku: variant.sku || ''
+      });
+    });
+  } else if (typeof product.stockQuantity === 'number') {
+    levels.set('', { quantity: product.stockQuantity, variantName: null, sku: product.sku || '' });
+  }
+  return levels;
+};
+
+// Stock changes between two versions of a product (before is null for a new product), one per
+// variant whose stock moved: [{ variantId, variantName, sku, change, quantityAfter }]
+export const getStockChanges = (before, after) => {
+  const beforeLevels = getStockLevels(before);
+  const afterLevels = getStockLevels(after);
+  const changes = [];
+
+  afterLevels.forEach((level, variantId) => {
+    const change = level.quantity - (beforeLevels.get(variantId)?.quantity || 0);
+    if (change !== 0) {
+      changes.push({ variantId: variantId || null, variantName: level.variantName, sku: level.sku, change, quantityAfter: level.quantity });
+    }
+  });
+  // Variants that were removed, or a product that switched to variants, take their stock with them
+  beforeLevels.forEach((level, variantId) => {
+    if (!afterLevels.has(variantId) && level.quantity !== 0) {
+      changes.push({ variantId: variantId || null, variantName: level.variantName, sku: level.sku, change: -level.quantity, quantityAfter: 0 });
+    }
+  });
+  return changes;
+};
+
+// The stock fields of an edited product, with each level the editor changed moved by the same amount
+// from its current level instead of set outright, so stock that orders took while the form was open
+// isn't put back. loaded is the product as the form loaded it, current as it is stored now.
+// Levels the editor added (new variants) keep the edited value; levels never go below zero.
+export const rebaseStockFields = (edited, loaded, current) => {
+  const loadedLevels = getStockLevels(loaded);
+  const currentLevels = getStockLevels(current);
+  const rebase = (variantId, quantity) => {
+    if (typeof quantity !== 'number' || !loadedLevels.has(variantId) || !currentLevels.has(variantId)) return quantity;
+    return Math.max(0, currentLevels.get(variantId).quantity + quantity - loadedLevels.get(variantId).quantity);
+  };
+
+  if (hasVariants(edited)) {
+    const variants = edited.variants.map(variant => ({ ...variant, stockQuantity: rebase(variant.id, variant.stockQuantity) }));
+    const { stockQuantity, inStock } = summarizeVariants(variants);
+    return { variants, stockQuantity, inStock };
+  }
+  const stockQuantity = rebase('', edited.stockQuantity);
+  return typeof stockQuantity === 'number' ? { stockQuantity, inStock: stockQuantity > 0 } : {};
+};
+
+// Stock at or below a product's threshold counts as low; products without their own threshold use this
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+export const getLowStockThreshold = (product) =>
+  typeof product?.lowStockThreshold === 'number' ? product.lowStockThreshold : DEFAULT_LOW_STOCK_THRESHOLD;
+
+// Archived products are retired, so running out of them isn't a problem
+const isRestockable = (product) => getProductStatus(product) !== PRODUCT_STATUSES.ARCHIVED;
+
+// Stock levels at or below the product's threshold, one per product or variant, out of stock first:
+// [{ product, variantId, variantName, sku, quantity, threshold }]
+export const getStockAlerts = (products) => {
+  const alerts = [];
+  products.filter(isRestockable).forEach(product => {
+    const threshold = getLowStockThreshold(product);
+    getStockLevels(product).forEach((level, variantId) => {
+      if (level.quantity <= threshold) {
+        alerts.push({ product, variantId: variantId || null, variantName: level.variantName, sku: level.sku, quantity: level.quantity, threshold });
+      }
+    });
+  });
+  return alerts.sort((a, b) => a.quantity - b.quantity || a.product.name.localeCompare(b.product.name));
+};
+
+// Sales velocity is measured over this many days of orders
+export const REORDER_SALES_WINDOW_DAYS = 30;
+
+// Suggested reorders cover this many days of sales on top of the low-stock threshold
+export const REORDER_COVER_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stock from these orders went back on the shelf, so they aren't sales
+const UNSOLD_ORDER_STATUSES = [ORDER_STATUSES.CANCELED, ORDER_STATUSES.RETURNED, ORDER_STATUSES.REFUNDED];
+
+// Units sold in orders placed since a date, keyed like cart lines (productId or productId:variantId)
+const getUnitsSold = (orders, since) => {
+  const unitsSold = new Map();
+  orders.forEach(order => {
+    const placedAt = toDate(order.createdAt);
+    if (!placedAt || placedAt < since || UNSOLD_ORDER_STATUSES.includes(normalizeOrderStatus(order.status))) return;
+    (order.items || []).forEach(item => {
+      const key = getCartLineId(item);
+      unitsSold.set(key, (unitsSold.get(key) || 0) + (item.quantity || 0));
+    });
+  });
+  return unitsSold;
+};
+
+// Products and variants to reorder: those at or below their threshold, or selling fast enough to get
+// there within coverDays. The suggested quantity covers coverDays of sales at the recent rate and
+// leaves the threshold in hand. Rows are
+// { productId, productName, variantId, variantName, sku, quantity, threshold, unitsSold, dailySales,
+//   daysOfStock (null when nothing sold), suggestedQuantity }, most urgent first.
+export const buildReorderReport = (products, orders, {
+  windowDays = REORDER_SALES_WINDOW_DAYS,
+  coverDays = REORDER_COVER_DAYS,
+  now = new Date()
+} = {}) => {
+  const unitsSold = getUnitsSold(orders, new Date(now.getTime() - windowDays * DAY_MS));
+  const rows = [];
+
+  products.filter(isRestockable).forEach(product => {
+    const threshold = getLowStockThreshold(product);
+    getStockLevels(product).forEach((level, variantId) => {
+      const sold = unitsSold.get(getCartLineId({ id: product.id, variantId })) || 0;
+      const dailySales = sold / windowDays;
+      const suggestedQuantity = Math.max(0, Math.ceil(dailySales * coverDays) + threshold - level.quantity);
+      if (level.quantity > threshold && suggestedQuantity === 0) return;
+
+      rows.push({
+        productId: product.id,
+        productName: product.name,
+        variantId: variantId || null,
+        variantName: level.variantName,
+        sku: level.sku,
+        quantity: level.quantity,
+        threshold,
+        unitsSold: sold,
+        dailySales,
+        daysOfStock: dailySales > 0 ? Math.max(level.quantity, 0) / dailySales : null,
+        suggestedQuantity
+      });
+    });
+  });
+
+  const urgency = (row) => (row.daysOfStock === null ? Infinity : row.daysOfStock);
+  return rows.sort((a, b) => (a.quantity > 0) - (b.quantity > 0) ||
+    urgency(a) - urgency(b) ||
+    a.quantity - b.quantity ||
+    a.productName.localeCompare(b.productName));
+};
+
+// The reorder report as CSV, e.g. to send to a supplier
+export const exportReorderReportCSV = (rows, windowDays = REORDER_SALES_WINDOW_DAYS) => toSpreadsheetCSV([
+  ['Product', 'Variant', 'SKU', 'In stock', 'Low stock alert', `Sold (${windowDays} days)`, 'Sold per day', 'Days of stock', 'Suggested reorder'],
+  ...rows.map(row => [
+    row.productName,
+    row.variantName || '',
+    row.sku,
+    row.quantity,
+    row.threshold,
+    row.unitsSold,
+    row.dailySales.toFixed(2),
+    row.daysOfStock === null ? '' : Math.floor(row.daysOfStock),
+    row.suggestedQuantity
+  ])
+]);
@@ -0,0 +1,130 @@
+import {
+  getStockChanges,
+  rebaseStockFields,
+  getLowStockThreshold,
+  getStockAlerts,
+  buildReorderReport,
+  exportReorderReportCSV,
+  DEFAULT_LOW_STOCK_THRESHOLD
+} from './inventory';
+import { PRODUCT_STATUSES } from './productStatus';
+import { ORDER_STATUSES } from './orderStatus';
+
+const variantOptions = [{ name: 'Size', values: ['S', 'M'] }];
+const withVariants = (small, medium) => ({
+  id: 'shirt',
+  name: 'Shirt',
+  variantOptions,
+  variants: [
+    { id: 's', sku: 'SHIRT-S', options: { Size: 'S' }, stockQuantity: small },
+    { id: 'm', sku: 'SHIRT-M', options: { Size: 'M' }, stockQuantity: medium }
+  ]
+});
+
+describe('getStockChanges', () => {
+  test('records opening stock for a new product', () => {
+    expect(getStockChanges(null, { sku: 'MUG', stockQuantity: 5 })).toEqual([
+      { variantId: null, variantName: null, sku: 'MUG', change: 5, quantityAfter: 5 }
+    ]);
+  });
+
+  test('records one change per variant that moved', () => {
+    expect(getStockChanges(withVariants(3, 4), withVariants(3, 1))).toEqual([
+      { variantId: 'm', variantName: 'M', sku: 'SHIRT-M', change: -3, quantityAfter: 1 }
+    ]);
+  });
+
+  test('removes the stock of a product that switched to variants', () => {
+    expect(getStockChanges({ id: 'shirt', stockQuantity: 6 }, withVariants(2, 0))).toEqual([
+      { variantId: 's', variantName: 'S', sku: 'SHIRT-S', change: 2, quantityAfter: 2 },
+      { variantId: null, variantName: null, sku: '', change: -6, quantityAfter: 0 }
+    ]);
+  });
+
+  test('ignores untracked stock', () => {
+    expect(getStockChanges({ stockQuantity: null }, { stockQuantity: undefined })).toEqual([]);
+  });
+});
+
+describe('rebaseStockFields', () => {
+  test('applies the edit on top of stock sold while the form was open', () => {
+    expect(rebaseStockFields({ stockQuantity: 15 }, { stockQuantity: 10 }, { stockQuantity: 7 }))
+      .toEqual({ stockQuantity: 12, inStock: true });
+  });
+
+  test('never goes below zero', () => {
+    expect(rebaseStockFields({ stockQuantity: 2 }, { stockQuantity: 10 }, { stockQuantity: 7 }))
+      .toEqual({ stockQuantity: 0, inStock: false });
+  });
+
+  test('rebases each variant and keeps new variants as edited', () => {
+    const edited = withVariants(5, 4);
+    edited.variants.push({ id: 'l', options: { Size: 'L' }, stockQuantity: 8 });
+    const { variants, stockQuantity } = rebaseStockFields(edited, withVariants(3, 4), withVariants(1, 2));
+    expect(variants.map(variant => variant.stockQuantity)).toEqual([3, 2, 8]);
+    expect(stockQuantity).toBe(13);
+  });
+
+  test('leaves untracked stock alone', () => {
+    expect(rebaseStockFields({ stockQuantity: null }, { stockQuantity: null }, { stockQuantity: 4 })).toEqual({});
+  });
+});
+
+describe('getLowStockThreshold', () => {
+  test('uses the product threshold, including 0, or the default', () => {
+    expect(getLowStockThreshold({ lowStockThreshold: 0 })).toBe(0);
+    expect(getLowStockThreshold({ lowStockThreshold: null })).toBe(DEFAULT_LOW_STOCK_THRESHOLD);
+  });
+});
+
+describe('getStockAlerts', () => {
+  test('lists levels at or below the threshold, lowest first, skipping archived products', () => {
+    const alerts = getStockAlerts([
+      { id: 'mug', name: 'Mug', stockQuantity: 5 },
+      { id: 'cap', name: 'Cap', stockQuantity: 6 },
+      { id: 'old', name: 'Old', stockQuantity: 0, status: PRODUCT_STATUSES.ARCHIVED },
+      { ...withVariants(0, 9), lowStockThreshold: 2 }
+    ]);
+    expect(alerts.map(alert => [alert.product.id, alert.variantId, alert.quantity, alert.threshold])).toEqual([
+      ['shirt', 's', 0, 2],
+      ['mug', null, 5, 5]
+    ]);
+  });
+});
+
+describe('buildReorderReport', () => {
+  const now = new Date('2026-06-30T00:00:00Z');
+  const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const products = [
+    { id: 'fast', name: 'Fast seller', sku: 'FAST', stockQuantity: 10, lowStockThreshold: 2 },
+    { id: 'slow', name: 'Slow seller', sku: 'SLOW', stockQuantity: 3 },
+    { id: 'plenty', name: 'Plenty', sku: 'PLENTY', stockQuantity: 100 }
+  ];
+  const orders = [
+    { createdAt: daysAgo(5), status: ORDER_STATUSES.DELIVERED, items: [{ id: 'fast', quantity: 30 }, { id: 'plenty', quantity: 1 }] },
+    { createdAt: daysAgo(5), status: ORDER_STATUSES.CANCELED, items: [{ id: 'slow', quantity: 50 }] },
+    { createdAt: daysAgo(60), status: ORDER_STATUSES.DELIVERED, items: [{ id: 'slow', quantity: 50 }] }
+  ];
+
+  test('suggests enough to cover recent sales plus the threshold, most urgent first', () => {
+    const rows = buildReorderReport(products, orders, { now });
+    expect(rows.map(row => [row.productId, row.unitsSold, row.daysOfStock, row.suggestedQuantity])).toEqual([
+      ['fast', 30, 10, 22],
+      ['slow', 0, null, 2]
+    ]);
+  });
+
+  test('exports the report as CSV', () => {
+    const csv = exportReorderReportCSV(buildReorderReport(products, orders, { now }));
+    expect(csv.split('\r\n')).toEqual([
+      'Product,Variant,SKU,In stock,Low stock alert,Sold (30 days),Sold per day,Days of stock,Suggested reorder',
+      'Fast seller,,FAST,10,2,30,1.00,10,22',
+      'Slow seller,,SLOW,3,5,0,0.00,,2'
+    ]);
+  });
+
+  test('keeps formula-like product names from running in a spreadsheet', () => {
+    const rows = buildReorderReport([{ id: 'evil', name: '=SUM(A1:A9)', sku: '@EVIL', stockQuantity: 0 }], [], { now });
+    expect(exportReorderReportCSV(rows).split('\r\n')[1]).toBe("'=SUM(A1:A9),,'@EVIL,0,5,0,0.00,,5");
+  });
+});
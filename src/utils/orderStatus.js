@@ -0,0 +1,86 @@
+// Order status lifecycle
+// pending -> confirmed -> packed -> on the way -> delivered, with canceled/returned/refunded side exits
+export const ORDER_STATUSES = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  PACKED: 'packed',
+  ON_THE_WAY: 'on the way',
+  DELIVERED: 'delivered',
+  CANCELED: 'canceled',
+  RETURNED: 'returned',
+  REFUNDED: 'refunded'
+};
+
+// Orders created before the lifecycle existed were closed as 'completed'
+const LEGACY_STATUS_ALIASES = {
+  completed: ORDER_STATUSES.DELIVERED
+};
+
+// Display label and Bootstrap badge color for each status
+export const ORDER_STATUS_DETAILS = {
+  [ORDER_STATUSES.PENDING]: { label: 'Pending', variant: 'warning' },
+  [ORDER_STATUSES.CONFIRMED]: { label: 'Confirmed', variant: 'primary' },
+  [ORDER_STATUSES.PACKED]: { label: 'Packed', variant: 'secondary' },
+  [ORDER_STATUSES.ON_THE_WAY]: { label: 'On the Way', variant: 'info' },
+  [ORDER_STATUSES.DELIVERED]: { label: 'Delivered', variant: 'success' },
+  [ORDER_STATUSES.CANCELED]: { label: 'Canceled', variant: 'danger' },
+  [ORDER_STATUSES.RETURNED]: { label: 'Returned', variant: 'dark' },
+  [ORDER_STATUSES.REFUNDED]: { label: 'Refunded', variant: 'light' }
+};
+
+// Allowed transitions from each status
+export const ORDER_STATUS_TRANSITIONS = {
+  [ORDER_STATUSES.PENDING]: [ORDER_STATUSES.CONFIRMED, ORDER_STATUSES.CANCELED],
+  [ORDER_STATUSES.CONFIRMED]: [ORDER_STATUSES.PACKED, ORDER_STATUSES.CANCELED],
+  [ORDER_STATUSES.PACKED]: [ORDER_STATUSES.ON_THE_WAY, ORDER_STATUSES.CANCELED],
+  [ORDER_STATUSES.ON_THE_WAY]: [ORDER_STATUSES.DELIVERED],
+  [ORDER_STATUSES.DELIVERED]: [ORDER_STATUSES.RETURNED],
+  [ORDER_STATUSES.CANCELED]: [ORDER_STATUSES.REFUNDED],
+  [ORDER_STATUSES.RETURNED]: [ORDER_STATUSES.REFUNDED],
+  [ORDER_STATUSES.REFUNDED]: []
+};
+
+// Map legacy status values onto the current lifecycle
+export const normalizeOrderStatus = (status) => LEGACY_STATUS_ALIASES[status] || status;
+
+// Get label and badge color for a status (unknown statuses fall back to the raw value)
+export const getOrderStatusDetails = (status) => {
+  const normalized = normalizeOrderStatus(status);
+  return ORDER_STATUS_DETAILS[normalized] || { label: status, variant: 'secondary' };
+};
+
+// Get the statuses an order can move to next
+export const getNextOrderStatuses = (status) => {
+  return ORDER_STATUS_TRANSITIONS[normalizeOrderStatus(status)] || [];
+};
+
+// Check whether an order may move from one status to another
+export const canTransitionOrder = (fromStatus, toStatus) => {
+  return getNextOrderStatuses(fromStatus).includes(toStatus);
+};
+
+// Return request states stored on order.returnRequest
+export const RETURN_REQUEST_STATUSES = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+export const RETURN_REQUEST_DETAILS = {
+  [RETURN_REQUEST_STATUSES.REQUESTED]: { label: 'Return Requested', variant: 'warning' },
+  [RETURN_REQUEST_STATUSES.APPROVED]: { label: 'Return Approved', variant: 'success' },
+  [RETURN_REQUEST_STATUSES.REJECTED]: { label: 'Return Rejected', variant: 'danger' }
+};
+
+// Reasons a customer can pick when requesting a return
+export const RETURN_REASONS = [
+  'Damaged or defective item',
+  'Wrong item received',
+  'Item not as described',
+  'Size or fit issue',
+  'No longer needed',
+  'Other'
+];
+
+// Maximum number of photos attached to a return request
+export const MAX_RETURN_PHOTOS = 3;
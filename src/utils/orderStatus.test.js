@@ -0,0 +1,38 @@
+import { ORDER_STATUSES, normalizeOrderStatus, getOrderStatusDetails, getNextOrderStatuses, canTransitionOrder } from './orderStatus';
+
+describe('canTransitionOrder', () => {
+  test('allows the lifecycle steps and side exits', () => {
+    expect(canTransitionOrder(ORDER_STATUSES.PENDING, ORDER_STATUSES.CONFIRMED)).toBe(true);
+    expect(canTransitionOrder(ORDER_STATUSES.PACKED, ORDER_STATUSES.CANCELED)).toBe(true);
+    expect(canTransitionOrder(ORDER_STATUSES.DELIVERED, ORDER_STATUSES.RETURNED)).toBe(true);
+    expect(canTransitionOrder(ORDER_STATUSES.CANCELED, ORDER_STATUSES.REFUNDED)).toBe(true);
+  });
+
+  test('refuses skipped steps, going back and leaving refunded orders', () => {
+    expect(canTransitionOrder(ORDER_STATUSES.PENDING, ORDER_STATUSES.DELIVERED)).toBe(false);
+    expect(canTransitionOrder(ORDER_STATUSES.ON_THE_WAY, ORDER_STATUSES.CANCELED)).toBe(false);
+    expect(canTransitionOrder(ORDER_STATUSES.CONFIRMED, ORDER_STATUSES.PENDING)).toBe(false);
+    Object.values(ORDER_STATUSES).forEach(status => {
+      expect(canTransitionOrder(ORDER_STATUSES.REFUNDED, status)).toBe(false);
+    });
+  });
+
+  test('treats legacy completed orders as delivered', () => {
+    expect(normalizeOrderStatus('completed')).toBe(ORDER_STATUSES.DELIVERED);
+    expect(canTransitionOrder('completed', ORDER_STATUSES.RETURNED)).toBe(true);
+  });
+});
+
+describe('getNextOrderStatuses', () => {
+  test('lists where an order can go next', () => {
+    expect(getNextOrderStatuses(ORDER_STATUSES.ON_THE_WAY)).toEqual([ORDER_STATUSES.DELIVERED]);
+    expect(getNextOrderStatuses('unknown')).toEqual([]);
+  });
+});
+
+describe('getOrderStatusDetails', () => {
+  test('gives the label and badge color, falling back to the raw status', () => {
+    expect(getOrderStatusDetails('completed')).toEqual({ label: 'Delivered', variant: 'success' });
+    expect(getOrderStatusDetails('on hold')).toEqual({ label: 'on hold', variant: 'secondary' });
+  });
+});
@@ -0,0 +1,17 @@
+// Break an order's total into its parts for summaries, exports and invoices.
+// Orders placed before discounts, tax and shipping were stored only have items and a total.
+export const getOrderTotals = (order) => {
+  const subtotal = order.subtotal ?? (order.items || []).reduce(
+    (sum, item) => sum + (item.price * item.quantity), 0
+  );
+
+  return {
+    subtotal,
+    discount: order.discount?.amount || 0,
+    tax: order.tax?.exclusiveAmount || 0,
+    includedTax: order.tax?.inclusiveAmount || 0,
+    taxBreakdown: order.tax?.breakdown || [],
+    shipping: order.shipping?.cost || 0,
+    total: order.total
+  };
+};
@@ -0,0 +1,28 @@
+// Payment status values stored on order.paymentStatus
+export const PAYMENT_STATUSES = {
+  PENDING: 'pending',
+  AUTHORIZED: 'authorized',
+  AWAITING_VERIFICATION: 'awaiting_verification',
+  CAPTURED: 'captured',
+  FAILED: 'failed',
+  REFUNDED: 'refunded',
+  VOIDED: 'voided'
+};
+
+export const PAYMENT_STATUS_DETAILS = {
+  [PAYMENT_STATUSES.PENDING]: { label: 'Payment Pending', variant: 'secondary' },
+  [PAYMENT_STATUSES.AUTHORIZED]: { label: 'Authorized', variant: 'info' },
+  [PAYMENT_STATUSES.AWAITING_VERIFICATION]: { label: 'Awaiting Verification', variant: 'warning' },
+  [PAYMENT_STATUSES.CAPTURED]: { label: 'Paid', variant: 'success' },
+  [PAYMENT_STATUSES.FAILED]: { label: 'Payment Failed', variant: 'danger' },
+  [PAYMENT_STATUSES.REFUNDED]: { label: 'Refunded', variant: 'dark' },
+  [PAYMENT_STATUSES.VOIDED]: { label: 'Voided', variant: 'secondary' }
+};
+
+// Payments that allow an order to leave 'pending'
+export const SETTLED_PAYMENT_STATUSES = [PAYMENT_STATUSES.AUTHORIZED, PAYMENT_STATUSES.CAPTURED];
+
+// Get label and badge color for a payment status
+export const getPaymentStatusDetails = (status) => {
+  return PAYMENT_STATUS_DETAILS[status] || { label: status || 'Unknown', variant: 'secondary' };
+};
@@ -0,0 +1,451 @@
+import { getCategoryPathLabel, CATEGORY_PATH_SEPARATOR } from './categories';
+import { STANDARD_ATTRIBUTES } from './facets';
+import { hasVariants } from './variants';
+import { PRODUCT_STATUSES, getProductStatus } from './productStatus';
+
+// Bulk product import and export. Files are CSV (a header row, then one product per row) or JSON
+// (an array of product objects). Exports use the same columns, so they can be edited and imported back.
+// Products are matched on SKU: a known SKU updates that product, a new one creates a product.
+// New products are drafts unless the file gives a status.
+
+// Separator between the values of list fields (tags, image URLs, attribute values) in one CSV cell
+export const LIST_SEPARATOR = '|';
+
+// Columns named attr:<name> hold attribute values, e.g. attr:Brand
+export const ATTRIBUTE_COLUMN_PREFIX = 'attr:';
+
+// Product fields a column can be imported into; aliases are header names recognised automatically
+export const IMPORT_FIELDS = [
+  { key: 'sku', label: 'SKU', aliases: ['product code', 'item code', 'item number', 'code'] },
+  { key: 'barcode', label: 'Barcode', aliases: ['ean', 'upc', 'gtin', 'ean13', 'upc code'] },
+  { key: 'name', label: 'Name', aliases: ['title', 'product name', 'product'] },
+  { key: 'description', label: 'Description', aliases: ['desc', 'details'] },
+  { key: 'price', label: 'Price', type: 'number', aliases: ['unit price', 'retail price'] },
+  { key: 'category', label: 'Category', aliases: ['category path', 'department'] },
+  { key: 'status', label: 'Status', type: 'status', aliases: ['publish status', 'visibility'] },
+  { key: 'stockQuantity', label: 'Stock', type: 'integer', aliases: ['stock', 'quantity', 'qty', 'inventory'] },
+  { key: 'weight', label: 'Weight (kg)', type: 'number', aliases: ['weight kg'] },
+  { key: 'tags', label: 'Tags', type: 'list', aliases: ['keywords'] },
+  { key: 'imageUrls', label: 'Image URLs', type: 'list', aliases: ['images', 'image', 'image url', 'photos'] }
+];
+
+// Fields a new product can't be created without
+const REQUIRED_FOR_CREATE = ['name', 'price', 'category'];
+
+// Fields that come from the variants on products with variants
+const VARIANT_SUMMARY_FIELDS = ['price', 'stockQuantity'];
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Parse CSV text into rows of cells. Handles quoted cells with commas, quotes and line breaks.
+export const parseCSV = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('The CSV file has a quoted value that is never closed');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Rows of cells as CSV text, quoting cells that need it
+export const toCSV = (rows) => rows
+  .map(row => row.map(value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(','))
+  .join('\r\n');
+
+// Spreadsheet apps run a cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Rows of cells as CSV text for opening in a spreadsheet: text that would run as a formula
+// (e.g. "=HYPERLINK(...)") is prefixed with ' so it shows as text. Importing removes the '.
+export const toSpreadsheetCSV = (rows) => toCSV(rows.map(row => row.map(value => (
+  typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value
+))));
+
+// A cell value without the ' that toSpreadsheetCSV adds in front of formula-like text
+const unescapeFormula = (value) => (
+  typeof value === 'string' && value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value
+);
+
+// Parse an uploaded file into { columns, records, firstRowNumber }, each record an object keyed by column
+export const parseImportFile = (text, fileName = '') => {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+
+  if (isJson) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`The JSON file could not be read: ${error.message}`);
+    }
+    const items = Array.isArray(data) ? data : data?.products;
+    if (!Array.isArray(items)) {
+      throw new Error('The JSON file should contain an array of products');
+    }
+
+    const columns = [];
+    const records = items.map(item => {
+      const { attributes, ...fields } = item && typeof item === 'object' ? item : {};
+      const record = { ...fields };
+      Object.entries(attributes || {}).forEach(([name, values]) => {
+        record[`${ATTRIBUTE_COLUMN_PREFIX}${name}`] = values;
+      });
+      Object.keys(record).forEach(column => {
+        if (!columns.includes(column)) columns.push(column);
+      });
+      return record;
+    });
+    return { columns, records, firstRowNumber: 1 };
+  }
+
+  const [header, ...rows] = parseCSV(text);
+  if (!header) {
+    throw new Error('The file is empty');
+  }
+  const columns = header.map(column => column.trim());
+  const duplicate = columns.find((column, index) => column && columns.indexOf(column) !== index);
+  if (duplicate) {
+    throw new Error(`The column "${duplicate}" appears more than once`);
+  }
+
+  const records = rows.map(cells => Object.fromEntries(
+    columns.map((column, index) => [column, cells[index] ?? '']).filter(([column]) => column)
+  ));
+  // Row numbers as a spreadsheet shows them, counting the header row
+  return { columns: columns.filter(Boolean), records, firstRowNumber: 2 };
+};
+
+// Best guess at what each column holds: a field key, attr:<name> for an attribute, or '' to ignore it.
+// Each field is only guessed for one column.
+export const guessColumnMapping = (columns) => {
+  const used = new Set();
+  return Object.fromEntries(columns.map(column => {
+    if (column.toLowerCase().startsWith(ATTRIBUTE_COLUMN_PREFIX)) {
+      return [column, `${ATTRIBUTE_COLUMN_PREFIX}${column.slice(ATTRIBUTE_COLUMN_PREFIX.length).trim()}`];
+    }
+    const header = normalizeHeader(column);
+    const field = IMPORT_FIELDS.find(importField =>
+      !used.has(importField.key) &&
+      (normalizeHeader(importField.key) === header ||
+        normalizeHeader(importField.label) === header ||
+        importField.aliases.includes(header) ||
+        header.replace(/ /g, '') === importField.key.toLowerCase())
+    );
+    if (!field) return [column, ''];
+    used.add(field.key);
+    return [column, field.key];
+  }));
+};
+
+// Find a category by ID, by a name only one category has, or by path ("Clothing > Men > Shirts")
+export const resolveCategory = (value, categories) => {
+  const text = String(value).trim();
+  const byId = categories.find(category => category.id === text);
+  if (byId) return { category: byId };
+
+  const matchesName = (category, name) => (category.name || '').trim().toLowerCase() === name;
+  const byName = categories.filter(category => matchesName(category, text.toLowerCase()));
+  if (byName.length > 1) {
+    return { error: `Category "${text}" is ambiguous; use its full path, e.g. ${getCategoryPathLabel(categories, byName[0].id)}` };
+  }
+  if (byName.length === 1) return { category: byName[0] };
+
+  const names = text.split(/\s*[>›/]\s*/).map(name => name.toLowerCase()).filter(Boolean);
+  if (names.length < 2) return { error: `Unknown category "${text}"` };
+
+  let parentId = null;
+  let category = null;
+  for (const name of names) {
+    const currentParentId = parentId;
+    category = categories.find(item => (item.parentId || null) === currentParentId && matchesName(item, name));
+    if (!category) return { error: `Unknown category "${text}"` };
+    parentId = category.id;
+  }
+  return { category };
+};
+
+// A list field's values: JSON arrays as they are, CSV cells split on | (tags also on commas)
+const parseList = (value, key) => {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  const separator = key === 'tags' ? /[|,]/ : /[|\n]/;
+  return String(value).split(separator).map(item => item.trim()).filter(Boolean);
+};
+
+// A number from a cell, allowing a currency sign and thousands separators ("$1,299.00")
+const parseNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const text = String(value).trim().replace(/^[$€£]/, '').replace(/,/g, '');
+  return /^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : NaN;
+};
+
+// The mapped values of one record, parsed and checked: { values, attributes, errors, invalidFields }
+const readRecord = (record, mapping, categories) => {
+  const values = {};
+  const attributes = {};
+  const errors = [];
+  const invalidFields = new Set();
+
+  Object.entries(mapping).forEach(([column, target]) => {
+    const raw = unescapeFormula(record[column]);
+    if (!target || isBlank(raw)) return;
+
+    if (target.startsWith(ATTRIBUTE_COLUMN_PREFIX)) {
+      attributes[target.slice(ATTRIBUTE_COLUMN_PREFIX.length)] = parseList(raw, 'attribute');
+      return;
+    }
+
+    const field = IMPORT_FIELDS.find(importField => importField.key === target);
+    if (field.type === 'number' || field.type === 'integer') {
+      const number = parseNumber(raw);
+      if (Number.isNaN(number) || number < 0) {
+        errors.push(`${field.label} must be a number of 0 or more (got "${raw}")`);
+        invalidFields.add(target);
+      } else if (field.type === 'integer' && !Number.isInteger(number)) {
+        errors.push(`${field.label} must be a whole number (got "${raw}")`);
+        invalidFields.add(target);
+      } else {
+        values[target] = number;
+      }
+    } else if (field.type === 'list') {
+      values[target] = parseList(raw, target);
+    } else if (field.type === 'status') {
+      const status = String(raw).trim().toLowerCase();
+      if (Object.values(PRODUCT_STATUSES).includes(status)) {
+        values.status = status;
+      } else {
+        errors.push(`Status must be one of ${Object.values(PRODUCT_STATUSES).join(', ')} (got "${raw}")`);
+        invalidFields.add(target);
+      }
+    } else if (target === 'category') {
+      const { category, error } = resolveCategory(raw, categories);
+      if (error) {
+        errors.push(error);
+        invalidFields.add(target);
+      } else {
+        values.category = category.id;
+      }
+    } else {
+      values[target] = String(raw).trim();
+    }
+  });
+
+  if (values.tags) {
+    values.tags = [...new Set(values.tags.map(tag => tag.toLowerCase()))];
+  }
+  const invalidUrl = (values.imageUrls || []).find(url => !/^https?:\/\//i.test(url));
+  if (invalidUrl) {
+    errors.push(`Image URL "${invalidUrl}" must start with http:// or https://`);
+  }
+  return { values, attributes, errors, invalidFields };
+};
+
+const fieldLabel = (key) => {
+  if (key.startsWith(ATTRIBUTE_COLUMN_PREFIX)) return key.slice(ATTRIBUTE_COLUMN_PREFIX.length);
+  return IMPORT_FIELDS.find(field => field.key === key)?.label || key;
+};
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Work out what importing each record would do, without writing anything.
+// Returns one row per record: { rowNumber, sku, name, action, productId, data, changes, errors, warnings }
+// where action is 'create', 'update', 'unchanged' or 'error', data holds the fields to write
+// and changes lists [{ label, from, to }] for updates.
+export const buildImportPlan = ({ records, mapping, products, categories, firstRowNumber = 2 }) => {
+  const productsBySku = new Map();
+  products.forEach(product => {
+    const sku = (product.sku || '').trim().toLowerCase();
+    if (sku) productsBySku.set(sku, [...(productsBySku.get(sku) || []), product]);
+  });
+  const seenSkus = new Map(); // SKU -> first row number it appeared on
+
+  return records.map((record, index) => {
+    const rowNumber = firstRowNumber + index;
+    const { values, attributes, errors, invalidFields } = readRecord(record, mapping, categories);
+    const warnings = [];
+    const sku = values.sku || '';
+    const skuKey = sku.toLowerCase();
+    const matches = productsBySku.get(skuKey) || [];
+    const existing = matches.length === 1 ? matches[0] : null;
+
+    if (!sku) {
+      errors.push('SKU is missing');
+    } else if (seenSkus.has(skuKey)) {
+      errors.push(`SKU ${sku} already appears on row ${seenSkus.get(skuKey)}`);
+    } else {
+      seenSkus.set(skuKey, rowNumber);
+    }
+    if (matches.length > 1) {
+      errors.push(`SKU ${sku} belongs to ${matches.length} existing products; give them unique SKUs first`);
+    }
+
+    const row = { rowNumber, sku, name: values.name || existing?.name || '', productId: existing?.id || null, changes: [], errors, warnings };
+
+    if (!existing) {
+      REQUIRED_FOR_CREATE
+        .filter(key => values[key] === undefined && !invalidFields.has(key))
+        .forEach(key => errors.push(`${fieldLabel(key)} is required for a new product`));
+      if (errors.length > 0) return { ...row, action: 'error', data: null };
+
+      const stockQuantity = values.stockQuantity ?? 0;
+      return {
+        ...row,
+        action: 'create',
+        data: {
+          sku,
+          barcode: values.barcode || '',
+          name: values.name,
+          description: values.description || '',
+          price: values.price,
+          category: values.category,
+          status: values.status || PRODUCT_STATUSES.DRAFT,
+          stockQuantity,
+          inStock: stockQuantity > 0,
+          weight: values.weight ?? 0,
+          tags: values.tags || [],
+          imageUrls: values.imageUrls || [],
+          attributes,
+          variantOptions: [],
+          variants: []
+        }
+      };
+    }
+
+    if (errors.length > 0) return { ...row, action: 'error', data: null };
+
+    // Updates only touch the columns that have a value; blank cells leave the field as it is
+    const data = {};
+    Object.entries(values).forEach(([key, value]) => {
+      if (key === 'sku') return;
+      if (hasVariants(existing) && VARIANT_SUMMARY_FIELDS.includes(key)) {
+        if (!isSameValue(existing[key], value)) {
+          warnings.push(`${fieldLabel(key)} not changed: it comes from this product's variants`);
+        }
+        return;
+      }
+      // Products saved before publishing existed have no status and count as published
+      const current = key === 'status' ? getProductStatus(existing) : existing[key];
+      if (!isSameValue(current, value)) {
+        data[key] = value;
+        row.changes.push({ label: fieldLabel(key), from: current, to: value });
+      }
+    });
+    if (data.stockQuantity !== undefined) {
+      data.inStock = data.stockQuantity > 0;
+    }
+
+    const changedAttributes = Object.entries(attributes)
+      .filter(([name, attributeValues]) => !isSameValue(existing.attributes?.[name], attributeValues));
+    if (changedAttributes.length > 0) {
+      data.attributes = { ...(existing.attributes || {}), ...Object.fromEntries(changedAttributes) };
+      changedAttributes.forEach(([name, attributeValues]) => {
+        row.changes.push({ label: name, from: existing.attributes?.[name], to: attributeValues });
+      });
+    }
+
+    return { ...row, action: row.changes.length > 0 ? 'update' : 'unchanged', data };
+  });
+};
+
+// A field value as shown in the import preview
+export const formatImportValue = (value) => {
+  if (isBlank(value)) return '—';
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+};
+
+// Attribute names used by any product, standard attributes first
+const getAttributeNames = (products) => {
+  const names = new Set();
+  products.forEach(product => Object.keys(product.attributes || {}).forEach(name => names.add(name)));
+  const standardIndex = (name) => {
+    const index = STANDARD_ATTRIBUTES.indexOf(name);
+    return index === -1 ? STANDARD_ATTRIBUTES.length : index;
+  };
+  return [...names].sort((a, b) => standardIndex(a) - standardIndex(b) || a.localeCompare(b));
+};
+
+// A product as an export record; the category is written as its path so it imports anywhere
+const toExportRecord = (product, categories) => ({
+  sku: product.sku || '',
+  barcode: product.barcode || '',
+  name: product.name || '',
+  description: product.description || '',
+  price: product.price ?? '',
+  category: getCategoryPathLabel(categories, product.category) || product.category || '',
+  status: getProductStatus(product),
+  stockQuantity: product.stockQuantity ?? '',
+  weight: product.weight ?? '',
+  tags: product.tags || [],
+  imageUrls: product.imageUrls?.length > 0 ? product.imageUrls : [product.imageUrl].filter(Boolean),
+  attributes: product.attributes || {}
+});
+
+// The catalog as CSV, one product per row, in the import format
+export const exportProductsCSV = (products, categories) => {
+  const attributeNames = getAttributeNames(products);
+  const header = [...IMPORT_FIELDS.map(field => field.key), ...attributeNames.map(name => `${ATTRIBUTE_COLUMN_PREFIX}${name}`)];
+  const rows = products.map(product => {
+    const record = toExportRecord(product, categories);
+    return [
+      ...IMPORT_FIELDS.map(field => (field.type === 'list' ? record[field.key].join(LIST_SEPARATOR) : record[field.key])),
+      ...attributeNames.map(name => (record.attributes[name] || []).join(LIST_SEPARATOR))
+    ];
+  });
+  return toSpreadsheetCSV([header, ...rows]);
+};
+
+// The catalog as JSON in the import format
+export const exportProductsJSON = (products, categories) =>
+  JSON.stringify(products.map(product => toExportRecord(product, categories)), null, 2);
+
+// An empty CSV with the import columns, as a starting point for a new file
+export const getImportTemplateCSV = () => toCSV([
+  [...IMPORT_FIELDS.map(field => field.key), `${ATTRIBUTE_COLUMN_PREFIX}Brand`],
+  ['SHIRT-001', '4006381333931', 'Oxford Shirt', 'Classic cotton shirt', '39.99', `Clothing${CATEGORY_PATH_SEPARATOR}Men`, PRODUCT_STATUSES.DRAFT, '25', '0.3', `cotton${LIST_SEPARATOR}office`, 'https://example.com/shirt.jpg', 'Acme']
+]);
+
+// Rows that failed, as a CSV report to fix and re-import
+export const buildErrorReportCSV = (rows) => toSpreadsheetCSV([
+  ['row', 'sku', 'name', 'errors'],
+  ...rows.map(row => [row.rowNumber, row.sku, row.name, row.errors.join('; ')])
+]);
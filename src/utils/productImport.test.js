@@ -0,0 +1,146 @@
+import {
+  parseCSV,
+  toCSV,
+  parseImportFile,
+  guessColumnMapping,
+  resolveCategory,
+  buildImportPlan,
+  exportProductsCSV,
+  buildErrorReportCSV
+} from './productImport';
+import { PRODUCT_STATUSES } from './productStatus';
+
+const categories = [
+  { id: 'clothing', name: 'Clothing', parentId: null },
+  { id: 'men', name: 'Men', parentId: 'clothing' },
+  { id: 'shoes', name: 'Shoes', parentId: null },
+  { id: 'shoes-men', name: 'Men', parentId: 'shoes' }
+];
+
+describe('parseCSV and toCSV', () => {
+  test('round-trip quoted commas, quotes and line breaks', () => {
+    const rows = [['sku', 'description'], ['A-1', 'Soft, "warm"\nand light']];
+    expect(parseCSV(toCSV(rows))).toEqual(rows);
+  });
+});
+
+describe('parseImportFile', () => {
+  test('reads CSV rows keyed by column', () => {
+    expect(parseImportFile('sku,name\r\nA-1,Mug\r\n')).toEqual({
+      columns: ['sku', 'name'],
+      records: [{ sku: 'A-1', name: 'Mug' }],
+      firstRowNumber: 2
+    });
+  });
+
+  test('reads JSON arrays, turning attributes into attr: columns', () => {
+    const { columns, records } = parseImportFile(JSON.stringify([{ sku: 'A-1', attributes: { Brand: ['Acme'] } }]), 'products.json');
+    expect(columns).toEqual(['sku', 'attr:Brand']);
+    expect(records).toEqual([{ sku: 'A-1', 'attr:Brand': ['Acme'] }]);
+  });
+
+  test('rejects duplicate columns and empty files', () => {
+    expect(() => parseImportFile('sku,sku\r\n1,2')).toThrow('The column "sku" appears more than once');
+    expect(() => parseImportFile('')).toThrow('The file is empty');
+  });
+});
+
+describe('guessColumnMapping', () => {
+  test('maps headers by key, label and alias', () => {
+    expect(guessColumnMapping(['Product Code', 'Title', 'Unit Price', 'Qty', 'Visibility', 'attr:Brand', 'Notes'])).toEqual({
+      'Product Code': 'sku',
+      Title: 'name',
+      'Unit Price': 'price',
+      Qty: 'stockQuantity',
+      Visibility: 'status',
+      'attr:Brand': 'attr:Brand',
+      Notes: ''
+    });
+  });
+});
+
+describe('resolveCategory', () => {
+  test('finds categories by ID, unique name or path', () => {
+    expect(resolveCategory('shoes', categories).category.id).toBe('shoes');
+    expect(resolveCategory('clothing', categories).category.id).toBe('clothing');
+    expect(resolveCategory('Shoes › Men', categories).category.id).toBe('shoes-men');
+    expect(resolveCategory('Clothing > Men', categories).category.id).toBe('men');
+  });
+
+  test('reports ambiguous and unknown categories', () => {
+    expect(resolveCategory('Men', categories).error).toMatch(/ambiguous/);
+    expect(resolveCategory('Toys', categories).error).toBe('Unknown category "Toys"');
+  });
+});
+
+describe('buildImportPlan', () => {
+  const mapping = { sku: 'sku', name: 'name', price: 'price', category: 'category', status: 'status', stock: 'stockQuantity' };
+  const existing = { id: 'p1', sku: 'MUG-1', name: 'Mug', price: 10, category: 'clothing', stockQuantity: 3 };
+  const plan = (records) => buildImportPlan({ records, mapping, products: [existing], categories });
+
+  test('creates new products as drafts unless a status is given', () => {
+    const [draft, published] = plan([
+      { sku: 'NEW-1', name: 'Cap', price: '$1,200.50', category: 'Clothing › Men', status: '', stock: '' },
+      { sku: 'NEW-2', name: 'Hat', price: '5', category: 'shoes', status: 'Published', stock: '2' }
+    ]);
+    expect(draft.action).toBe('create');
+    expect(draft.data).toMatchObject({ price: 1200.5, category: 'men', status: PRODUCT_STATUSES.DRAFT, stockQuantity: 0, inStock: false });
+    expect(published.data).toMatchObject({ status: PRODUCT_STATUSES.PUBLISHED, stockQuantity: 2, inStock: true });
+  });
+
+  test('reports invalid values and missing required fields', () => {
+    const [row] = plan([{ sku: 'NEW-1', name: 'Cap', price: 'free', category: '', status: 'live', stock: '1.5' }]);
+    expect(row.action).toBe('error');
+    expect(row.errors).toEqual([
+      'Price must be a number of 0 or more (got "free")',
+      `Status must be one of ${Object.values(PRODUCT_STATUSES).join(', ')} (got "live")`,
+      'Stock must be a whole number (got "1.5")',
+      'Category is required for a new product'
+    ]);
+  });
+
+  test('updates only the fields that changed, treating a missing status as published', () => {
+    const [row] = plan([{ sku: 'mug-1', name: 'Mug', price: '12', category: '', status: 'published', stock: '0' }]);
+    expect(row.action).toBe('update');
+    expect(row.productId).toBe('p1');
+    expect(row.data).toEqual({ price: 12, stockQuantity: 0, inStock: false });
+  });
+
+  test('rejects a SKU repeated in the file', () => {
+    const rows = plan([
+      { sku: 'MUG-1', name: 'Mug' },
+      { sku: 'mug-1', name: 'Mug' }
+    ]);
+    expect(rows.map(row => row.action)).toEqual(['unchanged', 'error']);
+    expect(rows[1].errors).toEqual(['SKU mug-1 already appears on row 2']);
+  });
+});
+
+describe('exportProductsCSV', () => {
+  test('exports products in a format that imports back unchanged', () => {
+    const product = { id: 'p1', sku: 'MUG-1', name: 'Mug, "large"', price: 10, category: 'men', status: PRODUCT_STATUSES.DRAFT, stockQuantity: 1, tags: ['a', 'b'], attributes: { Brand: ['Acme'] } };
+    const csv = exportProductsCSV([product], categories);
+    expect(csv.split('\r\n')[0]).toContain('attr:Brand');
+
+    const { columns, records } = parseImportFile(csv);
+    const [row] = buildImportPlan({ records, mapping: guessColumnMapping(columns), products: [product], categories });
+    expect(row.action).toBe('unchanged');
+  });
+
+  test('exports formula-like text safely and imports it back unchanged', () => {
+    const product = { id: 'p1', sku: 'EVIL-1', name: '=HYPERLINK("http://example.com")', price: 10, category: 'men', status: PRODUCT_STATUSES.PUBLISHED, stockQuantity: 1, tags: ['a', 'b'] };
+    const csv = exportProductsCSV([product], categories);
+    expect(csv).toContain(`"'=HYPERLINK(""http://example.com"")"`);
+
+    const { columns, records } = parseImportFile(csv);
+    const [row] = buildImportPlan({ records, mapping: guessColumnMapping(columns), products: [product], categories });
+    expect(row.action).toBe('unchanged');
+  });
+});
+
+describe('buildErrorReportCSV', () => {
+  test('lists each failed row with its errors, keeping formula-like text as text', () => {
+    expect(buildErrorReportCSV([{ rowNumber: 3, sku: 'A', name: '-1 Mug', errors: ['Price is required', 'Bad SKU'] }]))
+      .toBe("row,sku,name,errors\r\n3,A,'-1 Mug,Price is required; Bad SKU");
+  });
+});
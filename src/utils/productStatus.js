@@ -0,0 +1,70 @@
+// Whether customers can see a product. A product is live when it is published, its publishAt
+// has passed and its unpublishAt (if any) has not. Drafts are being prepared; archived products
+// are retired but kept for past orders and reviews.
+export const PRODUCT_STATUSES = {
+  DRAFT: 'draft',
+  PUBLISHED: 'published',
+  ARCHIVED: 'archived'
+};
+
+// Display label and Bootstrap badge color for each status
+export const PRODUCT_STATUS_DETAILS = {
+  [PRODUCT_STATUSES.DRAFT]: { label: 'Draft', variant: 'secondary' },
+  [PRODUCT_STATUSES.PUBLISHED]: { label: 'Published', variant: 'success' },
+  [PRODUCT_STATUSES.ARCHIVED]: { label: 'Archived', variant: 'dark' }
+};
+
+// Stored as the unpublishAt of products with no end date, so live queries can compare every product's
+// unpublishAt with the current time (Firestore range filters skip documents missing the field)
+export const NO_UNPUBLISH_DATE = new Date('9999-12-31T23:59:59Z');
+
+// Products saved before publishing existed have no status and count as published
+export const getProductStatus = (product) => product?.status || PRODUCT_STATUSES.PUBLISHED;
+
+// Firestore Timestamp, Date or date string to a Date (null when missing)
+export const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// The product's publishing window as Dates; unpublishAt is null when the product has no end date
+export const getPublishingWindow = (product) => {
+  const unpublishAt = toDate(product?.unpublishAt);
+  return {
+    publishAt: toDate(product?.publishAt),
+    unpublishAt: unpublishAt && unpublishAt < NO_UNPUBLISH_DATE ? unpublishAt : null
+  };
+};
+
+export const isProductLive = (product, now = new Date()) => {
+  if (!product || getProductStatus(product) !== PRODUCT_STATUSES.PUBLISHED) return false;
+  const { publishAt, unpublishAt } = getPublishingWindow(product);
+  return (!publishAt || publishAt <= now) && (!unpublishAt || unpublishAt > now);
+};
+
+// Products saved before publishing existed lack the fields live queries filter on, so the shop
+// doesn't list them until they are filled in
+export const hasPublishingFields = (product) =>
+  Boolean(product?.status && product.publishAt && product.unpublishAt);
+
+// Status badge for admin lists: published products outside their window show as Scheduled or Ended
+export const describeProductStatus = (product, now = new Date()) => {
+  const status = getProductStatus(product);
+  if (status === PRODUCT_STATUSES.PUBLISHED && !isProductLive(product, now)) {
+    const { publishAt } = getPublishingWindow(product);
+    return publishAt && publishAt > now
+      ? { label: 'Scheduled', variant: 'info' }
+      : { label: 'Ended', variant: 'warning' };
+  }
+  return PRODUCT_STATUS_DETAILS[status] || PRODUCT_STATUS_DETAILS[PRODUCT_STATUSES.DRAFT];
+};
+
+// Date to the value of a datetime-local input, in local time
+export const toDateTimeInputValue = (value) => {
+  const date = toDate(value);
+  if (!date) return '';
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
@@ -0,0 +1,38 @@
+// Review moderation: new reviews wait in the queue until an admin approves or hides them
+export const REVIEW_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  HIDDEN: 'hidden'
+};
+
+// Display label and Bootstrap badge color for each status
+export const REVIEW_STATUS_DETAILS = {
+  [REVIEW_STATUSES.PENDING]: { label: 'Pending', variant: 'warning' },
+  [REVIEW_STATUSES.APPROVED]: { label: 'Approved', variant: 'success' },
+  [REVIEW_STATUSES.HIDDEN]: { label: 'Hidden', variant: 'secondary' }
+};
+
+export const MAX_REVIEW_PHOTOS = 3;
+
+// Product rating fields after adding (direction 1) or removing (direction -1) an approved rating.
+// ratingTotal is kept alongside the average so it can be updated without re-reading every review.
+export const applyRatingChange = (product, rating, direction) => {
+  const ratingCount = Math.max((product.ratingCount || 0) + direction, 0);
+  const ratingTotal = ratingCount > 0 ? (product.ratingTotal || 0) + direction * rating : 0;
+  return {
+    ratingCount,
+    ratingTotal,
+    ratingAverage: ratingCount > 0 ? Math.round((ratingTotal / ratingCount) * 10) / 10 : 0
+  };
+};
+
+// Products saved before reviews existed lack the rating fields, and listings sorted by rating leave out
+// products without the sort field
+export const hasRatingFields = (product) =>
+  ['ratingCount', 'ratingTotal', 'ratingAverage'].every(field => typeof product?.[field] === 'number');
+
+// Number of reviews per star value, 5 stars first
+export const getRatingDistribution = (reviews) => [5, 4, 3, 2, 1].map(stars => ({
+  stars,
+  count: reviews.filter(review => review.rating === stars).length
+}));
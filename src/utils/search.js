@@ -0,0 +1,217 @@
+// Client-side product search: products are indexed once per product list, then queried
+// with stemming, prefix and typo-tolerant matching. Results are ranked by field weight.
+
+// How much a match in each field counts; a term found in several fields scores its best field
+const FIELD_WEIGHTS = {
+  name: 5,
+  tags: 3,
+  category: 3,
+  description: 1
+};
+
+// Match quality relative to an exact (stemmed) match
+const PREFIX_MATCH = 0.7;
+const FUZZY_MATCH = 0.5;
+
+// Extra score when the product name contains the whole query as typed
+const PHRASE_BONUS = 5;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'for', 'with', 'of', 'in', 'on', 'to', 'by', 'or']);
+
+// Lowercase words without accents, punctuation or stop words
+export const tokenize = (text) => {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOP_WORDS.has(token));
+};
+
+const hasVowel = (word) => /[aeiouy]/.test(word);
+
+// "runn" -> "run", but keep "dress" and "ball"
+const undouble = (word) => (/([^aeiouslz])\1$/.test(word) ? word.slice(0, -1) : word);
+
+// Light English suffix stripping, so "shirts", "dresses" and "running" match "shirt", "dress" and "run".
+// Index and query words go through the same rules, so consistency matters more than linguistics.
+export const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (/(sses|xes|ches|shes|zes)$/.test(word)) return word.slice(0, -2);
+  if (/(ss|us|is)$/.test(word)) return word;
+  if (word.endsWith('ing') && word.length > 5 && hasVowel(word.slice(0, -3))) return undouble(word.slice(0, -3));
+  if (word.endsWith('ed') && word.length > 4 && hasVowel(word.slice(0, -2))) return undouble(word.slice(0, -2));
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+};
+
+// Edit distance between two words, counting a swap of neighbouring letters as one edit,
+// or Infinity once it exceeds maxDistance
+export const editDistance = (a, b, maxDistance = Infinity) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return Infinity;
+
+  let twoRowsBack = [];
+  let previousRow = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], twoRowsBack[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > maxDistance) return Infinity;
+    twoRowsBack = previousRow;
+    previousRow = row;
+  }
+  return previousRow[b.length] <= maxDistance ? previousRow[b.length] : Infinity;
+};
+
+// Typos tolerated in a word of this length
+const getMaxTypos = (word) => {
+  if (word.length < 4) return 0;
+  return word.length < 8 ? 1 : 2;
+};
+
+// Build the search index for a product list. categories maps product.category IDs to names.
+export const buildSearchIndex = (products, categories = []) => {
+  const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+  const postings = new Map(); // stemmed term -> Map(product ID -> field weight)
+  const words = new Map(); // word as written -> number of occurrences, for suggestions
+
+  products.forEach(product => {
+    const fields = {
+      name: product.name,
+      tags: (product.tags || []).join(' '),
+      category: categoryNames.get(product.category) || '',
+      description: product.description
+    };
+
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      tokenize(fields[field]).forEach(token => {
+        const term = stem(token);
+        if (!postings.has(term)) postings.set(term, new Map());
+        const productWeights = postings.get(term);
+        productWeights.set(product.id, Math.max(productWeights.get(product.id) || 0, weight));
+        words.set(token, (words.get(token) || 0) + 1);
+      });
+    });
+  });
+
+  return {
+    products: new Map(products.map(product => [product.id, product])),
+    postings,
+    words
+  };
+};
+
+// Indexes are cached per product list, so components can call this on every render
+const indexCache = new WeakMap();
+
+export const getSearchIndex = (products, categories = []) => {
+  const cached = indexCache.get(products);
+  if (cached && cached.categories === categories) return cached.index;
+
+  const index = buildSearchIndex(products, categories);
+  indexCache.set(products, { categories, index });
+  return index;
+};
+
+// Index terms matching a query word, with the quality of each match
+const findMatchingTerms = (index, token) => {
+  const queryTerm = stem(token);
+  const maxTypos = getMaxTypos(queryTerm);
+  const matches = [];
+
+  index.postings.forEach((_, term) => {
+    if (term === queryTerm) {
+      matches.push([term, 1]);
+    } else if (queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+      matches.push([term, PREFIX_MATCH]);
+    } else if (maxTypos > 0) {
+      const distance = editDistance(queryTerm, term, maxTypos);
+      if (distance !== Infinity) {
+        matches.push([term, FUZZY_MATCH / distance]);
+      }
+    }
+  });
+
+  return matches;
+};
+
+// Ranked matches for a query: [{ product, score }], best first.
+// Every query word has to match (exactly, as a prefix or with a typo) in some field.
+export const searchProducts = (index, query) => {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) {
+    return [...index.products.values()].map(product => ({ product, score: 0 }));
+  }
+
+  const productCount = index.products.size;
+
+  // Best score per product for each query word
+  const tokenScores = tokens.map(token => {
+    const productScores = new Map();
+    findMatchingTerms(index, token).forEach(([term, quality]) => {
+      const productWeights = index.postings.get(term);
+      // Rarer terms say more about a product than ones most products share
+      const rarity = Math.log(1 + productCount / productWeights.size);
+      productWeights.forEach((weight, productId) => {
+        const score = weight * quality * rarity;
+        if (score > (productScores.get(productId) || 0)) productScores.set(productId, score);
+      });
+    });
+    return productScores;
+  });
+
+  // Keep products matched by every word, adding up their scores
+  const [firstScores, ...otherScores] = tokenScores;
+  const scores = new Map();
+  firstScores.forEach((score, productId) => {
+    if (otherScores.every(productScores => productScores.has(productId))) {
+      scores.set(productId, otherScores.reduce((sum, productScores) => sum + productScores.get(productId), score));
+    }
+  });
+
+  const phrase = query.trim().toLowerCase();
+  return [...scores.entries()]
+    .map(([productId, score]) => {
+      const product = index.products.get(productId);
+      const phraseBonus = product.name.toLowerCase().includes(phrase) ? PHRASE_BONUS : 0;
+      return { product, score: score + phraseBonus };
+    })
+    .sort((a, b) => b.score - a.score || a.product.name.localeCompare(b.product.name));
+};
+
+// A corrected query when some words look misspelled ("did you mean"), otherwise null
+export const getSearchSuggestion = (index, query) => {
+  const tokens = tokenize(query);
+  let corrected = false;
+
+  const suggestion = tokens.map(token => {
+    const queryTerm = stem(token);
+    const isKnown = [...index.postings.keys()].some(term => term === queryTerm || term.startsWith(queryTerm));
+    if (isKnown) return token;
+
+    // Closest indexed word, preferring the more common one on a tie
+    let best = null;
+    index.words.forEach((count, word) => {
+      const distance = editDistance(token, word, Math.max(getMaxTypos(token), 1));
+      if (distance === Infinity) return;
+      if (!best || distance < best.distance || (distance === best.distance && count > best.count)) {
+        best = { word, distance, count };
+      }
+    });
+
+    if (!best) return token;
+    corrected = true;
+    return best.word;
+  });
+
+  return corrected ? suggestion.join(' ') : null;
+};
@@ -0,0 +1,85 @@
+import { tokenize, stem, editDistance, buildSearchIndex, searchProducts, getSearchSuggestion } from './search';
+
+const products = [
+  { id: 'shoes', name: 'Running Shoes', tags: ['sport'], category: 'footwear', description: 'Light shoes for long runs' },
+  { id: 'shirt', name: 'Cotton Shirt', tags: ['casual'], category: 'clothing', description: 'A soft shirt' },
+  { id: 'dress', name: 'Summer Dress', tags: ['cotton'], category: 'clothing', description: 'Flowing dress' }
+];
+const categories = [{ id: 'footwear', name: 'Footwear' }, { id: 'clothing', name: 'Clothing' }];
+
+describe('tokenize', () => {
+  test('lowercases, strips accents and punctuation, and drops stop words', () => {
+    expect(tokenize('The Café-Style Shirt, for MEN')).toEqual(['cafe', 'style', 'shirt', 'men']);
+    expect(tokenize('')).toEqual([]);
+  });
+});
+
+describe('stem', () => {
+  test('strips common suffixes', () => {
+    expect(stem('shirts')).toBe('shirt');
+    expect(stem('dresses')).toBe('dress');
+    expect(stem('running')).toBe('run');
+    expect(stem('accessories')).toBe('accessory');
+  });
+
+  test('leaves short words, numbers and words ending in ss alone', () => {
+    expect(stem('bus')).toBe('bus');
+    expect(stem('dress')).toBe('dress');
+    expect(stem('4ks')).toBe('4ks');
+  });
+});
+
+describe('editDistance', () => {
+  test('counts insertions, deletions, substitutions and swaps as one edit each', () => {
+    expect(editDistance('shirt', 'shirt')).toBe(0);
+    expect(editDistance('shrit', 'shirt')).toBe(1);
+    expect(editDistance('shirt', 'shirts')).toBe(1);
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+  });
+
+  test('gives up past the maximum distance', () => {
+    expect(editDistance('kitten', 'sitting', 2)).toBe(Infinity);
+    expect(editDistance('a', 'abcd', 1)).toBe(Infinity);
+  });
+});
+
+describe('searchProducts', () => {
+  const index = buildSearchIndex(products, categories);
+  const search = (query) => searchProducts(index, query).map(result => result.product.id);
+
+  test('returns every product for an empty query', () => {
+    expect(search('')).toEqual(['shoes', 'shirt', 'dress']);
+  });
+
+  test('matches stemmed words, prefixes and typos', () => {
+    expect(search('shirts')).toEqual(['shirt']);
+    expect(search('dre')).toEqual(['dress']);
+    expect(search('shrit')).toEqual(['shirt']);
+  });
+
+  test('requires every query word to match somewhere', () => {
+    expect(search('cotton shirt')).toEqual(['shirt']);
+    expect(search('cotton shoes')).toEqual([]);
+  });
+
+  test('ranks name matches above tag and description matches', () => {
+    expect(search('cotton')).toEqual(['shirt', 'dress']);
+  });
+
+  test('searches category names', () => {
+    expect(search('footwear')).toEqual(['shoes']);
+  });
+});
+
+describe('getSearchSuggestion', () => {
+  const index = buildSearchIndex(products, categories);
+
+  test('corrects misspelled words', () => {
+    expect(getSearchSuggestion(index, 'summr dres')).toBe('summer dres');
+    expect(getSearchSuggestion(index, 'cottn')).toBe('cotton');
+  });
+
+  test('returns null when every word is known', () => {
+    expect(getSearchSuggestion(index, 'cotton shirt')).toBeNull();
+  });
+});
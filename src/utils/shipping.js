@@ -0,0 +1,97 @@
+// Shipping rate rule types
+export const SHIPPING_RATE_TYPES = {
+  FLAT: 'flat',
+  WEIGHT: 'weight',
+  ORDER_VALUE: 'order_value'
+};
+
+export const SHIPPING_RATE_TYPE_LABELS = {
+  [SHIPPING_RATE_TYPES.FLAT]: 'Flat Rate',
+  [SHIPPING_RATE_TYPES.WEIGHT]: 'Weight Based',
+  [SHIPPING_RATE_TYPES.ORDER_VALUE]: 'Order Value Tiers'
+};
+
+// Address parts are compared case-insensitively
+const normalizeRegion = (value) => (value || '').trim().toLowerCase();
+
+const includesRegion = (regions = [], value) => (
+  regions.some(region => normalizeRegion(region) === normalizeRegion(value))
+);
+
+// Check whether a zone covers an address ({ country, state, city }).
+// An empty country, state list or city list matches anything.
+export const zoneMatchesAddress = (zone, address = {}) => {
+  if (zone.active === false) return false;
+  if (zone.country && normalizeRegion(zone.country) !== normalizeRegion(address.country)) return false;
+  if (zone.states?.length && !includesRegion(zone.states, address.state)) return false;
+  if (zone.cities?.length && !includesRegion(zone.cities, address.city)) return false;
+  return true;
+};
+
+// City-level zones beat state-level zones, which beat country-level and catch-all zones
+const getZoneSpecificity = (zone) => (
+  (zone.cities?.length ? 4 : 0) + (zone.states?.length ? 2 : 0) + (zone.country ? 1 : 0)
+);
+
+// Find the most specific active zone covering an address, or null if none does
+export const findShippingZone = (zones = [], address = {}) => {
+  return zones
+    .filter(zone => zoneMatchesAddress(zone, address))
+    .sort((a, b) => getZoneSpecificity(b) - getZoneSpecificity(a))[0] || null;
+};
+
+// Total weight in kg of order lines (lines without a weight count as 0)
+export const getItemsWeight = (items = []) => (
+  items.reduce((sum, item) => sum + ((Number(item.weight) || 0) * item.quantity), 0)
+);
+
+// Rate for a zone before any free shipping rule is applied
+const getZoneRate = (zone, totalWeight, orderValue) => {
+  switch (zone.rateType) {
+    case SHIPPING_RATE_TYPES.WEIGHT:
+      // Charged per started kilogram on top of the base rate
+      return (zone.baseRate || 0) + (zone.perKgRate || 0) * Math.ceil(totalWeight);
+    case SHIPPING_RATE_TYPES.ORDER_VALUE: {
+      const tier = [...(zone.tiers || [])]
+        .sort((a, b) => b.minOrderValue - a.minOrderValue)
+        .find(t => orderValue >= t.minOrderValue);
+      return tier ? tier.rate : (zone.flatRate || 0);
+    }
+    case SHIPPING_RATE_TYPES.FLAT:
+    default:
+      return zone.flatRate || 0;
+  }
+};
+
+// Work out the shipping charge for an order in a zone.
+// orderValue is the merchandise total after discounts; freeShipping comes from a coupon.
+// Returns the shipping line stored on the order.
+export const calculateShipping = (zone, items = [], { orderValue = 0, freeShipping = false } = {}) => {
+  const totalWeight = getItemsWeight(items);
+  const qualifiesForFree = freeShipping ||
+    (zone.freeShippingThreshold > 0 && orderValue >= zone.freeShippingThreshold);
+
+  return {
+    zoneId: zone.id,
+    zoneName: zone.name,
+    rateType: zone.rateType,
+    cost: qualifiesForFree ? 0 : Math.round(getZoneRate(zone, totalWeight, orderValue) * 100) / 100,
+    freeShipping: qualifiesForFree,
+    totalWeight,
+    estimatedDelivery: {
+      minDays: zone.minDeliveryDays || null,
+      maxDays: zone.maxDeliveryDays || null
+    }
+  };
+};
+
+// Describe a delivery window, e.g. "3-5 business days"
+export const formatDeliveryEstimate = (estimatedDelivery) => {
+  const { minDays, maxDays } = estimatedDelivery || {};
+  if (!minDays && !maxDays) return '';
+  if (!minDays || !maxDays || minDays === maxDays) {
+    const days = minDays || maxDays;
+    return `${days} business day${days !== 1 ? 's' : ''}`;
+  }
+  return `${minDays}-${maxDays} business days`;
+};
@@ -0,0 +1,83 @@
+import { SHIPPING_RATE_TYPES, zoneMatchesAddress, findShippingZone, getItemsWeight, calculateShipping, formatDeliveryEstimate } from './shipping';
+
+const lahore = { country: 'Pakistan', state: 'Punjab', city: 'Lahore' };
+const karachi = { country: 'Pakistan', state: 'Sindh', city: 'Karachi' };
+
+describe('zoneMatchesAddress', () => {
+  test('matches regions case-insensitively and treats empty lists as any', () => {
+    expect(zoneMatchesAddress({ country: 'pakistan', cities: ['LAHORE'] }, lahore)).toBe(true);
+    expect(zoneMatchesAddress({ country: 'Pakistan', states: ['Sindh'] }, lahore)).toBe(false);
+    expect(zoneMatchesAddress({}, lahore)).toBe(true);
+    expect(zoneMatchesAddress({ active: false }, lahore)).toBe(false);
+  });
+});
+
+describe('findShippingZone', () => {
+  const zones = [
+    { id: 'country', country: 'Pakistan' },
+    { id: 'punjab', country: 'Pakistan', states: ['Punjab'] },
+    { id: 'lahore', country: 'Pakistan', states: ['Punjab'], cities: ['Lahore'] },
+    { id: 'closed', country: 'Pakistan', states: ['Sindh'], active: false }
+  ];
+
+  test('picks the most specific active zone', () => {
+    expect(findShippingZone(zones, lahore).id).toBe('lahore');
+    expect(findShippingZone(zones, { ...lahore, city: 'Multan' }).id).toBe('punjab');
+    expect(findShippingZone(zones, karachi).id).toBe('country');
+  });
+
+  test('returns null when no zone covers the address', () => {
+    expect(findShippingZone(zones, { country: 'India' })).toBeNull();
+  });
+});
+
+describe('getItemsWeight', () => {
+  test('adds up line weights, counting missing weights as 0', () => {
+    expect(getItemsWeight([{ weight: 0.5, quantity: 3 }, { quantity: 2 }, { weight: '2', quantity: 1 }])).toBeCloseTo(3.5);
+  });
+});
+
+describe('calculateShipping', () => {
+  test('charges a flat rate', () => {
+    const shipping = calculateShipping({ id: 'z', name: 'Zone', rateType: SHIPPING_RATE_TYPES.FLAT, flatRate: 200 }, []);
+    expect(shipping).toMatchObject({ zoneId: 'z', cost: 200, freeShipping: false });
+  });
+
+  test('charges weight-based rates per started kilogram', () => {
+    const zone = { rateType: SHIPPING_RATE_TYPES.WEIGHT, baseRate: 100, perKgRate: 50 };
+    expect(calculateShipping(zone, [{ weight: 0.4, quantity: 3 }]).cost).toBe(200);
+    expect(calculateShipping(zone, []).cost).toBe(100);
+  });
+
+  test('uses the highest order value tier reached, falling back to the flat rate', () => {
+    const zone = {
+      rateType: SHIPPING_RATE_TYPES.ORDER_VALUE,
+      flatRate: 250,
+      tiers: [{ minOrderValue: 5000, rate: 100 }, { minOrderValue: 1000, rate: 300 }]
+    };
+    expect(calculateShipping(zone, [], { orderValue: 6000 }).cost).toBe(100);
+    expect(calculateShipping(zone, [], { orderValue: 1000 }).cost).toBe(300);
+    expect(calculateShipping(zone, [], { orderValue: 500 }).cost).toBe(250);
+  });
+
+  test('is free above the zone threshold or with a free shipping coupon', () => {
+    const zone = { rateType: SHIPPING_RATE_TYPES.FLAT, flatRate: 200, freeShippingThreshold: 5000 };
+    expect(calculateShipping(zone, [], { orderValue: 5000 })).toMatchObject({ cost: 0, freeShipping: true });
+    expect(calculateShipping(zone, [], { orderValue: 4999 }).cost).toBe(200);
+    expect(calculateShipping(zone, [], { orderValue: 100, freeShipping: true }).cost).toBe(0);
+  });
+
+  test('passes on the delivery estimate', () => {
+    const shipping = calculateShipping({ flatRate: 0, minDeliveryDays: 2, maxDeliveryDays: 4 }, []);
+    expect(shipping.estimatedDelivery).toEqual({ minDays: 2, maxDays: 4 });
+  });
+});
+
+describe('formatDeliveryEstimate', () => {
+  test('describes a range or a single number of days', () => {
+    expect(formatDeliveryEstimate({ minDays: 3, maxDays: 5 })).toBe('3-5 business days');
+    expect(formatDeliveryEstimate({ minDays: 1, maxDays: 1 })).toBe('1 business day');
+    expect(formatDeliveryEstimate({ maxDays: 7 })).toBe('7 business days');
+    expect(formatDeliveryEstimate(null)).toBe('');
+  });
+});
@@ -0,0 +1,86 @@
+import { getCartLineId } from './variants';
+
+// Address parts are compared case-insensitively
+const normalizeRegion = (value) => (value || '').trim().toLowerCase();
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Check whether a tax rate applies to an address ({ country, state }).
+// An empty country or state list matches anything.
+export const taxRateMatchesAddress = (taxRate, address = {}) => {
+  if (taxRate.active === false) return false;
+  if (taxRate.country && normalizeRegion(taxRate.country) !== normalizeRegion(address.country)) return false;
+  if (taxRate.states?.length &&
+      !taxRate.states.some(state => normalizeRegion(state) === normalizeRegion(address.state))) {
+    return false;
+  }
+  return true;
+};
+
+// Check whether a tax rate applies to a product category (an empty list means every category)
+export const taxRateMatchesCategory = (taxRate, categoryId) => (
+  !taxRate.categoryIds?.length || taxRate.categoryIds.includes(categoryId)
+);
+
+// Work out the tax on order lines (items need id, name, category, price and quantity).
+// Every matching rate applies, so a national rate and a provincial rate stack.
+// Order-level discounts are spread over the lines in proportion to their value before tax is taken.
+// Inclusive rates are already part of the price and only reported; exclusive rates are added on top.
+// Returns { lines, breakdown, inclusiveAmount, exclusiveAmount, amount }.
+export const calculateTax = (taxRates = [], items = [], address = {}, { discount = 0 } = {}) => {
+  const regionRates = taxRates.filter(taxRate => taxRateMatchesAddress(taxRate, address));
+  const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  const discountRatio = subtotal > 0 ? Math.min(discount / subtotal, 1) : 0;
+  const breakdownById = new Map();
+
+  const lines = items.map(item => {
+    const lineTotal = item.price * item.quantity * (1 - discountRatio);
+    const lineRates = regionRates.filter(taxRate => taxRateMatchesCategory(taxRate, item.category));
+    const inclusiveRate = lineRates
+      .filter(taxRate => taxRate.inclusive)
+      .reduce((sum, taxRate) => sum + taxRate.rate, 0);
+
+    // Inclusive tax is backed out of the price first, so every rate is charged on the same net amount
+    const netAmount = lineTotal / (1 + inclusiveRate / 100);
+    let lineTax = 0;
+    lineRates.forEach(taxRate => {
+      const amount = netAmount * taxRate.rate / 100;
+      lineTax += amount;
+
+      const entry = breakdownById.get(taxRate.id) || {
+        taxRateId: taxRate.id,
+        name: taxRate.name,
+        rate: taxRate.rate,
+        inclusive: Boolean(taxRate.inclusive),
+        amount: 0
+      };
+      entry.amount += amount;
+      breakdownById.set(taxRate.id, entry);
+    });
+
+    return {
+      id: item.id,
+      lineId: getCartLineId(item),
+      name: item.name,
+      taxableAmount: roundAmount(netAmount),
+      rate: lineRates.reduce((sum, taxRate) => sum + taxRate.rate, 0),
+      amount: roundAmount(lineTax)
+    };
+  });
+
+  const breakdown = [...breakdownById.values()].map(entry => ({ ...entry, amount: roundAmount(entry.amount) }));
+  const inclusiveAmount = roundAmount(
+    breakdown.filter(entry => entry.inclusive).reduce((sum, entry) => sum + entry.amount, 0)
+  );
+  const exclusiveAmount = roundAmount(
+    breakdown.filter(entry => !entry.inclusive).reduce((sum, entry) => sum + entry.amount, 0)
+  );
+
+  return {
+    lines,
+    breakdown,
+    inclusiveAmount,
+    exclusiveAmount,
+    amount: roundAmount(inclusiveAmount + exclusiveAmount)
+  };
+};
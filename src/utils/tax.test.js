@@ -0,0 +1,100 @@
+import { taxRateMatchesAddress, taxRateMatchesCategory, calculateTax } from './tax';
+
+const punjab = { country: 'Pakistan', state: 'Punjab' };
+
+describe('taxRateMatchesAddress', () => {
+  test('matches country and state case-insensitively', () => {
+    expect(taxRateMatchesAddress({ country: 'pakistan', states: ['PUNJAB'] }, punjab)).toBe(true);
+    expect(taxRateMatchesAddress({ country: 'Pakistan', states: ['Sindh'] }, punjab)).toBe(false);
+    expect(taxRateMatchesAddress({ country: 'India' }, punjab)).toBe(false);
+  });
+
+  test('matches any address when no region is set, unless inactive', () => {
+    expect(taxRateMatchesAddress({}, punjab)).toBe(true);
+    expect(taxRateMatchesAddress({ active: false }, punjab)).toBe(false);
+  });
+});
+
+describe('taxRateMatchesCategory', () => {
+  test('applies to every category unless limited', () => {
+    expect(taxRateMatchesCategory({}, 'books')).toBe(true);
+    expect(taxRateMatchesCategory({ categoryIds: ['books'] }, 'books')).toBe(true);
+    expect(taxRateMatchesCategory({ categoryIds: ['books'] }, 'toys')).toBe(false);
+  });
+});
+
+describe('calculateTax', () => {
+  test('adds exclusive tax on top of the price', () => {
+    const result = calculateTax(
+      [{ id: 'gst', name: 'GST', rate: 10 }],
+      [{ id: 'a', name: 'A', price: 1000, quantity: 2 }],
+      punjab
+    );
+    expect(result.amount).toBe(200);
+    expect(result.exclusiveAmount).toBe(200);
+    expect(result.inclusiveAmount).toBe(0);
+    expect(result.lines[0]).toMatchObject({ taxableAmount: 2000, rate: 10, amount: 200 });
+  });
+
+  test('backs inclusive tax out of the price and only reports it', () => {
+    const result = calculateTax(
+      [{ id: 'vat', name: 'VAT', rate: 17, inclusive: true }],
+      [{ id: 'a', name: 'A', price: 1170, quantity: 1 }],
+      punjab
+    );
+    expect(result.inclusiveAmount).toBe(170);
+    expect(result.exclusiveAmount).toBe(0);
+    expect(result.lines[0].taxableAmount).toBe(1000);
+  });
+
+  test('stacks every matching rate on the same net amount', () => {
+    const result = calculateTax(
+      [
+        { id: 'national', name: 'National', rate: 10, inclusive: true },
+        { id: 'provincial', name: 'Provincial', rate: 5, country: 'Pakistan', states: ['Punjab'] },
+        { id: 'sindh', name: 'Sindh', rate: 8, country: 'Pakistan', states: ['Sindh'] }
+      ],
+      [{ id: 'a', name: 'A', price: 1100, quantity: 1 }],
+      punjab
+    );
+    expect(result.breakdown.map(entry => [entry.taxRateId, entry.amount])).toEqual([['national', 100], ['provincial', 50]]);
+    expect(result.amount).toBe(150);
+    expect(result.lines[0].rate).toBe(15);
+  });
+
+  test('spreads an order discount over the lines before taxing them', () => {
+    const result = calculateTax(
+      [{ id: 'gst', name: 'GST', rate: 10 }],
+      [
+        { id: 'a', name: 'A', price: 1000, quantity: 1 },
+        { id: 'b', name: 'B', price: 1000, quantity: 1 }
+      ],
+      punjab,
+      { discount: 500 }
+    );
+    expect(result.lines.map(line => line.amount)).toEqual([75, 75]);
+    expect(result.amount).toBe(150);
+  });
+
+  test('taxes only the categories a rate is limited to', () => {
+    const result = calculateTax(
+      [{ id: 'books', name: 'Books', rate: 5, categoryIds: ['books'] }],
+      [
+        { id: 'a', name: 'A', category: 'books', price: 200, quantity: 1 },
+        { id: 'b', name: 'B', category: 'toys', price: 400, quantity: 1 }
+      ],
+      punjab
+    );
+    expect(result.lines.map(line => line.amount)).toEqual([10, 0]);
+    expect(result.amount).toBe(10);
+  });
+
+  test('keeps variant lines of one product apart', () => {
+    const result = calculateTax([], [
+      { id: 'a', variantId: 's', name: 'A', price: 10, quantity: 1 },
+      { id: 'a', variantId: 'm', name: 'A', price: 10, quantity: 1 }
+    ], punjab);
+    expect(result.lines.map(line => line.lineId)).toEqual(['a:s', 'a:m']);
+    expect(result.amount).toBe(0);
+  });
+});
@@ -0,0 +1,71 @@
+// Products can define options such as Size or Color (product.variantOptions: [{ name, values }]).
+// Every combination of option values is a variant (product.variants) with its own SKU, price,
+// stock and images. The product's own price and stock summarise its variants so listings,
+// sorting and filters keep working on the product fields.
+
+// Variant IDs are built from the option values so they stay the same when variants are regenerated
+const toIdPart = (value) => String(value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+export const getVariantId = (variantOptions, options) =>
+  variantOptions.map(option => toIdPart(options[option.name])).join('_');
+
+// Label shown to customers, e.g. "M / Red"
+export const describeVariant = (variantOptions, options) =>
+  variantOptions.map(option => options[option.name]).join(' / ');
+
+export const hasVariants = (product) => Array.isArray(product?.variants) && product.variants.length > 0;
+
+// Cart lines and order items are keyed by product and variant, so two sizes are separate lines
+export const getCartLineId = (item) => (item.variantId ? `${item.id}:${item.variantId}` : item.id);
+
+// Every combination of option values, in option order
+const combineOptions = (variantOptions) => variantOptions.reduce(
+  (combinations, option) => combinations.flatMap(combination =>
+    option.values.map(value => ({ ...combination, [option.name]: value }))
+  ),
+  [{}]
+);
+
+// Generate the variants for a set of option definitions.
+// Variants that already exist keep their SKU, price, stock and images; new ones start from the defaults.
+export const generateVariants = (variantOptions, existingVariants = [], defaults = {}) => {
+  const options = variantOptions.filter(option => option.name.trim() && option.values.length > 0);
+  if (options.length === 0) return [];
+
+  return combineOptions(options).map(combination => {
+    const id = getVariantId(options, combination);
+    const existing = existingVariants.find(variant => variant.id === id);
+    if (existing) {
+      return { ...existing, options: combination };
+    }
+    return {
+      id,
+      options: combination,
+      sku: defaults.sku ? `${defaults.sku}-${id.toUpperCase().replace(/_/g, '-')}` : '',
+      price: defaults.price ?? 0,
+      stockQuantity: defaults.stockQuantity ?? 0,
+      imageUrls: []
+    };
+  });
+};
+
+// Product-level fields derived from the variants: the lowest price, total stock and availability
+export const summarizeVariants = (variants) => {
+  const stockQuantity = variants.reduce((sum, variant) => sum + (variant.stockQuantity || 0), 0);
+  return {
+    price: Math.min(...variants.map(variant => variant.price)),
+    stockQuantity,
+    inStock: stockQuantity > 0
+  };
+};
+
+// Find the variant matching every selected option, or null while the selection is incomplete
+export const findVariant = (product, selectedOptions) => {
+  if (!hasVariants(product)) return null;
+  return product.variants.find(variant =>
+    product.variantOptions.every(option => variant.options[option.name] === selectedOptions[option.name])
+  ) || null;
+};
+
+// Name of a cart line or order item including its variant, e.g. "Oxford Shirt (M / Blue)"
+export const getItemDisplayName = (item) => (item.variantName ? `${item.name} (${item.variantName})` : item.name);